@@ -0,0 +1,34 @@
+-- Migration: Create transaction_splits table
+-- Description: Lets a transaction be split across several categories. Split lines carry the
+--              same sign as the parent amount and must add up to it; the parent's category_id
+--              is NULL while it is split.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS transaction_splits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  category_id UUID REFERENCES categories(id) NOT NULL,
+  amount DECIMAL(15, 2) NOT NULL,
+  memo TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for lookups by parent transaction and by category
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction
+ON transaction_splits(transaction_id);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_user_category
+ON transaction_splits(user_id, category_id);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE transaction_splits ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own split lines
+CREATE POLICY "Users can manage their own transaction splits"
+ON transaction_splits FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Add comment
+COMMENT ON TABLE transaction_splits IS 'Per-category split lines of a transaction; amounts add up to the parent amount';
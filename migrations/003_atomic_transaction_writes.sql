@@ -0,0 +1,93 @@
+-- Migration: Atomic transaction writes
+-- Description: Adds write_transaction_with_balances(), which inserts or updates a transaction row,
+--              replaces its split lines and applies the account balance changes in a single
+--              database transaction. Balances are incremented in place (no read-modify-write),
+--              so concurrent writes can no longer lose updates, and any failure rolls back
+--              the whole write.
+-- Date: 2026-10-18
+
+CREATE OR REPLACE FUNCTION write_transaction_with_balances(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_balance_changes JSONB,      -- [{"account_id": "...", "amount": -12.50}, ...]
+  p_splits JSONB DEFAULT NULL   -- when not NULL, replaces the split lines ([] removes them)
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction transactions;
+  v_columns TEXT;
+  v_assignments TEXT;
+  v_change JSONB;
+  v_amount NUMERIC;
+  v_updated INT;
+BEGIN
+  IF p_transaction_id IS NULL THEN
+    SELECT string_agg(quote_ident(key), ', ')
+    INTO v_columns
+    FROM jsonb_object_keys(p_payload || jsonb_build_object('user_id', p_user_id)) AS key;
+
+    EXECUTE format(
+      'INSERT INTO transactions (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::transactions, $1) RETURNING *',
+      v_columns
+    )
+    INTO v_transaction
+    USING p_payload || jsonb_build_object('user_id', p_user_id);
+  ELSE
+    SELECT string_agg(format('%1$I = r.%1$I', key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(p_payload) AS key;
+
+    EXECUTE format(
+      'UPDATE transactions t SET %s FROM jsonb_populate_record(NULL::transactions, $1) r
+       WHERE t.id = $2 AND t.user_id = $3 AND t.deleted_at IS NULL RETURNING t.*',
+      v_assignments
+    )
+    INTO v_transaction
+    USING p_payload, p_transaction_id, p_user_id;
+
+    IF v_transaction.id IS NULL THEN
+      RAISE EXCEPTION 'Transaction not found';
+    END IF;
+  END IF;
+
+  IF p_splits IS NOT NULL THEN
+    DELETE FROM transaction_splits WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_splits (user_id, transaction_id, category_id, amount, memo)
+    SELECT p_user_id, v_transaction.id, s.category_id, s.amount, s.memo
+    FROM jsonb_to_recordset(p_splits) AS s(category_id UUID, amount DECIMAL(15, 2), memo TEXT);
+  END IF;
+
+  -- Debt accounts (loans, credit cards) work inversely: money in reduces the balance owed
+  FOR v_change IN SELECT * FROM jsonb_array_elements(COALESCE(p_balance_changes, '[]'::jsonb))
+  LOOP
+    v_amount := (v_change->>'amount')::NUMERIC;
+
+    UPDATE accounts
+    SET current_balance = current_balance +
+          CASE WHEN type IN ('loan', 'credit_card') THEN -v_amount ELSE v_amount END,
+        updated_at = NOW()
+    WHERE id = (v_change->>'account_id')::UUID
+      AND user_id = p_user_id;
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+    IF v_updated = 0 THEN
+      RAISE EXCEPTION 'Account % not found', v_change->>'account_id';
+    END IF;
+  END LOOP;
+
+  RETURN to_jsonb(v_transaction) || jsonb_build_object(
+    'splits',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', id, 'category_id', category_id, 'amount', amount, 'memo', memo))
+       FROM transaction_splits
+       WHERE transaction_id = v_transaction.id),
+      '[]'::jsonb
+    )
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION write_transaction_with_balances IS 'Writes a transaction, its split lines and the resulting account balance changes atomically';
@@ -0,0 +1,31 @@
+-- Migration: Create import_profiles table
+-- Description: Saved per-bank CSV column mappings (date column and format, amount or
+--              debit/credit columns, decimal separator, payee/memo columns, sign convention)
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  mapping JSONB NOT NULL, -- {"date_column": "Date", "date_format": "DD/MM/YYYY", "amount_column": "Amount", ...}
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index for faster lookups by user
+CREATE INDEX IF NOT EXISTS idx_import_profiles_user
+ON import_profiles(user_id)
+WHERE deleted_at IS NULL;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE import_profiles ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own import profiles
+CREATE POLICY "Users can manage their own import profiles"
+ON import_profiles FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Add comment
+COMMENT ON TABLE import_profiles IS 'Saved CSV column mappings for bank statement imports';
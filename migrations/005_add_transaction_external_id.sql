@@ -0,0 +1,14 @@
+-- Migration: Add external_id to transactions
+-- Description: Stores the bank's identifier of imported transactions (OFX/QFX FITID)
+--              so that re-importing a statement does not create them twice
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+
+COMMENT ON COLUMN transactions.external_id IS 'Identifier from the imported statement (e.g. OFX FITID)';
+
+-- Create index for duplicate lookups during import
+CREATE INDEX IF NOT EXISTS idx_transactions_account_external_id
+ON transactions(account_id, external_id)
+WHERE external_id IS NOT NULL AND deleted_at IS NULL;
@@ -0,0 +1,79 @@
+-- Migration: Add duplicate detection for transactions
+-- Description: Stores a fingerprint (amount in cents plus normalized payee) on income/expense
+--              transactions so likely duplicates can be found by account and date window,
+--              and records pairs the user has reviewed and dismissed as not duplicates.
+--              Existing income/expense transactions are fingerprinted here with the same rules
+--              as buildFingerprint() in src/utils/duplicates.js.
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(255);
+
+COMMENT ON COLUMN transactions.fingerprint IS 'Amount in cents and normalized payee used to detect duplicates; NULL for transfers';
+
+-- normalizePayee() from src/utils/duplicates.js: the first two significant lowercase words,
+-- without accents, words containing digits and words banks add around the merchant name
+CREATE FUNCTION pg_temp.normalize_payee(p_payee TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(string_agg(words.word, ' ' ORDER BY words.position), '')
+  FROM (
+    SELECT w.word, w.position
+    FROM regexp_split_to_table(
+      regexp_replace(
+        regexp_replace(normalize(lower(COALESCE(p_payee, '')), NFKD), '[\u0300-\u036f]', '', 'g'),
+        '[^a-z0-9]+', ' ', 'g'
+      ),
+      ' '
+    ) WITH ORDINALITY AS w(word, position)
+    WHERE length(w.word) > 1
+      AND w.word !~ '[0-9]'
+      AND w.word <> ALL (ARRAY[
+        'pos', 'card', 'purchase', 'payment', 'debit', 'credit', 'visa', 'mastercard', 'contactless',
+        'online', 'ref', 'reference', 'txn', 'trx', 'to', 'from', 'the', 'inc', 'ltd', 'llc', 'gmbh', 'co'
+      ])
+    ORDER BY w.position
+    LIMIT 2
+  ) AS words;
+$$;
+
+-- Fingerprint existing transactions so their duplicates are found too
+UPDATE transactions
+SET fingerprint =
+  CASE WHEN type = 'expense' OR amount < 0 THEN '-' ELSE '+' END ||
+  ROUND(ABS(amount) * 100)::BIGINT::TEXT || '|' ||
+  pg_temp.normalize_payee(payee)
+WHERE type <> 'transfer'
+  AND fingerprint IS NULL;
+
+-- Create index for duplicate lookups by account, fingerprint and date window
+CREATE INDEX IF NOT EXISTS idx_transactions_account_fingerprint_date
+ON transactions(account_id, fingerprint, date)
+WHERE fingerprint IS NOT NULL AND deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS transaction_duplicate_dismissals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  other_transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(transaction_id, other_transaction_id),
+  CHECK (transaction_id < other_transaction_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_duplicate_dismissals_user
+ON transaction_duplicate_dismissals(user_id);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE transaction_duplicate_dismissals ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own dismissals
+CREATE POLICY "Users can manage their own duplicate dismissals"
+ON transaction_duplicate_dismissals FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Add comment
+COMMENT ON TABLE transaction_duplicate_dismissals IS 'Transaction pairs the user marked as not duplicates; ids stored in sorted order';
@@ -0,0 +1,49 @@
+-- Migration: Create import_batches table
+-- Description: Imports are staged as named batches that can be committed later and rolled back.
+--              Transactions created by a batch keep its id so the batch can delete them again.
+--              Status moves staged -> committing -> committed -> rolled_back, or staged -> discarded.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS import_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'staged'
+    CHECK (status IN ('staged', 'committing', 'committed', 'rolled_back', 'discarded')),
+  transactions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  total_count INTEGER NOT NULL DEFAULT 0,
+  imported_count INTEGER,
+  failed_count INTEGER,
+  errors JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  committed_at TIMESTAMP WITH TIME ZONE,
+  rolled_back_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index for listing a user's batches
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_created
+ON import_batches(user_id, created_at DESC);
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+
+-- Create index for rolling back a batch
+CREATE INDEX IF NOT EXISTS idx_transactions_import_batch
+ON transactions(import_batch_id)
+WHERE import_batch_id IS NOT NULL;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own import batches
+CREATE POLICY "Users can manage their own import batches"
+ON import_batches FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE import_batches IS 'Named import batches; staged rows are kept in transactions until committed';
+COMMENT ON COLUMN transactions.import_batch_id IS 'Import batch that created the transaction';
@@ -0,0 +1,37 @@
+-- Migration: Create categorization_rules table
+-- Description: User-defined rules that fill in category, payee and memo on new transactions.
+--              conditions: { payee_contains, payee_regex, min_amount, max_amount, account_id, type }
+--              (all must match; amounts compare against the absolute amount)
+--              actions: { category_id, payee, memo }
+--              Rules apply in priority order and the first rule to set a field wins.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  conditions JSONB NOT NULL,
+  actions JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index for loading a user's active rules in order
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_priority
+ON categorization_rules(user_id, priority, created_at)
+WHERE deleted_at IS NULL;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own rules
+CREATE POLICY "Users can manage their own categorization rules"
+ON categorization_rules FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Add comment
+COMMENT ON TABLE categorization_rules IS 'Auto-categorization rules applied to new and, on request, existing transactions';
@@ -0,0 +1,160 @@
+-- Migration: Create tags and transaction_tags tables
+-- Description: Free-form labels on transactions (e.g. "vacation-2026", "reimbursable"),
+--              independent of the category hierarchy. Tag names are stored lowercase and are
+--              unique per user. write_transaction_with_balances() gains a p_tags parameter so
+--              tags are written in the same database transaction as the rest of the write.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS tags (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS transaction_tags (
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  tag_id UUID REFERENCES tags(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (transaction_id, tag_id)
+);
+
+-- Create index for finding the transactions of a tag
+CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag
+ON transaction_tags(tag_id);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transaction_tags ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own tags
+CREATE POLICY "Users can manage their own tags"
+ON tags FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can manage their own transaction tags
+CREATE POLICY "Users can manage their own transaction tags"
+ON transaction_tags FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE tags IS 'User-defined transaction labels, orthogonal to categories';
+COMMENT ON TABLE transaction_tags IS 'Links transactions to their tags (many-to-many)';
+
+-- Replace the write function with a version that also writes tags
+DROP FUNCTION IF EXISTS write_transaction_with_balances(UUID, UUID, JSONB, JSONB, JSONB);
+
+CREATE FUNCTION write_transaction_with_balances(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_balance_changes JSONB,      -- [{"account_id": "...", "amount": -12.50}, ...]
+  p_splits JSONB DEFAULT NULL,  -- when not NULL, replaces the split lines ([] removes them)
+  p_tags JSONB DEFAULT NULL     -- when not NULL, replaces the tags (["tag name", ...]; [] removes them)
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction transactions;
+  v_columns TEXT;
+  v_assignments TEXT;
+  v_change JSONB;
+  v_amount NUMERIC;
+  v_updated INT;
+BEGIN
+  IF p_transaction_id IS NULL THEN
+    SELECT string_agg(quote_ident(key), ', ')
+    INTO v_columns
+    FROM jsonb_object_keys(p_payload || jsonb_build_object('user_id', p_user_id)) AS key;
+
+    EXECUTE format(
+      'INSERT INTO transactions (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::transactions, $1) RETURNING *',
+      v_columns
+    )
+    INTO v_transaction
+    USING p_payload || jsonb_build_object('user_id', p_user_id);
+  ELSE
+    SELECT string_agg(format('%1$I = r.%1$I', key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(p_payload) AS key;
+
+    EXECUTE format(
+      'UPDATE transactions t SET %s FROM jsonb_populate_record(NULL::transactions, $1) r
+       WHERE t.id = $2 AND t.user_id = $3 AND t.deleted_at IS NULL RETURNING t.*',
+      v_assignments
+    )
+    INTO v_transaction
+    USING p_payload, p_transaction_id, p_user_id;
+
+    IF v_transaction.id IS NULL THEN
+      RAISE EXCEPTION 'Transaction not found';
+    END IF;
+  END IF;
+
+  IF p_splits IS NOT NULL THEN
+    DELETE FROM transaction_splits WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_splits (user_id, transaction_id, category_id, amount, memo)
+    SELECT p_user_id, v_transaction.id, s.category_id, s.amount, s.memo
+    FROM jsonb_to_recordset(p_splits) AS s(category_id UUID, amount DECIMAL(15, 2), memo TEXT);
+  END IF;
+
+  IF p_tags IS NOT NULL THEN
+    INSERT INTO tags (user_id, name)
+    SELECT p_user_id, tag.name
+    FROM jsonb_array_elements_text(p_tags) AS tag(name)
+    ON CONFLICT (user_id, name) DO NOTHING;
+
+    DELETE FROM transaction_tags WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_tags (user_id, transaction_id, tag_id)
+    SELECT p_user_id, v_transaction.id, tags.id
+    FROM tags
+    WHERE tags.user_id = p_user_id
+      AND tags.name IN (SELECT jsonb_array_elements_text(p_tags));
+  END IF;
+
+  -- Debt accounts (loans, credit cards) work inversely: money in reduces the balance owed
+  FOR v_change IN SELECT * FROM jsonb_array_elements(COALESCE(p_balance_changes, '[]'::jsonb))
+  LOOP
+    v_amount := (v_change->>'amount')::NUMERIC;
+
+    UPDATE accounts
+    SET current_balance = current_balance +
+          CASE WHEN type IN ('loan', 'credit_card') THEN -v_amount ELSE v_amount END,
+        updated_at = NOW()
+    WHERE id = (v_change->>'account_id')::UUID
+      AND user_id = p_user_id;
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+    IF v_updated = 0 THEN
+      RAISE EXCEPTION 'Account % not found', v_change->>'account_id';
+    END IF;
+  END LOOP;
+
+  RETURN to_jsonb(v_transaction) || jsonb_build_object(
+    'splits',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', id, 'category_id', category_id, 'amount', amount, 'memo', memo))
+       FROM transaction_splits
+       WHERE transaction_id = v_transaction.id),
+      '[]'::jsonb
+    ),
+    'tags',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', tags.id, 'name', tags.name) ORDER BY tags.name)
+       FROM transaction_tags
+       JOIN tags ON tags.id = transaction_tags.tag_id
+       WHERE transaction_tags.transaction_id = v_transaction.id),
+      '[]'::jsonb
+    )
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION write_transaction_with_balances IS 'Writes a transaction, its split lines, its tags and the resulting account balance changes atomically';
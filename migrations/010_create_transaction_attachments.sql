@@ -0,0 +1,34 @@
+-- Migration: Create transaction_attachments table
+-- Description: Receipts and documents attached to transactions. Files live in the configured
+--              storage backend (local filesystem or Supabase Storage); each row records which
+--              backend and key hold its file so downloads keep working if the backend changes.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS transaction_attachments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+  storage_backend VARCHAR(20) NOT NULL CHECK (storage_backend IN ('local', 'supabase')),
+  storage_key TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index for listing a transaction's attachments
+CREATE INDEX IF NOT EXISTS idx_transaction_attachments_transaction
+ON transaction_attachments(transaction_id)
+WHERE deleted_at IS NULL;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE transaction_attachments ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own attachments
+CREATE POLICY "Users can manage their own attachments"
+ON transaction_attachments FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+COMMENT ON TABLE transaction_attachments IS 'Receipts and documents attached to transactions; file contents are kept in attachment storage';
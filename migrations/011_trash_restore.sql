@@ -0,0 +1,128 @@
+-- Migration: Trash bin for soft-deleted records
+-- Description: Soft-deleted transactions, accounts, categories, budgets, goals and recurring
+--              transactions can be listed and restored until they are purged after the retention
+--              period (TRASH_RETENTION_DAYS). write_transaction_with_balances() gains a p_restore
+--              parameter so a deleted transaction and its balance effects are restored atomically.
+-- Date: 2026-10-18
+
+-- Create indexes for listing and purging deleted rows
+CREATE INDEX IF NOT EXISTS idx_transactions_trash ON transactions(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_accounts_trash ON accounts(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_categories_trash ON categories(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_budgets_trash ON budgets(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_goals_trash ON goals(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_trash ON recurring_transactions(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Replace the write function with a version that can restore deleted transactions
+DROP FUNCTION IF EXISTS write_transaction_with_balances(UUID, UUID, JSONB, JSONB, JSONB, JSONB);
+
+CREATE FUNCTION write_transaction_with_balances(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_balance_changes JSONB,      -- [{"account_id": "...", "amount": -12.50}, ...]
+  p_splits JSONB DEFAULT NULL,  -- when not NULL, replaces the split lines ([] removes them)
+  p_tags JSONB DEFAULT NULL,    -- when not NULL, replaces the tags (["tag name", ...]; [] removes them)
+  p_restore BOOLEAN DEFAULT FALSE -- allows updating a soft-deleted transaction (restoring it from the trash)
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction transactions;
+  v_columns TEXT;
+  v_assignments TEXT;
+  v_change JSONB;
+  v_amount NUMERIC;
+  v_updated INT;
+BEGIN
+  IF p_transaction_id IS NULL THEN
+    SELECT string_agg(quote_ident(key), ', ')
+    INTO v_columns
+    FROM jsonb_object_keys(p_payload || jsonb_build_object('user_id', p_user_id)) AS key;
+
+    EXECUTE format(
+      'INSERT INTO transactions (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::transactions, $1) RETURNING *',
+      v_columns
+    )
+    INTO v_transaction
+    USING p_payload || jsonb_build_object('user_id', p_user_id);
+  ELSE
+    SELECT string_agg(format('%1$I = r.%1$I', key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(p_payload) AS key;
+
+    EXECUTE format(
+      'UPDATE transactions t SET %s FROM jsonb_populate_record(NULL::transactions, $1) r
+       WHERE t.id = $2 AND t.user_id = $3 AND (t.deleted_at IS NULL OR $4) RETURNING t.*',
+      v_assignments
+    )
+    INTO v_transaction
+    USING p_payload, p_transaction_id, p_user_id, p_restore;
+
+    IF v_transaction.id IS NULL THEN
+      RAISE EXCEPTION 'Transaction not found';
+    END IF;
+  END IF;
+
+  IF p_splits IS NOT NULL THEN
+    DELETE FROM transaction_splits WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_splits (user_id, transaction_id, category_id, amount, memo)
+    SELECT p_user_id, v_transaction.id, s.category_id, s.amount, s.memo
+    FROM jsonb_to_recordset(p_splits) AS s(category_id UUID, amount DECIMAL(15, 2), memo TEXT);
+  END IF;
+
+  IF p_tags IS NOT NULL THEN
+    INSERT INTO tags (user_id, name)
+    SELECT p_user_id, tag.name
+    FROM jsonb_array_elements_text(p_tags) AS tag(name)
+    ON CONFLICT (user_id, name) DO NOTHING;
+
+    DELETE FROM transaction_tags WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_tags (user_id, transaction_id, tag_id)
+    SELECT p_user_id, v_transaction.id, tags.id
+    FROM tags
+    WHERE tags.user_id = p_user_id
+      AND tags.name IN (SELECT jsonb_array_elements_text(p_tags));
+  END IF;
+
+  -- Debt accounts (loans, credit cards) work inversely: money in reduces the balance owed
+  FOR v_change IN SELECT * FROM jsonb_array_elements(COALESCE(p_balance_changes, '[]'::jsonb))
+  LOOP
+    v_amount := (v_change->>'amount')::NUMERIC;
+
+    UPDATE accounts
+    SET current_balance = current_balance +
+          CASE WHEN type IN ('loan', 'credit_card') THEN -v_amount ELSE v_amount END,
+        updated_at = NOW()
+    WHERE id = (v_change->>'account_id')::UUID
+      AND user_id = p_user_id;
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+    IF v_updated = 0 THEN
+      RAISE EXCEPTION 'Account % not found', v_change->>'account_id';
+    END IF;
+  END LOOP;
+
+  RETURN to_jsonb(v_transaction) || jsonb_build_object(
+    'splits',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', id, 'category_id', category_id, 'amount', amount, 'memo', memo))
+       FROM transaction_splits
+       WHERE transaction_id = v_transaction.id),
+      '[]'::jsonb
+    ),
+    'tags',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', tags.id, 'name', tags.name) ORDER BY tags.name)
+       FROM transaction_tags
+       JOIN tags ON tags.id = transaction_tags.tag_id
+       WHERE transaction_tags.transaction_id = v_transaction.id),
+      '[]'::jsonb
+    )
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION write_transaction_with_balances IS 'Writes (or restores) a transaction, its split lines, its tags and the resulting account balance changes atomically';
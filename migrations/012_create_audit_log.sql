@@ -0,0 +1,61 @@
+-- Migration: Create audit_log table
+-- Description: Append-only history of every create, update, delete and restore of transactions,
+--              accounts, categories, budgets, goals and recurring transactions: the record before
+--              and after the change, who made it, when, and the id of the API request.
+--              Entries cannot be updated; they are only removed when their user is deleted.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  actor_id UUID,
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (actor_type IN ('user', 'system')),
+  resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('transactions', 'accounts', 'categories', 'budgets', 'goals', 'recurring')),
+  resource_id UUID NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+  before JSONB,
+  after JSONB,
+  changed_fields TEXT[],
+  metadata JSONB,
+  request_id VARCHAR(128),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for record histories and the activity feed
+CREATE INDEX IF NOT EXISTS idx_audit_log_resource
+ON audit_log(user_id, resource_type, resource_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_created
+ON audit_log(user_id, created_at DESC);
+
+-- Entries are never changed once written
+CREATE OR REPLACE FUNCTION prevent_audit_log_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log entries cannot be modified';
+END;
+$$;
+
+CREATE TRIGGER audit_log_append_only
+BEFORE UPDATE ON audit_log
+FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_update();
+
+REVOKE UPDATE, DELETE ON audit_log FROM anon, authenticated;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can read their own audit log
+CREATE POLICY "Users can read their own audit log"
+ON audit_log FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Policy: Users can append to their own audit log
+CREATE POLICY "Users can append to their own audit log"
+ON audit_log FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+COMMENT ON TABLE audit_log IS 'Append-only history of changes to financial records';
+COMMENT ON COLUMN audit_log.metadata IS 'Extra context, e.g. the account balance changes a transaction write applied';
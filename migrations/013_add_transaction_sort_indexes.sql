@@ -0,0 +1,20 @@
+-- Migration: Add transaction sort indexes
+-- Description: Indexes matching the sort orders of the transaction list (sort field, then id),
+--              so cursor pages are read straight from an index instead of sorting every row.
+-- Date: 2026-10-18
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_date_id
+ON transactions(user_id, date, id)
+WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_amount_id
+ON transactions(user_id, amount, id)
+WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_payee_id
+ON transactions(user_id, payee, id)
+WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_created_at_id
+ON transactions(user_id, created_at, id)
+WHERE deleted_at IS NULL;
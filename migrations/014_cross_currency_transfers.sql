@@ -0,0 +1,29 @@
+-- Migration: Cross-currency transfers
+-- Description: Transfers record what the source account sent (amount, currency) and what the
+--              destination account received (to_amount, to_currency), each in the account's own
+--              currency. The implied rate is derived from the two amounts. Fees are recorded as
+--              expenses of their own (015_transfer_fee_transactions.sql).
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS to_amount DECIMAL(15, 2),
+ADD COLUMN IF NOT EXISTS to_currency VARCHAR(3);
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS transfer_rate NUMERIC(20, 8)
+GENERATED ALWAYS AS (
+  CASE WHEN type = 'transfer' AND amount <> 0 THEN ROUND(to_amount / amount, 8) END
+) STORED;
+
+COMMENT ON COLUMN transactions.to_amount IS 'Transfers: amount received by to_account_id, in to_currency';
+COMMENT ON COLUMN transactions.to_currency IS 'Transfers: currency of to_account_id';
+COMMENT ON COLUMN transactions.transfer_rate IS 'Transfers: to_amount per unit of amount';
+
+-- Existing transfers received exactly what they sent
+UPDATE transactions t
+SET to_amount = t.amount,
+    to_currency = COALESCE(a.currency, t.currency)
+FROM accounts a
+WHERE t.type = 'transfer'
+  AND t.to_amount IS NULL
+  AND a.id = t.to_account_id;
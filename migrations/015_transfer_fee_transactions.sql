@@ -0,0 +1,14 @@
+-- Migration: Transfer fees as linked expense transactions
+-- Description: A transfer's fee is recorded as an expense on the account that pays it
+--              (the sender or the receiver), linked to the transfer through fee_transfer_id and
+--              updated, deleted and restored together with it.
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS fee_transfer_id UUID REFERENCES transactions(id) ON DELETE CASCADE;
+
+COMMENT ON COLUMN transactions.fee_transfer_id IS 'Expenses recording a transfer fee: the transfer they belong to';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_fee_transfer_id
+ON transactions(fee_transfer_id)
+WHERE fee_transfer_id IS NOT NULL;
@@ -0,0 +1,15 @@
+-- Migration: Refunds linked to original transactions
+-- Description: A refund (or reversal) is a transaction of the original's type and category with
+--              the opposite sign, linked to the original through refund_of_id. Refunded expenses
+--              reduce spending instead of counting as income. Several partial refunds may point
+--              to the same original, up to its amount.
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS refund_of_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN transactions.refund_of_id IS 'Refunds and reversals: the transaction they refund';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_refund_of_id
+ON transactions(refund_of_id)
+WHERE refund_of_id IS NOT NULL;
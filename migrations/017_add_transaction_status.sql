@@ -0,0 +1,25 @@
+-- Migration: Transaction status lifecycle
+-- Description: Transactions move from pending (authorized, not yet posted) to cleared (posted
+--              by the bank) to reconciled (matched against a statement). is_reconciled is kept
+--              in step for existing clients. Account balances include pending transactions (the
+--              working balance); the cleared balance leaves them out.
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'cleared'
+CHECK (status IN ('pending', 'cleared', 'reconciled'));
+
+COMMENT ON COLUMN transactions.status IS 'pending, cleared or reconciled';
+
+UPDATE transactions
+SET status = 'reconciled'
+WHERE is_reconciled = TRUE;
+
+-- Pending transactions are looked up for every account balance
+CREATE INDEX IF NOT EXISTS idx_transactions_user_pending
+ON transactions(user_id)
+WHERE status = 'pending' AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_status_date
+ON transactions(user_id, status, date)
+WHERE deleted_at IS NULL;
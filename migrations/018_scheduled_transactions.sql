@@ -0,0 +1,47 @@
+-- Migration: Scheduled (future-dated) transactions
+-- Description: Transactions dated after today are kept as scheduled: they do not change account
+--              balances or count in analytics until the daily job posts them on their date.
+--              Future-dated transactions entered before this migration had already changed
+--              balances; that is taken back out and they become scheduled.
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS is_scheduled BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN transactions.is_scheduled IS 'Future-dated and not yet posted: no effect on balances until its date';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_scheduled_date
+ON transactions(date)
+WHERE is_scheduled = TRUE AND deleted_at IS NULL;
+
+-- Revert the balance changes of live future-dated transactions
+-- (debt accounts work inversely, as in write_transaction_with_balances)
+WITH changes AS (
+  SELECT account_id, amount
+  FROM transactions
+  WHERE type <> 'transfer' AND date > CURRENT_DATE AND deleted_at IS NULL
+  UNION ALL
+  SELECT from_account_id, -amount
+  FROM transactions
+  WHERE type = 'transfer' AND date > CURRENT_DATE AND deleted_at IS NULL
+  UNION ALL
+  SELECT to_account_id, COALESCE(to_amount, amount)
+  FROM transactions
+  WHERE type = 'transfer' AND date > CURRENT_DATE AND deleted_at IS NULL
+),
+totals AS (
+  SELECT account_id, SUM(amount) AS amount
+  FROM changes
+  GROUP BY account_id
+)
+UPDATE accounts a
+SET current_balance = a.current_balance -
+      CASE WHEN a.type IN ('loan', 'credit_card') THEN -totals.amount ELSE totals.amount END,
+    updated_at = NOW()
+FROM totals
+WHERE a.id = totals.account_id;
+
+-- Deleted ones too, so restoring them does not apply them early
+UPDATE transactions
+SET is_scheduled = TRUE
+WHERE date > CURRENT_DATE;
@@ -0,0 +1,72 @@
+-- Migration: Create reconciliations and reconciliation_transactions tables
+-- Description: Statement reconciliation sessions. A session holds a statement's end date and
+--              ending balance and the transactions ticked off against it; the ticked
+--              transactions plus the previous statement's ending balance (or the account's
+--              opening balance) must add up to the statement. Finalizing marks the ticked
+--              transactions reconciled and locks them through transactions.reconciliation_id.
+--              Each account has at most one open session.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  account_id UUID REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+  statement_date DATE NOT NULL,
+  statement_balance DECIMAL(15, 2) NOT NULL,
+  starting_balance DECIMAL(15, 2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'finalized')),
+  cleared_balance DECIMAL(15, 2),
+  difference DECIMAL(15, 2),
+  adjustment_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  finalized_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS reconciliation_transactions (
+  reconciliation_id UUID REFERENCES reconciliations(id) ON DELETE CASCADE NOT NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (reconciliation_id, transaction_id)
+);
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS reconciliation_id UUID REFERENCES reconciliations(id) ON DELETE SET NULL;
+
+-- Create indexes for an account's sessions, newest statement first
+CREATE INDEX IF NOT EXISTS idx_reconciliations_account_date
+ON reconciliations(account_id, statement_date DESC)
+WHERE deleted_at IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliations_one_open_per_account
+ON reconciliations(account_id)
+WHERE status = 'open' AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reconciliation_id
+ON transactions(reconciliation_id)
+WHERE reconciliation_id IS NOT NULL;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE reconciliations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reconciliation_transactions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own reconciliations
+CREATE POLICY "Users can manage their own reconciliations"
+ON reconciliations FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can manage their own reconciliation transactions
+CREATE POLICY "Users can manage their own reconciliation transactions"
+ON reconciliation_transactions FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE reconciliations IS 'Statement reconciliation sessions of an account';
+COMMENT ON TABLE reconciliation_transactions IS 'Transactions ticked off against a reconciliation''s statement';
+COMMENT ON COLUMN reconciliations.starting_balance IS 'Ending balance of the previous finalized statement, or the account''s opening balance';
+COMMENT ON COLUMN reconciliations.difference IS 'Statement balance minus the ticked transactions when finalized, before any adjustment';
+COMMENT ON COLUMN transactions.reconciliation_id IS 'Finalized reconciliation that locked the transaction';
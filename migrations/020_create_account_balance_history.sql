@@ -0,0 +1,179 @@
+-- Migration: Create account_balance_history table
+-- Description: Day-end balance of each account, derived from the ledger: opening_balance plus
+--              every posted transaction dated from the day the account was opened. A row is kept
+--              for each day a transaction changed the balance; days in between carry the previous
+--              row forward. A trigger on transactions keeps the rows up to date as transactions
+--              are created, edited, deleted, restored and posted. Existing accounts are backfilled.
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS account_balance_history (
+  account_id UUID REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  date DATE NOT NULL,
+  balance DECIMAL(15, 2) NOT NULL,
+  PRIMARY KEY (account_id, date)
+);
+
+-- Create index for a user's balances on given days (net worth history)
+CREATE INDEX IF NOT EXISTS idx_account_balance_history_user_date
+ON account_balance_history(user_id, date);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE account_balance_history ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can manage their own balance history (written by the trigger below)
+CREATE POLICY "Users can manage their own balance history"
+ON account_balance_history FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+COMMENT ON TABLE account_balance_history IS 'Day-end account balances from the ledger, one row per day the balance changed';
+
+-- First day the ledger counts for an account: transactions dated earlier are history
+-- that its opening balance already includes
+CREATE OR REPLACE FUNCTION account_ledger_start(p_account accounts)
+RETURNS DATE
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT (p_account.created_at AT TIME ZONE 'UTC')::DATE;
+$$;
+
+-- What a transaction moves each account by (before the debt sign rule); nothing while it
+-- is deleted or scheduled
+CREATE OR REPLACE FUNCTION transaction_ledger_legs(p_transaction transactions)
+RETURNS TABLE (account_id UUID, amount NUMERIC)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  IF p_transaction.deleted_at IS NOT NULL OR p_transaction.is_scheduled THEN
+    RETURN;
+  END IF;
+
+  IF p_transaction.type = 'transfer' THEN
+    RETURN QUERY VALUES
+      (p_transaction.from_account_id, -p_transaction.amount),
+      (p_transaction.to_account_id, COALESCE(p_transaction.to_amount, p_transaction.amount));
+  ELSE
+    RETURN QUERY VALUES (p_transaction.account_id, p_transaction.amount);
+  END IF;
+END;
+$$;
+
+-- Move an account's day-end balances from p_date on by p_amount
+-- (debt accounts work inversely, as in write_transaction_with_balances)
+CREATE OR REPLACE FUNCTION apply_balance_history_change(p_account_id UUID, p_date DATE, p_amount NUMERIC)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_account accounts;
+BEGIN
+  SELECT * INTO v_account FROM accounts WHERE id = p_account_id;
+
+  IF v_account.id IS NULL OR p_date < account_ledger_start(v_account) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO account_balance_history (account_id, user_id, date, balance)
+  VALUES (
+    p_account_id,
+    v_account.user_id,
+    p_date,
+    COALESCE(
+      (SELECT balance FROM account_balance_history
+       WHERE account_id = p_account_id AND date < p_date
+       ORDER BY date DESC
+       LIMIT 1),
+      v_account.opening_balance
+    )
+  )
+  ON CONFLICT (account_id, date) DO NOTHING;
+
+  UPDATE account_balance_history
+  SET balance = balance + CASE WHEN v_account.type IN ('loan', 'credit_card') THEN -p_amount ELSE p_amount END
+  WHERE account_id = p_account_id
+    AND date >= p_date;
+END;
+$$;
+
+-- Rebuild an account's history from scratch
+CREATE OR REPLACE FUNCTION rebuild_account_balance_history(p_account_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_account accounts;
+BEGIN
+  SELECT * INTO v_account FROM accounts WHERE id = p_account_id;
+
+  DELETE FROM account_balance_history WHERE account_id = p_account_id;
+
+  IF v_account.id IS NULL THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO account_balance_history (account_id, user_id, date, balance)
+  SELECT
+    p_account_id,
+    v_account.user_id,
+    daily.date,
+    v_account.opening_balance + SUM(
+      CASE WHEN v_account.type IN ('loan', 'credit_card') THEN -daily.amount ELSE daily.amount END
+    ) OVER (ORDER BY daily.date)
+  FROM (
+    SELECT t.date, SUM(legs.amount) AS amount
+    FROM transactions t
+    CROSS JOIN LATERAL transaction_ledger_legs(t) AS legs
+    WHERE t.user_id = v_account.user_id
+      AND legs.account_id = p_account_id
+      AND t.date >= account_ledger_start(v_account)
+    GROUP BY t.date
+  ) AS daily;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION maintain_account_balance_history()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_leg RECORD;
+BEGIN
+  -- Status, memo, category and similar edits leave balances alone
+  IF TG_OP = 'UPDATE' AND
+     (OLD.date, OLD.type, OLD.amount, OLD.to_amount, OLD.account_id, OLD.from_account_id,
+      OLD.to_account_id, OLD.deleted_at IS NULL, OLD.is_scheduled)
+     IS NOT DISTINCT FROM
+     (NEW.date, NEW.type, NEW.amount, NEW.to_amount, NEW.account_id, NEW.from_account_id,
+      NEW.to_account_id, NEW.deleted_at IS NULL, NEW.is_scheduled) THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    FOR v_leg IN SELECT * FROM transaction_ledger_legs(OLD)
+    LOOP
+      PERFORM apply_balance_history_change(v_leg.account_id, OLD.date, -v_leg.amount);
+    END LOOP;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    FOR v_leg IN SELECT * FROM transaction_ledger_legs(NEW)
+    LOOP
+      PERFORM apply_balance_history_change(v_leg.account_id, NEW.date, v_leg.amount);
+    END LOOP;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER transactions_balance_history
+AFTER INSERT OR UPDATE OR DELETE ON transactions
+FOR EACH ROW EXECUTE FUNCTION maintain_account_balance_history();
+
+COMMENT ON FUNCTION rebuild_account_balance_history IS 'Recomputes an account''s day-end balances from its opening balance and transactions';
+
+-- Backfill existing accounts
+SELECT rebuild_account_balance_history(id) FROM accounts;
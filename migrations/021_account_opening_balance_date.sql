@@ -0,0 +1,190 @@
+-- Migration: Opening balance date on accounts
+-- Description: An account's opening_balance is its balance at the start of opening_balance_date.
+--              Every transaction dated on or after that day changes the balance, however long
+--              after its date it is entered; earlier ones are history the opening balance already
+--              includes. Until now a transaction only changed the balance if it was dated on or
+--              after the day it was entered, so backfilled transactions were left out.
+--
+--              Existing accounts get the day they were created as their opening balance date,
+--              which keeps their opening balance meaning the same. Their balances were kept with
+--              the old rule, so they are recomputed here from the opening balance and every
+--              transaction dated on or after the opening balance date.
+-- Date: 2026-10-18
+
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS opening_balance_date DATE;
+
+UPDATE accounts
+SET opening_balance_date = (created_at AT TIME ZONE 'UTC')::DATE
+WHERE opening_balance_date IS NULL;
+
+ALTER TABLE accounts
+ALTER COLUMN opening_balance_date SET DEFAULT CURRENT_DATE,
+ALTER COLUMN opening_balance_date SET NOT NULL;
+
+COMMENT ON COLUMN accounts.opening_balance_date IS 'Day opening_balance applies from: transactions dated from then on change the balance';
+
+-- Recompute balances with the new rule (debt accounts work inversely: money in reduces the balance owed)
+UPDATE accounts
+SET current_balance = COALESCE(accounts.opening_balance, 0) +
+      CASE WHEN accounts.type IN ('loan', 'credit_card') THEN -ledger.change ELSE ledger.change END,
+    updated_at = NOW()
+FROM (
+  SELECT a.id, COALESCE(SUM(legs.amount), 0) AS change
+  FROM accounts a
+  LEFT JOIN (transactions t CROSS JOIN LATERAL transaction_ledger_legs(t) AS legs)
+    ON legs.account_id = a.id
+   AND t.date >= a.opening_balance_date
+  GROUP BY a.id
+) AS ledger
+WHERE accounts.id = ledger.id;
+
+-- The ledger (and the balance history built from it) starts on the opening balance date
+CREATE OR REPLACE FUNCTION account_ledger_start(p_account accounts)
+RETURNS DATE
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT p_account.opening_balance_date;
+$$;
+
+-- Moving the opening balance or its date shifts the whole history
+CREATE OR REPLACE FUNCTION rebuild_balance_history_on_opening_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM rebuild_account_balance_history(NEW.id);
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER accounts_opening_balance_history
+AFTER UPDATE OF opening_balance, opening_balance_date ON accounts
+FOR EACH ROW
+WHEN (OLD.opening_balance IS DISTINCT FROM NEW.opening_balance
+      OR OLD.opening_balance_date IS DISTINCT FROM NEW.opening_balance_date)
+EXECUTE FUNCTION rebuild_balance_history_on_opening_change();
+
+-- Replace the write function with a version that skips balance changes dated before the
+-- account's opening balance date instead of relying on the client to leave them out
+CREATE OR REPLACE FUNCTION write_transaction_with_balances(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_balance_changes JSONB,      -- [{"account_id": "...", "amount": -12.50, "date": "2026-03-02"}, ...]
+  p_splits JSONB DEFAULT NULL,  -- when not NULL, replaces the split lines ([] removes them)
+  p_tags JSONB DEFAULT NULL,    -- when not NULL, replaces the tags (["tag name", ...]; [] removes them)
+  p_restore BOOLEAN DEFAULT FALSE -- allows updating a soft-deleted transaction (restoring it from the trash)
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction transactions;
+  v_columns TEXT;
+  v_assignments TEXT;
+  v_change JSONB;
+  v_amount NUMERIC;
+  v_opening_date DATE;
+BEGIN
+  IF p_transaction_id IS NULL THEN
+    SELECT string_agg(quote_ident(key), ', ')
+    INTO v_columns
+    FROM jsonb_object_keys(p_payload || jsonb_build_object('user_id', p_user_id)) AS key;
+
+    EXECUTE format(
+      'INSERT INTO transactions (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::transactions, $1) RETURNING *',
+      v_columns
+    )
+    INTO v_transaction
+    USING p_payload || jsonb_build_object('user_id', p_user_id);
+  ELSE
+    SELECT string_agg(format('%1$I = r.%1$I', key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(p_payload) AS key;
+
+    EXECUTE format(
+      'UPDATE transactions t SET %s FROM jsonb_populate_record(NULL::transactions, $1) r
+       WHERE t.id = $2 AND t.user_id = $3 AND (t.deleted_at IS NULL OR $4) RETURNING t.*',
+      v_assignments
+    )
+    INTO v_transaction
+    USING p_payload, p_transaction_id, p_user_id, p_restore;
+
+    IF v_transaction.id IS NULL THEN
+      RAISE EXCEPTION 'Transaction not found';
+    END IF;
+  END IF;
+
+  IF p_splits IS NOT NULL THEN
+    DELETE FROM transaction_splits WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_splits (user_id, transaction_id, category_id, amount, memo)
+    SELECT p_user_id, v_transaction.id, s.category_id, s.amount, s.memo
+    FROM jsonb_to_recordset(p_splits) AS s(category_id UUID, amount DECIMAL(15, 2), memo TEXT);
+  END IF;
+
+  IF p_tags IS NOT NULL THEN
+    INSERT INTO tags (user_id, name)
+    SELECT p_user_id, tag.name
+    FROM jsonb_array_elements_text(p_tags) AS tag(name)
+    ON CONFLICT (user_id, name) DO NOTHING;
+
+    DELETE FROM transaction_tags WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_tags (user_id, transaction_id, tag_id)
+    SELECT p_user_id, v_transaction.id, tags.id
+    FROM tags
+    WHERE tags.user_id = p_user_id
+      AND tags.name IN (SELECT jsonb_array_elements_text(p_tags));
+  END IF;
+
+  -- Debt accounts (loans, credit cards) work inversely: money in reduces the balance owed.
+  -- Changes dated before an account's opening_balance_date are already in its opening balance.
+  FOR v_change IN SELECT * FROM jsonb_array_elements(COALESCE(p_balance_changes, '[]'::jsonb))
+  LOOP
+    v_amount := (v_change->>'amount')::NUMERIC;
+
+    SELECT opening_balance_date
+    INTO v_opening_date
+    FROM accounts
+    WHERE id = (v_change->>'account_id')::UUID
+      AND user_id = p_user_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Account % not found', v_change->>'account_id';
+    END IF;
+
+    IF v_change->>'date' IS NOT NULL AND (v_change->>'date')::DATE < v_opening_date THEN
+      CONTINUE;
+    END IF;
+
+    UPDATE accounts
+    SET current_balance = current_balance +
+          CASE WHEN type IN ('loan', 'credit_card') THEN -v_amount ELSE v_amount END,
+        updated_at = NOW()
+    WHERE id = (v_change->>'account_id')::UUID
+      AND user_id = p_user_id;
+  END LOOP;
+
+  RETURN to_jsonb(v_transaction) || jsonb_build_object(
+    'splits',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', id, 'category_id', category_id, 'amount', amount, 'memo', memo))
+       FROM transaction_splits
+       WHERE transaction_id = v_transaction.id),
+      '[]'::jsonb
+    ),
+    'tags',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', tags.id, 'name', tags.name) ORDER BY tags.name)
+       FROM transaction_tags
+       JOIN tags ON tags.id = transaction_tags.tag_id
+       WHERE transaction_tags.transaction_id = v_transaction.id),
+      '[]'::jsonb
+    )
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION write_transaction_with_balances IS 'Writes (or restores) a transaction, its split lines, its tags and the resulting account balance changes atomically';
@@ -0,0 +1,27 @@
+-- Migration: Credit card statement cycles
+-- Description: Adds statement closing day, payment due day and minimum payment settings to credit
+--              card accounts. A statement closes at the end of statement_closing_day each month
+--              (the last day of months without it) and is due on the first payment_due_day after.
+--              Statements are built from account_balance_history and the card's transactions.
+-- Date: 2026-10-18
+
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS statement_closing_day SMALLINT CHECK (statement_closing_day BETWEEN 1 AND 31),
+ADD COLUMN IF NOT EXISTS payment_due_day SMALLINT CHECK (payment_due_day BETWEEN 1 AND 31),
+ADD COLUMN IF NOT EXISTS minimum_payment_percent DECIMAL(5, 2) CHECK (minimum_payment_percent BETWEEN 0 AND 100),
+ADD COLUMN IF NOT EXISTS minimum_payment_floor DECIMAL(15, 2) CHECK (minimum_payment_floor >= 0);
+
+-- Only credit cards have statement cycles, and a due day needs a closing day
+ALTER TABLE accounts
+ADD CONSTRAINT accounts_statement_cycle_check CHECK (
+  (type = 'credit_card' OR (
+    statement_closing_day IS NULL AND payment_due_day IS NULL AND
+    minimum_payment_percent IS NULL AND minimum_payment_floor IS NULL
+  ))
+  AND (payment_due_day IS NULL OR statement_closing_day IS NOT NULL)
+);
+
+COMMENT ON COLUMN accounts.statement_closing_day IS 'Credit cards: day of the month the statement closes';
+COMMENT ON COLUMN accounts.payment_due_day IS 'Credit cards: day of the month the statement balance is due';
+COMMENT ON COLUMN accounts.minimum_payment_percent IS 'Credit cards: minimum payment as a percentage of the statement balance (NULL uses 2)';
+COMMENT ON COLUMN accounts.minimum_payment_floor IS 'Credit cards: smallest minimum payment (NULL uses 25)';
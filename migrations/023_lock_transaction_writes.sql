@@ -0,0 +1,166 @@
+-- Migration: Derive balance changes from the locked transaction row
+-- Description: write_transaction_with_balances() used to apply balance changes the client
+--              computed from a transaction it had read earlier. Two concurrent edits of the same
+--              transaction could both revert the amounts they read, leaving balances off by the
+--              first edit. The function now locks the row (SELECT ... FOR UPDATE), reverts what
+--              the locked row applied and applies what the written row applies, so concurrent
+--              writes to a transaction queue up and always revert the row as stored.
+--              p_balance_changes is gone; the applied changes are returned as balance_changes.
+-- Date: 2026-10-18
+
+-- Apply (p_direction 1) or revert (p_direction -1) what a transaction moves its accounts by.
+-- Changes dated before an account's ledger start are history its opening balance includes;
+-- debt accounts (loans, credit cards) work inversely: money in reduces the balance owed.
+-- Returns the changes applied: [{"account_id": "...", "amount": -12.50, "date": "2026-03-02"}, ...]
+CREATE OR REPLACE FUNCTION apply_transaction_balances(p_user_id UUID, p_transaction transactions, p_direction INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_leg RECORD;
+  v_account accounts;
+  v_amount NUMERIC;
+  v_changes JSONB := '[]'::jsonb;
+BEGIN
+  FOR v_leg IN SELECT * FROM transaction_ledger_legs(p_transaction)
+  LOOP
+    SELECT * INTO v_account
+    FROM accounts
+    WHERE id = v_leg.account_id
+      AND user_id = p_user_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Account % not found', v_leg.account_id;
+    END IF;
+
+    IF p_transaction.date < account_ledger_start(v_account) THEN
+      CONTINUE;
+    END IF;
+
+    v_amount := v_leg.amount * p_direction;
+
+    UPDATE accounts
+    SET current_balance = current_balance +
+          CASE WHEN type IN ('loan', 'credit_card') THEN -v_amount ELSE v_amount END,
+        updated_at = NOW()
+    WHERE id = v_account.id;
+
+    v_changes := v_changes || jsonb_build_array(jsonb_build_object(
+      'account_id', v_account.id,
+      'amount', v_amount,
+      'date', p_transaction.date
+    ));
+  END LOOP;
+
+  RETURN v_changes;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS write_transaction_with_balances(UUID, UUID, JSONB, JSONB, JSONB, JSONB, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION write_transaction_with_balances(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_splits JSONB DEFAULT NULL,  -- when not NULL, replaces the split lines ([] removes them)
+  p_tags JSONB DEFAULT NULL,    -- when not NULL, replaces the tags (["tag name", ...]; [] removes them)
+  p_restore BOOLEAN DEFAULT FALSE -- allows updating a soft-deleted transaction (restoring it from the trash)
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_existing transactions;
+  v_transaction transactions;
+  v_columns TEXT;
+  v_assignments TEXT;
+  v_balance_changes JSONB := '[]'::jsonb;
+BEGIN
+  IF p_transaction_id IS NULL THEN
+    SELECT string_agg(quote_ident(key), ', ')
+    INTO v_columns
+    FROM jsonb_object_keys(p_payload || jsonb_build_object('user_id', p_user_id)) AS key;
+
+    EXECUTE format(
+      'INSERT INTO transactions (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::transactions, $1) RETURNING *',
+      v_columns
+    )
+    INTO v_transaction
+    USING p_payload || jsonb_build_object('user_id', p_user_id);
+  ELSE
+    -- Concurrent writes to the transaction wait here, then revert what it applies as stored
+    SELECT * INTO v_existing
+    FROM transactions
+    WHERE id = p_transaction_id
+      AND user_id = p_user_id
+      AND (deleted_at IS NULL OR p_restore)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Transaction not found';
+    END IF;
+
+    v_balance_changes := apply_transaction_balances(p_user_id, v_existing, -1);
+
+    SELECT string_agg(format('%1$I = r.%1$I', key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(p_payload) AS key;
+
+    EXECUTE format(
+      'UPDATE transactions t SET %s FROM jsonb_populate_record(NULL::transactions, $1) r
+       WHERE t.id = $2 RETURNING t.*',
+      v_assignments
+    )
+    INTO v_transaction
+    USING p_payload, p_transaction_id;
+  END IF;
+
+  IF p_splits IS NOT NULL THEN
+    DELETE FROM transaction_splits WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_splits (user_id, transaction_id, category_id, amount, memo)
+    SELECT p_user_id, v_transaction.id, s.category_id, s.amount, s.memo
+    FROM jsonb_to_recordset(p_splits) AS s(category_id UUID, amount DECIMAL(15, 2), memo TEXT);
+  END IF;
+
+  IF p_tags IS NOT NULL THEN
+    INSERT INTO tags (user_id, name)
+    SELECT p_user_id, tag.name
+    FROM jsonb_array_elements_text(p_tags) AS tag(name)
+    ON CONFLICT (user_id, name) DO NOTHING;
+
+    DELETE FROM transaction_tags WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_tags (user_id, transaction_id, tag_id)
+    SELECT p_user_id, v_transaction.id, tags.id
+    FROM tags
+    WHERE tags.user_id = p_user_id
+      AND tags.name IN (SELECT jsonb_array_elements_text(p_tags));
+  END IF;
+
+  -- Deleted and scheduled transactions apply nothing, so deleting reverts the balances,
+  -- and restoring or posting applies them
+  v_balance_changes := v_balance_changes || apply_transaction_balances(p_user_id, v_transaction, 1);
+
+  RETURN to_jsonb(v_transaction) || jsonb_build_object(
+    'splits',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', id, 'category_id', category_id, 'amount', amount, 'memo', memo))
+       FROM transaction_splits
+       WHERE transaction_id = v_transaction.id),
+      '[]'::jsonb
+    ),
+    'tags',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', tags.id, 'name', tags.name) ORDER BY tags.name)
+       FROM transaction_tags
+       JOIN tags ON tags.id = transaction_tags.tag_id
+       WHERE transaction_tags.transaction_id = v_transaction.id),
+      '[]'::jsonb
+    ),
+    'balance_changes',
+    v_balance_changes
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION write_transaction_with_balances IS 'Writes (or restores) a transaction, its split lines, its tags and the resulting account balance changes atomically, locking the transaction while it is updated';
@@ -0,0 +1,158 @@
+-- Migration: Audit transaction writes in the same database transaction
+-- Description: Transaction audit log entries were inserted by the API after
+--              write_transaction_with_balances() had committed, so a failed insert (or a crash
+--              in between) lost the entry. The function now takes the entry as p_audit and writes
+--              it itself, with the transaction, its split lines and tags before and after the
+--              change, so the entry is saved if and only if the change is.
+-- Date: 2026-10-18
+
+-- A transaction as the audit log stores it: the row with its split lines and tags
+CREATE OR REPLACE FUNCTION transaction_audit_snapshot(p_transaction transactions)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT to_jsonb(p_transaction) || jsonb_build_object(
+    'splits',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', id, 'category_id', category_id, 'amount', amount, 'memo', memo))
+       FROM transaction_splits
+       WHERE transaction_id = p_transaction.id),
+      '[]'::jsonb
+    ),
+    'tags',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', tags.id, 'name', tags.name) ORDER BY tags.name)
+       FROM transaction_tags
+       JOIN tags ON tags.id = transaction_tags.tag_id
+       WHERE transaction_tags.transaction_id = p_transaction.id),
+      '[]'::jsonb
+    )
+  );
+$$;
+
+DROP FUNCTION IF EXISTS write_transaction_with_balances(UUID, UUID, JSONB, JSONB, JSONB, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION write_transaction_with_balances(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_splits JSONB DEFAULT NULL,  -- when not NULL, replaces the split lines ([] removes them)
+  p_tags JSONB DEFAULT NULL,    -- when not NULL, replaces the tags (["tag name", ...]; [] removes them)
+  p_restore BOOLEAN DEFAULT FALSE, -- allows updating a soft-deleted transaction (restoring it from the trash)
+  p_audit JSONB DEFAULT NULL    -- when not NULL, the audit log entry: {"action", "metadata", "actor_id", "actor_type", "request_id"}
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_existing transactions;
+  v_transaction transactions;
+  v_columns TEXT;
+  v_assignments TEXT;
+  v_balance_changes JSONB := '[]'::jsonb;
+  v_before JSONB;
+  v_after JSONB;
+  v_action TEXT := p_audit->>'action';
+BEGIN
+  IF p_transaction_id IS NULL THEN
+    SELECT string_agg(quote_ident(key), ', ')
+    INTO v_columns
+    FROM jsonb_object_keys(p_payload || jsonb_build_object('user_id', p_user_id)) AS key;
+
+    EXECUTE format(
+      'INSERT INTO transactions (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::transactions, $1) RETURNING *',
+      v_columns
+    )
+    INTO v_transaction
+    USING p_payload || jsonb_build_object('user_id', p_user_id);
+  ELSE
+    -- Concurrent writes to the transaction wait here, then revert what it applies as stored
+    SELECT * INTO v_existing
+    FROM transactions
+    WHERE id = p_transaction_id
+      AND user_id = p_user_id
+      AND (deleted_at IS NULL OR p_restore)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Transaction not found';
+    END IF;
+
+    v_balance_changes := apply_transaction_balances(p_user_id, v_existing, -1);
+    v_before := transaction_audit_snapshot(v_existing);
+
+    SELECT string_agg(format('%1$I = r.%1$I', key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(p_payload) AS key;
+
+    EXECUTE format(
+      'UPDATE transactions t SET %s FROM jsonb_populate_record(NULL::transactions, $1) r
+       WHERE t.id = $2 RETURNING t.*',
+      v_assignments
+    )
+    INTO v_transaction
+    USING p_payload, p_transaction_id;
+  END IF;
+
+  IF p_splits IS NOT NULL THEN
+    DELETE FROM transaction_splits WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_splits (user_id, transaction_id, category_id, amount, memo)
+    SELECT p_user_id, v_transaction.id, s.category_id, s.amount, s.memo
+    FROM jsonb_to_recordset(p_splits) AS s(category_id UUID, amount DECIMAL(15, 2), memo TEXT);
+  END IF;
+
+  IF p_tags IS NOT NULL THEN
+    INSERT INTO tags (user_id, name)
+    SELECT p_user_id, tag.name
+    FROM jsonb_array_elements_text(p_tags) AS tag(name)
+    ON CONFLICT (user_id, name) DO NOTHING;
+
+    DELETE FROM transaction_tags WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_tags (user_id, transaction_id, tag_id)
+    SELECT p_user_id, v_transaction.id, tags.id
+    FROM tags
+    WHERE tags.user_id = p_user_id
+      AND tags.name IN (SELECT jsonb_array_elements_text(p_tags));
+  END IF;
+
+  -- Deleted and scheduled transactions apply nothing, so deleting reverts the balances,
+  -- and restoring or posting applies them
+  v_balance_changes := v_balance_changes || apply_transaction_balances(p_user_id, v_transaction, 1);
+
+  v_after := transaction_audit_snapshot(v_transaction);
+
+  -- The entry commits or rolls back with the change it describes
+  IF p_audit IS NOT NULL THEN
+    INSERT INTO audit_log (
+      user_id, actor_id, actor_type, resource_type, resource_id, action,
+      before, after, changed_fields, metadata, request_id
+    ) VALUES (
+      p_user_id,
+      (p_audit->>'actor_id')::UUID,
+      COALESCE(p_audit->>'actor_type', 'system'),
+      'transactions',
+      v_transaction.id,
+      v_action,
+      CASE WHEN v_action = 'create' THEN NULL ELSE v_before END,
+      CASE WHEN v_action = 'delete' THEN NULL ELSE v_after END,
+      CASE WHEN v_action IN ('update', 'restore') THEN
+        COALESCE(
+          (SELECT array_agg(field ORDER BY field)
+           FROM jsonb_object_keys(COALESCE(v_before, '{}'::jsonb) || v_after) AS field
+           WHERE field <> 'updated_at'
+             AND v_before->field IS DISTINCT FROM v_after->field),
+          '{}'::TEXT[]
+        )
+      END,
+      COALESCE(p_audit->'metadata', '{}'::jsonb) || jsonb_build_object('balance_changes', v_balance_changes),
+      p_audit->>'request_id'
+    );
+  END IF;
+
+  RETURN v_after;
+END;
+$$;
+
+COMMENT ON FUNCTION write_transaction_with_balances IS 'Writes (or restores) a transaction, its split lines, its tags, the resulting account balance changes and its audit log entry atomically, locking the transaction while it is updated';
@@ -0,0 +1,79 @@
+-- Migration: Split line categories on transactions
+-- Description: Keeps the categories of a transaction's split lines in
+--              transactions.split_category_ids so searches such as category:groceries match
+--              split transactions (and -category:groceries leaves them out) without a join.
+--              A trigger on transaction_splits keeps the column up to date; existing split
+--              transactions are backfilled here.
+-- Date: 2026-10-18
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS split_category_ids UUID[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN transactions.split_category_ids IS 'Categories of the split lines (empty for unsplit transactions); maintained by a trigger';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_split_category_ids
+ON transactions USING GIN (split_category_ids);
+
+CREATE OR REPLACE FUNCTION sync_transaction_split_category_ids(p_transaction_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE transactions
+  SET split_category_ids = COALESCE(
+    (SELECT array_agg(DISTINCT category_id ORDER BY category_id)
+     FROM transaction_splits
+     WHERE transaction_id = p_transaction_id),
+    '{}'
+  )
+  WHERE id = p_transaction_id;
+$$;
+
+CREATE OR REPLACE FUNCTION maintain_transaction_split_category_ids()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM sync_transaction_split_category_ids(OLD.transaction_id);
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM sync_transaction_split_category_ids(NEW.transaction_id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER transaction_splits_category_ids
+AFTER INSERT OR UPDATE OR DELETE ON transaction_splits
+FOR EACH ROW EXECUTE FUNCTION maintain_transaction_split_category_ids();
+
+-- The audit log already has the split lines; the derived column would only add noise
+CREATE OR REPLACE FUNCTION transaction_audit_snapshot(p_transaction transactions)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT (to_jsonb(p_transaction) - 'split_category_ids') || jsonb_build_object(
+    'splits',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', id, 'category_id', category_id, 'amount', amount, 'memo', memo))
+       FROM transaction_splits
+       WHERE transaction_id = p_transaction.id),
+      '[]'::jsonb
+    ),
+    'tags',
+    COALESCE(
+      (SELECT jsonb_agg(jsonb_build_object('id', tags.id, 'name', tags.name) ORDER BY tags.name)
+       FROM transaction_tags
+       JOIN tags ON tags.id = transaction_tags.tag_id
+       WHERE transaction_tags.transaction_id = p_transaction.id),
+      '[]'::jsonb
+    )
+  );
+$$;
+
+-- Backfill existing split transactions
+SELECT sync_transaction_split_category_ids(transaction_id)
+FROM (SELECT DISTINCT transaction_id FROM transaction_splits) AS split_transactions;
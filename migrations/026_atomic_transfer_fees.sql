@@ -0,0 +1,181 @@
+-- Migration: Write a transfer and its fee together
+-- Description: A transfer's fee expense used to be written by a second call after the transfer,
+--              so a failure in between left a transfer without its fee (undone by deleting the
+--              transfer, which left a trash item and audit entries behind), and fee updates and
+--              deletes were not atomic with the transfer. write_transaction_with_balances() now
+--              takes the fee writes as p_fee_writes and applies them in the same database
+--              transaction as the transfer. The single-row write moves to write_transaction_row().
+-- Date: 2026-10-18
+
+-- Write one transaction row with its split lines, tags, balance changes and audit log entry
+-- (see write_transaction_with_balances); returns the written transaction
+CREATE OR REPLACE FUNCTION write_transaction_row(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_splits JSONB,               -- when not NULL, replaces the split lines ([] removes them)
+  p_tags JSONB,                 -- when not NULL, replaces the tags (["tag name", ...]; [] removes them)
+  p_restore BOOLEAN,            -- allows updating a soft-deleted transaction (restoring it from the trash)
+  p_audit JSONB                 -- when not NULL, the audit log entry: {"action", "metadata", "actor_id", "actor_type", "request_id"}
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_existing transactions;
+  v_transaction transactions;
+  v_columns TEXT;
+  v_assignments TEXT;
+  v_balance_changes JSONB := '[]'::jsonb;
+  v_before JSONB;
+  v_after JSONB;
+  v_action TEXT := p_audit->>'action';
+BEGIN
+  IF p_transaction_id IS NULL THEN
+    SELECT string_agg(quote_ident(key), ', ')
+    INTO v_columns
+    FROM jsonb_object_keys(p_payload || jsonb_build_object('user_id', p_user_id)) AS key;
+
+    EXECUTE format(
+      'INSERT INTO transactions (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::transactions, $1) RETURNING *',
+      v_columns
+    )
+    INTO v_transaction
+    USING p_payload || jsonb_build_object('user_id', p_user_id);
+  ELSE
+    -- Concurrent writes to the transaction wait here, then revert what it applies as stored
+    SELECT * INTO v_existing
+    FROM transactions
+    WHERE id = p_transaction_id
+      AND user_id = p_user_id
+      AND (deleted_at IS NULL OR p_restore)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Transaction not found';
+    END IF;
+
+    v_balance_changes := apply_transaction_balances(p_user_id, v_existing, -1);
+    v_before := transaction_audit_snapshot(v_existing);
+
+    SELECT string_agg(format('%1$I = r.%1$I', key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(p_payload) AS key;
+
+    EXECUTE format(
+      'UPDATE transactions t SET %s FROM jsonb_populate_record(NULL::transactions, $1) r
+       WHERE t.id = $2 RETURNING t.*',
+      v_assignments
+    )
+    INTO v_transaction
+    USING p_payload, p_transaction_id;
+  END IF;
+
+  IF p_splits IS NOT NULL THEN
+    DELETE FROM transaction_splits WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_splits (user_id, transaction_id, category_id, amount, memo)
+    SELECT p_user_id, v_transaction.id, s.category_id, s.amount, s.memo
+    FROM jsonb_to_recordset(p_splits) AS s(category_id UUID, amount DECIMAL(15, 2), memo TEXT);
+  END IF;
+
+  IF p_tags IS NOT NULL THEN
+    INSERT INTO tags (user_id, name)
+    SELECT p_user_id, tag.name
+    FROM jsonb_array_elements_text(p_tags) AS tag(name)
+    ON CONFLICT (user_id, name) DO NOTHING;
+
+    DELETE FROM transaction_tags WHERE transaction_id = v_transaction.id;
+
+    INSERT INTO transaction_tags (user_id, transaction_id, tag_id)
+    SELECT p_user_id, v_transaction.id, tags.id
+    FROM tags
+    WHERE tags.user_id = p_user_id
+      AND tags.name IN (SELECT jsonb_array_elements_text(p_tags));
+  END IF;
+
+  -- Deleted and scheduled transactions apply nothing, so deleting reverts the balances,
+  -- and restoring or posting applies them
+  v_balance_changes := v_balance_changes || apply_transaction_balances(p_user_id, v_transaction, 1);
+
+  v_after := transaction_audit_snapshot(v_transaction);
+
+  -- The entry commits or rolls back with the change it describes
+  IF p_audit IS NOT NULL THEN
+    INSERT INTO audit_log (
+      user_id, actor_id, actor_type, resource_type, resource_id, action,
+      before, after, changed_fields, metadata, request_id
+    ) VALUES (
+      p_user_id,
+      (p_audit->>'actor_id')::UUID,
+      COALESCE(p_audit->>'actor_type', 'system'),
+      'transactions',
+      v_transaction.id,
+      v_action,
+      CASE WHEN v_action = 'create' THEN NULL ELSE v_before END,
+      CASE WHEN v_action = 'delete' THEN NULL ELSE v_after END,
+      CASE WHEN v_action IN ('update', 'restore') THEN
+        COALESCE(
+          (SELECT array_agg(field ORDER BY field)
+           FROM jsonb_object_keys(COALESCE(v_before, '{}'::jsonb) || v_after) AS field
+           WHERE field <> 'updated_at'
+             AND v_before->field IS DISTINCT FROM v_after->field),
+          '{}'::TEXT[]
+        )
+      END,
+      COALESCE(p_audit->'metadata', '{}'::jsonb) || jsonb_build_object('balance_changes', v_balance_changes),
+      p_audit->>'request_id'
+    );
+  END IF;
+
+  RETURN v_after;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS write_transaction_with_balances(UUID, UUID, JSONB, JSONB, JSONB, BOOLEAN, JSONB);
+
+CREATE OR REPLACE FUNCTION write_transaction_with_balances(
+  p_user_id UUID,
+  p_transaction_id UUID,        -- NULL inserts a new transaction, otherwise updates this one
+  p_payload JSONB,              -- transaction columns to insert/update
+  p_splits JSONB DEFAULT NULL,  -- when not NULL, replaces the split lines ([] removes them)
+  p_tags JSONB DEFAULT NULL,    -- when not NULL, replaces the tags (["tag name", ...]; [] removes them)
+  p_restore BOOLEAN DEFAULT FALSE, -- allows updating a soft-deleted transaction (restoring it from the trash)
+  p_audit JSONB DEFAULT NULL,   -- when not NULL, the audit log entry: {"action", "metadata", "actor_id", "actor_type", "request_id"}
+  p_fee_writes JSONB DEFAULT NULL -- transfers: writes of the fee expense, in order:
+                                  -- [{"transaction_id" (NULL creates a fee linked to the transfer), "payload", "restore", "audit"}, ...]
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction JSONB;
+  v_write JSONB;
+  v_fees JSONB := '[]'::jsonb;
+BEGIN
+  v_transaction := write_transaction_row(p_user_id, p_transaction_id, p_payload, p_splits, p_tags, p_restore, p_audit);
+
+  IF p_fee_writes IS NULL THEN
+    RETURN v_transaction;
+  END IF;
+
+  FOR v_write IN SELECT * FROM jsonb_array_elements(p_fee_writes)
+  LOOP
+    v_fees := v_fees || jsonb_build_array(write_transaction_row(
+      p_user_id,
+      (v_write->>'transaction_id')::UUID,
+      CASE WHEN v_write->>'transaction_id' IS NULL
+        THEN v_write->'payload' || jsonb_build_object('fee_transfer_id', v_transaction->'id')
+        ELSE v_write->'payload'
+      END,
+      NULL,
+      NULL,
+      COALESCE((v_write->>'restore')::BOOLEAN, FALSE),
+      v_write->'audit'
+    ));
+  END LOOP;
+
+  -- The fee transactions as written, in the order of p_fee_writes
+  RETURN v_transaction || jsonb_build_object('fee_transactions', v_fees);
+END;
+$$;
+
+COMMENT ON FUNCTION write_transaction_with_balances IS 'Writes (or restores) a transaction, its split lines, its tags, its transfer fee, the resulting account balance changes and their audit log entries atomically, locking each transaction while it is updated';
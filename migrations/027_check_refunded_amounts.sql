@@ -0,0 +1,55 @@
+-- Migration: Keep refunds within their original's amount
+-- Description: Refunds were only checked against what their original had not refunded yet
+--              before they were written, so two refunds of the same transaction created at once
+--              could both pass, and the original's amount could be edited below what it had
+--              already refunded. A trigger now locks the original while a refund is written
+--              (so refunds of the same transaction queue up) and rejects writes that leave an
+--              original's live refunds larger than its amount.
+-- Date: 2026-10-18
+
+CREATE OR REPLACE FUNCTION check_refunded_amount()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_original transactions;
+  v_refunded NUMERIC;
+BEGIN
+  IF NEW.deleted_at IS NOT NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF NEW.refund_of_id IS NOT NULL THEN
+    -- Concurrent refunds of the original wait here, then see this one in their total
+    SELECT * INTO v_original
+    FROM transactions
+    WHERE id = NEW.refund_of_id
+    FOR UPDATE;
+  ELSIF TG_OP = 'UPDATE' AND NEW.amount IS DISTINCT FROM OLD.amount THEN
+    v_original := NEW;
+  ELSE
+    RETURN NULL;
+  END IF;
+
+  SELECT COALESCE(SUM(ABS(amount)), 0) INTO v_refunded
+  FROM transactions
+  WHERE refund_of_id = v_original.id
+    AND deleted_at IS NULL;
+
+  IF v_refunded > ABS(v_original.amount) THEN
+    IF NEW.refund_of_id IS NOT NULL THEN
+      RAISE EXCEPTION 'Refund cannot exceed the amount not yet refunded (%)',
+        ABS(v_original.amount) - (v_refunded - ABS(NEW.amount));
+    END IF;
+    RAISE EXCEPTION 'Amount cannot be less than what has already been refunded (%)', v_refunded;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER transactions_refunded_amount
+AFTER INSERT OR UPDATE OF amount, deleted_at, refund_of_id ON transactions
+FOR EACH ROW EXECUTE FUNCTION check_refunded_amount();
+
+COMMENT ON FUNCTION check_refunded_amount IS 'Rejects refunds larger than what their original has not refunded otherwise, and original amounts below what they have refunded';
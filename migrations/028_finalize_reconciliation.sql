@@ -0,0 +1,137 @@
+-- Migration: Finalize reconciliations in one database transaction
+-- Description: Finalizing used to create the adjustment transaction, tick it, lock the ticked
+--              transactions batch by batch and mark the session finalized as separate writes. A
+--              failure midway left some transactions locked while the session stayed open, and
+--              finalizing again created a second adjustment. finalize_reconciliation() does all
+--              of it atomically, locking the session so concurrent finalizes wait for each other.
+--              It works out the cleared balance and difference from the ticked transactions once
+--              they are locked, so a write landing while finalizing cannot unbalance the statement.
+--              Transactions dated before the account's opening balance date are already part of
+--              its opening balance and neither count nor get locked.
+-- Date: 2026-10-18
+
+CREATE OR REPLACE FUNCTION finalize_reconciliation(
+  p_user_id UUID,
+  p_reconciliation_id UUID,
+  p_adjustment JSONB DEFAULT NULL,  -- when not NULL, transaction columns of an adjustment for any difference
+                                    -- (its type and amount are set from the difference)
+  p_actor JSONB DEFAULT NULL        -- {"actor_id", "actor_type", "request_id"} of the audit log entries
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_reconciliation reconciliations;
+  v_account accounts;
+  v_ticked_change NUMERIC;
+  v_cleared_balance DECIMAL(15, 2);
+  v_difference DECIMAL(15, 2);
+  v_amount DECIMAL(15, 2);
+  v_audit JSONB := COALESCE(p_actor, '{}'::jsonb) ||
+    jsonb_build_object('metadata', jsonb_build_object('reconciliation_id', p_reconciliation_id));
+  v_adjustment JSONB;
+  v_transaction_id UUID;
+  v_now TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+  SELECT * INTO v_reconciliation
+  FROM reconciliations
+  WHERE id = p_reconciliation_id
+    AND user_id = p_user_id
+    AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reconciliation not found';
+  END IF;
+
+  IF v_reconciliation.status <> 'open' THEN
+    RAISE EXCEPTION 'Reconciliation is already finalized';
+  END IF;
+
+  SELECT * INTO v_account
+  FROM accounts
+  WHERE id = v_reconciliation.account_id;
+
+  -- Ticked transactions cannot change until this commits
+  PERFORM 1
+  FROM reconciliation_transactions rt
+  JOIN transactions t ON t.id = rt.transaction_id
+  WHERE rt.reconciliation_id = p_reconciliation_id
+  ORDER BY t.id
+  FOR UPDATE OF t;
+
+  SELECT COALESCE(SUM(legs.amount), 0) INTO v_ticked_change
+  FROM reconciliation_transactions rt
+  JOIN transactions t ON t.id = rt.transaction_id
+  CROSS JOIN LATERAL transaction_ledger_legs(t) AS legs
+  WHERE rt.reconciliation_id = p_reconciliation_id
+    AND t.user_id = p_user_id
+    AND t.date >= account_ledger_start(v_account)
+    AND legs.account_id = v_account.id;
+
+  -- Debt accounts (loans, credit cards) work inversely: money in reduces the balance owed
+  v_cleared_balance := v_reconciliation.starting_balance +
+    CASE WHEN v_account.type IN ('loan', 'credit_card') THEN -v_ticked_change ELSE v_ticked_change END;
+  v_difference := v_reconciliation.statement_balance - v_cleared_balance;
+
+  IF v_difference <> 0 THEN
+    IF p_adjustment IS NULL THEN
+      RAISE EXCEPTION 'Reconciliation is off by %; tick the missing transactions or finalize with create_adjustment', v_difference;
+    END IF;
+
+    v_amount := CASE WHEN v_account.type IN ('loan', 'credit_card') THEN -v_difference ELSE v_difference END;
+    v_adjustment := write_transaction_row(
+      p_user_id,
+      NULL,
+      p_adjustment || jsonb_build_object(
+        'type', CASE WHEN v_amount > 0 THEN 'income' ELSE 'expense' END,
+        'amount', v_amount
+      ),
+      NULL,
+      NULL,
+      FALSE,
+      v_audit || jsonb_build_object('action', 'create')
+    );
+
+    INSERT INTO reconciliation_transactions (reconciliation_id, transaction_id, user_id)
+    VALUES (p_reconciliation_id, (v_adjustment->>'id')::UUID, p_user_id);
+  END IF;
+
+  -- Transfers already locked by the other account's reconciliation stay with it
+  FOR v_transaction_id IN
+    SELECT t.id
+    FROM reconciliation_transactions rt
+    JOIN transactions t ON t.id = rt.transaction_id
+    WHERE rt.reconciliation_id = p_reconciliation_id
+      AND t.user_id = p_user_id
+      AND t.deleted_at IS NULL
+      AND t.reconciliation_id IS NULL
+      AND t.date >= account_ledger_start(v_account)
+  LOOP
+    PERFORM write_transaction_row(
+      p_user_id,
+      v_transaction_id,
+      jsonb_build_object(
+        'status', 'reconciled',
+        'is_reconciled', TRUE,
+        'reconciliation_id', p_reconciliation_id,
+        'updated_at', v_now
+      ),
+      NULL,
+      NULL,
+      FALSE,
+      v_audit || jsonb_build_object('action', 'update')
+    );
+  END LOOP;
+
+  UPDATE reconciliations
+  SET status = 'finalized',
+      cleared_balance = v_cleared_balance,
+      difference = v_difference,
+      adjustment_transaction_id = (v_adjustment->>'id')::UUID,
+      finalized_at = v_now,
+      updated_at = v_now
+  WHERE id = p_reconciliation_id;
+END;
+$$;
+
+COMMENT ON FUNCTION finalize_reconciliation IS 'Creates a reconciliation''s adjustment, locks its ticked transactions and marks it finalized atomically';
@@ -8,6 +8,7 @@ import rateLimit from 'express-rate-limit';
 
 // Import middleware
 import errorHandler from './middleware/errorHandler.js';
+import { requestContext } from './middleware/requestContext.js';
 
 // Import routes
 import authRoutes from './routes/auth.routes.js';
@@ -22,6 +23,11 @@ import analyticsRoutes from './routes/analytics.routes.js';
 import currencyRoutes from './routes/currency.routes.js';
 import exchangeRatesRoutes from './routes/exchangeRates.routes.js';  // ADD THIS LINE
 import cronJobsRoutes from './routes/cronJobs.routes.js';  // ADD THIS LINE
+import importsRoutes from './routes/imports.routes.js';
+import rulesRoutes from './routes/rules.routes.js';
+import tagsRoutes from './routes/tags.routes.js';
+import trashRoutes from './routes/trash.routes.js';
+import activityRoutes from './routes/activity.routes.js';
 const app = express();
 // Trust proxy - Required for Render, Railway, Heroku, etc.
 // This allows Express to read X-Forwarded-* headers from reverse proxies
@@ -48,6 +54,9 @@ app.use(express.urlencoded({ extended: true }));
 // Logging middleware
 app.use(morgan('dev'));
 
+// Request id and per-request context (used by the audit log)
+app.use(requestContext);
+
 // Basic route
 app.get('/', (req, res) => {
   res.json({
@@ -66,7 +75,12 @@ app.get('/', (req, res) => {
       analytics: '/api/analytics',
       currency: '/api/currency',
       exchangeRates: '/api/exchange-rates',  // ADD THIS LINE
-      cron: '/api/cron'  // ADD THIS LINE
+      cron: '/api/cron',  // ADD THIS LINE
+      imports: '/api/imports',
+      rules: '/api/rules',
+      tags: '/api/tags',
+      trash: '/api/trash',
+      activity: '/api/activity'
     }
   });
 });
@@ -94,6 +108,11 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/currency', currencyRoutes);
 app.use('/api/exchange-rates', exchangeRatesRoutes);  // ADD THIS LINE
 app.use('/api/cron', cronJobsRoutes);  // ADD THIS LINE
+app.use('/api/imports', importsRoutes);
+app.use('/api/rules', rulesRoutes);
+app.use('/api/tags', tagsRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/activity', activityRoutes);
 // Error handling middleware (MUST BE LAST)
 app.use(errorHandler);
 
@@ -1,6 +1,8 @@
 // src/controllers/accounts.controller.js
 
 import accountService from '../services/account.service.js';
+import balanceHistoryService from '../services/balanceHistory.service.js';
+import creditCardService from '../services/creditCard.service.js';
 import { successResponse, errorResponse } from '../utils/responses.js';
 
 class AccountsController {
@@ -31,7 +33,9 @@ class AccountsController {
 
   async getAccountById(req, res) {
     try {
-      const account = await accountService.getAccountById(req.user.id, req.params.id);
+      const account = await accountService.getAccountById(req.user.id, req.params.id, {
+        projected_until: req.query.projected_until
+      });
       return successResponse(res, account, 'Account retrieved successfully');
     } catch (error) {
       console.error('Error fetching account:', error);
@@ -40,6 +44,40 @@ class AccountsController {
     }
   }
 
+  async getBalanceHistory(req, res) {
+    try {
+      const history = await balanceHistoryService.getBalanceHistory(req.user.id, req.params.id, {
+        from: req.query.from,
+        to: req.query.to,
+        interval: req.query.interval
+      });
+      return successResponse(res, history, 'Balance history retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching balance history:', error);
+      const statusCode = error.message === 'Account not found' ? 404 :
+                         error.message.startsWith('Invalid') ||
+                         error.message.startsWith('from must') ||
+                         error.message.startsWith('A balance series') ? 400 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  async getStatements(req, res) {
+    try {
+      const statements = await creditCardService.getStatements(req.user.id, req.params.id, {
+        count: req.query.count
+      });
+      return successResponse(res, statements, 'Statements retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching statements:', error);
+      const statusCode = error.message === 'Account not found' ? 404 :
+                         error.message.startsWith('Invalid') ||
+                         error.message.startsWith('Statements are only') ||
+                         error.message.startsWith('Set the statement_closing_day') ? 400 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
   async updateAccount(req, res) {
     try {
       const account = await accountService.updateAccount(req.user.id, req.params.id, req.body);
@@ -62,6 +100,31 @@ class AccountsController {
     }
   }
 
+  async checkBalances(req, res) {
+    try {
+      const report = await accountService.checkBalances(req.user.id, { account_id: req.query.account_id });
+      return successResponse(res, report, 'Account balances checked successfully');
+    } catch (error) {
+      console.error('Error checking account balances:', error);
+      const statusCode = error.message === 'Account not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  async repairBalances(req, res) {
+    try {
+      const report = await accountService.checkBalances(req.user.id, {
+        account_id: req.body.account_id,
+        repair: true
+      });
+      return successResponse(res, report, 'Account balances repaired successfully');
+    } catch (error) {
+      console.error('Error repairing account balances:', error);
+      const statusCode = error.message === 'Account not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
   async getAccountSummary(req, res) {
     try {
       const summary = await accountService.getAccountSummary(req.user.id);
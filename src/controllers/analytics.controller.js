@@ -46,6 +46,31 @@ class AnalyticsController {
     }
   }
 
+  async getSpendingByTag(req, res) {
+    try {
+      const userId = req.user.id;
+      const month = req.query.month || new Date().toISOString().slice(0, 7);
+      const type = req.query.type || 'expense';
+
+      // Validate month format
+      const monthRegex = /^\d{4}-(0[1-9]|1[0-2])$/;
+      if (!monthRegex.test(month)) {
+        return errorResponse(res, 'Invalid month format. Use YYYY-MM', 400);
+      }
+
+      // Validate type
+      if (!['expense', 'income'].includes(type)) {
+        return errorResponse(res, 'Type must be either "expense" or "income"', 400);
+      }
+
+      const data = await analyticsService.getSpendingByTag(userId, month, type);
+      return successResponse(res, data, 'Spending by tag retrieved successfully');
+    } catch (error) {
+      console.error('Error getting spending by tag:', error);
+      return errorResponse(res, error.message);
+    }
+  }
+
   async getMonthlyTrends(req, res) {
     try {
       const userId = req.user.id;
@@ -0,0 +1,88 @@
+// attachments.controller.js - Transaction Attachments Controller for Lumina Finance Backend
+// Handles HTTP requests for receipts and documents attached to transactions
+
+import attachmentService from '../services/attachment.service.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+import { contentDisposition } from '../utils/attachments.js';
+
+const notFoundMessages = ['Transaction not found', 'Attachment not found', 'Attachment file not found'];
+
+class AttachmentsController {
+  /**
+   * Upload an attachment (raw file body)
+   * POST /api/transactions/:id/attachments?filename=receipt.pdf
+   */
+  async uploadAttachment(req, res) {
+    try {
+      const attachment = await attachmentService.uploadAttachment(req.user.id, req.params.id, {
+        buffer: Buffer.isBuffer(req.body) ? req.body : null,
+        filename: req.query.filename || req.get('X-Filename'),
+        content_type: req.get('Content-Type')
+      });
+      return successResponse(res, attachment, 'Attachment uploaded successfully', 201);
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      const statusCode = error.message === 'Transaction not found' ? 404 :
+                         error.message.startsWith('Unsupported file type') ? 415 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * List a transaction's attachments
+   * GET /api/transactions/:id/attachments
+   */
+  async getAttachments(req, res) {
+    try {
+      const attachments = await attachmentService.getAttachments(req.user.id, req.params.id);
+      return successResponse(res, attachments, 'Attachments retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+      const statusCode = error.message === 'Transaction not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Download an attachment
+   * GET /api/transactions/:id/attachments/:attachmentId
+   */
+  async downloadAttachment(req, res) {
+    let file;
+    try {
+      file = await attachmentService.getAttachmentFile(req.user.id, req.params.id, req.params.attachmentId);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      const statusCode = notFoundMessages.includes(error.message) ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+
+    res.setHeader('Content-Type', file.attachment.content_type);
+    res.setHeader('Content-Length', file.attachment.size_bytes);
+    res.setHeader('Content-Disposition', contentDisposition(file.attachment.filename));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    file.stream.on('error', (error) => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  }
+
+  /**
+   * Delete an attachment
+   * DELETE /api/transactions/:id/attachments/:attachmentId
+   */
+  async deleteAttachment(req, res) {
+    try {
+      const result = await attachmentService.deleteAttachment(req.user.id, req.params.id, req.params.attachmentId);
+      return successResponse(res, result, 'Attachment deleted successfully');
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      const statusCode = notFoundMessages.includes(error.message) ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+}
+
+export default new AttachmentsController();
@@ -0,0 +1,52 @@
+// audit.controller.js - Audit Log Controller for Lumina Finance Backend
+// Handles HTTP requests for record histories and the activity feed
+
+import auditService from '../services/audit.service.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+
+const getPagination = (query) => ({
+  page: parseInt(query.page) || 1,
+  limit: Math.min(parseInt(query.limit) || 20, 100)
+});
+
+class AuditController {
+  /**
+   * Build the history handler for a resource
+   * GET /api/:resource/:id/history
+   * @param {string} resource - Key of AUDIT_RESOURCES
+   */
+  getHistory(resource) {
+    return async (req, res) => {
+      try {
+        const history = await auditService.getHistory(req.user.id, resource, req.params.id, getPagination(req.query));
+        return successResponse(res, history, 'History retrieved successfully');
+      } catch (error) {
+        console.error('Error fetching history:', error);
+        return errorResponse(res, error.message, 500);
+      }
+    };
+  }
+
+  /**
+   * Get the user's activity feed
+   * GET /api/activity
+   */
+  async getActivity(req, res) {
+    try {
+      const filters = {
+        resource: req.query.resource,
+        action: req.query.action,
+        start_date: req.query.start_date,
+        end_date: req.query.end_date
+      };
+      const activity = await auditService.getActivity(req.user.id, filters, getPagination(req.query));
+      return successResponse(res, activity, 'Activity retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+      const statusCode = error.message.startsWith('Invalid') ? 400 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+}
+
+export default new AuditController();
@@ -23,6 +23,60 @@ class CronJobsController {
     }
   }
 
+  /**
+   * POST /api/cron/purge-trash
+   * Manually purge records past the trash retention period
+   */
+  async triggerTrashPurge(req, res) {
+    try {
+      const result = await cronJobsService.purgeTrash();
+
+      return successResponse(res, {
+        message: 'Trash purge completed',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error in manual trash purge:', error);
+      return errorResponse(res, 'Failed to purge trash', 500);
+    }
+  }
+
+  /**
+   * POST /api/cron/post-scheduled
+   * Manually post scheduled transactions dated up to today
+   */
+  async triggerScheduledPosting(req, res) {
+    try {
+      const result = await cronJobsService.postScheduledTransactions();
+
+      return successResponse(res, {
+        message: 'Scheduled transactions posted',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error in manual scheduled posting:', error);
+      return errorResponse(res, 'Failed to post scheduled transactions', 500);
+    }
+  }
+
+  /**
+   * POST /api/cron/check-balances
+   * Manually check every account balance against the ledger
+   */
+  async triggerBalanceCheck(req, res) {
+    try {
+      const result = await cronJobsService.checkBalances();
+
+      return successResponse(res, {
+        message: 'Account balances checked',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error in manual balance check:', error);
+      return errorResponse(res, 'Failed to check account balances', 500);
+    }
+  }
+
   /**
    * GET /api/cron/status
    * Get cron jobs status
@@ -36,6 +90,21 @@ class CronJobsController {
             name: 'Monthly Exchange Rates Snapshot',
             schedule: 'Last day of month at 23:59',
             status: 'active'
+          },
+          {
+            name: 'Trash Purge',
+            schedule: 'Daily at 03:00',
+            status: 'active'
+          },
+          {
+            name: 'Post Scheduled Transactions',
+            schedule: 'Daily at 00:05',
+            status: 'active'
+          },
+          {
+            name: 'Balance Check',
+            schedule: 'Daily at 03:30',
+            status: 'active'
           }
         ]
       });
@@ -0,0 +1,231 @@
+// imports.controller.js - Statement Import Controller for Lumina Finance Backend
+// Handles HTTP requests for CSV mapping profiles and statement imports (CSV, OFX/QFX, QIF)
+
+import importService from '../services/import.service.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+
+/**
+ * Read the uploaded file and import options.
+ * The file is either the raw request body (text/csv, options in the query string)
+ * or the `file` field of a JSON body alongside the options.
+ */
+const getImportRequest = (req) => {
+  if (typeof req.body === 'string') {
+    return {
+      file: req.body,
+      options: {
+        profile_id: req.query.profile_id,
+        account_id: req.query.account_id,
+        date_order: req.query.date_order,
+        on_duplicate: req.query.on_duplicate,
+        batch_name: req.query.batch_name,
+        dry_run: req.query.dry_run === 'true',
+        stage: req.query.stage === 'true'
+      }
+    };
+  }
+
+  const { file, ...options } = req.body || {};
+  return {
+    file,
+    options: {
+      ...options,
+      profile_id: options.profile_id || req.query.profile_id,
+      account_id: options.account_id || req.query.account_id,
+      date_order: options.date_order || req.query.date_order,
+      on_duplicate: options.on_duplicate || req.query.on_duplicate
+    }
+  };
+};
+
+const notFoundMessages = ['Import profile not found', 'Account not found', 'Import batch not found'];
+
+class ImportsController {
+  /**
+   * Create a CSV mapping profile
+   * POST /api/imports/profiles
+   */
+  async createProfile(req, res) {
+    try {
+      const profile = await importService.createProfile(req.user.id, req.body);
+      return successResponse(res, profile, 'Import profile created successfully', 201);
+    } catch (error) {
+      console.error('Error creating import profile:', error);
+      return errorResponse(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Get all CSV mapping profiles
+   * GET /api/imports/profiles
+   */
+  async getProfiles(req, res) {
+    try {
+      const profiles = await importService.getProfiles(req.user.id);
+      return successResponse(res, profiles, 'Import profiles retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching import profiles:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get a single CSV mapping profile
+   * GET /api/imports/profiles/:id
+   */
+  async getProfileById(req, res) {
+    try {
+      const profile = await importService.getProfileById(req.user.id, req.params.id);
+      return successResponse(res, profile, 'Import profile retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching import profile:', error);
+      const statusCode = error.message === 'Import profile not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Update a CSV mapping profile
+   * PUT /api/imports/profiles/:id
+   */
+  async updateProfile(req, res) {
+    try {
+      const profile = await importService.updateProfile(req.user.id, req.params.id, req.body);
+      return successResponse(res, profile, 'Import profile updated successfully');
+    } catch (error) {
+      console.error('Error updating import profile:', error);
+      const statusCode = error.message === 'Import profile not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Delete a CSV mapping profile
+   * DELETE /api/imports/profiles/:id
+   */
+  async deleteProfile(req, res) {
+    try {
+      const result = await importService.deleteProfile(req.user.id, req.params.id);
+      return successResponse(res, result, 'Import profile deleted successfully');
+    } catch (error) {
+      console.error('Error deleting import profile:', error);
+      const statusCode = error.message === 'Import profile not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Preview the rows parsed from a statement file
+   * POST /api/imports/:format/preview
+   */
+  async previewStatement(req, res) {
+    try {
+      const { file, options } = getImportRequest(req);
+      const preview = await importService.previewStatement(req.user.id, req.params.format, file, options);
+      return successResponse(res, preview, 'Import preview generated successfully');
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      const statusCode = notFoundMessages.includes(error.message) ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Import a statement file into an account
+   * POST /api/imports/:format
+   */
+  async importStatement(req, res) {
+    try {
+      const { file, options } = getImportRequest(req);
+      const result = await importService.importStatement(req.user.id, req.params.format, file, options);
+      if (options.dry_run) {
+        return successResponse(res, result, 'Import dry run completed successfully');
+      }
+      return successResponse(res, result, options.stage ? 'Import batch staged successfully' : 'Statement imported successfully', 201);
+    } catch (error) {
+      console.error('Error importing statement:', error);
+      const statusCode = notFoundMessages.includes(error.message) ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Stage transactions as an import batch, or dry-run them
+   * POST /api/imports/batches
+   */
+  async createBatch(req, res) {
+    try {
+      if (req.body.dry_run) {
+        const result = await importService.importTransactions(req.user.id, req.body);
+        return successResponse(res, result, 'Import dry run completed successfully');
+      }
+
+      const batch = await importService.stageBatch(req.user.id, req.body);
+      return successResponse(res, batch, 'Import batch staged successfully', 201);
+    } catch (error) {
+      console.error('Error staging import batch:', error);
+      return errorResponse(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Get all import batches
+   * GET /api/imports/batches
+   */
+  async getBatches(req, res) {
+    try {
+      const batches = await importService.getBatches(req.user.id);
+      return successResponse(res, batches, 'Import batches retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching import batches:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get a single import batch
+   * GET /api/imports/batches/:id
+   */
+  async getBatchById(req, res) {
+    try {
+      const batch = await importService.getBatchById(req.user.id, req.params.id);
+      return successResponse(res, batch, 'Import batch retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching import batch:', error);
+      const statusCode = error.message === 'Import batch not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Commit a staged import batch
+   * POST /api/imports/batches/:id/commit
+   */
+  async commitBatch(req, res) {
+    try {
+      const result = await importService.commitBatch(req.user.id, req.params.id);
+      return successResponse(res, result, 'Import batch committed successfully', 201);
+    } catch (error) {
+      console.error('Error committing import batch:', error);
+      const statusCode = error.message === 'Import batch not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Discard a staged batch or roll back a committed one
+   * DELETE /api/imports/batches/:id
+   */
+  async deleteBatch(req, res) {
+    try {
+      const result = await importService.deleteBatch(req.user.id, req.params.id);
+      return successResponse(res, result, 'Import batch rolled back successfully');
+    } catch (error) {
+      console.error('Error rolling back import batch:', error);
+      const statusCode = error.message === 'Import batch not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+}
+
+export default new ImportsController();
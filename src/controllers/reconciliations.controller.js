@@ -0,0 +1,144 @@
+// reconciliations.controller.js - Statement Reconciliation Controller for Lumina Finance Backend
+// Handles HTTP requests for reconciling an account against its statements
+
+import reconciliationService from '../services/reconciliation.service.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+
+const notFoundMessages = ['Account not found', 'Reconciliation not found'];
+
+const conflictMessages = [
+  'Reconciliation is already finalized',
+  'Finish or cancel the open reconciliation of this account first'
+];
+
+const getStatusCode = (error, fallback = 400) =>
+  notFoundMessages.includes(error.message) ? 404 :
+  conflictMessages.includes(error.message) ? 409 : fallback;
+
+class ReconciliationsController {
+  /**
+   * Start reconciling a statement
+   * POST /api/accounts/:id/reconciliations
+   */
+  async startReconciliation(req, res) {
+    try {
+      const reconciliation = await reconciliationService.startReconciliation(req.user.id, req.params.id, req.body);
+      return successResponse(res, reconciliation, 'Reconciliation started successfully', 201);
+    } catch (error) {
+      console.error('Error starting reconciliation:', error);
+      return errorResponse(res, error.message, getStatusCode(error));
+    }
+  }
+
+  /**
+   * List an account's reconciliations
+   * GET /api/accounts/:id/reconciliations
+   */
+  async getReconciliations(req, res) {
+    try {
+      const reconciliations = await reconciliationService.getReconciliations(req.user.id, req.params.id);
+      return successResponse(res, reconciliations, 'Reconciliations retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching reconciliations:', error);
+      return errorResponse(res, error.message, getStatusCode(error, 500));
+    }
+  }
+
+  /**
+   * Get a reconciliation with its difference and transactions
+   * GET /api/accounts/:id/reconciliations/:reconciliationId
+   */
+  async getReconciliation(req, res) {
+    try {
+      const reconciliation = await reconciliationService.getReconciliation(
+        req.user.id, req.params.id, req.params.reconciliationId
+      );
+      return successResponse(res, reconciliation, 'Reconciliation retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching reconciliation:', error);
+      return errorResponse(res, error.message, getStatusCode(error, 500));
+    }
+  }
+
+  /**
+   * Change the statement of an open reconciliation
+   * PUT /api/accounts/:id/reconciliations/:reconciliationId
+   */
+  async updateReconciliation(req, res) {
+    try {
+      const reconciliation = await reconciliationService.updateReconciliation(
+        req.user.id, req.params.id, req.params.reconciliationId, req.body
+      );
+      return successResponse(res, reconciliation, 'Reconciliation updated successfully');
+    } catch (error) {
+      console.error('Error updating reconciliation:', error);
+      return errorResponse(res, error.message, getStatusCode(error));
+    }
+  }
+
+  /**
+   * Tick transactions off against the statement
+   * POST /api/accounts/:id/reconciliations/:reconciliationId/tick
+   */
+  async tickTransactions(req, res) {
+    try {
+      const reconciliation = await reconciliationService.tickTransactions(
+        req.user.id, req.params.id, req.params.reconciliationId, req.body.transaction_ids
+      );
+      return successResponse(res, reconciliation, 'Transactions ticked successfully');
+    } catch (error) {
+      console.error('Error ticking transactions:', error);
+      return errorResponse(res, error.message, getStatusCode(error));
+    }
+  }
+
+  /**
+   * Untick transactions
+   * POST /api/accounts/:id/reconciliations/:reconciliationId/untick
+   */
+  async untickTransactions(req, res) {
+    try {
+      const reconciliation = await reconciliationService.tickTransactions(
+        req.user.id, req.params.id, req.params.reconciliationId, req.body.transaction_ids, false
+      );
+      return successResponse(res, reconciliation, 'Transactions unticked successfully');
+    } catch (error) {
+      console.error('Error unticking transactions:', error);
+      return errorResponse(res, error.message, getStatusCode(error));
+    }
+  }
+
+  /**
+   * Finalize a reconciliation, locking its transactions
+   * POST /api/accounts/:id/reconciliations/:reconciliationId/finalize
+   */
+  async finalizeReconciliation(req, res) {
+    try {
+      const reconciliation = await reconciliationService.finalizeReconciliation(
+        req.user.id, req.params.id, req.params.reconciliationId, req.body
+      );
+      return successResponse(res, reconciliation, 'Reconciliation finalized successfully');
+    } catch (error) {
+      console.error('Error finalizing reconciliation:', error);
+      return errorResponse(res, error.message, getStatusCode(error));
+    }
+  }
+
+  /**
+   * Cancel an open reconciliation
+   * DELETE /api/accounts/:id/reconciliations/:reconciliationId
+   */
+  async cancelReconciliation(req, res) {
+    try {
+      const result = await reconciliationService.cancelReconciliation(
+        req.user.id, req.params.id, req.params.reconciliationId
+      );
+      return successResponse(res, result, 'Reconciliation cancelled successfully');
+    } catch (error) {
+      console.error('Error cancelling reconciliation:', error);
+      return errorResponse(res, error.message, getStatusCode(error, 500));
+    }
+  }
+}
+
+export default new ReconciliationsController();
@@ -0,0 +1,112 @@
+// rules.controller.js - Auto-categorization Rules Controller for Lumina Finance Backend
+// Handles HTTP requests for categorization rules
+
+import ruleService from '../services/rule.service.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+
+class RulesController {
+  /**
+   * Create a new rule
+   * POST /api/rules
+   */
+  async createRule(req, res) {
+    try {
+      const rule = await ruleService.createRule(req.user.id, req.body);
+      return successResponse(res, rule, 'Rule created successfully', 201);
+    } catch (error) {
+      console.error('Error creating rule:', error);
+      return errorResponse(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Get all rules
+   * GET /api/rules
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await ruleService.getRules(req.user.id);
+      return successResponse(res, rules, 'Rules retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching rules:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get a single rule
+   * GET /api/rules/:id
+   */
+  async getRuleById(req, res) {
+    try {
+      const rule = await ruleService.getRuleById(req.user.id, req.params.id);
+      return successResponse(res, rule, 'Rule retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching rule:', error);
+      const statusCode = error.message === 'Rule not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Update a rule
+   * PUT /api/rules/:id
+   */
+  async updateRule(req, res) {
+    try {
+      const rule = await ruleService.updateRule(req.user.id, req.params.id, req.body);
+      return successResponse(res, rule, 'Rule updated successfully');
+    } catch (error) {
+      console.error('Error updating rule:', error);
+      const statusCode = error.message === 'Rule not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Delete a rule
+   * DELETE /api/rules/:id
+   */
+  async deleteRule(req, res) {
+    try {
+      const result = await ruleService.deleteRule(req.user.id, req.params.id);
+      return successResponse(res, result, 'Rule deleted successfully');
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      const statusCode = error.message === 'Rule not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Preview what running rules over existing transactions would change
+   * POST /api/rules/run/preview
+   */
+  async previewRun(req, res) {
+    try {
+      const result = await ruleService.runRules(req.user.id, req.body, true);
+      return successResponse(res, result, 'Rule run preview generated successfully');
+    } catch (error) {
+      console.error('Error previewing rule run:', error);
+      const statusCode = error.message === 'Rule not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Run rules over existing transactions
+   * POST /api/rules/run
+   */
+  async runRules(req, res) {
+    try {
+      const result = await ruleService.runRules(req.user.id, req.body, false);
+      return successResponse(res, result, 'Rules applied successfully');
+    } catch (error) {
+      console.error('Error running rules:', error);
+      const statusCode = error.message === 'Rule not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+}
+
+export default new RulesController();
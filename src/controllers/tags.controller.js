@@ -0,0 +1,53 @@
+// tags.controller.js - Tags Controller for Lumina Finance Backend
+// Handles HTTP requests for transaction tags
+
+import tagService from '../services/tag.service.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+
+class TagsController {
+  /**
+   * Get all tags
+   * GET /api/tags
+   */
+  async getTags(req, res) {
+    try {
+      const tags = await tagService.getTags(req.user.id);
+      return successResponse(res, tags, 'Tags retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Rename a tag
+   * PUT /api/tags/:id
+   */
+  async updateTag(req, res) {
+    try {
+      const tag = await tagService.updateTag(req.user.id, req.params.id, req.body);
+      return successResponse(res, tag, 'Tag updated successfully');
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      const statusCode = error.message === 'Tag not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Delete a tag
+   * DELETE /api/tags/:id
+   */
+  async deleteTag(req, res) {
+    try {
+      const result = await tagService.deleteTag(req.user.id, req.params.id);
+      return successResponse(res, result, 'Tag deleted successfully');
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      const statusCode = error.message === 'Tag not found' ? 404 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+}
+
+export default new TagsController();
@@ -1,7 +1,44 @@
 // src/controllers/transactions.controller.js
 
+import { once } from 'events';
 import transactionService from '../services/transaction.service.js';
+import duplicateService from '../services/duplicate.service.js';
+import importService from '../services/import.service.js';
+import exportService from '../services/export.service.js';
+import bulkEditService from '../services/bulkEdit.service.js';
 import { successResponse, errorResponse } from '../utils/responses.js';
+import { LOCKED_MESSAGE } from '../utils/reconciliations.js';
+
+// Filters shared by the transaction list and the export
+const getTransactionFilters = (query) => ({
+  type: query.type,
+  account_id: query.account_id,
+  category_id: query.category_id,
+  status: query.status,
+  scheduled: query.scheduled,
+  start_date: query.start_date,
+  end_date: query.end_date,
+  min_amount: query.min_amount,
+  max_amount: query.max_amount,
+  search: query.search,
+  tags: query.tag ? String(query.tag).split(',') : undefined
+});
+
+// Parser errors point at the part of the search query that is wrong
+const searchQueryErrorResponse = (res, error) => res.status(400).json({
+  status: 'error',
+  error: 'Invalid search query',
+  details: { message: error.message, position: error.position }
+});
+
+// Errors that stop a bulk action before any transaction is touched
+const bulkErrorResponse = (res, error) => {
+  if (error.name === 'SearchQueryError') {
+    return searchQueryErrorResponse(res, error);
+  }
+  const statusCode = error.message === 'Category not found' || error.message.startsWith('Filter matches') ? 400 : 500;
+  return errorResponse(res, error.message, statusCode);
+};
 
 class TransactionsController {
   async createTransaction(req, res) {
@@ -16,25 +53,24 @@ class TransactionsController {
 
   async getTransactions(req, res) {
     try {
-      const filters = {
-        type: req.query.type,
-        account_id: req.query.account_id,
-        category_id: req.query.category_id,
-        start_date: req.query.start_date,
-        end_date: req.query.end_date,
-        min_amount: req.query.min_amount,
-        max_amount: req.query.max_amount,
-        search: req.query.search
-      };
+      const filters = getTransactionFilters(req.query);
       const pagination = {
         page: parseInt(req.query.page) || 1,
-        limit: parseInt(req.query.limit) || 10
+        limit: parseInt(req.query.limit) || 10,
+        cursor: req.query.cursor,
+        sort: req.query.sort,
+        direction: req.query.direction,
+        count: req.query.count
       };
       const result = await transactionService.getTransactions(req.user.id, filters, pagination);
       return successResponse(res, result, 'Transactions retrieved successfully');
     } catch (error) {
       console.error('Error fetching transactions:', error);
-      return errorResponse(res, error.message, 500);
+      if (error.name === 'SearchQueryError') {
+        return searchQueryErrorResponse(res, error);
+      }
+      const statusCode = error.message.startsWith('Invalid') || error.message.startsWith('Cursor') ? 400 : 500;
+      return errorResponse(res, error.message, statusCode);
     }
   }
 
@@ -55,7 +91,8 @@ class TransactionsController {
       return successResponse(res, transaction, 'Transaction updated successfully');
     } catch (error) {
       console.error('Error updating transaction:', error);
-      const statusCode = error.message === 'Transaction not found' ? 404 : 400;
+      const statusCode = error.message === 'Transaction not found' ? 404 :
+                         error.message === LOCKED_MESSAGE ? 409 : 400;
       return errorResponse(res, error.message, statusCode);
     }
   }
@@ -66,7 +103,20 @@ class TransactionsController {
       return successResponse(res, result, 'Transaction deleted successfully');
     } catch (error) {
       console.error('Error deleting transaction:', error);
-      const statusCode = error.message === 'Transaction not found' ? 404 : 500;
+      const statusCode = error.message === 'Transaction not found' ? 404 :
+                         error.message === 'Remove the fee through its transfer' ||
+                         error.message === LOCKED_MESSAGE ? 409 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  async createRefund(req, res) {
+    try {
+      const refund = await transactionService.createRefund(req.user.id, req.params.id, req.body);
+      return successResponse(res, refund, 'Refund created successfully', 201);
+    } catch (error) {
+      console.error('Error creating refund:', error);
+      const statusCode = error.message === 'Transaction not found' || error.message === 'Account not found' ? 404 : 400;
       return errorResponse(res, error.message, statusCode);
     }
   }
@@ -77,20 +127,117 @@ class TransactionsController {
       return successResponse(res, transaction, 'Transaction reconciliation toggled successfully');
     } catch (error) {
       console.error('Error toggling reconciliation:', error);
-      const statusCode = error.message === 'Transaction not found' ? 404 : 500;
+      const statusCode = error.message === 'Transaction not found' ? 404 :
+                         error.message.startsWith('Cannot change status') ? 400 :
+                         error.message === LOCKED_MESSAGE ? 409 : 500;
       return errorResponse(res, error.message, statusCode);
     }
   }
 
   async bulkImport(req, res) {
     try {
-      const result = await transactionService.bulkImport(req.user.id, req.body.transactions);
+      const result = await importService.importTransactions(req.user.id, req.body);
+      if (req.body.dry_run) {
+        return successResponse(res, result, 'Import dry run completed successfully');
+      }
       return successResponse(res, result, 'Transactions imported successfully', 201);
     } catch (error) {
       console.error('Error importing transactions:', error);
       return errorResponse(res, error.message, 400);
     }
   }
+
+  async bulkUpdate(req, res) {
+    try {
+      const result = await bulkEditService.bulkUpdate(req.user.id, req.body);
+      const message = req.body.dry_run ? 'Bulk update dry run completed successfully' : 'Transactions updated successfully';
+      return successResponse(res, result, message);
+    } catch (error) {
+      console.error('Error bulk updating transactions:', error);
+      return bulkErrorResponse(res, error);
+    }
+  }
+
+  async bulkDelete(req, res) {
+    try {
+      const result = await bulkEditService.bulkDelete(req.user.id, req.body);
+      const message = req.body.dry_run ? 'Bulk delete dry run completed successfully' : 'Transactions deleted successfully';
+      return successResponse(res, result, message);
+    } catch (error) {
+      console.error('Error bulk deleting transactions:', error);
+      return bulkErrorResponse(res, error);
+    }
+  }
+
+  async exportTransactions(req, res) {
+    let exported;
+    try {
+      exported = await exportService.exportTransactions(req.user.id, req.query.format || 'csv', getTransactionFilters(req.query));
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      if (error.name === 'SearchQueryError') {
+        return searchQueryErrorResponse(res, error);
+      }
+      const statusCode = error.message === 'Account not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+
+    try {
+      for await (const chunk of exported.chunks) {
+        if (!res.write(chunk)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+        // Stop reading from the database once the client has gone away
+        if (res.destroyed) {
+          return;
+        }
+      }
+      res.end();
+    } catch (error) {
+      // Headers are already sent; cut the download short so the client sees it failed
+      console.error('Error streaming transaction export:', error);
+      res.destroy(error);
+    }
+  }
+
+  async getDuplicates(req, res) {
+    try {
+      const options = {
+        since: req.query.since,
+        window_days: parseInt(req.query.window_days) || undefined
+      };
+      const result = await duplicateService.getDuplicates(req.user.id, options);
+      return successResponse(res, result, 'Suspected duplicates retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching duplicates:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  async mergeDuplicates(req, res) {
+    try {
+      const result = await duplicateService.mergeDuplicates(req.user.id, req.body.transaction_ids, req.body.keep_id);
+      return successResponse(res, result, 'Duplicates merged successfully');
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      const statusCode = error.message === 'Transaction not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  async dismissDuplicates(req, res) {
+    try {
+      const result = await duplicateService.dismissDuplicates(req.user.id, req.body.transaction_ids);
+      return successResponse(res, result, 'Duplicate dismissed successfully');
+    } catch (error) {
+      console.error('Error dismissing duplicates:', error);
+      const statusCode = error.message === 'Transaction not found' ? 404 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
 }
 
 export default new TransactionsController();
\ No newline at end of file
@@ -0,0 +1,44 @@
+// trash.controller.js - Trash Controller for Lumina Finance Backend
+// Handles HTTP requests for listing and restoring soft-deleted records
+
+import trashService from '../services/trash.service.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+
+class TrashController {
+  /**
+   * List deleted records
+   * GET /api/trash?type=transactions&page=1&limit=20
+   */
+  async getTrash(req, res) {
+    try {
+      const trash = await trashService.getTrash(req.user.id, {
+        type: req.query.type,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100)
+      });
+      return successResponse(res, trash, 'Trash retrieved successfully');
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      const statusCode = error.message.startsWith('Invalid trash type') ? 400 : 500;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+
+  /**
+   * Restore a deleted record
+   * POST /api/trash/:type/:id/restore
+   */
+  async restoreItem(req, res) {
+    try {
+      const record = await trashService.restoreItem(req.user.id, req.params.type, req.params.id);
+      return successResponse(res, record, 'Item restored successfully');
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      const statusCode = error.message.includes('not found in trash') ? 404 :
+                         error.message.startsWith('Restore the') || error.message.includes('already exists') ? 409 : 400;
+      return errorResponse(res, error.message, statusCode);
+    }
+  }
+}
+
+export default new TrashController();
@@ -0,0 +1,37 @@
+// src/middleware/requestContext.js
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+
+const storage = new AsyncLocalStorage();
+
+// Client-supplied request ids are kept only if they look like an id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give every request an id (X-Request-Id, generated if missing) and make the
+ * request available to services handling it, e.g. for audit log entries
+ */
+export const requestContext = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+
+  storage.run({ req }, next);
+};
+
+/**
+ * Request id and acting user of the request being handled
+ * @returns {Object} { requestId, actorId } (both null outside a request, e.g. in cron jobs)
+ */
+export const getRequestContext = () => {
+  const context = storage.getStore();
+  if (!context) {
+    return { requestId: null, actorId: null };
+  }
+
+  return {
+    requestId: context.req.id,
+    actorId: context.req.user ? context.req.user.id : null
+  };
+};
@@ -1,13 +1,28 @@
 import express from 'express';
 const router = express.Router();
 import accountsController from '../controllers/accounts.controller.js';
+import auditController from '../controllers/audit.controller.js';
+import reconciliationsController from '../controllers/reconciliations.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateAccount, validateAccountUpdate } from '../utils/validators.js';
+import {
+  validateAccount,
+  validateAccountUpdate,
+  validateBalanceRepair,
+  validateReconciliation,
+  validateReconciliationUpdate,
+  validateReconciliationTick,
+  validateReconciliationFinalize
+} from '../utils/validators.js';
 
 /**
  * @route   POST /api/accounts
  * @desc    Create new account
  * @access  Private
+ * @note    opening_balance is the balance at the start of opening_balance_date (default: today).
+ *          Transactions dated from then on change the balance, whenever they are entered.
+ *          Credit cards may set statement_closing_day, payment_due_day (days of the month; later
+ *          months without that day use their last day), minimum_payment_percent (default 2) and
+ *          minimum_payment_floor (default 25).
  */
 router.post('/', authenticateToken, validateAccount, accountsController.createAccount);
 
@@ -22,20 +37,165 @@ router.get('/', authenticateToken, accountsController.getAccounts);
  * @route   GET /api/accounts/summary
  * @desc    Get account summary statistics
  * @access  Private
+ * @note    cleared_net_worth leaves out pending transactions; working_net_worth includes them
  */
 router.get('/summary', authenticateToken, accountsController.getAccountSummary);
 
+/**
+ * @route   GET /api/accounts/balance-check
+ * @desc    Recompute balances from opening_balance plus transactions and report drift
+ * @access  Private
+ * @query   account_id - Only check this account
+ * @note    Counts every posted transaction dated on or after the account's opening_balance_date
+ */
+router.get('/balance-check', authenticateToken, accountsController.checkBalances);
+
+/**
+ * @route   POST /api/accounts/balance-check/repair
+ * @desc    Recompute balances and overwrite the ones that drifted
+ * @access  Private
+ * @body    { account_id } - Only repair this account (optional)
+ */
+router.post('/balance-check/repair', authenticateToken, validateBalanceRepair, accountsController.repairBalances);
+
 /**
  * @route   GET /api/accounts/:id
  * @desc    Get single account
  * @access  Private
+ * @note    Includes cleared_balance (without pending transactions), working_balance and pending_balance,
+ *          and projected_balance once scheduled (future-dated) transactions are posted
+ * @query   projected_until - Only project scheduled transactions dated up to this day (YYYY-MM-DD)
  */
 router.get('/:id', authenticateToken, accountsController.getAccountById);
 
+/**
+ * @route   GET /api/accounts/:id/balance-history
+ * @desc    Get the account's day-end balances from the ledger
+ * @access  Private
+ * @query   from, to - Range (YYYY-MM-DD; to defaults to today, from to 30 days, 12 weeks or 12 months back)
+ * @query   interval - daily (default), weekly or monthly (month ends)
+ * @note    Balances are null on days before the account's opening_balance_date
+ */
+router.get('/:id/balance-history', authenticateToken, accountsController.getBalanceHistory);
+
+/**
+ * @route   GET /api/accounts/:id/statements
+ * @desc    Get a credit card's latest statement balance, minimum payment and due date,
+ *          available credit and utilization, the current period and past statements
+ * @access  Private
+ * @query   count - Past statements to return (default 6, at most 24)
+ * @note    Needs statement_closing_day on the card. payment_due_soon is set while the minimum
+ *          payment is not paid and the due date is at most 7 days away; is_overdue once it has passed.
+ */
+router.get('/:id/statements', authenticateToken, accountsController.getStatements);
+
+/**
+ * @route   GET /api/accounts/:id/history
+ * @desc    Get the audit history of an account
+ * @access  Private
+ * @query   page, limit
+ */
+router.get('/:id/history', authenticateToken, auditController.getHistory('accounts'));
+
+/**
+ * @route   POST /api/accounts/:id/reconciliations
+ * @desc    Start reconciling a statement (one open reconciliation per account)
+ * @access  Private
+ * @body    { statement_date, statement_balance }
+ * @note    The statement starts from the previous reconciled statement's balance, or the opening balance
+ */
+router.post(
+  '/:id/reconciliations',
+  authenticateToken,
+  validateReconciliation,
+  reconciliationsController.startReconciliation
+);
+
+/**
+ * @route   GET /api/accounts/:id/reconciliations
+ * @desc    List the account's reconciliations, newest statement first
+ * @access  Private
+ */
+router.get('/:id/reconciliations', authenticateToken, reconciliationsController.getReconciliations);
+
+/**
+ * @route   GET /api/accounts/:id/reconciliations/:reconciliationId
+ * @desc    Get a reconciliation with cleared_balance, difference and its transactions
+ * @access  Private
+ * @note    Open reconciliations list every transaction that can be ticked, with a ticked flag
+ */
+router.get('/:id/reconciliations/:reconciliationId', authenticateToken, reconciliationsController.getReconciliation);
+
+/**
+ * @route   PUT /api/accounts/:id/reconciliations/:reconciliationId
+ * @desc    Change the statement date or ending balance of an open reconciliation
+ * @access  Private
+ * @body    { statement_date, statement_balance }
+ */
+router.put(
+  '/:id/reconciliations/:reconciliationId',
+  authenticateToken,
+  validateReconciliationUpdate,
+  reconciliationsController.updateReconciliation
+);
+
+/**
+ * @route   POST /api/accounts/:id/reconciliations/:reconciliationId/tick
+ * @desc    Tick transactions off against the statement (pending ones are cleared)
+ * @access  Private
+ * @body    { transaction_ids }
+ * @note    Transactions dated before the account's opening balance date are part of the opening balance and cannot be ticked
+ */
+router.post(
+  '/:id/reconciliations/:reconciliationId/tick',
+  authenticateToken,
+  validateReconciliationTick,
+  reconciliationsController.tickTransactions
+);
+
+/**
+ * @route   POST /api/accounts/:id/reconciliations/:reconciliationId/untick
+ * @desc    Untick transactions
+ * @access  Private
+ * @body    { transaction_ids }
+ */
+router.post(
+  '/:id/reconciliations/:reconciliationId/untick',
+  authenticateToken,
+  validateReconciliationTick,
+  reconciliationsController.untickTransactions
+);
+
+/**
+ * @route   POST /api/accounts/:id/reconciliations/:reconciliationId/finalize
+ * @desc    Finalize: mark the ticked transactions reconciled and lock them
+ * @access  Private
+ * @body    { create_adjustment, category_id, memo }
+ * @note    Fails while the difference is not zero, unless create_adjustment adds a transaction for it
+ */
+router.post(
+  '/:id/reconciliations/:reconciliationId/finalize',
+  authenticateToken,
+  validateReconciliationFinalize,
+  reconciliationsController.finalizeReconciliation
+);
+
+/**
+ * @route   DELETE /api/accounts/:id/reconciliations/:reconciliationId
+ * @desc    Cancel an open reconciliation
+ * @access  Private
+ */
+router.delete(
+  '/:id/reconciliations/:reconciliationId',
+  authenticateToken,
+  reconciliationsController.cancelReconciliation
+);
+
 /**
  * @route   PUT /api/accounts/:id
  * @desc    Update account
  * @access  Private
+ * @note    Changing opening_balance or opening_balance_date recomputes current_balance from the transactions
  */
 router.put(
   '/:id',
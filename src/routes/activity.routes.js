@@ -0,0 +1,25 @@
+// activity.routes.js - Activity Feed Routes for Lumina Finance Backend
+// Defines API endpoints for the user-wide audit log
+
+import express from 'express';
+import auditController from '../controllers/audit.controller.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/activity
+ * @desc    Get every change made to the user's financial records, newest first
+ * @access  Private
+ * @query   resource - transactions, accounts, categories, budgets, goals or recurring
+ * @query   action - create, update, delete or restore
+ * @query   start_date, end_date, page, limit (max 100)
+ * @note    Entries outlive their records: a record's history (GET /api/:resource/:id/history)
+ *          stays available after the record is deleted
+ */
+router.get('/', auditController.getActivity);
+
+export default router;
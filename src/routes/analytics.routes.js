@@ -15,12 +15,18 @@ router.get('/dashboard', analyticsController.getDashboard);
 // Query params: month (optional, format: YYYY-MM), type (optional, expense/income)
 router.get('/spending-by-category', analyticsController.getSpendingByCategory);
 
+// GET /api/analytics/spending-by-tag - Get spending by tag
+// Query params: month (optional, format: YYYY-MM), type (optional, expense/income)
+router.get('/spending-by-tag', analyticsController.getSpendingByTag);
+
 // GET /api/analytics/monthly-trends - Get monthly trends
 // Query params: months (optional, default 6, max 12)
+// Net worth is read from the daily account balance history
 router.get('/monthly-trends', analyticsController.getMonthlyTrends);
 
 // GET /api/analytics/net-worth-history - Get net worth history
 // Query params: period (optional, daily/weekly/monthly), limit (optional, default 12, max 365)
+// Day-end balances of the accounts open on each date, from the daily account balance history
 router.get('/net-worth-history', analyticsController.getNetWorthHistory);
 
 export default router;
\ No newline at end of file
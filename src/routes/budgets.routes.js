@@ -2,6 +2,7 @@
 
 import express from 'express';
 import budgetsController from '../controllers/budgets.controller.js';
+import auditController from '../controllers/audit.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { validateBudget, validateBudgetUpdate } from '../utils/validators.js';
 
@@ -41,6 +42,13 @@ router.get(
   budgetsController.getBudgetById
 );
 
+// Get the audit history of a budget
+router.get(
+  '/:id/history',
+  authenticateToken,
+  auditController.getHistory('budgets')
+);
+
 // Update a budget
 router.put(
   '/:id',
@@ -1,6 +1,7 @@
 import express from 'express';
 const router = express.Router();
 import categoriesController from '../controllers/categories.controller.js';
+import auditController from '../controllers/audit.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { validateCategory, validateCategoryUpdate } from '../utils/validators.js';
 
@@ -32,6 +33,14 @@ router.get('/', authenticateToken, categoriesController.getCategories);
  */
 router.get('/:id', authenticateToken, categoriesController.getCategoryById);
 
+/**
+ * @route   GET /api/categories/:id/history
+ * @desc    Get the audit history of a category
+ * @access  Private
+ * @query   page, limit
+ */
+router.get('/:id/history', authenticateToken, auditController.getHistory('categories'));
+
 /**
  * @route   PUT /api/categories/:id
  * @desc    Update category
@@ -11,6 +11,27 @@ const router = express.Router();
  */
 router.post('/snapshot-rates', authenticateToken, cronJobsController.triggerRatesSnapshot);
 
+/**
+ * @route   POST /api/cron/purge-trash
+ * @desc    Manually purge records deleted more than TRASH_RETENTION_DAYS ago
+ * @access  Private (Admin only - add admin check if needed)
+ */
+router.post('/purge-trash', authenticateToken, cronJobsController.triggerTrashPurge);
+
+/**
+ * @route   POST /api/cron/post-scheduled
+ * @desc    Manually post scheduled transactions dated up to today
+ * @access  Private (Admin only - add admin check if needed)
+ */
+router.post('/post-scheduled', authenticateToken, cronJobsController.triggerScheduledPosting);
+
+/**
+ * @route   POST /api/cron/check-balances
+ * @desc    Manually check every account balance against the ledger (repairs when BALANCE_CHECK_AUTO_REPAIR=true)
+ * @access  Private (Admin only - add admin check if needed)
+ */
+router.post('/check-balances', authenticateToken, cronJobsController.triggerBalanceCheck);
+
 /**
  * @route   GET /api/cron/status
  * @desc    Get status of cron jobs
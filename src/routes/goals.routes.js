@@ -3,6 +3,7 @@
 
 import express from 'express';
 import goalsController from '../controllers/goals.controller.js';
+import auditController from '../controllers/audit.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { validateGoal, validateGoalUpdate } from '../utils/validators.js';
 
@@ -34,6 +35,14 @@ router.get('/', goalsController.getAllGoals);
  */
 router.get('/:id', goalsController.getGoalById);
 
+/**
+ * @route   GET /api/goals/:id/history
+ * @desc    Get the audit history of a goal
+ * @access  Private
+ * @query   page, limit
+ */
+router.get('/:id/history', auditController.getHistory('goals'));
+
 /**
  * @route   PUT /api/goals/:id
  * @desc    Update a goal
@@ -0,0 +1,120 @@
+// imports.routes.js - Statement Import Routes for Lumina Finance Backend
+// Defines API endpoints for importing bank statements
+
+import express from 'express';
+import importsController from '../controllers/imports.controller.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateImportProfile, validateImportProfileUpdate, validateImportBatch } from '../utils/validators.js';
+
+const router = express.Router();
+
+// Statement files can be sent as the raw request body
+const rawStatement = express.text({
+  type: ['text/csv', 'text/plain', 'application/csv', 'application/x-ofx', 'application/vnd.intu.qfx', 'application/qif', 'application/x-qif'],
+  limit: process.env.IMPORT_MAX_FILE_SIZE || '5mb'
+});
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/imports/profiles
+ * @desc    Create a CSV mapping profile
+ * @access  Private
+ */
+router.post('/profiles', validateImportProfile, importsController.createProfile);
+
+/**
+ * @route   GET /api/imports/profiles
+ * @desc    Get all CSV mapping profiles
+ * @access  Private
+ */
+router.get('/profiles', importsController.getProfiles);
+
+/**
+ * @route   GET /api/imports/profiles/:id
+ * @desc    Get a single CSV mapping profile
+ * @access  Private
+ */
+router.get('/profiles/:id', importsController.getProfileById);
+
+/**
+ * @route   PUT /api/imports/profiles/:id
+ * @desc    Update a CSV mapping profile
+ * @access  Private
+ */
+router.put('/profiles/:id', validateImportProfileUpdate, importsController.updateProfile);
+
+/**
+ * @route   DELETE /api/imports/profiles/:id
+ * @desc    Delete a CSV mapping profile (soft delete)
+ * @access  Private
+ */
+router.delete('/profiles/:id', importsController.deleteProfile);
+
+/**
+ * @route   POST /api/imports/batches
+ * @desc    Stage transactions as a named import batch, or only validate them with dry_run
+ * @access  Private
+ * @body    { name, transactions: [...], dry_run }
+ */
+router.post('/batches', validateImportBatch, importsController.createBatch);
+
+/**
+ * @route   GET /api/imports/batches
+ * @desc    Get all import batches
+ * @access  Private
+ */
+router.get('/batches', importsController.getBatches);
+
+/**
+ * @route   GET /api/imports/batches/:id
+ * @desc    Get a single import batch with its staged rows
+ * @access  Private
+ */
+router.get('/batches/:id', importsController.getBatchById);
+
+/**
+ * @route   POST /api/imports/batches/:id/commit
+ * @desc    Create the transactions of a staged batch
+ * @access  Private
+ */
+router.post('/batches/:id/commit', importsController.commitBatch);
+
+/**
+ * @route   DELETE /api/imports/batches/:id
+ * @desc    Discard a staged batch, or roll back a committed one by deleting every
+ *          transaction it created and reverting their balance changes. A batch stuck
+ *          committing for 30 minutes (its commit crashed) can be rolled back too.
+ * @access  Private
+ */
+router.delete('/batches/:id', importsController.deleteBatch);
+
+/**
+ * @route   POST /api/imports/:format/preview
+ * @desc    Parse a statement file (csv, ofx, qfx or qif) and preview the transactions it contains
+ * @access  Private
+ * @body    Raw file (Content-Type: text/csv, text/plain, application/x-ofx, ...)
+ *          or JSON { file, account_id, profile_id | mapping (CSV), date_order (QIF) }
+ * @query   account_id, profile_id, date_order - Used with a raw file body
+ * @returns Rows that look like existing transactions carry possible_duplicate_of
+ */
+router.post('/:format(csv|ofx|qfx|qif)/preview', rawStatement, importsController.previewStatement);
+
+/**
+ * @route   POST /api/imports/:format
+ * @desc    Import a statement file (csv, ofx, qfx or qif) into an account as an import batch.
+ *          OFX/QFX transactions already imported with the same FITID are skipped.
+ * @access  Private
+ * @body    Raw file or JSON { file, account_id, profile_id | mapping (CSV), date_order (QIF), on_duplicate,
+ *          batch_name, dry_run, stage }
+ * @query   account_id, profile_id, date_order, on_duplicate, batch_name, dry_run, stage - Used with a raw file body
+ * @note    on_duplicate: 'skip' (default) leaves out rows that look like existing transactions,
+ *          'flag' imports them so they show up in GET /api/transactions/duplicates.
+ *          Rows whose FITID was already imported are always skipped.
+ *          The rows are recorded as an import batch that can be rolled back; with stage=true the
+ *          batch is only staged and committed later, with dry_run=true nothing is written.
+ */
+router.post('/:format(csv|ofx|qfx|qif)', rawStatement, importsController.importStatement);
+
+export default router;
@@ -3,6 +3,7 @@
 
 import express from 'express';
 import recurringController from '../controllers/recurring.controller.js';
+import auditController from '../controllers/audit.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { validateRecurring, validateRecurringUpdate } from '../utils/validators.js';
 
@@ -36,6 +37,14 @@ router.get('/', recurringController.getAllRecurring);
  */
 router.get('/:id', recurringController.getRecurringById);
 
+/**
+ * @route   GET /api/recurring/:id/history
+ * @desc    Get the audit history of a recurring transaction
+ * @access  Private
+ * @query   page, limit
+ */
+router.get('/:id/history', auditController.getHistory('recurring'));
+
 /**
  * @route   PUT /api/recurring/:id
  * @desc    Update a recurring transaction
@@ -0,0 +1,70 @@
+// rules.routes.js - Auto-categorization Rules Routes for Lumina Finance Backend
+// Defines API endpoints for categorization rules
+
+import express from 'express';
+import rulesController from '../controllers/rules.controller.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateRule, validateRuleUpdate, validateRuleRun } from '../utils/validators.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/rules
+ * @desc    Create a rule. Conditions (all must match): payee_contains, payee_regex,
+ *          min_amount/max_amount (absolute amount), account_id, type.
+ *          Actions: category_id, payee (rename), memo, tags (added).
+ *          payee_regex rejects patterns that could backtrack catastrophically: a repeated
+ *          group containing a repetition or alternation, e.g. (a+)+, and backreferences.
+ * @access  Private
+ */
+router.post('/', validateRule, rulesController.createRule);
+
+/**
+ * @route   GET /api/rules
+ * @desc    Get all rules in the order they apply (priority, then creation)
+ * @access  Private
+ */
+router.get('/', rulesController.getRules);
+
+/**
+ * @route   POST /api/rules/run/preview
+ * @desc    Preview the changes rules would make to existing transactions
+ * @access  Private
+ * @body    { rule_ids (default: all active rules), account_id, start_date, end_date, overwrite }
+ */
+router.post('/run/preview', validateRuleRun, rulesController.previewRun);
+
+/**
+ * @route   POST /api/rules/run
+ * @desc    Apply rules to existing transactions. Without overwrite, categories and memos
+ *          already set are kept.
+ * @access  Private
+ * @body    { rule_ids (default: all active rules), account_id, start_date, end_date, overwrite }
+ */
+router.post('/run', validateRuleRun, rulesController.runRules);
+
+/**
+ * @route   GET /api/rules/:id
+ * @desc    Get a single rule
+ * @access  Private
+ */
+router.get('/:id', rulesController.getRuleById);
+
+/**
+ * @route   PUT /api/rules/:id
+ * @desc    Update a rule
+ * @access  Private
+ */
+router.put('/:id', validateRuleUpdate, rulesController.updateRule);
+
+/**
+ * @route   DELETE /api/rules/:id
+ * @desc    Delete a rule (soft delete)
+ * @access  Private
+ */
+router.delete('/:id', rulesController.deleteRule);
+
+export default router;
@@ -0,0 +1,36 @@
+// tags.routes.js - Tags Routes for Lumina Finance Backend
+// Defines API endpoints for transaction tags
+
+import express from 'express';
+import tagsController from '../controllers/tags.controller.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateTagUpdate } from '../utils/validators.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get all tags with their transaction counts.
+ *          Tags are created by sending tag names with a transaction.
+ * @access  Private
+ */
+router.get('/', tagsController.getTags);
+
+/**
+ * @route   PUT /api/tags/:id
+ * @desc    Rename a tag
+ * @access  Private
+ */
+router.put('/:id', validateTagUpdate, tagsController.updateTag);
+
+/**
+ * @route   DELETE /api/tags/:id
+ * @desc    Delete a tag and remove it from all transactions
+ * @access  Private
+ */
+router.delete('/:id', tagsController.deleteTag);
+
+export default router;
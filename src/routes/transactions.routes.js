@@ -1,13 +1,21 @@
 import express from 'express';
 const router = express.Router();
 import transactionsController from '../controllers/transactions.controller.js';
+import attachmentsController from '../controllers/attachments.controller.js';
+import auditController from '../controllers/audit.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateTransaction, validateTransactionUpdate } from '../utils/validators.js';
+import { validateTransaction, validateTransactionUpdate, validateDuplicatePair, validateImportBatch, validateBulkUpdate, validateBulkDelete, validateRefund } from '../utils/validators.js';
+import { ALLOWED_ATTACHMENT_TYPES } from '../utils/attachments.js';
 
 /**
  * @route   POST /api/transactions
  * @desc    Create new transaction
  * @access  Private
+ * @note    Transactions dated after today are scheduled (is_scheduled) and only change balances when posted on their date.
+ *          Transfers send amount in currency (the source account's) and receive to_amount in to_currency
+ *          (the destination account's). Between currencies give to_amount or rate.
+ *          fee: { amount, currency, category_id, paid_by (sender or receiver), memo } creates a linked expense on the
+ *          paying account, returned as fee_transaction and updated, deleted and restored with the transfer.
  */
 router.post(
   '/',
@@ -20,9 +28,55 @@ router.post(
  * @route   GET /api/transactions
  * @desc    Get all transactions with filters and pagination
  * @access  Private
+ * @query   tag - Only transactions with this tag (comma-separated: any of the tags)
+ * @query   status - pending, cleared or reconciled (comma-separated: any of them)
+ * @query   scheduled - true: only future-dated transactions not yet posted; false: only posted ones
+ * @query   search - Search query, e.g. payee:amazon amount:>50 tag:work -category:groceries date:2026-01..2026-03
+ *          Fields: payee, memo, amount (absolute), date, tag, category, account, type; plain words match payee or memo.
+ *          category also matches split transactions with a split line in the category.
+ *          All terms must match; "-" negates a term; quote values with spaces. Invalid queries return 400 with the error position.
+ * @query   sort - date (default), amount, payee or created_at; direction - desc (default) or asc
+ * @query   page, limit - Numbered pages
+ * @query   cursor - pagination.next_cursor of the previous page; stable while transactions are added
+ * @query   count - exact (default for numbered pages), estimated or none (default with a cursor)
  */
 router.get('/', authenticateToken, transactionsController.getTransactions);
 
+/**
+ * @route   GET /api/transactions/export
+ * @desc    Download all transactions matching the list filters, with account and category names
+ * @access  Private
+ * @query   format - csv (default), jsonl or ofx (OFX requires account_id)
+ * @note    Transfers also export to_amount, to_currency and rate (to_amount per unit of amount)
+ * @query   type, account_id, category_id, start_date, end_date, min_amount, max_amount, search (query language), tag
+ */
+router.get('/export', authenticateToken, transactionsController.exportTransactions);
+
+/**
+ * @route   GET /api/transactions/duplicates
+ * @desc    List suspected duplicate pairs (same account and amount, similar payee, close dates)
+ * @access  Private
+ * @query   since - Only look at transactions on or after this date (default 90 days ago)
+ * @query   window_days - Maximum days between the two dates (default 3)
+ */
+router.get('/duplicates', authenticateToken, transactionsController.getDuplicates);
+
+/**
+ * @route   POST /api/transactions/duplicates/merge
+ * @desc    Merge a suspected duplicate pair, keeping one transaction and deleting the other
+ * @access  Private
+ * @body    { transaction_ids: [id, id], keep_id (optional, defaults to the first id) }
+ */
+router.post('/duplicates/merge', authenticateToken, validateDuplicatePair, transactionsController.mergeDuplicates);
+
+/**
+ * @route   POST /api/transactions/duplicates/dismiss
+ * @desc    Dismiss a suspected duplicate pair
+ * @access  Private
+ * @body    { transaction_ids: [id, id] }
+ */
+router.post('/duplicates/dismiss', authenticateToken, validateDuplicatePair, transactionsController.dismissDuplicates);
+
 /**
  * @route   GET /api/transactions/:id
  * @desc    Get single transaction
@@ -30,10 +84,22 @@ router.get('/', authenticateToken, transactionsController.getTransactions);
  */
 router.get('/:id', authenticateToken, transactionsController.getTransactionById);
 
+/**
+ * @route   GET /api/transactions/:id/history
+ * @desc    Get the audit history of a transaction
+ * @access  Private
+ * @query   page, limit
+ */
+router.get('/:id/history', authenticateToken, auditController.getHistory('transactions'));
+
 /**
  * @route   PUT /api/transactions/:id
  * @desc    Update transaction
  * @access  Private
+ * @note    status moves one step along pending -> cleared -> reconciled (or one step back).
+ *          Transfers also take to_amount or rate, and fee (replaces the fee; null removes it).
+ *          A transfer fee's amount and date can only be changed through its transfer.
+ *          Transactions locked by a finalized reconciliation only take payee, memo, category, splits and tags.
  */
 router.put(
   '/:id',
@@ -46,21 +112,94 @@ router.put(
  * @route   DELETE /api/transactions/:id
  * @desc    Delete transaction
  * @access  Private
+ * @note    Deleting a transfer deletes its fee; a fee on its own is removed by updating the transfer.
+ *          Transactions locked by a finalized reconciliation cannot be deleted
  */
 router.delete('/:id', authenticateToken, transactionsController.deleteTransaction);
 
+/**
+ * @route   POST /api/transactions/:id/refund
+ * @desc    Refund an expense (or reverse income), fully or partly, as a transaction linked to the original
+ * @access  Private
+ * @body    { amount (default: everything not yet refunded), date (default: today), account_id (same currency),
+ *            category_id (required for split transactions: which split is refunded), payee, memo }
+ * @note    The refund uses the original's category and reduces its spending instead of counting as income.
+ *          The refund carries refund_of_id; the original lists its refunds and refunded_amount.
+ *          The original's amount cannot be edited below what it has refunded.
+ */
+router.post('/:id/refund', authenticateToken, validateRefund, transactionsController.createRefund);
+
 /**
  * @route   PUT /api/transactions/:id/reconcile
  * @desc    Toggle transaction reconciliation status
  * @access  Private
+ * @note    Switches between cleared and reconciled; pending transactions must be cleared first.
+ *          Statement reconciliation: /api/accounts/:id/reconciliations
  */
 router.put('/:id/reconcile', authenticateToken, transactionsController.toggleReconciliation);
 
+/**
+ * @route   POST /api/transactions/:id/attachments
+ * @desc    Attach a receipt or document to a transaction
+ * @access  Private
+ * @query   filename - Original file name (or X-Filename header)
+ * @body    Raw file contents; Content-Type must be PDF, JPEG, PNG, WebP or HEIC
+ * @note    Maximum size is ATTACHMENT_MAX_FILE_SIZE (default 10mb)
+ */
+router.post(
+  '/:id/attachments',
+  authenticateToken,
+  express.raw({ type: ALLOWED_ATTACHMENT_TYPES, limit: process.env.ATTACHMENT_MAX_FILE_SIZE || '10mb' }),
+  attachmentsController.uploadAttachment
+);
+
+/**
+ * @route   GET /api/transactions/:id/attachments
+ * @desc    List a transaction's attachments
+ * @access  Private
+ */
+router.get('/:id/attachments', authenticateToken, attachmentsController.getAttachments);
+
+/**
+ * @route   GET /api/transactions/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private
+ */
+router.get('/:id/attachments/:attachmentId', authenticateToken, attachmentsController.downloadAttachment);
+
+/**
+ * @route   DELETE /api/transactions/:id/attachments/:attachmentId
+ * @desc    Delete an attachment
+ * @access  Private
+ */
+router.delete('/:id/attachments/:attachmentId', authenticateToken, attachmentsController.deleteAttachment);
+
 /**
  * @route   POST /api/transactions/bulk
- * @desc    Bulk import transactions
+ * @desc    Bulk import transactions as an import batch (roll back with DELETE /api/imports/batches/:id)
+ * @access  Private
+ * @body    { transactions: [...], name (batch name), dry_run (only validate) }
+ */
+router.post('/bulk', authenticateToken, validateImportBatch, transactionsController.bulkImport);
+
+/**
+ * @route   POST /api/transactions/bulk/update
+ * @desc    Apply one patch to many transactions, adjusting balances like single updates
+ * @access  Private
+ * @body    { ids: [...] or filter: { type, account_id, category_id, start_date, end_date, min_amount, max_amount, search, tags },
+ *            patch: { category_id, payee, memo, tags or add_tags / remove_tags, is_reconciled or status }, dry_run }
+ * @note    At most 1000 transactions per call. Returns a result per transaction; one failing does not stop the rest.
+ *          A category_id patch fails for transfers and split transactions, in dry runs as well.
+ */
+router.post('/bulk/update', authenticateToken, validateBulkUpdate, transactionsController.bulkUpdate);
+
+/**
+ * @route   POST /api/transactions/bulk/delete
+ * @desc    Delete many transactions, reverting their balance changes
  * @access  Private
+ * @body    { ids: [...] or filter: {...same as bulk update}, dry_run }
+ * @note    At most 1000 transactions per call. Deleted transactions go to the trash.
  */
-router.post('/bulk', authenticateToken, transactionsController.bulkImport);
+router.post('/bulk/delete', authenticateToken, validateBulkDelete, transactionsController.bulkDelete);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+// trash.routes.js - Trash Routes for Lumina Finance Backend
+// Defines API endpoints for listing and restoring soft-deleted records
+
+import express from 'express';
+import trashController from '../controllers/trash.controller.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/trash
+ * @desc    List deleted records, most recently deleted first
+ * @access  Private
+ * @query   type - transactions, recurring, budgets, goals, categories or accounts (default: all)
+ * @query   page, limit (max 100)
+ * @note    Records are purged permanently TRASH_RETENTION_DAYS (default 30) after deletion.
+ *          A deleted transaction keeps its attachments until then.
+ */
+router.get('/', trashController.getTrash);
+
+/**
+ * @route   POST /api/trash/:type/:id/restore
+ * @desc    Restore a deleted record. Restored transactions update account balances again;
+ *          the accounts and categories a record points to must be restored first.
+ * @access  Private
+ */
+router.post('/:type/:id/restore', trashController.restoreItem);
+
+export default router;
@@ -1,6 +1,10 @@
 // src/services/account.service.js
 
 import { supabase } from '../config/database.js';
+import auditService from './audit.service.js';
+import transactionService from './transaction.service.js';
+import { getStatusBalances, getProjectedBalance, getLedgerBalance, getLedgerStart } from '../utils/balances.js';
+import { CARD_STATEMENT_FIELDS, CARD_ONLY_MESSAGE } from '../utils/creditCards.js';
 
 class AccountService {
   async createAccount(userId, accountData) {
@@ -28,9 +32,14 @@ class AccountService {
           institution: accountData.institution,
           currency: accountData.currency,
           opening_balance: accountData.opening_balance,
+          opening_balance_date: accountData.opening_balance_date,
           current_balance: accountData.opening_balance,
           interest_rate: accountData.interest_rate,
           credit_limit: accountData.credit_limit,
+          statement_closing_day: accountData.statement_closing_day,
+          payment_due_day: accountData.payment_due_day,
+          minimum_payment_percent: accountData.minimum_payment_percent,
+          minimum_payment_floor: accountData.minimum_payment_floor,
           is_active: accountData.is_active !== undefined ? accountData.is_active : true
         })
         .select()
@@ -38,6 +47,8 @@ class AccountService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'accounts', account.id, 'create', { after: account });
+
       return account;
     } catch (error) {
       throw error;
@@ -75,7 +86,12 @@ class AccountService {
     }
   }
 
-  async getAccountById(userId, accountId) {
+  /**
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} options - { projected_until: only project scheduled transactions dated up to this day }
+   */
+  async getAccountById(userId, accountId, options = {}) {
     try {
       const { data: account, error } = await supabase
         .from('accounts')
@@ -97,8 +113,20 @@ class AccountService {
         .or(`account_id.eq.${accountId},from_account_id.eq.${accountId},to_account_id.eq.${accountId}`)
         .is('deleted_at', null);
 
+      // Working balance includes pending transactions, the cleared balance does not
+      const pendingChanges = await transactionService.getPendingBalanceChanges(userId, accountId);
+
+      // Projected balance adds the scheduled (future-dated) transactions
+      const scheduled = await transactionService.getScheduledBalanceChanges(userId, {
+        account_id: accountId,
+        until: options.projected_until
+      });
+
       return {
         ...account,
+        ...getStatusBalances(account, pendingChanges.get(accountId)),
+        projected_balance: getProjectedBalance(account, scheduled.changes.get(accountId)),
+        scheduled_count: scheduled.count,
         transaction_count: count || 0,
         balance_change: account.current_balance - account.opening_balance
       };
@@ -137,6 +165,16 @@ class AccountService {
         }
       }
 
+      // Statement cycles only apply to credit cards, and a due day needs a closing day
+      if (CARD_STATEMENT_FIELDS.some(field => updates[field] !== undefined && updates[field] !== null) &&
+          existing.type !== 'credit_card') {
+        throw new Error(CARD_ONLY_MESSAGE);
+      }
+      const statement = { ...existing, ...updates };
+      if (statement.payment_due_day && !statement.statement_closing_day) {
+        throw new Error('payment_due_day needs a statement_closing_day');
+      }
+
       // Update account
       const { data: account, error } = await supabase
         .from('accounts')
@@ -151,6 +189,27 @@ class AccountService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'accounts', accountId, 'update', { before: existing, after: account });
+
+      // A new opening balance or date changes which transactions count towards the balance
+      if (updates.opening_balance !== undefined || updates.opening_balance_date !== undefined) {
+        const { accounts: [check] } = await this.checkBalances(userId, { account_id: accountId, repair: true });
+        if (check.repaired) {
+          account.current_balance = check.ledger_balance;
+        } else {
+          // Nothing to repair, or a concurrent write changed the balance first: report what is stored
+          const { data: stored, error: readError } = await supabase
+            .from('accounts')
+            .select('current_balance')
+            .eq('id', accountId)
+            .eq('user_id', userId)
+            .single();
+
+          if (readError) throw readError;
+          account.current_balance = stored.current_balance;
+        }
+      }
+
       return account;
     } catch (error) {
       throw error;
@@ -159,6 +218,18 @@ class AccountService {
 
   async deleteAccount(userId, accountId) {
     try {
+      const { data: existing } = await supabase
+        .from('accounts')
+        .select('*')
+        .eq('id', accountId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (!existing) {
+        throw new Error('Account not found');
+      }
+
       // Check if account has transactions
       const { count } = await supabase
         .from('transactions')
@@ -180,6 +251,8 @@ class AccountService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'accounts', accountId, 'delete', { before: existing });
+
       return { message: 'Account deleted successfully' };
     } catch (error) {
       throw error;
@@ -196,12 +269,19 @@ class AccountService {
 
       if (error) throw error;
 
+      const pendingChanges = await transactionService.getPendingBalanceChanges(userId);
+      const balances = new Map(accounts.map(account => [account.id, getStatusBalances(account, pendingChanges.get(account.id))]));
+      const sumBalances = (list, field) => parseFloat(list.reduce((sum, a) => sum + balances.get(a.id)[field], 0).toFixed(2));
+
       const summary = {
         total_accounts: accounts.length,
         active_accounts: accounts.filter(a => a.is_active).length,
         total_assets: accounts.filter(a => a.current_balance > 0).reduce((sum, a) => sum + a.current_balance, 0),
         total_liabilities: Math.abs(accounts.filter(a => a.current_balance < 0).reduce((sum, a) => sum + a.current_balance, 0)),
         net_worth: accounts.reduce((sum, a) => sum + a.current_balance, 0),
+        cleared_net_worth: sumBalances(accounts, 'cleared_balance'),
+        working_net_worth: sumBalances(accounts, 'working_balance'),
+        pending_total: sumBalances(accounts, 'pending_balance'),
         by_type: {}
       };
 
@@ -210,11 +290,15 @@ class AccountService {
         if (!summary.by_type[account.type]) {
           summary.by_type[account.type] = {
             count: 0,
-            total_balance: 0
+            total_balance: 0,
+            cleared_balance: 0,
+            working_balance: 0
           };
         }
         summary.by_type[account.type].count++;
         summary.by_type[account.type].total_balance += account.current_balance;
+        summary.by_type[account.type].cleared_balance += balances.get(account.id).cleared_balance;
+        summary.by_type[account.type].working_balance += balances.get(account.id).working_balance;
       });
 
 // Group by currency
@@ -223,11 +307,15 @@ class AccountService {
         if (!by_currency[account.currency]) {
           by_currency[account.currency] = {
             count: 0,
-            total_balance: 0
+            total_balance: 0,
+            cleared_balance: 0,
+            working_balance: 0
           };
         }
         by_currency[account.currency].count++;
         by_currency[account.currency].total_balance += account.current_balance;
+        by_currency[account.currency].cleared_balance += balances.get(account.id).cleared_balance;
+        by_currency[account.currency].working_balance += balances.get(account.id).working_balance;
       });
 
       // Add by_currency to summary object
@@ -238,6 +326,131 @@ class AccountService {
       throw error;
     }
   }
+
+  /**
+   * Recompute account balances from opening_balance plus the transactions dated from each
+   * account's opening_balance_date, and report where the stored current_balance has drifted from that
+   * @param {string} userId - User ID
+   * @param {Object} options - { account_id: only this account, repair: overwrite drifted balances }
+   * @returns {Object} { checked, discrepancies, repaired, accounts: [{ account_id, name, type, currency,
+   *   stored_balance, ledger_balance, discrepancy, repaired }] }
+   */
+  async checkBalances(userId, options = {}) {
+    try {
+      let query = supabase
+        .from('accounts')
+        .select('id, name, type, currency, opening_balance, opening_balance_date, current_balance')
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+      if (options.account_id) {
+        query = query.eq('id', options.account_id);
+      }
+
+      const { data: accounts, error } = await query;
+
+      if (error) throw error;
+      if (options.account_id && accounts.length === 0) {
+        throw new Error('Account not found');
+      }
+
+      const openingDays = new Map(accounts.map(account => [account.id, getLedgerStart(account)]));
+      const ledgerChanges = await transactionService.getLedgerBalanceChanges(userId, openingDays, {
+        account_id: options.account_id
+      });
+
+      const results = [];
+      for (const account of accounts) {
+        const storedBalance = parseFloat(account.current_balance);
+        const ledgerBalance = getLedgerBalance(account, ledgerChanges.get(account.id));
+        const discrepancy = Math.round((storedBalance - ledgerBalance) * 100) / 100;
+
+        // Only overwrite the balance read above, so a transaction written meanwhile is not lost
+        let repaired = false;
+        if (options.repair && discrepancy !== 0) {
+          const { data: updated, error: updateError } = await supabase
+            .from('accounts')
+            .update({ current_balance: ledgerBalance, updated_at: new Date().toISOString() })
+            .eq('id', account.id)
+            .eq('user_id', userId)
+            .eq('current_balance', account.current_balance)
+            .select();
+
+          if (updateError) throw updateError;
+
+          if (updated.length > 0) {
+            repaired = true;
+            await auditService.record(userId, 'accounts', account.id, 'update', {
+              before: account,
+              after: updated[0],
+              metadata: { ledger_repair: { discrepancy } }
+            });
+          }
+        }
+
+        results.push({
+          account_id: account.id,
+          name: account.name,
+          type: account.type,
+          currency: account.currency,
+          stored_balance: storedBalance,
+          ledger_balance: ledgerBalance,
+          discrepancy,
+          repaired
+        });
+      }
+
+      return {
+        checked: results.length,
+        discrepancies: results.filter(result => result.discrepancy !== 0).length,
+        repaired: results.filter(result => result.repaired).length,
+        accounts: results
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check the balances of every user's accounts. Runs from the nightly cron job.
+   * @param {Object} options - { repair: overwrite drifted balances }
+   * @returns {Object} { users, checked, discrepancies, repaired, failed, drifted: [{ user_id, account_id, discrepancy, repaired }] }
+   */
+  async checkAllBalances(options = {}) {
+    try {
+      const { data: users, error } = await supabase
+        .from('users')
+        .select('id')
+        .is('deleted_at', null);
+
+      if (error) throw error;
+
+      const result = { users: users.length, checked: 0, discrepancies: 0, repaired: 0, failed: 0, drifted: [] };
+      for (const user of users) {
+        try {
+          const report = await this.checkBalances(user.id, { repair: options.repair });
+          result.checked += report.checked;
+          result.discrepancies += report.discrepancies;
+          result.repaired += report.repaired;
+          report.accounts
+            .filter(account => account.discrepancy !== 0)
+            .forEach(account => result.drifted.push({
+              user_id: user.id,
+              account_id: account.account_id,
+              discrepancy: account.discrepancy,
+              repaired: account.repaired
+            }));
+        } catch (userError) {
+          console.error(`Error checking balances of user ${user.id}:`, userError);
+          result.failed++;
+        }
+      }
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 export default new AccountService();
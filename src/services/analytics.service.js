@@ -1,4 +1,6 @@
 import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import balanceHistoryService from './balanceHistory.service.js';
 
 class AnalyticsService {
   async getDashboardData(userId, month) {
@@ -7,11 +9,12 @@ class AnalyticsService {
     endDate.setMonth(endDate.getMonth() + 1);
     const endDateStr = endDate.toISOString().split('T')[0];
 
-    // Get all transactions for the month
+    // Get all posted transactions for the month (scheduled ones count once their date comes)
     const { data: transactions, error: txError } = await supabase
       .from('transactions')
       .select('*')
       .eq('user_id', userId)
+      .eq('is_scheduled', false)
       .is('deleted_at', null)
       .gte('date', startDate)
       .lt('date', endDateStr);
@@ -23,11 +26,10 @@ class AnalyticsService {
       .filter(t => t.type === 'income')
       .reduce((sum, t) => sum + parseFloat(t.amount), 0);
 
-    const expenses = Math.abs(
-      transactions
-        .filter(t => t.type === 'expense')
-        .reduce((sum, t) => sum + parseFloat(t.amount), 0)
-    );
+    // Refunds are positive expenses, so they reduce spending rather than add to income
+    const expenses = Math.max(0, -transactions
+      .filter(t => t.type === 'expense')
+      .reduce((sum, t) => sum + parseFloat(t.amount), 0));
 
     const savings = income - expenses;
     const savingsRate = income > 0 ? ((savings / income) * 100).toFixed(2) : 0;
@@ -52,12 +54,17 @@ class AnalyticsService {
 
     if (catError) throw catError;
 
+    // Split transactions count against each of their split categories
+    const expenseLines = await transactionService.getCategoryLines(userId, {
+      type: 'expense',
+      start_date: startDate,
+      end_before: endDateStr
+    });
+
     const categorySpending = categories.map(cat => {
-      const spent = Math.abs(
-        transactions
-          .filter(t => t.category_id === cat.id && t.type === 'expense')
-          .reduce((sum, t) => sum + parseFloat(t.amount), 0)
-      );
+      const spent = Math.max(0, -expenseLines
+        .filter(line => line.category_id === cat.id)
+        .reduce((sum, line) => sum + line.amount, 0));
 
       return {
         category_id: cat.id,
@@ -167,17 +174,12 @@ class AnalyticsService {
     endDate.setMonth(endDate.getMonth() + 1);
     const endDateStr = endDate.toISOString().split('T')[0];
 
-    // Get transactions for the month
-    const { data: transactions, error: txError } = await supabase
-      .from('transactions')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('type', type)
-      .is('deleted_at', null)
-      .gte('date', startDate)
-      .lt('date', endDateStr);
-
-    if (txError) throw txError;
+    // Get category lines for the month (split transactions contribute one line per split)
+    const transactions = await transactionService.getCategoryLines(userId, {
+      type,
+      start_date: startDate,
+      end_before: endDateStr
+    });
 
     // Get categories
     const { data: categories, error: catError } = await supabase
@@ -195,6 +197,8 @@ class AnalyticsService {
     );
 
     // Group by category
+    const countTransactions = lines => new Set(lines.map(line => line.transaction_id)).size;
+
     const categoryData = categories.map(cat => {
       const categoryTransactions = transactions.filter(t => t.category_id === cat.id);
       const amount = Math.abs(
@@ -217,7 +221,7 @@ class AnalyticsService {
           name: subcat.name,
           amount: parseFloat(subAmount.toFixed(2)),
           percentage: parseFloat(subPercentage),
-          transaction_count: transactions.filter(t => t.category_id === subcat.id).length
+          transaction_count: countTransactions(transactions.filter(t => t.category_id === subcat.id))
         };
       }).filter(sc => sc.amount > 0);
 
@@ -226,7 +230,7 @@ class AnalyticsService {
         name: cat.name,
         amount: parseFloat(amount.toFixed(2)),
         percentage: parseFloat(percentage),
-        transaction_count: categoryTransactions.length,
+        transaction_count: countTransactions(categoryTransactions),
         subcategories: subcategoryData
       };
     })
@@ -241,9 +245,85 @@ class AnalyticsService {
     };
   }
 
+  /**
+   * Spending totals per tag for a month. A transaction counts fully towards each of its tags,
+   * so tag totals can overlap; percentages are of all spending of that type in the month.
+   */
+  async getSpendingByTag(userId, month, type = 'expense') {
+    const startDate = `${month}-01`;
+    const endDate = new Date(month + '-01');
+    endDate.setMonth(endDate.getMonth() + 1);
+    const endDateStr = endDate.toISOString().split('T')[0];
+
+    const { data: transactions, error } = await supabase
+      .from('transactions')
+      .select('id, amount, tags(id, name)')
+      .eq('user_id', userId)
+      .eq('type', type)
+      .eq('is_scheduled', false)
+      .gte('date', startDate)
+      .lt('date', endDateStr)
+      .is('deleted_at', null);
+
+    if (error) throw error;
+
+    const totalAmount = Math.abs(
+      transactions.reduce((sum, t) => sum + parseFloat(t.amount), 0)
+    );
+
+    // Group by tag
+    const tagTotals = new Map();
+    transactions.forEach(t => {
+      (t.tags || []).forEach(tag => {
+        const entry = tagTotals.get(tag.id) || { id: tag.id, name: tag.name, amount: 0, transaction_count: 0 };
+        entry.amount += parseFloat(t.amount);
+        entry.transaction_count++;
+        tagTotals.set(tag.id, entry);
+      });
+    });
+
+    const tagData = [...tagTotals.values()]
+      .map(entry => {
+        const amount = Math.abs(entry.amount);
+        const percentage = totalAmount > 0 ? ((amount / totalAmount) * 100).toFixed(2) : 0;
+        return {
+          ...entry,
+          amount: parseFloat(amount.toFixed(2)),
+          percentage: parseFloat(percentage)
+        };
+      })
+      .sort((a, b) => b.amount - a.amount);
+
+    const untaggedAmount = Math.abs(
+      transactions
+        .filter(t => !t.tags || t.tags.length === 0)
+        .reduce((sum, t) => sum + parseFloat(t.amount), 0)
+    );
+
+    return {
+      month,
+      type,
+      total_amount: parseFloat(totalAmount.toFixed(2)),
+      untagged_amount: parseFloat(untaggedAmount.toFixed(2)),
+      tags: tagData
+    };
+  }
+
   async getMonthlyTrends(userId, months = 6) {
     const trends = [];
     const currentDate = new Date();
+    const today = currentDate.toISOString().split('T')[0];
+
+    // Net worth at the end of each month (today for the current month)
+    const monthEnds = [];
+    for (let i = months - 1; i >= 0; i--) {
+      const date = new Date(currentDate);
+      date.setMonth(date.getMonth() - i);
+      const [year, month] = date.toISOString().slice(0, 7).split('-').map(Number);
+      const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+      monthEnds.push(monthEnd < today ? monthEnd : today);
+    }
+    const monthEndBalances = await balanceHistoryService.getBalancesOn(userId, monthEnds);
 
     for (let i = months - 1; i >= 0; i--) {
       const date = new Date(currentDate);
@@ -260,6 +340,7 @@ class AnalyticsService {
         .from('transactions')
         .select('*')
         .eq('user_id', userId)
+        .eq('is_scheduled', false)
         .is('deleted_at', null)
         .gte('date', startDate)
         .lt('date', endDateStr);
@@ -270,25 +351,14 @@ class AnalyticsService {
         .filter(t => t.type === 'income')
         .reduce((sum, t) => sum + parseFloat(t.amount), 0);
 
-      const expenses = Math.abs(
-        transactions
-          .filter(t => t.type === 'expense')
-          .reduce((sum, t) => sum + parseFloat(t.amount), 0)
-      );
+      const expenses = Math.max(0, -transactions
+        .filter(t => t.type === 'expense')
+        .reduce((sum, t) => sum + parseFloat(t.amount), 0));
 
       const savings = income - expenses;
       const savingsRate = income > 0 ? ((savings / income) * 100).toFixed(2) : 0;
 
-      // Get net worth at end of month
-      const { data: accounts, error: accError } = await supabase
-        .from('accounts')
-        .select('current_balance')
-        .eq('user_id', userId)
-        .is('deleted_at', null);
-
-      if (accError) throw accError;
-
-      const netWorth = accounts.reduce((sum, acc) => sum + parseFloat(acc.current_balance), 0);
+      const netWorth = monthEndBalances[months - 1 - i].reduce((sum, acc) => sum + acc.balance, 0);
 
       trends.push({
         month,
@@ -322,33 +392,31 @@ class AnalyticsService {
         break;
     }
 
-    // Get current accounts
-    const { data: accounts, error: accError } = await supabase
-      .from('accounts')
-      .select('*')
-      .eq('user_id', userId)
-      .is('deleted_at', null);
-
-    if (accError) throw accError;
-
+    const dates = [];
     for (let i = limit - 1; i >= 0; i--) {
       const date = new Date(currentDate);
       date.setDate(date.getDate() - (i * intervalDays));
-      const dateStr = date.toISOString().split('T')[0];
+      dates.push(date.toISOString().split('T')[0]);
+    }
+
+    // Day-end balances of the accounts open on each day
+    const balancesOn = await balanceHistoryService.getBalancesOn(userId, dates);
+
+    for (let i = 0; i < dates.length; i++) {
+      const dateStr = dates[i];
+      const accounts = balancesOn[i];
 
-      // Calculate net worth (in a real app, you'd track historical balances)
-      // For now, we'll use current balance as an approximation
-      const netWorth = accounts.reduce((sum, acc) => sum + parseFloat(acc.current_balance), 0);
+      const netWorth = accounts.reduce((sum, acc) => sum + acc.balance, 0);
 
       // Calculate assets and liabilities
       const assets = accounts
-        .filter(acc => parseFloat(acc.current_balance) > 0)
-        .reduce((sum, acc) => sum + parseFloat(acc.current_balance), 0);
+        .filter(acc => acc.balance > 0)
+        .reduce((sum, acc) => sum + acc.balance, 0);
 
       const liabilities = Math.abs(
         accounts
-          .filter(acc => parseFloat(acc.current_balance) < 0)
-          .reduce((sum, acc) => sum + parseFloat(acc.current_balance), 0)
+          .filter(acc => acc.balance < 0)
+          .reduce((sum, acc) => sum + acc.balance, 0)
       );
 
       history.push({
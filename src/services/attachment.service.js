@@ -0,0 +1,237 @@
+// attachment.service.js - Transaction Attachments Service for Lumina Finance Backend
+// Handles uploading, listing, downloading and deleting receipts and documents on transactions
+
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from '../config/database.js';
+import { getAttachmentStorage, getAttachmentStorageName } from './attachmentStorage.js';
+import { ALLOWED_ATTACHMENT_TYPES, detectContentType, sanitizeFilename } from '../utils/attachments.js';
+
+const MAX_ATTACHMENTS_PER_TRANSACTION = parseInt(process.env.ATTACHMENT_MAX_PER_TRANSACTION) || 20;
+
+// Attachment columns returned to clients (storage details stay internal)
+const ATTACHMENT_FIELDS = 'id, transaction_id, filename, content_type, size_bytes, created_at';
+
+class AttachmentService {
+  /**
+   * Check that the transaction exists and belongs to the user
+   * @private
+   */
+  async checkTransaction(userId, transactionId) {
+    const { data: transaction } = await supabase
+      .from('transactions')
+      .select('id')
+      .eq('id', transactionId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+  }
+
+  /**
+   * Store a file and attach it to a transaction
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} file - { buffer, filename, content_type }
+   */
+  async uploadAttachment(userId, transactionId, file) {
+    try {
+      await this.checkTransaction(userId, transactionId);
+
+      const contentType = String(file.content_type || '').split(';')[0].trim().toLowerCase();
+      if (!ALLOWED_ATTACHMENT_TYPES.includes(contentType)) {
+        throw new Error(`Unsupported file type: ${contentType || 'unknown'}. Allowed: ${ALLOWED_ATTACHMENT_TYPES.join(', ')}`);
+      }
+      if (!Buffer.isBuffer(file.buffer) || file.buffer.length === 0) {
+        throw new Error('Attachment file is empty');
+      }
+      if (detectContentType(file.buffer) !== contentType) {
+        throw new Error('File contents do not match the content type');
+      }
+
+      const { count, error: countError } = await supabase
+        .from('transaction_attachments')
+        .select('id', { count: 'exact', head: true })
+        .eq('transaction_id', transactionId)
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+      if (countError) throw countError;
+      if (count >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+        throw new Error(`A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments`);
+      }
+
+      // The storage key never contains user input
+      const attachmentId = uuidv4();
+      const storageKey = `${userId}/${transactionId}/${attachmentId}`;
+      const storageName = getAttachmentStorageName();
+      const storage = getAttachmentStorage(storageName);
+
+      await storage.save(storageKey, file.buffer, contentType);
+
+      const { data: attachment, error } = await supabase
+        .from('transaction_attachments')
+        .insert({
+          id: attachmentId,
+          user_id: userId,
+          transaction_id: transactionId,
+          filename: sanitizeFilename(file.filename),
+          content_type: contentType,
+          size_bytes: file.buffer.length,
+          storage_backend: storageName,
+          storage_key: storageKey
+        })
+        .select(ATTACHMENT_FIELDS)
+        .single();
+
+      if (error) {
+        await storage.remove(storageKey).catch(() => {});
+        throw error;
+      }
+
+      return attachment;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List a transaction's attachments
+   */
+  async getAttachments(userId, transactionId) {
+    try {
+      await this.checkTransaction(userId, transactionId);
+
+      const { data: attachments, error } = await supabase
+        .from('transaction_attachments')
+        .select(ATTACHMENT_FIELDS)
+        .eq('transaction_id', transactionId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return attachments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get an attachment row, including where its file is stored
+   * @private
+   */
+  async getAttachment(userId, transactionId, attachmentId) {
+    const { data: attachment } = await supabase
+      .from('transaction_attachments')
+      .select('*')
+      .eq('id', attachmentId)
+      .eq('transaction_id', transactionId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Open an attachment for download
+   * @returns {Object} { attachment, stream }
+   */
+  async getAttachmentFile(userId, transactionId, attachmentId) {
+    try {
+      await this.checkTransaction(userId, transactionId);
+      const attachment = await this.getAttachment(userId, transactionId, attachmentId);
+      const stream = await getAttachmentStorage(attachment.storage_backend).read(attachment.storage_key);
+
+      return { attachment, stream };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an attachment and its file
+   */
+  async deleteAttachment(userId, transactionId, attachmentId) {
+    try {
+      await this.checkTransaction(userId, transactionId);
+      const attachment = await this.getAttachment(userId, transactionId, attachmentId);
+
+      await this.removeAttachments(userId, [attachment]);
+
+      return { message: 'Attachment deleted successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Storage details of the attachments of transactions about to be purged from the trash.
+   * Attachments stay while their transaction is in the trash so restoring it brings them back;
+   * the rows go with the purged transactions, so their files are looked up first.
+   * @param {Array<string>} transactionIds - Transaction IDs
+   * @returns {Array} Attachments of { id, transaction_id, storage_backend, storage_key }
+   */
+  async getTransactionFiles(transactionIds) {
+    const { data: attachments, error } = await supabase
+      .from('transaction_attachments')
+      .select('id, transaction_id, storage_backend, storage_key')
+      .in('transaction_id', transactionIds)
+      .is('deleted_at', null);
+
+    if (error) throw error;
+
+    return attachments;
+  }
+
+  /**
+   * Remove the stored files of attachments whose rows are already gone.
+   * A file that cannot be removed is logged and left behind instead of failing the purge.
+   * @param {Array} attachments - From getTransactionFiles
+   * @returns {number} Files removed
+   */
+  async removeFiles(attachments) {
+    let removed = 0;
+    for (const attachment of attachments) {
+      try {
+        await getAttachmentStorage(attachment.storage_backend).remove(attachment.storage_key);
+        removed++;
+      } catch (error) {
+        console.error(`Error removing file of purged attachment ${attachment.id}:`, error);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove stored files, then mark their rows deleted
+   * @private
+   */
+  async removeAttachments(userId, attachments) {
+    if (attachments.length === 0) {
+      return;
+    }
+
+    for (const attachment of attachments) {
+      await getAttachmentStorage(attachment.storage_backend).remove(attachment.storage_key);
+    }
+
+    const { error } = await supabase
+      .from('transaction_attachments')
+      .update({ deleted_at: new Date().toISOString() })
+      .in('id', attachments.map(attachment => attachment.id))
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+}
+
+export default new AttachmentService();
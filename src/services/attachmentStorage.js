@@ -0,0 +1,104 @@
+// attachmentStorage.js - Attachment Storage Backends for Lumina Finance Backend
+// Stores attachment files on the local filesystem (default) or in Supabase Storage.
+// Each backend implements save(key, buffer, contentType), read(key) and remove(key).
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { supabase } from '../config/database.js';
+
+class LocalFileStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a storage key inside the storage root
+   * @private
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid attachment storage key');
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      throw new Error('Attachment file not found');
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+class SupabaseFileStorage {
+  constructor(bucket) {
+    this.bucket = bucket;
+  }
+
+  async save(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) throw error;
+  }
+
+  async read(key) {
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error || !data) {
+      throw new Error('Attachment file not found');
+    }
+    return Readable.from(Buffer.from(await data.arrayBuffer()));
+  }
+
+  async remove(key) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .remove([key]);
+
+    if (error) throw error;
+  }
+}
+
+const backends = {};
+
+/**
+ * Get a storage backend by name. Attachments remember the backend they were written to,
+ * so files stay readable after ATTACHMENT_STORAGE changes.
+ * @param {string} name - 'local' or 'supabase' (default: ATTACHMENT_STORAGE, then 'local')
+ */
+export const getAttachmentStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!backends[name]) {
+    switch (name) {
+      case 'local':
+        backends[name] = new LocalFileStorage(process.env.ATTACHMENT_STORAGE_PATH || 'uploads/attachments');
+        break;
+      case 'supabase':
+        backends[name] = new SupabaseFileStorage(process.env.ATTACHMENT_STORAGE_BUCKET || 'attachments');
+        break;
+      default:
+        throw new Error(`Unknown attachment storage backend: ${name}`);
+    }
+  }
+  return backends[name];
+};
+
+export const getAttachmentStorageName = () => process.env.ATTACHMENT_STORAGE || 'local';
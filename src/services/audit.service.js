@@ -0,0 +1,146 @@
+// audit.service.js - Audit Log Service for Lumina Finance Backend
+// Records an append-only history of changes to financial records and reads it back
+
+import { supabase } from '../config/database.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+import { AUDIT_RESOURCES, AUDIT_ACTIONS, toAuditSnapshot, getChangedFields } from '../utils/audit.js';
+
+class AuditService {
+  /**
+   * Who makes the change being audited, and in which API request
+   * @returns {Object} { actor_id, actor_type, request_id }
+   */
+  getActor() {
+    const { requestId, actorId } = getRequestContext();
+    return { actor_id: actorId, actor_type: actorId ? 'user' : 'system', request_id: requestId };
+  }
+
+  /**
+   * Append an audit log entry for a change that has already been saved. A failure is thrown
+   * so a missing entry never goes unnoticed. Transactions written through
+   * write_transaction_with_balances get their entries from that function instead.
+   * @param {string} userId - Owner of the record
+   * @param {string} resource - Key of AUDIT_RESOURCES
+   * @param {string} resourceId - Record ID
+   * @param {string} action - create, update, delete or restore
+   * @param {Object} change - { before, after, metadata }
+   */
+  async record(userId, resource, resourceId, action, { before = null, after = null, metadata = null } = {}) {
+    try {
+      const beforeSnapshot = toAuditSnapshot(resource, before);
+      const afterSnapshot = toAuditSnapshot(resource, after);
+
+      const { error } = await supabase
+        .from('audit_log')
+        .insert({
+          user_id: userId,
+          ...this.getActor(),
+          resource_type: resource,
+          resource_id: resourceId,
+          action,
+          before: beforeSnapshot,
+          after: afterSnapshot,
+          changed_fields: action === 'update' || action === 'restore'
+            ? getChangedFields(beforeSnapshot, afterSnapshot)
+            : null,
+          metadata
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the history of one record, newest first
+   * @param {string} userId - User ID
+   * @param {string} resource - Key of AUDIT_RESOURCES
+   * @param {string} resourceId - Record ID
+   * @param {Object} pagination - { page, limit }
+   */
+  async getHistory(userId, resource, resourceId, pagination = {}) {
+    try {
+      return await this.getEntries(userId, { resource, resource_id: resourceId }, pagination);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's activity feed across all records, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { resource, action, start_date, end_date }
+   * @param {Object} pagination - { page, limit }
+   */
+  async getActivity(userId, filters = {}, pagination = {}) {
+    try {
+      if (filters.resource && !AUDIT_RESOURCES[filters.resource]) {
+        throw new Error(`Invalid resource: ${filters.resource}. Use one of ${Object.keys(AUDIT_RESOURCES).join(', ')}`);
+      }
+      if (filters.action && !AUDIT_ACTIONS.includes(filters.action)) {
+        throw new Error(`Invalid action: ${filters.action}. Use one of ${AUDIT_ACTIONS.join(', ')}`);
+      }
+      ['start_date', 'end_date'].forEach(field => {
+        if (filters[field] && isNaN(Date.parse(filters[field]))) {
+          throw new Error(`Invalid ${field}: ${filters[field]}`);
+        }
+      });
+
+      return await this.getEntries(userId, filters, pagination);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Query audit log entries
+   * @private
+   */
+  async getEntries(userId, filters, pagination) {
+    const page = pagination.page || 1;
+    const limit = pagination.limit || 20;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (filters.resource) {
+      query = query.eq('resource_type', filters.resource);
+    }
+    if (filters.resource_id) {
+      query = query.eq('resource_id', filters.resource_id);
+    }
+    if (filters.action) {
+      query = query.eq('action', filters.action);
+    }
+    if (filters.start_date) {
+      query = query.gte('created_at', filters.start_date);
+    }
+    if (filters.end_date) {
+      // Include the whole end day
+      query = query.lt('created_at', new Date(new Date(filters.end_date).getTime() + 24 * 60 * 60 * 1000).toISOString());
+    }
+
+    const { data: entries, error, count } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        total_pages: Math.ceil(count / limit)
+      }
+    };
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,159 @@
+// balanceHistory.service.js - Account Balance History Service for Lumina Finance Backend
+// Reads day-end account balances from account_balance_history (kept up to date by a
+// database trigger on transactions) for balance charts, net worth history and trends
+
+import { supabase } from '../config/database.js';
+import { getLedgerStart } from '../utils/balances.js';
+import { getSeriesDates, fillBalanceSeries } from '../utils/balanceHistory.js';
+
+// History rows read per query (PostgREST caps how many rows a query returns)
+const HISTORY_BATCH_SIZE = 1000;
+
+class BalanceHistoryService {
+  /**
+   * History rows of one account needed for a series from the first to the last day:
+   * the last row before the first day, then every row up to the last day, page by page
+   * @private
+   */
+  async getRows(userId, accountId, firstDay, lastDay) {
+    const { data: before, error: beforeError } = await supabase
+      .from('account_balance_history')
+      .select('date, balance')
+      .eq('account_id', accountId)
+      .eq('user_id', userId)
+      .lt('date', firstDay)
+      .order('date', { ascending: false })
+      .limit(1);
+
+    if (beforeError) throw beforeError;
+
+    const rows = [...before];
+    let lastDate = null;
+    while (true) {
+      let query = supabase
+        .from('account_balance_history')
+        .select('date, balance')
+        .eq('account_id', accountId)
+        .eq('user_id', userId)
+        .lte('date', lastDay)
+        .order('date', { ascending: true })
+        .limit(HISTORY_BATCH_SIZE);
+
+      // An account has one row per day, so each page continues after the last day read
+      query = lastDate ? query.gt('date', lastDate) : query.gte('date', firstDay);
+
+      const { data: batch, error } = await query;
+
+      if (error) throw error;
+
+      rows.push(...batch);
+      if (batch.length < HISTORY_BATCH_SIZE) {
+        return rows;
+      }
+      lastDate = batch[batch.length - 1].date;
+    }
+  }
+
+  /**
+   * An account's balance on each of the given days
+   * @private
+   * @returns {Array<number|null>} Balance per day; null before the account's opening balance date
+   */
+  async getSeries(userId, account, dates) {
+    const rows = await this.getRows(userId, account.id, dates[0], dates[dates.length - 1]);
+    return fillBalanceSeries(rows, dates, {
+      opening_balance: account.opening_balance,
+      ledger_start: getLedgerStart(account)
+    });
+  }
+
+  /**
+   * Balance series of one account
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} range - { from, to (default: today), interval: daily, weekly or monthly (default: daily) }
+   * @returns {Object} { account_id, currency, interval, from, to, data: [{ date, balance }] }
+   */
+  async getBalanceHistory(userId, accountId, range = {}) {
+    try {
+      const { data: account } = await supabase
+        .from('accounts')
+        .select('id, currency, opening_balance, opening_balance_date')
+        .eq('id', accountId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      const interval = range.interval || 'daily';
+      const dates = getSeriesDates({ from: range.from, to: range.to, interval });
+      const balances = await this.getSeries(userId, account, dates);
+
+      return {
+        account_id: account.id,
+        currency: account.currency,
+        interval,
+        from: dates[0],
+        to: dates[dates.length - 1],
+        data: dates.map((date, index) => ({ date, balance: balances[index] }))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Balances of one account on the given days
+   * @param {string} userId - User ID
+   * @param {Object} account - { id, opening_balance, opening_balance_date }
+   * @param {Array<string>} dates - Days (YYYY-MM-DD), oldest first
+   * @returns {Array<number|null>} Balance per day; null before the account's opening balance date
+   */
+  async getAccountBalancesOn(userId, account, dates) {
+    try {
+      return await this.getSeries(userId, account, dates);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Balances of all of a user's accounts on the given days
+   * @param {string} userId - User ID
+   * @param {Array<string>} dates - Days (YYYY-MM-DD), oldest first
+   * @returns {Array<Array>} Per day, the balances of the accounts open by then
+   *   ({ account_id, type, currency, balance })
+   */
+  async getBalancesOn(userId, dates) {
+    try {
+      const { data: accounts, error } = await supabase
+        .from('accounts')
+        .select('id, type, currency, opening_balance, opening_balance_date')
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+      if (error) throw error;
+
+      const series = [];
+      for (const account of accounts) {
+        series.push(await this.getSeries(userId, account, dates));
+      }
+
+      return dates.map((date, dateIndex) => accounts
+        .map((account, accountIndex) => ({
+          account_id: account.id,
+          type: account.type,
+          currency: account.currency,
+          balance: series[accountIndex][dateIndex]
+        }))
+        .filter(account => account.balance !== null));
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new BalanceHistoryService();
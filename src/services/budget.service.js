@@ -1,6 +1,8 @@
 // src/services/budget.service.js
 
 import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import auditService from './audit.service.js';
 
 class BudgetService {
   /**
@@ -54,6 +56,8 @@ class BudgetService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'budgets', budget.id, 'create', { after: budget });
+
       // Get spending for this budget
       const budgetWithSpending = await this.calculateBudgetSpending(userId, budget);
 
@@ -150,7 +154,7 @@ class BudgetService {
       // Check if budget exists
       const { data: existing } = await supabase
         .from('budgets')
-        .select('id, category_id, month')
+        .select('*')
         .eq('id', budgetId)
         .eq('user_id', userId)
         .is('deleted_at', null)
@@ -235,6 +239,8 @@ class BudgetService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'budgets', budgetId, 'update', { before: existing, after: budget });
+
       // Calculate spending
       const budgetWithSpending = await this.calculateBudgetSpending(userId, budget);
 
@@ -252,7 +258,7 @@ class BudgetService {
       // Check if budget exists
       const { data: existing } = await supabase
         .from('budgets')
-        .select('id')
+        .select('*')
         .eq('id', budgetId)
         .eq('user_id', userId)
         .is('deleted_at', null)
@@ -271,6 +277,8 @@ class BudgetService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'budgets', budgetId, 'delete', { before: existing });
+
       return { message: 'Budget deleted successfully' };
     } catch (error) {
       throw error;
@@ -282,23 +290,16 @@ class BudgetService {
    */
   async calculateBudgetSpending(userId, budget) {
     try {
-      // Get all expense transactions for this category in this month
-      const { data: transactions, error } = await supabase
-        .from('transactions')
-        .select('amount')
-        .eq('user_id', userId)
-        .eq('category_id', budget.category_id)
-        .eq('type', 'expense')
-        .gte('date', `${budget.month}-01`)
-        .lt('date', this.getNextMonth(budget.month))
-        .is('deleted_at', null);
-
-      if (error) throw error;
-
-      // Calculate total spent (transactions are negative for expenses)
-      const spent = Math.abs(
-        transactions.reduce((sum, t) => sum + parseFloat(t.amount), 0)
-      );
+      // Get all expense lines (whole transactions and split lines) for this category in this month
+      const lines = await transactionService.getCategoryLines(userId, {
+        category_ids: [budget.category_id],
+        type: 'expense',
+        start_date: `${budget.month}-01`,
+        end_before: this.getNextMonth(budget.month)
+      });
+
+      // Calculate total spent (transactions are negative for expenses, refunds positive)
+      const spent = Math.max(0, -lines.reduce((sum, line) => sum + line.amount, 0));
 
       // Calculate metrics
       const remaining = budget.budgeted - spent;
@@ -0,0 +1,181 @@
+// bulkEdit.service.js - Bulk Transaction Edit Service for Lumina Finance Backend
+// Applies one patch to, or deletes, many transactions picked by id or by filter
+
+import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import { MAX_BULK_ITEMS } from '../utils/validators.js';
+import { applyTagPatch } from '../utils/tags.js';
+
+// Ids looked up per query
+const ID_BATCH_SIZE = 200;
+
+class BulkEditService {
+  /**
+   * Load the transactions a bulk action applies to
+   * @private
+   * @param {string} userId - User ID
+   * @param {Object} selection - { ids } or { filter } (same filters as the transaction list)
+   * @returns {Object} { transactions, missing_ids }
+   */
+  async selectTransactions(userId, { ids, filter }) {
+    if (ids) {
+      const transactions = [];
+      for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+        const { data, error } = await supabase
+          .from('transactions')
+          .select('*, splits:transaction_splits(id), tags(id, name)')
+          .in('id', ids.slice(i, i + ID_BATCH_SIZE))
+          .eq('user_id', userId)
+          .is('deleted_at', null);
+
+        if (error) throw error;
+        transactions.push(...data);
+      }
+
+      // Keep the order the ids were given in
+      const byId = new Map(transactions.map(transaction => [transaction.id, transaction]));
+      return {
+        transactions: ids.filter(id => byId.has(id)).map(id => byId.get(id)),
+        missing_ids: ids.filter(id => !byId.has(id))
+      };
+    }
+
+    const transactions = [];
+    for await (const batch of transactionService.streamTransactions(userId, filter, MAX_BULK_ITEMS + 1)) {
+      transactions.push(...batch);
+      if (transactions.length > MAX_BULK_ITEMS) {
+        throw new Error(`Filter matches more than ${MAX_BULK_ITEMS} transactions; narrow it down`);
+      }
+    }
+
+    return { transactions, missing_ids: [] };
+  }
+
+  /**
+   * Work out the updates a patch makes to one transaction
+   * @private
+   * @returns {Object} Changed fields only (empty if the patch changes nothing)
+   */
+  getUpdates(transaction, patch) {
+    const updates = {};
+
+    ['category_id', 'payee', 'memo', 'is_reconciled', 'status'].forEach(field => {
+      if (patch[field] !== undefined && patch[field] !== transaction[field]) {
+        updates[field] = patch[field];
+      }
+    });
+
+    const tags = applyTagPatch(transaction.tags, patch);
+    if (tags) {
+      updates.tags = tags;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Apply a patch to many transactions
+   * @param {string} userId - User ID
+   * @param {Object} request - { ids or filter, patch: { category_id, payee, memo, tags, add_tags, remove_tags, is_reconciled, status }, dry_run }
+   * @returns {Object} { dry_run, matched, updated, unchanged, failed, results: [{ id, status, changes, error }] }
+   */
+  async bulkUpdate(userId, { ids, filter, patch, dry_run: dryRun = false }) {
+    try {
+      if (patch.category_id) {
+        const { data: category } = await supabase
+          .from('categories')
+          .select('id')
+          .eq('id', patch.category_id)
+          .eq('user_id', userId)
+          .is('deleted_at', null)
+          .single();
+
+        if (!category) {
+          throw new Error('Category not found');
+        }
+      }
+
+      const { transactions, missing_ids: missingIds } = await this.selectTransactions(userId, { ids, filter });
+      const summary = { dry_run: dryRun, matched: transactions.length, updated: 0, unchanged: 0, failed: 0 };
+      const results = missingIds.map(id => ({ id, status: 'failed', error: 'Transaction not found' }));
+      summary.failed = missingIds.length;
+
+      for (const transaction of transactions) {
+        const updates = this.getUpdates(transaction, patch);
+
+        if (updates.category_id && transaction.type === 'transfer') {
+          summary.failed++;
+          results.push({ id: transaction.id, status: 'failed', error: 'Transfers cannot have a category' });
+          continue;
+        }
+        // A single category would replace the split lines
+        if (updates.category_id && transaction.splits && transaction.splits.length > 0) {
+          summary.failed++;
+          results.push({ id: transaction.id, status: 'failed', error: 'Split transactions cannot take a single category' });
+          continue;
+        }
+        if (Object.keys(updates).length === 0) {
+          summary.unchanged++;
+          results.push({ id: transaction.id, status: 'unchanged' });
+          continue;
+        }
+        if (dryRun) {
+          summary.updated++;
+          results.push({ id: transaction.id, status: 'would_update', changes: updates });
+          continue;
+        }
+
+        try {
+          // Goes through updateTransaction so balances, fingerprints and the audit log stay right
+          await transactionService.updateTransaction(userId, transaction.id, updates);
+          summary.updated++;
+          results.push({ id: transaction.id, status: 'updated', changes: updates });
+        } catch (error) {
+          summary.failed++;
+          results.push({ id: transaction.id, status: 'failed', error: error.message });
+        }
+      }
+
+      return { ...summary, results };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete many transactions, reverting their balance changes
+   * @param {string} userId - User ID
+   * @param {Object} request - { ids or filter, dry_run }
+   * @returns {Object} { dry_run, matched, deleted, failed, results: [{ id, status, error }] }
+   */
+  async bulkDelete(userId, { ids, filter, dry_run: dryRun = false }) {
+    try {
+      const { transactions, missing_ids: missingIds } = await this.selectTransactions(userId, { ids, filter });
+      const summary = { dry_run: dryRun, matched: transactions.length, deleted: 0, failed: missingIds.length };
+      const results = missingIds.map(id => ({ id, status: 'failed', error: 'Transaction not found' }));
+
+      for (const transaction of transactions) {
+        if (dryRun) {
+          summary.deleted++;
+          results.push({ id: transaction.id, status: 'would_delete' });
+          continue;
+        }
+
+        try {
+          await transactionService.deleteTransaction(userId, transaction.id);
+          summary.deleted++;
+          results.push({ id: transaction.id, status: 'deleted' });
+        } catch (error) {
+          summary.failed++;
+          results.push({ id: transaction.id, status: 'failed', error: error.message });
+        }
+      }
+
+      return { ...summary, results };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new BulkEditService();
@@ -1,6 +1,8 @@
 // src/services/category.service.js
 
 import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import auditService from './audit.service.js';
 
 class CategoryService {
   async createCategory(userId, categoryData) {
@@ -39,6 +41,8 @@ class CategoryService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'categories', category.id, 'create', { after: category });
+
       return category;
     } catch (error) {
       throw error;
@@ -202,6 +206,8 @@ class CategoryService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'categories', categoryId, 'update', { before: existing, after: category });
+
       return category;
     } catch (error) {
       throw error;
@@ -210,6 +216,18 @@ class CategoryService {
 
   async deleteCategory(userId, categoryId) {
     try {
+      const { data: existing } = await supabase
+        .from('categories')
+        .select('*')
+        .eq('id', categoryId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (!existing) {
+        throw new Error('Category not found');
+      }
+
       // Check if category has subcategories
       const { data: subcategories } = await supabase
         .from('categories')
@@ -238,6 +256,18 @@ if (subcategories && subcategories.length > 0) {
         throw new Error(`Cannot delete category with ${count} associated transactions`);
       }
 
+      // Split lines also reference categories
+      const { count: splitCount } = await supabase
+        .from('transaction_splits')
+        .select('id, transactions!inner(deleted_at)', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('category_id', categoryId)
+        .is('transactions.deleted_at', null);
+
+      if (splitCount > 0) {
+        throw new Error(`Cannot delete category with ${splitCount} associated split lines`);
+      }
+
       // Soft delete
       const { error } = await supabase
         .from('categories')
@@ -247,6 +277,8 @@ if (subcategories && subcategories.length > 0) {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'categories', categoryId, 'delete', { before: existing });
+
       return { message: 'Category deleted successfully' };
     } catch (error) {
       throw error;
@@ -267,33 +299,28 @@ if (subcategories && subcategories.length > 0) {
         throw new Error('Category not found');
       }
 
-      // Get transactions for this category
-      const { data: transactions, error } = await supabase
-        .from('transactions')
-        .select('amount, date')
-        .eq('user_id', userId)
-        .eq('category_id', categoryId)
-        .is('deleted_at', null)
-        .order('date', { ascending: false });
-
-      if (error) throw error;
+      // Get transactions and split lines for this category
+      const lines = await transactionService.getCategoryLines(userId, {
+        category_ids: [categoryId]
+      });
+      lines.sort((a, b) => b.date.localeCompare(a.date));
 
-      const totalSpent = Math.abs(transactions.reduce((sum, t) => sum + parseFloat(t.amount), 0));
+      const totalSpent = Math.abs(lines.reduce((sum, line) => sum + line.amount, 0));
 
       // Group by month
       const byMonth = {};
-      transactions.forEach(t => {
-        const month = t.date.substring(0, 7);
+      lines.forEach(line => {
+        const month = line.date.substring(0, 7);
         if (!byMonth[month]) {
           byMonth[month] = 0;
         }
-        byMonth[month] += Math.abs(parseFloat(t.amount));
+        byMonth[month] += Math.abs(line.amount);
       });
 
       return {
         category,
         total_spent: totalSpent,
-        transaction_count: transactions.length,
+        transaction_count: new Set(lines.map(line => line.transaction_id)).size,
         by_month: byMonth
       };
     } catch (error) {
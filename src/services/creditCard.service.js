@@ -0,0 +1,111 @@
+// creditCard.service.js - Credit Card Statement Service for Lumina Finance Backend
+// Builds a card's statements from its statement cycle, day-end balances and transactions
+
+import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import balanceHistoryService from './balanceHistory.service.js';
+import { getLedgerStart } from '../utils/balances.js';
+import {
+  getStatementPeriods,
+  summarizeCardActivity,
+  getCreditUsage,
+  buildStatement,
+  getPaymentStatus,
+  DEFAULT_STATEMENT_COUNT,
+  MAX_STATEMENT_COUNT
+} from '../utils/creditCards.js';
+
+const toDay = (date) => date.toISOString().split('T')[0];
+
+class CreditCardService {
+  /**
+   * Statement summary of a credit card: the latest statement's balance, minimum payment and
+   * due date, the credit in use, the current (not yet closed) period and past statements
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} options - { count: past statements to return (default 6, at most 24) }
+   * @returns {Object} { account_id, currency, credit_limit, current_balance, available_credit,
+   *   utilization, statement_closing_day, payment_due_day, statement_balance, minimum_payment,
+   *   payment_due_date, days_until_due, remaining_statement_balance, remaining_minimum_payment,
+   *   payment_due_soon, is_overdue, current_period, statements }
+   */
+  async getStatements(userId, accountId, options = {}) {
+    try {
+      const count = options.count === undefined ? DEFAULT_STATEMENT_COUNT : Number(options.count);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_STATEMENT_COUNT) {
+        throw new Error(`Invalid count: ${options.count}. Use a whole number from 1 to ${MAX_STATEMENT_COUNT}`);
+      }
+
+      const { data: account } = await supabase
+        .from('accounts')
+        .select('*')
+        .eq('id', accountId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (!account) {
+        throw new Error('Account not found');
+      }
+      if (account.type !== 'credit_card') {
+        throw new Error('Statements are only available for credit card accounts');
+      }
+      if (!account.statement_closing_day) {
+        throw new Error('Set the statement_closing_day of the card to track its statements');
+      }
+
+      const today = toDay(new Date());
+      const ledgerStart = getLedgerStart(account);
+
+      // One statement more than listed, for the balance the oldest listed one starts from
+      const periods = getStatementPeriods(account, { today, count: count + 1 });
+      const closingDates = periods.statements.map(period => period.closing_date).reverse();
+      const balances = await balanceHistoryService.getAccountBalancesOn(userId, account, closingDates);
+      const balanceOn = new Map(closingDates.map((date, index) => [date, balances[index]]));
+
+      // Statements that closed before the card's opening balance date have no balance to show
+      const listed = periods.statements
+        .slice(0, count)
+        .filter(period => period.closing_date >= ledgerStart);
+
+      const firstDay = listed.length > 0 ? listed[listed.length - 1].period_start : periods.current.period_start;
+      const filters = {
+        account_id: accountId,
+        start_date: firstDay > ledgerStart ? firstDay : ledgerStart,
+        scheduled: false
+      };
+      const transactions = [];
+      for await (const batch of transactionService.streamTransactions(userId, filters)) {
+        transactions.push(...batch);
+      }
+
+      const statements = listed.map((period, index) => {
+        const previousBalance = balanceOn.get(periods.statements[index + 1].closing_date);
+        return buildStatement(account, period, {
+          previous_balance: previousBalance === null ? parseFloat(account.opening_balance) : previousBalance,
+          statement_balance: balanceOn.get(period.closing_date)
+        }, transactions);
+      });
+
+      return {
+        account_id: account.id,
+        currency: account.currency,
+        credit_limit: account.credit_limit === null ? null : parseFloat(account.credit_limit),
+        current_balance: parseFloat(account.current_balance),
+        ...getCreditUsage(account),
+        statement_closing_day: account.statement_closing_day,
+        payment_due_day: account.payment_due_day,
+        ...getPaymentStatus(statements[0] || null, today),
+        current_period: {
+          ...periods.current,
+          ...summarizeCardActivity(transactions, accountId, periods.current.period_start, null)
+        },
+        statements
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new CreditCardService();
@@ -1,6 +1,9 @@
 import cron from 'node-cron';
 import { supabase } from '../config/database.js';
 import exchangeRatesService from './exchangeRates.service.js';
+import trashService from './trash.service.js';
+import transactionService from './transaction.service.js';
+import accountService from './account.service.js';
 
 class CronJobsService {
   /**
@@ -145,6 +148,77 @@ class CronJobsService {
     }
   }
 
+  /**
+   * Permanently delete records that have been in the trash longer than TRASH_RETENTION_DAYS
+   * This runs automatically every day
+   */
+  async purgeTrash() {
+    console.log('🗑️  Purging expired trash...');
+
+    try {
+      const result = await trashService.purgeExpired();
+      const purgedCount = Object.values(result.purged).reduce((sum, count) => sum + count, 0);
+      const skippedCount = Object.values(result.skipped).reduce((sum, count) => sum + count, 0);
+
+      console.log(`✅ Trash purge complete: ${purgedCount} purged, ${skippedCount} kept (still referenced)`);
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('❌ Fatal error in trash purge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post scheduled transactions whose date has come, applying them to account balances
+   * This runs automatically every day
+   */
+  async postScheduledTransactions() {
+    console.log('📆 Posting scheduled transactions...');
+
+    try {
+      const result = await transactionService.postScheduledTransactions();
+
+      console.log(`✅ Scheduled transactions posted: ${result.posted} posted, ${result.failed} failed`);
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('❌ Fatal error posting scheduled transactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute every account balance from its transactions and report drift,
+   * repairing it when BALANCE_CHECK_AUTO_REPAIR is true
+   * This runs automatically every night
+   */
+  async checkBalances() {
+    console.log('⚖️  Checking account balances against the ledger...');
+
+    try {
+      const result = await accountService.checkAllBalances({
+        repair: process.env.BALANCE_CHECK_AUTO_REPAIR === 'true'
+      });
+
+      result.drifted.forEach(account => {
+        console.warn(
+          `⚠️  Account ${account.account_id} (user ${account.user_id}) is off by ${account.discrepancy}` +
+          (account.repaired ? ' - repaired' : '')
+        );
+      });
+      console.log(
+        `✅ Balance check complete: ${result.checked} accounts, ${result.discrepancies} discrepancies, ` +
+        `${result.repaired} repaired, ${result.failed} users failed`
+      );
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('❌ Fatal error checking balances:', error);
+      throw error;
+    }
+  }
+
   /**
    * Initialize cron jobs
    */
@@ -175,6 +249,39 @@ class CronJobsService {
 
     console.log('✅ Cron job scheduled: Monthly exchange rates snapshot (last day at 23:59)');
 
+    // Purge expired trash every day at 03:00
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        await this.purgeTrash();
+      } catch (error) {
+        console.error('❌ Cron job failed:', error);
+      }
+    });
+
+    console.log('✅ Cron job scheduled: Trash purge (daily at 03:00)');
+
+    // Post transactions dated today every day just after midnight
+    cron.schedule('5 0 * * *', async () => {
+      try {
+        await this.postScheduledTransactions();
+      } catch (error) {
+        console.error('❌ Cron job failed:', error);
+      }
+    });
+
+    console.log('✅ Cron job scheduled: Post scheduled transactions (daily at 00:05)');
+
+    // Check balances against the ledger every night
+    cron.schedule('30 3 * * *', async () => {
+      try {
+        await this.checkBalances();
+      } catch (error) {
+        console.error('❌ Cron job failed:', error);
+      }
+    });
+
+    console.log('✅ Cron job scheduled: Balance check (daily at 03:30)');
+
     // Optional: Also run at server startup for testing (comment out in production)
     // Uncomment next line to test on server start:
     // this.saveMonthlyRatesSnapshot();
@@ -0,0 +1,147 @@
+// duplicate.service.js - Duplicate Transactions Service for Lumina Finance Backend
+// Lists suspected duplicate transactions and merges or dismisses them
+
+import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import { findDuplicatePairs, pairKey, daysBetween, DEFAULT_DATE_WINDOW_DAYS } from '../utils/duplicates.js';
+import { normalizeTagNames } from '../utils/tags.js';
+
+class DuplicateService {
+  /**
+   * List suspected duplicate pairs
+   * @param {string} userId - User ID
+   * @param {Object} options - { since (YYYY-MM-DD, default 90 days ago), window_days }
+   */
+  async getDuplicates(userId, options = {}) {
+    try {
+      const windowDays = options.window_days || DEFAULT_DATE_WINDOW_DAYS;
+      const since = options.since || (() => {
+        const date = new Date();
+        date.setDate(date.getDate() - 90);
+        return date.toISOString().split('T')[0];
+      })();
+
+      // Read the window in batches; a single select would be cut off at the API's row limit
+      const transactions = [];
+      for await (const batch of transactionService.streamTransactions(userId, { start_date: since })) {
+        transactions.push(...batch.filter(transaction => transaction.fingerprint));
+      }
+
+      const { data: dismissals, error: dismissError } = await supabase
+        .from('transaction_duplicate_dismissals')
+        .select('transaction_id, other_transaction_id')
+        .eq('user_id', userId);
+
+      if (dismissError) throw dismissError;
+
+      const dismissed = new Set(dismissals.map(d => pairKey(d.transaction_id, d.other_transaction_id)));
+      const pairs = findDuplicatePairs(transactions, windowDays, dismissed);
+
+      return {
+        since,
+        window_days: windowDays,
+        total: pairs.length,
+        pairs: pairs.map(([original, duplicate]) => ({
+          transaction_ids: [original.id, duplicate.id],
+          days_apart: daysBetween(original.date, duplicate.date),
+          transactions: [original, duplicate]
+        }))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Load both transactions of a suspected pair
+   * @private
+   */
+  async getPair(userId, transactionIds) {
+    if (!Array.isArray(transactionIds) || transactionIds.length !== 2 || transactionIds[0] === transactionIds[1]) {
+      throw new Error('transaction_ids must contain two different transaction IDs');
+    }
+
+    return Promise.all(transactionIds.map(id => transactionService.getTransactionById(userId, id)));
+  }
+
+  /**
+   * Merge a duplicate pair: keep one transaction, fill its missing details from the other
+   * and delete the other (reverting its balance effect). The kept transaction is updated
+   * first, so a failed delete leaves both in place with nothing lost; merging again finishes it.
+   * @param {string} userId - User ID
+   * @param {Array<string>} transactionIds - The two transaction IDs
+   * @param {string} keepId - Transaction to keep (defaults to the first ID)
+   */
+  async mergeDuplicates(userId, transactionIds, keepId = null) {
+    try {
+      const pair = await this.getPair(userId, transactionIds);
+      const keepIndex = keepId ? transactionIds.indexOf(keepId) : 0;
+      if (keepIndex === -1) {
+        throw new Error('keep_id must be one of transaction_ids');
+      }
+
+      const kept = pair[keepIndex];
+      const removed = pair[1 - keepIndex];
+
+      // Carry over details the kept transaction does not have yet
+      const updates = {};
+      if (!kept.external_id && removed.external_id) {
+        updates.external_id = removed.external_id;
+      }
+      if (!kept.memo && removed.memo) {
+        updates.memo = removed.memo;
+      }
+      const keptIsSplit = kept.splits && kept.splits.length > 0;
+      const removedIsSplit = removed.splits && removed.splits.length > 0;
+      if (!kept.category_id && !keptIsSplit && removed.category_id && !removedIsSplit) {
+        updates.category_id = removed.category_id;
+      }
+      const keptTags = normalizeTagNames(kept.tags);
+      const tags = [...new Set([...keptTags, ...normalizeTagNames(removed.tags)])];
+      if (tags.length > keptTags.length) {
+        updates.tags = tags;
+      }
+
+      const transaction = Object.keys(updates).length > 0
+        ? await transactionService.updateTransaction(userId, kept.id, updates)
+        : kept;
+
+      await transactionService.deleteTransaction(userId, removed.id);
+
+      return {
+        transaction,
+        removed_transaction_id: removed.id
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Dismiss a suspected pair so it is no longer listed
+   * @param {string} userId - User ID
+   * @param {Array<string>} transactionIds - The two transaction IDs
+   */
+  async dismissDuplicates(userId, transactionIds) {
+    try {
+      await this.getPair(userId, transactionIds);
+      const [transactionId, otherTransactionId] = [...transactionIds].sort();
+
+      const { error } = await supabase
+        .from('transaction_duplicate_dismissals')
+        .upsert({
+          user_id: userId,
+          transaction_id: transactionId,
+          other_transaction_id: otherTransactionId
+        }, { onConflict: 'transaction_id,other_transaction_id' });
+
+      if (error) throw error;
+
+      return { message: 'Duplicate dismissed successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new DuplicateService();
@@ -0,0 +1,123 @@
+// export.service.js - Transaction Export Service for Lumina Finance Backend
+// Streams transactions matching the list filters as CSV, JSON Lines or OFX
+
+import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import {
+  EXPORT_FORMATS,
+  toExportRecord,
+  toCsvHeader,
+  toCsvRow,
+  toJsonLine,
+  toOfxHeader,
+  toOfxTransaction,
+  toOfxFooter
+} from '../utils/exportFormatters.js';
+
+class ExportService {
+  /**
+   * Load account and category names, including deleted ones still referenced by old transactions
+   * @private
+   */
+  async getNames(userId) {
+    const [{ data: accounts, error: accountsError }, { data: categories, error: categoriesError }] = await Promise.all([
+      supabase.from('accounts').select('id, name').eq('user_id', userId),
+      supabase.from('categories').select('id, name').eq('user_id', userId)
+    ]);
+
+    if (accountsError) throw accountsError;
+    if (categoriesError) throw categoriesError;
+
+    return {
+      accounts: new Map(accounts.map(account => [account.id, account.name])),
+      categories: new Map(categories.map(category => [category.id, category.name]))
+    };
+  }
+
+  /**
+   * Prepare an export. Validation happens here so errors can still be sent as a normal
+   * response; the returned chunks are only produced while the response is written.
+   * @param {string} userId - User ID
+   * @param {string} format - 'csv', 'jsonl' or 'ofx'
+   * @param {Object} filters - Same filters as getTransactions (account_id is required for OFX)
+   * @returns {Object} { contentType, filename, chunks (async iterable of strings) }
+   */
+  async exportTransactions(userId, format, filters = {}) {
+    try {
+      const exportFormat = EXPORT_FORMATS[format];
+      if (!exportFormat) {
+        throw new Error(`Unsupported export format: ${format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      }
+
+      let account = null;
+      if (format === 'ofx') {
+        if (!filters.account_id) {
+          throw new Error('account_id is required for OFX export');
+        }
+        const { data } = await supabase
+          .from('accounts')
+          .select('id, name, type, currency, current_balance')
+          .eq('id', filters.account_id)
+          .eq('user_id', userId)
+          .is('deleted_at', null)
+          .single();
+
+        if (!data) {
+          throw new Error('Account not found');
+        }
+        account = data;
+      }
+
+      // Search query errors are reported before the download starts
+      filters = await transactionService.resolveFilters(userId, filters);
+
+      const names = format === 'ofx' ? null : await this.getNames(userId);
+      const batches = transactionService.streamTransactions(userId, filters);
+      const today = new Date().toISOString().split('T')[0];
+
+      const chunks = async function* () {
+        if (format === 'csv') {
+          yield toCsvHeader();
+          for await (const transactions of batches) {
+            yield transactions.map(t => toCsvRow(toExportRecord(t, names))).join('');
+          }
+          return;
+        }
+
+        if (format === 'jsonl') {
+          for await (const transactions of batches) {
+            yield transactions.map(t => toJsonLine(toExportRecord(t, names))).join('');
+          }
+          return;
+        }
+
+        // OFX needs the period before the first transaction; rows come oldest first
+        let headerWritten = false;
+        for await (const transactions of batches) {
+          if (!headerWritten) {
+            yield toOfxHeader(account, {
+              start: filters.start_date || transactions[0].date,
+              end: filters.end_date || today
+            });
+            headerWritten = true;
+          }
+          yield transactions.map(t => toOfxTransaction(t, account.id)).join('');
+        }
+        if (!headerWritten) {
+          yield toOfxHeader(account, { start: filters.start_date || today, end: filters.end_date || today });
+        }
+        yield toOfxFooter(account, today);
+      };
+
+      return {
+        contentType: exportFormat.contentType,
+        filename: `transactions-${today}.${exportFormat.extension}`,
+        chunks: chunks()
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new ExportService();
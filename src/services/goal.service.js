@@ -2,6 +2,7 @@
 // Handles business logic for financial goals with progress tracking
 
 import { supabase } from '../config/database.js';
+import auditService from './audit.service.js';
 
 class GoalService {
   /**
@@ -47,6 +48,8 @@ class GoalService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'goals', data.id, 'create', { after: data });
+
       // Calculate progress for response
       const goalWithProgress = this.calculateProgress(data);
       
@@ -202,6 +205,8 @@ class GoalService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'goals', goalId, 'update', { before: existingGoal, after: data });
+
       // Calculate progress for response
       const goalWithProgress = this.calculateProgress(data);
 
@@ -217,7 +222,7 @@ class GoalService {
   async deleteGoal(userId, goalId) {
     try {
       // Verify goal exists and belongs to user
-      await this.getGoalById(userId, goalId);
+      const existingGoal = await this.getGoalById(userId, goalId);
 
       // Soft delete
       const { data, error } = await supabase
@@ -234,6 +239,8 @@ class GoalService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'goals', goalId, 'delete', { before: existingGoal });
+
       return { message: 'Goal deleted successfully' };
     } catch (error) {
       throw new Error(`Failed to delete goal: ${error.message}`);
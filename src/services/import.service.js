@@ -0,0 +1,655 @@
+// import.service.js - Statement Import Service for Lumina Finance Backend
+// Handles CSV mapping profiles and previewing/importing CSV, OFX/QFX and QIF statements
+
+import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import { mapCsvRows } from '../utils/csvParser.js';
+import { parseOfx, parseQif } from '../utils/statementParser.js';
+import { validateCsvMapping, validateTransactionData } from '../utils/validators.js';
+
+// Batch columns returned in listings (the staged rows can be large)
+const BATCH_SUMMARY_FIELDS = 'id, name, source, account_id, status, total_count, imported_count, failed_count, created_at, committed_at, rolled_back_at';
+
+// Transactions of a batch deleted per query when rolling it back
+const ROLLBACK_BATCH_SIZE = 500;
+
+// A batch still committing after this long was left behind by a commit that crashed
+const STALE_COMMIT_MINUTES = 30;
+
+class ImportService {
+  /**
+   * Create a CSV mapping profile
+   */
+  async createProfile(userId, profileData) {
+    try {
+      const { value: mapping, errors } = validateCsvMapping(profileData.mapping);
+      if (errors) {
+        throw new Error(errors.join(', '));
+      }
+
+      const { data: profile, error } = await supabase
+        .from('import_profiles')
+        .insert({
+          user_id: userId,
+          name: profileData.name,
+          mapping
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return profile;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all CSV mapping profiles for a user
+   */
+  async getProfiles(userId) {
+    try {
+      const { data: profiles, error } = await supabase
+        .from('import_profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return profiles;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single CSV mapping profile
+   */
+  async getProfileById(userId, profileId) {
+    try {
+      const { data: profile, error } = await supabase
+        .from('import_profiles')
+        .select('*')
+        .eq('id', profileId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (error || !profile) {
+        throw new Error('Import profile not found');
+      }
+
+      return profile;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a CSV mapping profile
+   */
+  async updateProfile(userId, profileId, updates) {
+    try {
+      await this.getProfileById(userId, profileId);
+
+      const payload = { ...updates, updated_at: new Date().toISOString() };
+
+      if (updates.mapping) {
+        const { value: mapping, errors } = validateCsvMapping(updates.mapping);
+        if (errors) {
+          throw new Error(errors.join(', '));
+        }
+        payload.mapping = mapping;
+      }
+
+      const { data: profile, error } = await supabase
+        .from('import_profiles')
+        .update(payload)
+        .eq('id', profileId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return profile;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a CSV mapping profile (soft delete)
+   */
+  async deleteProfile(userId, profileId) {
+    try {
+      await this.getProfileById(userId, profileId);
+
+      const { error } = await supabase
+        .from('import_profiles')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', profileId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return { message: 'Import profile deleted successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the column mapping from a saved profile or an inline mapping
+   * @private
+   */
+  async resolveMapping(userId, options) {
+    if (options.profile_id) {
+      const profile = await this.getProfileById(userId, options.profile_id);
+      return profile.mapping;
+    }
+
+    if (!options.mapping) {
+      throw new Error('Either profile_id or mapping is required');
+    }
+
+    const { value: mapping, errors } = validateCsvMapping(options.mapping);
+    if (errors) {
+      throw new Error(errors.join(', '));
+    }
+    return mapping;
+  }
+
+  /**
+   * Get the import target account
+   * @private
+   */
+  async getImportAccount(userId, accountId) {
+    const { data: account } = await supabase
+      .from('accounts')
+      .select('id, name, currency')
+      .eq('id', accountId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    return account;
+  }
+
+  /**
+   * Turn parsed statement rows into transactions for an account and validate them
+   * like manually entered transactions
+   * @param {Array} parsedRows - Rows of { row_number, data, error }
+   * @param {Object|null} account - Target account, or null to only parse
+   * @returns {Array} Rows of { row_number, transaction, error }
+   */
+  buildTransactions(parsedRows, account) {
+    return parsedRows.map(row => {
+      if (row.error || !account) {
+        return { row_number: row.row_number, transaction: row.data, error: row.error };
+      }
+
+      const transaction = {
+        ...row.data,
+        account_id: account.id,
+        currency: account.currency
+      };
+      Object.keys(transaction).forEach(key => transaction[key] === null && delete transaction[key]);
+
+      const errors = validateTransactionData(transaction);
+      return {
+        row_number: row.row_number,
+        transaction,
+        error: errors ? errors.join(', ') : null
+      };
+    });
+  }
+
+  /**
+   * Parse a statement file into rows
+   * @param {string} userId - User ID
+   * @param {string} format - 'csv', 'ofx', 'qfx' or 'qif'
+   * @param {string} fileText - Raw file contents
+   * @param {Object} options - { profile_id | mapping } for CSV, { date_order } for QIF
+   * @returns {Object} { currency, mapping, rows }
+   * @private
+   */
+  async parseStatement(userId, format, fileText, options) {
+    if (!fileText || !fileText.trim()) {
+      throw new Error('Import file is empty');
+    }
+
+    switch (format) {
+      case 'csv': {
+        const mapping = await this.resolveMapping(userId, options);
+        return { currency: null, mapping, rows: mapCsvRows(fileText, mapping) };
+      }
+      case 'ofx':
+      case 'qfx':
+        return parseOfx(fileText);
+      case 'qif': {
+        const dateOrder = options.date_order || 'MDY';
+        if (!['MDY', 'DMY'].includes(dateOrder)) {
+          throw new Error('date_order must be "MDY" or "DMY"');
+        }
+        return parseQif(fileText, { date_order: dateOrder });
+      }
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+  }
+
+  /**
+   * Flag rows whose external id (OFX FITID) was already imported into the account
+   * or appears earlier in the same file, then mark the remaining rows that look like
+   * existing transactions with possible_duplicate_of
+   * @private
+   */
+  async markImportedRows(userId, accountId, rows) {
+    const checked = await this.markImportedExternalIds(userId, accountId, rows);
+    const candidates = checked.filter(row => !row.error);
+    if (candidates.length === 0) {
+      return checked;
+    }
+
+    const matches = await transactionService.findDuplicateCandidates(
+      userId,
+      candidates.map(row => row.transaction)
+    );
+    const matchesByRow = new Map(candidates.map((row, index) => [row, matches[index]]));
+
+    return checked.map(row => {
+      const rowMatches = matchesByRow.get(row);
+      if (!rowMatches || rowMatches.length === 0) {
+        return row;
+      }
+      return { ...row, possible_duplicate_of: rowMatches.map(t => t.id) };
+    });
+  }
+
+  /**
+   * Flag rows whose external id was already imported
+   * @private
+   */
+  async markImportedExternalIds(userId, accountId, rows) {
+    const externalIds = rows
+      .filter(row => !row.error && row.transaction.external_id)
+      .map(row => row.transaction.external_id);
+
+    if (externalIds.length === 0) {
+      return rows;
+    }
+
+    const { data: existing, error } = await supabase
+      .from('transactions')
+      .select('external_id')
+      .eq('user_id', userId)
+      .eq('account_id', accountId)
+      .in('external_id', externalIds)
+      .is('deleted_at', null);
+
+    if (error) throw error;
+
+    const seen = new Set(existing.map(t => t.external_id));
+    return rows.map(row => {
+      if (row.error || !row.transaction.external_id) {
+        return row;
+      }
+      if (seen.has(row.transaction.external_id)) {
+        return { ...row, error: `Already imported (FITID ${row.transaction.external_id})`, duplicate: true };
+      }
+      seen.add(row.transaction.external_id);
+      return row;
+    });
+  }
+
+  /**
+   * Parse a statement file and return what would be imported
+   * @param {string} userId - User ID
+   * @param {string} format - 'csv', 'ofx', 'qfx' or 'qif'
+   * @param {string} fileText - Raw file contents
+   * @param {Object} options - { account_id (optional), profile_id | mapping, date_order }
+   */
+  async previewStatement(userId, format, fileText, options = {}) {
+    try {
+      const statement = await this.parseStatement(userId, format, fileText, options);
+      const account = options.account_id ? await this.getImportAccount(userId, options.account_id) : null;
+
+      if (account && statement.currency && statement.currency !== account.currency) {
+        throw new Error(`Statement currency ${statement.currency} does not match account currency ${account.currency}`);
+      }
+
+      let rows = this.buildTransactions(statement.rows, account);
+      if (account) {
+        rows = await this.markImportedRows(userId, account.id, rows);
+      }
+
+      return {
+        format,
+        account,
+        ...(statement.mapping && { mapping: statement.mapping }),
+        total_rows: rows.length,
+        valid_rows: rows.filter(row => !row.error).length,
+        invalid_rows: rows.filter(row => row.error).length,
+        possible_duplicates: rows.filter(row => row.possible_duplicate_of).length,
+        rows
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a statement file and import its valid rows into an account as an import batch
+   * @param {string} userId - User ID
+   * @param {string} format - 'csv', 'ofx', 'qfx' or 'qif'
+   * @param {string} fileText - Raw file contents
+   * @param {Object} options - { account_id, profile_id | mapping, date_order, on_duplicate,
+   *   batch_name, dry_run, stage }
+   *   on_duplicate: 'skip' (default) leaves out rows that look like existing transactions,
+   *   'flag' imports them so they are listed as suspected duplicates.
+   *   dry_run only reports what would be created; stage stores the batch without committing it.
+   */
+  async importStatement(userId, format, fileText, options = {}) {
+    try {
+      if (!options.account_id) {
+        throw new Error('account_id is required');
+      }
+
+      const onDuplicate = options.on_duplicate || 'skip';
+      if (!['skip', 'flag'].includes(onDuplicate)) {
+        throw new Error('on_duplicate must be "skip" or "flag"');
+      }
+
+      const preview = await this.previewStatement(userId, format, fileText, options);
+      const rows = preview.rows.map(row => {
+        if (onDuplicate === 'skip' && !row.error && row.possible_duplicate_of) {
+          return { ...row, error: 'Possible duplicate of an existing transaction', duplicate: true };
+        }
+        return row;
+      });
+      const validRows = rows.filter(row => !row.error);
+      const skippedRows = rows.filter(row => row.error);
+      const transactions = validRows.map(row => row.transaction);
+
+      let result;
+      if (options.dry_run) {
+        result = await transactionService.bulkImport(userId, transactions, { dry_run: true });
+      } else {
+        const batch = await this.stageBatch(userId, {
+          name: options.batch_name || `${format.toUpperCase()} import ${new Date().toISOString().split('T')[0]}`,
+          source: format,
+          account_id: preview.account.id,
+          transactions
+        });
+        result = options.stage ? { batch } : await this.commitBatch(userId, batch.id);
+      }
+
+      return {
+        ...result,
+        skipped: skippedRows.length,
+        skipped_rows: skippedRows.map(row => ({
+          row_number: row.row_number,
+          error: row.error,
+          ...(row.possible_duplicate_of && { possible_duplicate_of: row.possible_duplicate_of })
+        }))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Stage transactions as a named import batch without creating them
+   * @param {string} userId - User ID
+   * @param {Object} batchData - { name, source, account_id, transactions }
+   * @returns {Object} The staged batch with a dry-run check of its rows
+   */
+  async stageBatch(userId, batchData) {
+    try {
+      const check = await transactionService.bulkImport(userId, batchData.transactions, { dry_run: true });
+
+      const { data: batch, error } = await supabase
+        .from('import_batches')
+        .insert({
+          user_id: userId,
+          name: batchData.name || `Import ${new Date().toISOString().split('T')[0]}`,
+          source: batchData.source || 'manual',
+          account_id: batchData.account_id || null,
+          status: 'staged',
+          transactions: batchData.transactions,
+          total_count: batchData.transactions.length
+        })
+        .select(BATCH_SUMMARY_FIELDS)
+        .single();
+
+      if (error) throw error;
+
+      return {
+        ...batch,
+        valid_count: check.success,
+        invalid_count: check.failed,
+        errors: check.errors
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Import transactions as a batch in one step (stage and commit), or only check them
+   * @param {string} userId - User ID
+   * @param {Object} batchData - { name, transactions, dry_run }
+   */
+  async importTransactions(userId, batchData) {
+    try {
+      if (batchData.dry_run) {
+        return await transactionService.bulkImport(userId, batchData.transactions, { dry_run: true });
+      }
+
+      const batch = await this.stageBatch(userId, { name: batchData.name, transactions: batchData.transactions });
+      return await this.commitBatch(userId, batch.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all import batches for a user, newest first
+   */
+  async getBatches(userId) {
+    try {
+      const { data: batches, error } = await supabase
+        .from('import_batches')
+        .select(BATCH_SUMMARY_FIELDS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return batches;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single import batch with its staged rows
+   */
+  async getBatchById(userId, batchId) {
+    try {
+      const { data: batch, error } = await supabase
+        .from('import_batches')
+        .select('*')
+        .eq('id', batchId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error || !batch) {
+        throw new Error('Import batch not found');
+      }
+
+      return batch;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a batch from one status to another, failing if another request changed it first
+   * @private
+   */
+  async setBatchStatus(userId, batchId, fromStatus, updates) {
+    const { data: batch, error } = await supabase
+      .from('import_batches')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', batchId)
+      .eq('user_id', userId)
+      .eq('status', fromStatus)
+      .select(BATCH_SUMMARY_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!batch) {
+      throw new Error(`Import batch is no longer ${fromStatus}`);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Create the transactions of a staged batch
+   * @param {string} userId - User ID
+   * @param {string} batchId - Import batch ID
+   * @returns {Object} bulkImport result with the committed batch
+   */
+  async commitBatch(userId, batchId) {
+    try {
+      const staged = await this.getBatchById(userId, batchId);
+      if (staged.status !== 'staged') {
+        throw new Error(`Only staged batches can be committed (batch is ${staged.status})`);
+      }
+
+      // Claim the batch so it cannot be committed twice
+      await this.setBatchStatus(userId, batchId, 'staged', { status: 'committing' });
+
+      let result;
+      try {
+        result = await transactionService.bulkImport(userId, staged.transactions, { import_batch_id: batchId });
+      } catch (error) {
+        await this.setBatchStatus(userId, batchId, 'committing', { status: 'staged' });
+        throw error;
+      }
+
+      const batch = await this.setBatchStatus(userId, batchId, 'committing', {
+        status: 'committed',
+        imported_count: result.success,
+        failed_count: result.failed,
+        errors: result.errors,
+        committed_at: new Date().toISOString()
+      });
+
+      return { ...result, batch };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a batch has been committing for so long that its commit must have crashed
+   * @private
+   */
+  isStaleCommit(batch, now = new Date()) {
+    return batch.status === 'committing' &&
+      now - new Date(batch.updated_at) >= STALE_COMMIT_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Delete a batch. A staged batch is discarded; a committed batch is rolled back by
+   * deleting every transaction it created, which reverts their balance changes.
+   * A batch whose commit crashed halfway (committing for over STALE_COMMIT_MINUTES)
+   * is rolled back the same way. The batch is only marked rolled back once none of
+   * its transactions are left; otherwise the rollback can be retried.
+   * @param {string} userId - User ID
+   * @param {string} batchId - Import batch ID
+   */
+  async deleteBatch(userId, batchId) {
+    try {
+      const existing = await this.getBatchById(userId, batchId);
+
+      if (existing.status === 'staged') {
+        const batch = await this.setBatchStatus(userId, batchId, 'staged', { status: 'discarded' });
+        return { batch, deleted: 0, failed: 0, errors: [] };
+      }
+
+      if (existing.status !== 'committed' && !this.isStaleCommit(existing)) {
+        throw new Error(`Import batch cannot be rolled back (batch is ${existing.status})`);
+      }
+
+      // Page through the batch by id: deleted rows drop out of the live ones, failed ones are passed over
+      const results = { deleted: 0, failed: 0, errors: [] };
+      let lastId = null;
+      while (true) {
+        let query = supabase
+          .from('transactions')
+          .select('id')
+          .eq('user_id', userId)
+          .eq('import_batch_id', batchId)
+          .is('deleted_at', null)
+          .order('id', { ascending: true })
+          .limit(ROLLBACK_BATCH_SIZE);
+        if (lastId) {
+          query = query.gt('id', lastId);
+        }
+
+        const { data: transactions, error } = await query;
+        if (error) throw error;
+
+        for (const transaction of transactions) {
+          try {
+            await transactionService.deleteTransaction(userId, transaction.id);
+            results.deleted++;
+          } catch (deleteError) {
+            results.failed++;
+            results.errors.push({ transaction_id: transaction.id, error: deleteError.message });
+          }
+        }
+
+        if (transactions.length < ROLLBACK_BATCH_SIZE) {
+          break;
+        }
+        lastId = transactions[transactions.length - 1].id;
+      }
+
+      const { count: remaining, error: countError } = await supabase
+        .from('transactions')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('import_batch_id', batchId)
+        .is('deleted_at', null);
+
+      if (countError) throw countError;
+
+      // Keep the batch as it is while some rows are left so the rollback can be retried
+      const batch = remaining === 0
+        ? await this.setBatchStatus(userId, batchId, existing.status, {
+          status: 'rolled_back',
+          rolled_back_at: new Date().toISOString()
+        })
+        : existing;
+
+      return { batch, ...results };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new ImportService();
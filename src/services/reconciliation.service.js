@@ -0,0 +1,431 @@
+// reconciliation.service.js - Statement Reconciliation Service for Lumina Finance Backend
+// Handles reconciliation sessions: entering a statement, ticking off its transactions,
+// and finalizing, which reconciles and locks them
+
+import { supabase } from '../config/database.js';
+import auditService from './audit.service.js';
+import transactionService from './transaction.service.js';
+import { getStatus } from '../utils/transactionStatus.js';
+import { getLedgerStart } from '../utils/balances.js';
+import { isLocked, getAccountAmount, summarizeReconciliation, buildAdjustment } from '../utils/reconciliations.js';
+
+// Ids written per query
+const ID_BATCH_SIZE = 200;
+
+const toDay = (date) => new Date(date).toISOString().split('T')[0];
+
+class ReconciliationService {
+  /**
+   * Check that the account exists and belongs to the user
+   * @private
+   */
+  async getAccount(userId, accountId) {
+    const { data: account } = await supabase
+      .from('accounts')
+      .select('id, type, currency, opening_balance, opening_balance_date')
+      .eq('id', accountId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    return account;
+  }
+
+  /**
+   * @private
+   */
+  async getSession(userId, accountId, reconciliationId) {
+    const { data: reconciliation } = await supabase
+      .from('reconciliations')
+      .select('*')
+      .eq('id', reconciliationId)
+      .eq('account_id', accountId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (!reconciliation) {
+      throw new Error('Reconciliation not found');
+    }
+
+    return reconciliation;
+  }
+
+  /**
+   * @private
+   */
+  async getOpenSession(userId, accountId, reconciliationId) {
+    const reconciliation = await this.getSession(userId, accountId, reconciliationId);
+    if (reconciliation.status !== 'open') {
+      throw new Error('Reconciliation is already finalized');
+    }
+    return reconciliation;
+  }
+
+  /**
+   * Latest finalized statement of the account
+   * @private
+   */
+  async getPreviousStatement(userId, accountId) {
+    const { data: previous, error } = await supabase
+      .from('reconciliations')
+      .select('statement_date, statement_balance')
+      .eq('account_id', accountId)
+      .eq('user_id', userId)
+      .eq('status', 'finalized')
+      .is('deleted_at', null)
+      .order('statement_date', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return previous;
+  }
+
+  /**
+   * Statements follow each other: a new statement ends after the last finalized one
+   * @private
+   */
+  checkStatementDate(statementDate, previous) {
+    if (previous && toDay(statementDate) <= previous.statement_date) {
+      throw new Error(`Statement date must be after the last reconciled statement (${previous.statement_date})`);
+    }
+  }
+
+  /**
+   * Live transactions ticked off in a session. Transactions dated before the account's
+   * opening balance date are part of the opening balance the session starts from, so they
+   * do not count.
+   * @private
+   */
+  async getTicked(userId, account, reconciliationId) {
+    const { data, error } = await supabase
+      .from('reconciliation_transactions')
+      .select('transaction:transactions(*)')
+      .eq('reconciliation_id', reconciliationId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return data
+      .map(row => row.transaction)
+      .filter(transaction => transaction && !transaction.deleted_at && transaction.date >= getLedgerStart(account));
+  }
+
+  /**
+   * Start reconciling a statement
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} statement - { statement_date, statement_balance }
+   */
+  async startReconciliation(userId, accountId, statement) {
+    try {
+      const account = await this.getAccount(userId, accountId);
+
+      const { data: open, error: openError } = await supabase
+        .from('reconciliations')
+        .select('id')
+        .eq('account_id', accountId)
+        .eq('user_id', userId)
+        .eq('status', 'open')
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (openError) throw openError;
+      if (open) {
+        throw new Error('Finish or cancel the open reconciliation of this account first');
+      }
+
+      // Each statement starts where the previous one ended
+      const previous = await this.getPreviousStatement(userId, accountId);
+      this.checkStatementDate(statement.statement_date, previous);
+
+      const { data: reconciliation, error } = await supabase
+        .from('reconciliations')
+        .insert({
+          user_id: userId,
+          account_id: accountId,
+          statement_date: toDay(statement.statement_date),
+          statement_balance: statement.statement_balance,
+          starting_balance: previous ? previous.statement_balance : account.opening_balance
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return await this.getReconciliation(userId, accountId, reconciliation.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List an account's reconciliations, newest statement first
+   */
+  async getReconciliations(userId, accountId) {
+    try {
+      await this.getAccount(userId, accountId);
+
+      const { data: reconciliations, error } = await supabase
+        .from('reconciliations')
+        .select('*')
+        .eq('account_id', accountId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .order('statement_date', { ascending: false });
+
+      if (error) throw error;
+
+      return reconciliations;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a reconciliation with its running difference and transactions.
+   * Open sessions list every transaction that can still be ticked (unlocked, posted and dated
+   * from the opening balance date up to the statement date) with a ticked flag; finalized ones
+   * list what was reconciled.
+   */
+  async getReconciliation(userId, accountId, reconciliationId) {
+    try {
+      const account = await this.getAccount(userId, accountId);
+      const reconciliation = await this.getSession(userId, accountId, reconciliationId);
+      const ticked = await this.getTicked(userId, account, reconciliationId);
+
+      let transactions = ticked.map(transaction => ({ ...transaction, ticked: true }));
+      if (reconciliation.status === 'open') {
+        const tickedIds = new Set(ticked.map(transaction => transaction.id));
+        transactions = [];
+        const filters = {
+          account_id: accountId,
+          start_date: getLedgerStart(account),
+          end_date: reconciliation.statement_date,
+          scheduled: false
+        };
+        for await (const batch of transactionService.streamTransactions(userId, filters)) {
+          batch
+            .filter(transaction => !isLocked(transaction))
+            .forEach(transaction => transactions.push({ ...transaction, ticked: tickedIds.has(transaction.id) }));
+        }
+      }
+
+      return {
+        ...reconciliation,
+        ...summarizeReconciliation(reconciliation, account, ticked),
+        transactions: transactions.map(transaction => ({
+          ...transaction,
+          account_amount: getAccountAmount(transaction, accountId)
+        }))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Change an open session's statement. Ticked transactions dated after a new, earlier
+   * statement date are unticked.
+   * @param {Object} updates - { statement_date, statement_balance }
+   */
+  async updateReconciliation(userId, accountId, reconciliationId, updates) {
+    try {
+      const account = await this.getAccount(userId, accountId);
+      await this.getOpenSession(userId, accountId, reconciliationId);
+
+      const payload = { updated_at: new Date().toISOString() };
+      if (updates.statement_balance !== undefined) {
+        payload.statement_balance = updates.statement_balance;
+      }
+      if (updates.statement_date !== undefined) {
+        this.checkStatementDate(updates.statement_date, await this.getPreviousStatement(userId, accountId));
+        payload.statement_date = toDay(updates.statement_date);
+
+        const outside = (await this.getTicked(userId, account, reconciliationId))
+          .filter(transaction => transaction.date > payload.statement_date)
+          .map(transaction => transaction.id);
+        await this.untick(userId, reconciliationId, outside);
+      }
+
+      const { error } = await supabase
+        .from('reconciliations')
+        .update(payload)
+        .eq('id', reconciliationId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return await this.getReconciliation(userId, accountId, reconciliationId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Tick transactions off against the statement, or untick them. Ticking a pending
+   * transaction clears it: it has shown up on the statement.
+   * @param {Array<string>} transactionIds - Transaction IDs
+   * @param {boolean} ticked - false to untick
+   */
+  async tickTransactions(userId, accountId, reconciliationId, transactionIds, ticked = true) {
+    try {
+      const account = await this.getAccount(userId, accountId);
+      const reconciliation = await this.getOpenSession(userId, accountId, reconciliationId);
+
+      if (!ticked) {
+        await this.untick(userId, reconciliationId, transactionIds);
+        return await this.getReconciliation(userId, accountId, reconciliationId);
+      }
+
+      const transactions = [];
+      for (let i = 0; i < transactionIds.length; i += ID_BATCH_SIZE) {
+        const { data, error } = await supabase
+          .from('transactions')
+          .select('*')
+          .in('id', transactionIds.slice(i, i + ID_BATCH_SIZE))
+          .eq('user_id', userId)
+          .is('deleted_at', null);
+
+        if (error) throw error;
+        transactions.push(...data);
+      }
+
+      const byId = new Map(transactions.map(transaction => [transaction.id, transaction]));
+      transactionIds.forEach(id => {
+        const transaction = byId.get(id);
+        if (!transaction || ![transaction.account_id, transaction.from_account_id, transaction.to_account_id].includes(accountId)) {
+          throw new Error(`Transaction ${id} not found in this account`);
+        }
+        if (isLocked(transaction)) {
+          throw new Error(`Transaction ${id} is already reconciled`);
+        }
+        if (transaction.is_scheduled || transaction.date > reconciliation.statement_date) {
+          throw new Error(`Transaction ${id} is dated after the statement`);
+        }
+        // Already part of the opening balance the first statement starts from
+        if (transaction.date < getLedgerStart(account)) {
+          throw new Error(`Transaction ${id} is dated before the account's opening balance date`);
+        }
+      });
+
+      for (const transaction of transactions) {
+        if (getStatus(transaction) === 'pending') {
+          await transactionService.updateTransaction(userId, transaction.id, { status: 'cleared' });
+        }
+      }
+
+      for (let i = 0; i < transactionIds.length; i += ID_BATCH_SIZE) {
+        const { error } = await supabase
+          .from('reconciliation_transactions')
+          .upsert(
+            transactionIds.slice(i, i + ID_BATCH_SIZE).map(id => ({
+              reconciliation_id: reconciliationId,
+              transaction_id: id,
+              user_id: userId
+            })),
+            { onConflict: 'reconciliation_id,transaction_id', ignoreDuplicates: true }
+          );
+
+        if (error) throw error;
+      }
+
+      return await this.getReconciliation(userId, accountId, reconciliationId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async untick(userId, reconciliationId, transactionIds) {
+    for (let i = 0; i < transactionIds.length; i += ID_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('reconciliation_transactions')
+        .delete()
+        .eq('reconciliation_id', reconciliationId)
+        .eq('user_id', userId)
+        .in('transaction_id', transactionIds.slice(i, i + ID_BATCH_SIZE));
+
+      if (error) throw error;
+    }
+  }
+
+  /**
+   * Finalize a reconciliation: mark the ticked transactions reconciled and lock them.
+   * The ticked transactions must add up to the statement unless an adjustment
+   * transaction is created for the remainder. Either everything is written or nothing is.
+   * @param {Object} options - { create_adjustment, category_id and memo of the adjustment }
+   */
+  async finalizeReconciliation(userId, accountId, reconciliationId, options = {}) {
+    try {
+      const account = await this.getAccount(userId, accountId);
+      const reconciliation = await this.getOpenSession(userId, accountId, reconciliationId);
+      const ticked = await this.getTicked(userId, account, reconciliationId);
+      const summary = summarizeReconciliation(reconciliation, account, ticked);
+
+      if (summary.difference !== 0 && !options.create_adjustment) {
+        throw new Error(
+          `Reconciliation is off by ${summary.difference.toFixed(2)}; tick the missing transactions or finalize with create_adjustment`
+        );
+      }
+
+      // Generated for the statement, so categorization rules and duplicate detection do not apply.
+      // The database sets its type and amount from the difference it finds.
+      let adjustment = null;
+      if (options.create_adjustment) {
+        const { type, amount, ...columns } = buildAdjustment(account, reconciliation, summary.difference, options);
+        adjustment = { ...columns, user_id: userId, is_scheduled: transactionService.isFutureDate(columns.date) };
+      }
+
+      // Work out the difference again with the ticked transactions locked, create the
+      // adjustment, lock the ticked transactions and close the session together
+      const { error } = await supabase.rpc('finalize_reconciliation', {
+        p_user_id: userId,
+        p_reconciliation_id: reconciliationId,
+        p_adjustment: adjustment,
+        p_actor: auditService.getActor()
+      });
+
+      if (error) {
+        const passedOn = ['Reconciliation not found', 'Reconciliation is already finalized'].includes(error.message) ||
+          error.message.startsWith('Reconciliation is off by');
+        throw new Error(passedOn ? error.message : `Failed to finalize reconciliation: ${error.message}`);
+      }
+
+      return await this.getReconciliation(userId, accountId, reconciliationId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an open reconciliation; its transactions are left as they are
+   */
+  async cancelReconciliation(userId, accountId, reconciliationId) {
+    try {
+      await this.getAccount(userId, accountId);
+      await this.getOpenSession(userId, accountId, reconciliationId);
+
+      const { error } = await supabase
+        .from('reconciliations')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', reconciliationId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return { message: 'Reconciliation cancelled successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new ReconciliationService();
@@ -3,6 +3,7 @@
 
 import { supabase } from '../config/database.js';
 import transactionService from './transaction.service.js';
+import auditService from './audit.service.js';
 
 class RecurringService {
   /**
@@ -96,6 +97,8 @@ class RecurringService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'recurring', data.id, 'create', { after: data });
+
       // Add next due date
       const recurringWithNextDue = this.calculateNextDue(data);
       
@@ -292,6 +295,8 @@ class RecurringService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'recurring', recurringId, 'update', { before: existingRecurring, after: data });
+
       // Calculate next due date
       const recurringWithNextDue = this.calculateNextDue(data);
 
@@ -307,7 +312,7 @@ class RecurringService {
   async deleteRecurring(userId, recurringId) {
     try {
       // Verify recurring exists and belongs to user
-      await this.getRecurringById(userId, recurringId);
+      const existingRecurring = await this.getRecurringById(userId, recurringId);
 
       // Soft delete
       const { data, error } = await supabase
@@ -324,6 +329,8 @@ class RecurringService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'recurring', recurringId, 'delete', { before: existingRecurring });
+
       return { message: 'Recurring transaction deleted successfully' };
     } catch (error) {
       throw new Error(`Failed to delete recurring transaction: ${error.message}`);
@@ -369,14 +376,20 @@ class RecurringService {
       const transaction = await transactionService.createTransaction(userId, transactionData);
 
       // Update last_processed date
-      await supabase
+      const { data: processed } = await supabase
         .from('recurring_transactions')
         .update({
           last_processed: new Date().toISOString().split('T')[0],
           updated_at: new Date().toISOString()
         })
         .eq('id', recurringId)
-        .eq('user_id', userId);
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (processed) {
+        await auditService.record(userId, 'recurring', recurringId, 'update', { before: recurring, after: processed });
+      }
 
       return {
         message: 'Recurring transaction processed successfully',
@@ -0,0 +1,236 @@
+// rule.service.js - Auto-categorization Rules Service for Lumina Finance Backend
+// Handles rule CRUD and running rules over existing transactions
+
+import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import { applyRules } from '../utils/rules.js';
+
+class RuleService {
+  /**
+   * Check that the category and account a rule refers to belong to the user
+   * @private
+   */
+  async validateReferences(userId, conditions = {}, actions = {}) {
+    if (actions.category_id) {
+      const { data: category } = await supabase
+        .from('categories')
+        .select('id')
+        .eq('id', actions.category_id)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (!category) {
+        throw new Error('Category not found or does not belong to user');
+      }
+    }
+
+    if (conditions.account_id) {
+      const { data: account } = await supabase
+        .from('accounts')
+        .select('id')
+        .eq('id', conditions.account_id)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (!account) {
+        throw new Error('Account not found or does not belong to user');
+      }
+    }
+  }
+
+  /**
+   * Create a new rule
+   */
+  async createRule(userId, ruleData) {
+    try {
+      await this.validateReferences(userId, ruleData.conditions, ruleData.actions);
+
+      const { data: rule, error } = await supabase
+        .from('categorization_rules')
+        .insert({
+          user_id: userId,
+          name: ruleData.name,
+          priority: ruleData.priority !== undefined ? ruleData.priority : 100,
+          is_active: ruleData.is_active !== undefined ? ruleData.is_active : true,
+          conditions: ruleData.conditions,
+          actions: ruleData.actions
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return rule;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all rules in the order they apply
+   */
+  async getRules(userId) {
+    try {
+      const { data: rules, error } = await supabase
+        .from('categorization_rules')
+        .select('*')
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return rules;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single rule
+   */
+  async getRuleById(userId, ruleId) {
+    try {
+      const { data: rule, error } = await supabase
+        .from('categorization_rules')
+        .select('*')
+        .eq('id', ruleId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .single();
+
+      if (error || !rule) {
+        throw new Error('Rule not found');
+      }
+
+      return rule;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rule
+   */
+  async updateRule(userId, ruleId, updates) {
+    try {
+      await this.getRuleById(userId, ruleId);
+      await this.validateReferences(userId, updates.conditions, updates.actions);
+
+      const { data: rule, error } = await supabase
+        .from('categorization_rules')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', ruleId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return rule;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rule (soft delete)
+   */
+  async deleteRule(userId, ruleId) {
+    try {
+      await this.getRuleById(userId, ruleId);
+
+      const { error } = await supabase
+        .from('categorization_rules')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', ruleId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return { message: 'Rule deleted successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Run rules over existing transactions
+   * @param {string} userId - User ID
+   * @param {Object} options - { rule_ids (default: all active rules), account_id, start_date, end_date, overwrite }
+   * @param {boolean} preview - Only report what would change
+   * @returns {Object} { preview, checked, matched, changes, updated, failed, errors }
+   */
+  async runRules(userId, options = {}, preview = true) {
+    try {
+      let rules;
+      if (options.rule_ids) {
+        // Rules picked explicitly run even while inactive, in their usual order
+        rules = (await this.getRules(userId)).filter(rule => options.rule_ids.includes(rule.id));
+        if (rules.length !== new Set(options.rule_ids).size) {
+          throw new Error('Rule not found');
+        }
+      } else {
+        rules = await transactionService.getActiveRules(userId);
+      }
+
+      const filters = {
+        account_id: options.account_id,
+        start_date: options.start_date,
+        end_date: options.end_date
+      };
+
+      let checked = 0;
+      const changes = [];
+      for await (const transactions of transactionService.streamTransactions(userId, filters)) {
+        transactions.forEach(transaction => {
+          checked++;
+          const result = applyRules(rules, transaction, { overwrite: options.overwrite });
+          if (Object.keys(result.changes).length === 0) {
+            return;
+          }
+
+          changes.push({
+            transaction_id: transaction.id,
+            date: transaction.date,
+            payee: transaction.payee,
+            amount: transaction.amount,
+            rule_ids: result.rule_ids,
+            updates: result.changes,
+            changes: Object.fromEntries(Object.entries(result.changes).map(([field, value]) =>
+              [field, { from: transaction[field] || null, to: value }]))
+          });
+        });
+      }
+
+      const summary = { preview, checked, matched: changes.length };
+      if (preview) {
+        return { ...summary, changes: changes.map(({ updates, ...change }) => change) };
+      }
+
+      const results = { updated: 0, failed: 0, errors: [] };
+      for (const change of changes) {
+        try {
+          await transactionService.updateTransaction(userId, change.transaction_id, change.updates);
+          results.updated++;
+        } catch (error) {
+          results.failed++;
+          results.errors.push({ transaction_id: change.transaction_id, error: error.message });
+        }
+      }
+
+      return {
+        ...summary,
+        ...results,
+        changes: changes.map(({ updates, ...change }) => change)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new RuleService();
@@ -0,0 +1,107 @@
+// tag.service.js - Tags Service for Lumina Finance Backend
+// Handles listing, renaming and deleting transaction tags.
+// Tags are created on the fly when a transaction or rule uses a new tag name.
+
+import { supabase } from '../config/database.js';
+
+class TagService {
+  /**
+   * Get all tags with the number of transactions using each
+   */
+  async getTags(userId) {
+    try {
+      const { data: tags, error } = await supabase
+        .from('tags')
+        .select('id, name, created_at, transaction_tags(count)')
+        .eq('user_id', userId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return tags.map(({ transaction_tags: usage, ...tag }) => ({
+        ...tag,
+        transaction_count: usage && usage[0] ? usage[0].count : 0
+      }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single tag
+   */
+  async getTagById(userId, tagId) {
+    try {
+      const { data: tag, error } = await supabase
+        .from('tags')
+        .select('*')
+        .eq('id', tagId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error || !tag) {
+        throw new Error('Tag not found');
+      }
+
+      return tag;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a tag
+   */
+  async updateTag(userId, tagId, updates) {
+    try {
+      await this.getTagById(userId, tagId);
+
+      const { data: tag, error } = await supabase
+        .from('tags')
+        .update({
+          name: updates.name.trim().toLowerCase(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', tagId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        // Unique violation on (user_id, name)
+        if (error.code === '23505') {
+          throw new Error('A tag with this name already exists');
+        }
+        throw error;
+      }
+
+      return tag;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tag and remove it from all transactions.
+   * Tags are labels only, so they are deleted outright rather than soft deleted.
+   */
+  async deleteTag(userId, tagId) {
+    try {
+      await this.getTagById(userId, tagId);
+
+      const { error } = await supabase
+        .from('tags')
+        .delete()
+        .eq('id', tagId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return { message: 'Tag deleted successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new TagService();
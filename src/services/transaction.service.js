@@ -1,14 +1,48 @@
 // src/services/transaction.service.js
 
 import { supabase } from '../config/database.js';
+import auditService from './audit.service.js';
+import { buildFingerprint, isLikelyDuplicate, DEFAULT_DATE_WINDOW_DAYS } from '../utils/duplicates.js';
+import { validateTransactionData } from '../utils/validators.js';
+import { applyRules } from '../utils/rules.js';
+import { normalizeTagNames } from '../utils/tags.js';
+import { parseSort, decodeCursor, encodeCursor, buildKeysetFilter, COUNT_MODES } from '../utils/pagination.js';
+import { parseSearchQuery, compileSearchQuery } from '../utils/searchQuery.js';
+import { resolveTransferAmounts, getTransferLegs, getImpliedRate, buildFeeTransaction } from '../utils/transfers.js';
+import { buildRefund, getRefundableAmount, getRefundSign } from '../utils/refunds.js';
+import { getStatus, checkStatusTransition, parseStatusFilter } from '../utils/transactionStatus.js';
+import { isLocked, checkLockedUpdate, LOCKED_MESSAGE } from '../utils/reconciliations.js';
+import { getLedgerStart } from '../utils/balances.js';
+
+// Columns returned for transactions: the row with its split lines and tags
+const TRANSACTION_SELECT = '*, splits:transaction_splits(id, category_id, amount, memo), tags(id, name)';
+
+// Scheduled transactions posted per query
+const POST_BATCH_SIZE = 500;
+
+// Transactions summed per query when recomputing balances from the ledger
+const LEDGER_BATCH_SIZE = 1000;
+
+// Day (YYYY-MM-DD) of a date in UTC, the day the posting job and the database go by
+const toDay = (date) => new Date(date).toISOString().split('T')[0];
 
 class TransactionService {
-  async createTransaction(userId, transactionData) {
+  /**
+   * @param {string} userId - User ID
+   * @param {Object} transactionData - Transaction to create
+   * @param {Object} options - { rules: preloaded active categorization rules }
+   */
+  async createTransaction(userId, transactionData, options = {}) {
     try {
       if (transactionData.type === 'transfer') {
         return await this.createTransfer(userId, transactionData);
       }
 
+      // Fill in category, payee and memo from the user's auto-categorization rules
+      const rules = options.rules || await this.getActiveRules(userId);
+      const { changes: ruleChanges, rule_ids: appliedRuleIds } = applyRules(rules, transactionData);
+      transactionData = { ...transactionData, ...ruleChanges };
+
       // Validate account and currencies
       const { data: account } = await supabase
         .from('accounts')
@@ -41,7 +75,7 @@ class TransactionService {
         type: transactionData.type,
         account_id: transactionData.account_id,
         payee: transactionData.payee,
-        category_id: transactionData.category_id,
+        category_id: transactionData.splits ? null : transactionData.category_id,
         amount: amount,
         currency: transactionData.currency,
         memo: transactionData.memo
@@ -55,17 +89,49 @@ class TransactionService {
         transactionPayload.exchange_rate = transactionData.exchange_rate;
       }
 
-      // Create transaction
-      const { data: transaction, error } = await supabase
-        .from('transactions')
-        .insert(transactionPayload)
-        .select()
-        .single();
+      // Keep the bank's identifier (e.g. OFX FITID) for imported transactions
+      if (transactionData.external_id !== undefined) {
+        transactionPayload.external_id = transactionData.external_id;
+      }
 
-      if (error) throw error;
+      // Remember the import batch so the whole import can be rolled back
+      if (transactionData.import_batch_id !== undefined) {
+        transactionPayload.import_batch_id = transactionData.import_batch_id;
+      }
+
+      // New transactions are cleared unless the bank has not posted them yet
+      if (transactionData.status !== undefined) {
+        transactionPayload.status = transactionData.status;
+      }
 
-      // Update account balance (only if transaction is not historical)
-      await this.updateAccountBalance(userId, transactionData.account_id, amount, transactionData.date);
+      // Future-dated transactions wait for postScheduledTransactions before touching balances
+      transactionPayload.is_scheduled = this.isFutureDate(transactionPayload.date);
+
+      // Fingerprint used to spot the same transaction entered twice
+      transactionPayload.fingerprint = buildFingerprint(transactionPayload);
+      const [possibleDuplicates] = await this.findDuplicateCandidates(userId, [transactionPayload]);
+
+      // Store split lines with the same sign as the stored parent amount
+      let splitRows = null;
+      if (transactionData.splits) {
+        const signFactor = Math.sign(amount) === Math.sign(parseFloat(transactionData.amount)) ? 1 : -1;
+        splitRows = this.buildSplitRows(transactionData.splits, signFactor);
+      }
+
+      // Create transaction and update account balance together
+      const transaction = await this.writeTransaction(userId, {
+        payload: transactionPayload,
+        splits: splitRows,
+        tags: transactionData.tags ? normalizeTagNames(transactionData.tags) : null,
+        audit: { action: 'create' }
+      });
+
+      if (possibleDuplicates.length > 0) {
+        transaction.possible_duplicates = possibleDuplicates.map(t => t.id);
+      }
+      if (appliedRuleIds.length > 0) {
+        transaction.applied_rules = appliedRuleIds;
+      }
 
       return transaction;
     } catch (error) {
@@ -96,7 +162,8 @@ class TransactionService {
         throw new Error('One or both accounts not found');
       }
 
-      const amount = Math.abs(parseFloat(transferData.amount));
+      // Each account moves in its own currency
+      const amounts = resolveTransferAmounts(transferData, fromAccount.currency, toAccount.currency);
 
      // Prepare transfer data
       const transferPayload = {
@@ -105,8 +172,7 @@ class TransactionService {
         type: 'transfer',
         from_account_id: transferData.from_account_id,
         to_account_id: transferData.to_account_id,
-        amount: amount,
-        currency: transferData.currency,
+        ...amounts,
         memo: transferData.memo
       };
 
@@ -117,19 +183,21 @@ class TransactionService {
       if (transferData.exchange_rate !== undefined) {
         transferPayload.exchange_rate = transferData.exchange_rate;
       }
+      if (transferData.import_batch_id !== undefined) {
+        transferPayload.import_batch_id = transferData.import_batch_id;
+      }
+      if (transferData.status !== undefined) {
+        transferPayload.status = transferData.status;
+      }
+      transferPayload.is_scheduled = this.isFutureDate(transferPayload.date);
 
-      // Create transfer transaction
-      const { data: transaction, error } = await supabase
-        .from('transactions')
-        .insert(transferPayload)
-        .select()
-        .single();
-
-      if (error) throw error;
-
-      // Update both account balances (only if transaction is not historical)
-      await this.updateAccountBalance(userId, transferData.from_account_id, -amount, transferData.date);
-      await this.updateAccountBalance(userId, transferData.to_account_id, amount, transferData.date);
+      // Create the transfer and its fee and update the account balances together
+      const transaction = await this.writeTransaction(userId, {
+        payload: transferPayload,
+        tags: transferData.tags ? normalizeTagNames(transferData.tags) : null,
+        audit: { action: 'create' },
+        feeWrites: transferData.fee ? [{ payload: this.buildFeePayload(userId, transferPayload, transferData.fee), audit: { action: 'create' } }] : null
+      });
 
       return transaction;
     } catch (error) {
@@ -137,67 +205,146 @@ class TransactionService {
     }
   }
 
-  async getTransactions(userId, filters = {}, pagination = {}) {
+  /**
+   * Refund (or reverse) part or all of a transaction. The refund is linked to the original
+   * and books against the same category, so it offsets the original's spending or income.
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Original transaction ID
+   * @param {Object} refundData - { amount, date, account_id, category_id, payee, memo } (see buildRefund)
+   * @returns {Object} The refund transaction
+   */
+  async createRefund(userId, transactionId, refundData = {}) {
     try {
-      const page = pagination.page || 1;
-      const limit = pagination.limit || 10;
-      const offset = (page - 1) * limit;
-
-      let query = supabase
+      const { data: original } = await supabase
         .from('transactions')
-        .select('*', { count: 'exact' })
+        .select(TRANSACTION_SELECT)
+        .eq('id', transactionId)
         .eq('user_id', userId)
-        .is('deleted_at', null);
+        .is('deleted_at', null)
+        .single();
 
-      // Apply filters
-      if (filters.type) {
-        query = query.eq('type', filters.type);
+      if (!original) {
+        throw new Error('Transaction not found');
       }
 
-      if (filters.account_id) {
-        query = query.or(`account_id.eq.${filters.account_id},from_account_id.eq.${filters.account_id},to_account_id.eq.${filters.account_id}`);
+      // Money may come back to another account, but in the original currency
+      if (refundData.account_id && refundData.account_id !== original.account_id) {
+        const { data: account } = await supabase
+          .from('accounts')
+          .select('currency')
+          .eq('id', refundData.account_id)
+          .eq('user_id', userId)
+          .is('deleted_at', null)
+          .single();
+
+        if (!account) {
+          throw new Error('Account not found');
+        }
+        if (account.currency !== original.currency) {
+          throw new Error('Refund currency must match the original transaction currency');
+        }
       }
 
-      if (filters.category_id) {
-        query = query.eq('category_id', filters.category_id);
-      }
+      const refunds = await this.getRefunds(userId, transactionId);
+      const refundPayload = { user_id: userId, ...buildRefund(original, refunds, refundData) };
+      refundPayload.is_scheduled = this.isFutureDate(refundPayload.date);
 
-      if (filters.start_date) {
-        query = query.gte('date', filters.start_date);
-      }
+      // The database locks the original while the refund is written, so a refund created
+      // at the same time cannot take the same amount
+      const refund = await this.writeTransaction(userId, {
+        payload: refundPayload,
+        tags: normalizeTagNames(original.tags),
+        audit: { action: 'create', metadata: { refund_of_id: transactionId } }
+      });
 
-      if (filters.end_date) {
-        query = query.lte('date', filters.end_date);
-      }
+      return refund;
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      if (filters.min_amount) {
-        query = query.gte('amount', filters.min_amount);
-      }
+  /**
+   * Get the live refunds of a transaction, oldest first
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Original transaction ID
+   * @returns {Array} Refunds of { id, date, amount, account_id, memo }
+   */
+  async getRefunds(userId, transactionId) {
+    const { data: refunds, error } = await supabase
+      .from('transactions')
+      .select('id, date, amount, account_id, memo')
+      .eq('refund_of_id', transactionId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('date', { ascending: true });
+
+    if (error) throw error;
+
+    return refunds;
+  }
 
-      if (filters.max_amount) {
-        query = query.lte('amount', filters.max_amount);
+  /**
+   * List transactions page by page.
+   * Pages are either numbered (page) or follow the cursor returned with the previous page;
+   * cursors stay correct while transactions are added, numbered pages can shift.
+   * @param {string} userId - User ID
+   * @param {Object} filters - See applyFilters
+   * @param {Object} pagination - { page, limit, cursor, sort (date, amount, payee, created_at),
+   *   direction (asc, desc), count (exact, estimated or none; default exact, none with a cursor) }
+   * @returns {Object} { transactions, pagination: { page, limit, total, total_pages, sort, direction, has_more, next_cursor } }
+   */
+  async getTransactions(userId, filters = {}, pagination = {}) {
+    try {
+      const { sort, direction } = parseSort(pagination.sort, pagination.direction);
+      const cursor = pagination.cursor ? decodeCursor(pagination.cursor, sort, direction) : null;
+      const countMode = pagination.count || (cursor ? 'none' : 'exact');
+      if (!COUNT_MODES.includes(countMode)) {
+        throw new Error(`Invalid count mode: ${countMode}. Use one of ${COUNT_MODES.join(', ')}`);
       }
 
-      if (filters.search) {
-        query = query.or(`payee.ilike.%${filters.search}%,memo.ilike.%${filters.search}%`);
+      filters = await this.resolveFilters(userId, filters);
+
+      const page = cursor ? null : pagination.page || 1;
+      const limit = pagination.limit || 10;
+      const offset = cursor ? 0 : (page - 1) * limit;
+
+      let query = supabase
+        .from('transactions')
+        .select(this.getSelect(filters), countMode === 'none' ? {} : { count: countMode })
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+      query = this.applyFilters(query, filters);
+
+      if (cursor) {
+        query = query.or(buildKeysetFilter(sort, direction, cursor));
       }
 
-      // Apply pagination and sorting
+      // Apply sorting (id breaks ties so cursors are exact) and fetch one extra row to see if more follow
       query = query
-        .order('date', { ascending: false })
-        .range(offset, offset + limit - 1);
+        .order(sort, { ascending: direction === 'asc', nullsFirst: false })
+        .order('id', { ascending: direction === 'asc' })
+        .range(offset, offset + limit);
 
-      const { data: transactions, error, count } = await query;
+      const { data: rows, error, count } = await query;
 
       if (error) throw error;
 
+      const hasMore = rows.length > limit;
+      const transactions = rows.slice(0, limit).map(this.withoutFilterColumns);
+      const total = countMode === 'none' ? null : count;
+
       return {
         transactions,
         pagination: {
           page,
           limit,
-          total: count,
-          total_pages: Math.ceil(count / limit)
+          total,
+          total_pages: total === null ? null : Math.ceil(total / limit),
+          sort,
+          direction,
+          has_more: hasMore,
+          next_cursor: hasMore ? encodeCursor(transactions[transactions.length - 1], sort, direction) : null
         }
       };
     } catch (error) {
@@ -205,11 +352,204 @@ class TransactionService {
     }
   }
 
+  /**
+   * Compile the search query in the filters, looking up the category and account names it uses
+   * @param {string} userId - User ID
+   * @param {Object} filters - List filters; search holds the query (see utils/searchQuery.js)
+   * @returns {Object} The filters with search_query set to the compiled query
+   * @throws {SearchQueryError} When the search query is invalid
+   */
+  async resolveFilters(userId, filters = {}) {
+    if (filters.status) {
+      parseStatusFilter(filters.status);
+    }
+    if (!filters.search || filters.search_query) {
+      return filters;
+    }
+
+    const terms = parseSearchQuery(filters.search);
+    const lookups = { categories: new Map(), accounts: new Map() };
+
+    if (terms.some(term => term.field === 'category')) {
+      const { data: categories, error } = await supabase
+        .from('categories')
+        .select('id, name, parent_id')
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+      if (error) throw error;
+
+      // A category name matches the category and everything below it
+      const descendants = (id) => [id, ...categories
+        .filter(category => category.parent_id === id)
+        .flatMap(category => descendants(category.id))];
+      categories.forEach(category => {
+        const key = category.name.toLowerCase();
+        lookups.categories.set(key, [...(lookups.categories.get(key) || []), ...descendants(category.id)]);
+      });
+    }
+
+    if (terms.some(term => term.field === 'account')) {
+      const { data: accounts, error } = await supabase
+        .from('accounts')
+        .select('id, name')
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+      if (error) throw error;
+
+      accounts.forEach(account => {
+        const key = account.name.toLowerCase();
+        lookups.accounts.set(key, [...(lookups.accounts.get(key) || []), account.id]);
+      });
+    }
+
+    return { ...filters, search_query: compileSearchQuery(terms, lookups) };
+  }
+
+  /**
+   * Apply the transaction list filters to a query
+   * @param {Object} query - Supabase query on transactions
+   * @param {Object} filters - { type, account_id, category_id, status (one or more, comma-separated),
+   *   scheduled (true: only future-dated, false: only posted), start_date, end_date, min_amount, max_amount, tags,
+   *   search_query (compiled by resolveFilters) }
+   * @returns {Object} The filtered query
+   */
+  applyFilters(query, filters = {}) {
+    if (filters.type) {
+      query = query.eq('type', filters.type);
+    }
+
+    if (filters.account_id) {
+      query = query.or(`account_id.eq.${filters.account_id},from_account_id.eq.${filters.account_id},to_account_id.eq.${filters.account_id}`);
+    }
+
+    if (filters.category_id) {
+      query = query.eq('category_id', filters.category_id);
+    }
+
+    if (filters.status) {
+      query = query.in('status', parseStatusFilter(filters.status));
+    }
+
+    if (filters.scheduled !== undefined) {
+      query = query.eq('is_scheduled', filters.scheduled === true || filters.scheduled === 'true');
+    }
+
+    if (filters.start_date) {
+      query = query.gte('date', filters.start_date);
+    }
+
+    if (filters.end_date) {
+      query = query.lte('date', filters.end_date);
+    }
+
+    if (filters.min_amount) {
+      query = query.gte('amount', filters.min_amount);
+    }
+
+    if (filters.max_amount) {
+      query = query.lte('amount', filters.max_amount);
+    }
+
+    // Transactions with any of the tags (joined through getSelect)
+    if (filters.tags && filters.tags.length > 0) {
+      query = query.in('tag_filter.name', normalizeTagNames(filters.tags));
+    }
+
+    if (filters.search_query) {
+      const { condition, tags } = filters.search_query;
+      if (condition) {
+        query = query.or(condition);
+      }
+      // Each searched tag has its own join (see getSelect); excluded tags must find no row
+      tags.include.forEach((tag, index) => {
+        query = query.eq(`tag_filter_${index}.name`, tag);
+      });
+      tags.exclude.forEach((tag, index) => {
+        query = query.eq(`tag_exclude_${index}.name`, tag).is(`tag_exclude_${index}`, null);
+      });
+    }
+
+    return query;
+  }
+
+  /**
+   * Select clause for a filtered transaction query. Filtering by tag needs an inner join
+   * of its own so the returned tags list stays complete.
+   * @param {Object} filters - Same filters as applyFilters
+   */
+  getSelect(filters = {}) {
+    const joins = [];
+    if (filters.tags && filters.tags.length > 0) {
+      joins.push('tag_filter:tags!inner(name)');
+    }
+    if (filters.search_query) {
+      filters.search_query.tags.include.forEach((tag, index) => joins.push(`tag_filter_${index}:tags!inner(name)`));
+      filters.search_query.tags.exclude.forEach((tag, index) => joins.push(`tag_exclude_${index}:tags(name)`));
+    }
+
+    return [TRANSACTION_SELECT, ...joins].join(', ');
+  }
+
+  /**
+   * Drop the joins only used for filtering from a returned transaction
+   */
+  withoutFilterColumns(transaction) {
+    return Object.fromEntries(Object.entries(transaction).filter(([key]) =>
+      !key.startsWith('tag_filter') && !key.startsWith('tag_exclude')));
+  }
+
+  /**
+   * Read every transaction matching the filters, oldest first, in batches
+   * so large exports never hold the whole result in memory
+   * @param {string} userId - User ID
+   * @param {Object} filters - Same filters as getTransactions
+   * @param {number} batchSize - Rows fetched per query
+   * @yields {Array} Batches of transactions with their splits and tags
+   */
+  async *streamTransactions(userId, filters = {}, batchSize = 1000) {
+    filters = await this.resolveFilters(userId, filters);
+
+    // Each batch continues after the last row of the previous one, so rows written
+    // during the export do not shift the batches
+    let position = null;
+    while (true) {
+      let query = this.applyFilters(
+        supabase
+          .from('transactions')
+          .select(this.getSelect(filters))
+          .eq('user_id', userId)
+          .is('deleted_at', null),
+        filters
+      );
+      if (position) {
+        query = query.or(buildKeysetFilter('date', 'asc', position));
+      }
+
+      const { data: transactions, error } = await query
+        .order('date', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(batchSize);
+
+      if (error) throw error;
+
+      if (transactions.length > 0) {
+        yield transactions.map(this.withoutFilterColumns);
+        const last = transactions[transactions.length - 1];
+        position = { value: last.date, id: last.id };
+      }
+      if (transactions.length < batchSize) {
+        return;
+      }
+    }
+  }
+
   async getTransactionById(userId, transactionId) {
     try {
       const { data: transaction, error } = await supabase
         .from('transactions')
-        .select('*')
+        .select(TRANSACTION_SELECT)
         .eq('id', transactionId)
         .eq('user_id', userId)
         .is('deleted_at', null)
@@ -219,18 +559,138 @@ class TransactionService {
         throw new Error('Transaction not found');
       }
 
+      if (transaction.type === 'transfer') {
+        transaction.fee_transaction = await this.getFeeTransaction(userId, transactionId);
+      } else if (!transaction.refund_of_id) {
+        transaction.refunds = await this.getRefunds(userId, transactionId);
+        transaction.refunded_amount = parseFloat((Math.abs(parseFloat(transaction.amount)) -
+          getRefundableAmount(transaction, transaction.refunds)).toFixed(2));
+      }
+
       return transaction;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Get the live expense recording a transfer's fee
+   * @param {string} userId - User ID
+   * @param {string} transferId - Transfer ID
+   * @returns {Object|null} The fee transaction, or null if the transfer has no fee
+   */
+  async getFeeTransaction(userId, transferId) {
+    const { data: fee, error } = await supabase
+      .from('transactions')
+      .select(TRANSACTION_SELECT)
+      .eq('fee_transfer_id', transferId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return fee;
+  }
+
+  /**
+   * Row of a transfer's fee expense. Fees are generated from the transfer, so categorization
+   * rules and duplicate detection do not apply to them.
+   * @private
+   * @param {string} userId - User ID
+   * @param {Object} transfer - The transfer as written
+   * @param {Object} fee - { amount, currency, category_id, paid_by, memo } (see buildFeeTransaction)
+   */
+  buildFeePayload(userId, transfer, fee) {
+    const feeData = buildFeeTransaction(transfer, fee);
+    return { ...feeData, user_id: userId, is_scheduled: this.isFutureDate(feeData.date) };
+  }
+
+  /**
+   * Fee writes that keep a transfer's fee expense in step with an update of the transfer
+   * @private
+   * @param {string} userId - User ID
+   * @param {Object|null} existingFee - The transfer's live fee
+   * @param {Object} transfer - The transfer as it will be written
+   * @param {Object|null|undefined} fee - New fee, null to remove it, undefined to keep it (moving it to the transfer's date)
+   * @returns {Array|null} Fee writes for writeTransaction, or null when the fee stays as it is
+   */
+  getFeeWrites(userId, existingFee, transfer, fee) {
+    const updatedAt = new Date().toISOString();
+
+    if (fee === undefined) {
+      if (!existingFee || String(existingFee.date).slice(0, 10) === String(transfer.date).slice(0, 10)) {
+        return null;
+      }
+      checkLockedUpdate(existingFee, { date: transfer.date });
+      return [{
+        transactionId: existingFee.id,
+        payload: { date: transfer.date, is_scheduled: this.isFutureDate(transfer.date), updated_at: updatedAt },
+        audit: { action: 'update' }
+      }];
+    }
+
+    const feePayload = fee ? this.buildFeePayload(userId, transfer, fee) : null;
+
+    if (existingFee && feePayload && existingFee.account_id === feePayload.account_id) {
+      const { date, amount, category_id: categoryId, memo, is_scheduled: isScheduled } = feePayload;
+      checkLockedUpdate(existingFee, { date, amount, category_id: categoryId, memo });
+      return [{
+        transactionId: existingFee.id,
+        payload: { date, amount, category_id: categoryId, memo, is_scheduled: isScheduled, updated_at: updatedAt },
+        audit: { action: 'update' }
+      }];
+    }
+
+    // Removed, or now paid by the other side
+    const writes = [];
+    if (existingFee) {
+      if (isLocked(existingFee)) {
+        throw new Error(LOCKED_MESSAGE);
+      }
+      writes.push({ transactionId: existingFee.id, payload: { deleted_at: updatedAt }, audit: { action: 'delete' } });
+    }
+    if (feePayload) {
+      writes.push({ payload: feePayload, audit: { action: 'create' } });
+    }
+    return writes;
+  }
+
+  /**
+   * Check that a refund's new amount fits in what its original has not refunded otherwise
+   * @private
+   */
+  async checkRefundAmount(userId, refund, amount) {
+    const { data: original } = await supabase
+      .from('transactions')
+      .select('id, amount')
+      .eq('id', refund.refund_of_id)
+      .eq('user_id', userId)
+      .single();
+
+    if (!original) {
+      return;
+    }
+
+    const otherRefunds = (await this.getRefunds(userId, original.id)).filter(other => other.id !== refund.id);
+    const refundable = getRefundableAmount(original, otherRefunds);
+    if (amount > refundable) {
+      throw new Error(`Refund cannot exceed the amount not yet refunded (${refundable.toFixed(2)})`);
+    }
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} updates - Fields to change; transfers also take to_amount or rate, and fee (null removes it)
+   */
   async updateTransaction(userId, transactionId, updates) {
     try {
       // Get existing transaction
       const { data: existing } = await supabase
         .from('transactions')
-        .select('*')
+        .select(TRANSACTION_SELECT)
         .eq('id', transactionId)
         .eq('user_id', userId)
         .is('deleted_at', null)
@@ -240,44 +700,125 @@ class TransactionService {
         throw new Error('Transaction not found');
       }
 
-     // Revert old balance changes (only if old transaction was not historical)
-      if (existing.type === 'transfer') {
-        await this.updateAccountBalance(userId, existing.from_account_id, existing.amount, existing.date);
-        await this.updateAccountBalance(userId, existing.to_account_id, -existing.amount, existing.date);
-      } else {
-        await this.updateAccountBalance(userId, existing.account_id, -existing.amount, existing.date);
+      // What a finalized reconciliation matched against a statement cannot change
+      checkLockedUpdate(existing, updates);
+
+      if (updates.splits && existing.type === 'transfer') {
+        throw new Error('Transfers cannot be split');
+      }
+      const transferFields = ['to_amount', 'rate', 'fee'].filter(field => updates[field] !== undefined);
+      if (transferFields.length > 0 && existing.type !== 'transfer') {
+        throw new Error('Only transfers have a received amount, rate or fee');
+      }
+      // A fee's amount and date follow its transfer
+      if (existing.fee_transfer_id && (updates.amount !== undefined || updates.date !== undefined)) {
+        throw new Error('Change the fee through its transfer');
       }
 
       // Apply new values
       const newAmount = updates.amount !== undefined ? parseFloat(updates.amount) : existing.amount;
-      const finalAmount = existing.type === 'expense' && newAmount > 0 ? -Math.abs(newAmount) :
-                         existing.type === 'income' && newAmount < 0 ? Math.abs(newAmount) : newAmount;
+      let finalAmount = existing.type === 'expense' && newAmount > 0 ? -Math.abs(newAmount) :
+                       existing.type === 'income' && newAmount < 0 ? Math.abs(newAmount) : newAmount;
+
+      // Refunds keep the opposite sign of their original and cannot refund more than it
+      if (existing.refund_of_id) {
+        finalAmount = getRefundSign(existing.type) * Math.abs(newAmount);
+        if (updates.amount !== undefined) {
+          await this.checkRefundAmount(userId, existing, Math.abs(newAmount));
+        }
+      } else if (updates.amount !== undefined && existing.type !== 'transfer') {
+        // An original cannot shrink below what it has already refunded
+        const refunded = (await this.getRefunds(userId, transactionId))
+          .reduce((sum, refund) => sum + Math.abs(parseFloat(refund.amount)), 0);
+        if (Math.abs(newAmount) < Math.round(refunded * 100) / 100) {
+          throw new Error(`Amount cannot be less than what has already been refunded (${refunded.toFixed(2)})`);
+        }
+      }
+
+      // Split lines are stored separately from the transaction row.
+      // Setting a category on a split transaction turns it back into a single-category one.
+      const {
+        splits: splitUpdates, tags: tagUpdates, rate, fee: feeUpdate,
+        status: statusUpdate, is_reconciled: reconciledUpdate, ...fields
+      } = updates;
+      const isSplit = existing.splits && existing.splits.length > 0;
+      const splits = splitUpdates === undefined && isSplit && fields.category_id ? null : splitUpdates;
+
+      if (splits) {
+        const splitTotal = splits.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+        if (Math.abs(splitTotal) !== Math.round(Math.abs(finalAmount) * 100)) {
+          throw new Error('Split amounts must add up to the transaction amount');
+        }
+      } else if (splits === undefined && isSplit && parseFloat(finalAmount) !== parseFloat(existing.amount)) {
+        throw new Error('Provide updated splits when changing the amount of a split transaction');
+      }
 
       // Prepare update payload
       const updatePayload = {
-        ...updates,
+        ...fields,
         amount: finalAmount,
         updated_at: new Date().toISOString()
       };
+      if (splits) {
+        updatePayload.category_id = null;
+      }
 
-      // Update transaction
-      const { data: transaction, error } = await supabase
-        .from('transactions')
-        .update(updatePayload)
-        .eq('id', transactionId)
-        .eq('user_id', userId)
-        .select()
-        .single();
+      // Move along the status lifecycle; is_reconciled follows the status
+      let status = statusUpdate;
+      if (status === undefined && reconciledUpdate !== undefined) {
+        status = reconciledUpdate ? 'reconciled' : getStatus(existing) === 'reconciled' ? 'cleared' : getStatus(existing);
+      }
+      if (status !== undefined) {
+        checkStatusTransition(getStatus(existing), status);
+        updatePayload.status = status;
+        updatePayload.is_reconciled = status === 'reconciled';
+      }
 
-      if (error) throw error;
+      // Moving the date into the future schedules the transaction again, and back posts it
+      if (updates.date !== undefined) {
+        updatePayload.is_scheduled = this.isFutureDate(updates.date);
+      }
 
-      // Apply new balance changes (only if new transaction is not historical)
-      const newDate = updates.date !== undefined ? updates.date : existing.date;
-      if (transaction.type === 'transfer') {
-        await this.updateAccountBalance(userId, transaction.from_account_id, -transaction.amount, newDate);
-        await this.updateAccountBalance(userId, transaction.to_account_id, transaction.amount, newDate);
-      } else {
-        await this.updateAccountBalance(userId, transaction.account_id, transaction.amount, newDate);
+      if (existing.type === 'transfer' && (updates.amount !== undefined || updates.to_amount !== undefined || rate !== undefined)) {
+        // Without a new received amount or rate, a new sent amount keeps the transfer's rate
+        const keepRate = updates.to_amount === undefined && rate === undefined && existing.to_currency &&
+          existing.to_currency !== existing.currency;
+        Object.assign(updatePayload, resolveTransferAmounts({
+          amount: finalAmount,
+          currency: existing.currency,
+          to_amount: updates.to_amount,
+          to_currency: existing.to_currency || existing.currency,
+          rate: keepRate ? getImpliedRate(existing) : rate
+        }, existing.currency, existing.to_currency || existing.currency));
+      }
+      if (existing.type !== 'transfer' && (updates.amount !== undefined || updates.payee !== undefined)) {
+        updatePayload.fingerprint = buildFingerprint({ ...existing, ...updatePayload });
+      }
+
+      let splitRows = null;
+      if (splits !== undefined) {
+        const splitTotal = (splits || []).reduce((sum, split) => sum + parseFloat(split.amount), 0);
+        const signFactor = Math.sign(splitTotal) === Math.sign(finalAmount) ? 1 : -1;
+        splitRows = this.buildSplitRows(splits || [], signFactor);
+      }
+
+      // A transfer's fee is written together with it
+      const existingFee = existing.type === 'transfer' ? await this.getFeeTransaction(userId, transactionId) : null;
+      const feeWrites = existing.type === 'transfer' ?
+        this.getFeeWrites(userId, existingFee, { ...existing, ...updatePayload }, feeUpdate) : null;
+
+      // The write reverts the balance changes of the row as stored and applies the new ones
+      const transaction = await this.writeTransaction(userId, {
+        transactionId,
+        payload: updatePayload,
+        splits: splitRows,
+        tags: tagUpdates !== undefined ? normalizeTagNames(tagUpdates) : null,
+        audit: { action: 'update' },
+        feeWrites
+      });
+
+      if (existing.type === 'transfer' && !feeWrites) {
+        transaction.fee_transaction = existingFee;
       }
 
       return transaction;
@@ -291,7 +832,7 @@ class TransactionService {
       // Get transaction to revert balance
       const { data: transaction } = await supabase
         .from('transactions')
-        .select('*')
+        .select(TRANSACTION_SELECT)
         .eq('id', transactionId)
         .eq('user_id', userId)
         .is('deleted_at', null)
@@ -300,35 +841,144 @@ class TransactionService {
       if (!transaction) {
         throw new Error('Transaction not found');
       }
+      if (transaction.fee_transfer_id) {
+        throw new Error('Remove the fee through its transfer');
+      }
+      if (isLocked(transaction)) {
+        throw new Error(LOCKED_MESSAGE);
+      }
 
-      // Revert balance changes (only if transaction was not historical)
-      if (transaction.type === 'transfer') {
-        await this.updateAccountBalance(userId, transaction.from_account_id, transaction.amount, transaction.date);
-        await this.updateAccountBalance(userId, transaction.to_account_id, -transaction.amount, transaction.date);
-      } else {
-        await this.updateAccountBalance(userId, transaction.account_id, -transaction.amount, transaction.date);
+      // The fee goes together with its transfer, so it must not be locked either
+      const fee = transaction.type === 'transfer' ? await this.getFeeTransaction(userId, transactionId) : null;
+      if (fee && isLocked(fee)) {
+        throw new Error(LOCKED_MESSAGE);
       }
 
-      // Soft delete
-      const { error } = await supabase
+      // Soft delete the transaction and its fee and revert their balance changes together;
+      // the fee shares the transfer's deleted_at, so restoring the transfer brings it back
+      const deletedAt = new Date().toISOString();
+      await this.writeTransaction(userId, {
+        transactionId,
+        payload: { deleted_at: deletedAt },
+        audit: { action: 'delete' },
+        feeWrites: fee ? [{ transactionId: fee.id, payload: { deleted_at: deletedAt }, audit: { action: 'delete' } }] : null
+      });
+
+      return { message: 'Transaction deleted successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a transaction from the trash and re-apply the balance changes its deletion reverted
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Deleted transaction ID
+   * @returns {Object} The restored transaction
+   */
+  async restoreTransaction(userId, transactionId) {
+    try {
+      const { data: transaction } = await supabase
         .from('transactions')
-        .update({ deleted_at: new Date().toISOString() })
+        .select(TRANSACTION_SELECT)
         .eq('id', transactionId)
-        .eq('user_id', userId);
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .single();
 
-      if (error) throw error;
+      if (!transaction) {
+        throw new Error('Transaction not found in trash');
+      }
 
-      return { message: 'Transaction deleted successfully' };
+      if (transaction.fee_transfer_id) {
+        const { data: transfer } = await supabase
+          .from('transactions')
+          .select('id')
+          .eq('id', transaction.fee_transfer_id)
+          .eq('user_id', userId)
+          .is('deleted_at', null)
+          .maybeSingle();
+
+        if (!transfer) {
+          throw new Error('Restore the fee\'s transfer first');
+        }
+      }
+
+      await this.checkRestorable(userId, transaction);
+
+      // Bring back the fee deleted together with the transfer (not fees it had replaced before)
+      let fee = null;
+      if (transaction.type === 'transfer') {
+        const { data: fees, error: feesError } = await supabase
+          .from('transactions')
+          .select(TRANSACTION_SELECT)
+          .eq('fee_transfer_id', transactionId)
+          .eq('user_id', userId)
+          .gte('deleted_at', transaction.deleted_at)
+          .limit(1);
+
+        if (feesError) throw feesError;
+        fee = fees[0] || null;
+        if (fee) {
+          await this.checkRestorable(userId, fee);
+        }
+      }
+
+      const payload = { deleted_at: null, updated_at: new Date().toISOString() };
+      const restored = await this.writeTransaction(userId, {
+        transactionId,
+        payload,
+        restore: true,
+        audit: { action: 'restore' },
+        feeWrites: transaction.type === 'transfer' ?
+          (fee ? [{ transactionId: fee.id, payload, restore: true, audit: { action: 'restore' } }] : []) : null
+      });
+
+      return restored;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Check that the accounts and categories a deleted transaction points to are live again
+   * @private
+   */
+  async checkRestorable(userId, transaction) {
+    const accountIds = [transaction.account_id, transaction.from_account_id, transaction.to_account_id].filter(Boolean);
+    const { data: accounts, error: accountsError } = await supabase
+      .from('accounts')
+      .select('id')
+      .in('id', accountIds)
+      .eq('user_id', userId)
+      .is('deleted_at', null);
+
+    if (accountsError) throw accountsError;
+    if (accounts.length !== new Set(accountIds).size) {
+      throw new Error('Restore the transaction\'s account first');
+    }
+
+    const categoryIds = [transaction.category_id, ...(transaction.splits || []).map(split => split.category_id)].filter(Boolean);
+    if (categoryIds.length > 0) {
+      const { data: categories, error: categoriesError } = await supabase
+        .from('categories')
+        .select('id')
+        .in('id', categoryIds)
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+      if (categoriesError) throw categoriesError;
+      if (categories.length !== new Set(categoryIds).size) {
+        throw new Error('Restore the transaction\'s category first');
+      }
+    }
+  }
+
   async toggleReconciliation(userId, transactionId) {
     try {
       const { data: transaction } = await supabase
         .from('transactions')
-        .select('is_reconciled')
+        .select('*')
         .eq('id', transactionId)
         .eq('user_id', userId)
         .is('deleted_at', null)
@@ -338,10 +988,19 @@ class TransactionService {
         throw new Error('Transaction not found');
       }
 
+      if (isLocked(transaction)) {
+        throw new Error(LOCKED_MESSAGE);
+      }
+
+      // Pending transactions have to clear before they can be reconciled
+      const status = getStatus(transaction) === 'reconciled' ? 'cleared' : 'reconciled';
+      checkStatusTransition(getStatus(transaction), status);
+
       const { data: updated, error } = await supabase
         .from('transactions')
         .update({
-          is_reconciled: !transaction.is_reconciled,
+          status,
+          is_reconciled: status === 'reconciled',
           updated_at: new Date().toISOString()
         })
         .eq('id', transactionId)
@@ -351,23 +1010,46 @@ class TransactionService {
 
       if (error) throw error;
 
+      await auditService.record(userId, 'transactions', transactionId, 'update', { before: transaction, after: updated });
+
       return updated;
     } catch (error) {
       throw error;
     }
   }
 
-  async bulkImport(userId, transactions) {
+  /**
+   * Create many transactions, collecting per-row failures
+   * @param {string} userId - User ID
+   * @param {Array} transactions - Transactions to create
+   * @param {Object} options - { dry_run: only validate, import_batch_id: batch the rows belong to }
+   */
+  async bulkImport(userId, transactions, options = {}) {
     try {
+      if (options.dry_run) {
+        return await this.dryRunImport(userId, transactions);
+      }
+
       const results = {
         success: 0,
         failed: 0,
         errors: []
       };
+      const rules = await this.getActiveRules(userId);
 
       for (const txn of transactions) {
+        // createTransaction trusts its input, so rows get the same checks as manual entry
+        const validationErrors = validateTransactionData(txn);
+        if (validationErrors) {
+          results.failed++;
+          results.errors.push({ transaction: txn, error: validationErrors.join(', ') });
+          continue;
+        }
+
         try {
-          await this.createTransaction(userId, txn);
+          await this.createTransaction(userId, options.import_batch_id
+            ? { ...txn, import_batch_id: options.import_batch_id }
+            : txn, { rules });
           results.success++;
         } catch (error) {
           results.failed++;
@@ -385,57 +1067,538 @@ class TransactionService {
   }
 
   /**
-   * Update account balance only if transaction is not historical
-   * Historical transactions (dated before today) should not affect current_balance
-   * @param {string} userId - User ID
-   * @param {string} accountId - Account ID
-   * @param {number} amountChange - Amount to add/subtract
-   * @param {string} transactionDate - Transaction date (YYYY-MM-DD)
+   * Check what bulkImport would create without writing anything: the same validation
+   * as manual entry, account and currency checks, and suspected duplicates
+   * @returns {Object} { dry_run, success, failed, errors, transactions }
    */
-  async updateAccountBalance(userId, accountId, amountChange, transactionDate) {
+  async dryRunImport(userId, transactions) {
     try {
-      const { data: account } = await supabase
+      const { data: accounts, error } = await supabase
         .from('accounts')
-        .select('current_balance, type')
-        .eq('id', accountId)
+        .select('id, currency')
         .eq('user_id', userId)
-        .single();
+        .is('deleted_at', null);
 
-      if (!account) return;
+      if (error) throw error;
 
-      // Check if transaction is historical (before today)
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Start of today
-      const txDate = new Date(transactionDate);
-      txDate.setHours(0, 0, 0, 0); // Start of transaction day
+      const accountsById = new Map(accounts.map(account => [account.id, account]));
 
-      // Only update current_balance if transaction is today or in the future
-      if (txDate < today) {
-        console.log(`⏳ Historical transaction detected (${transactionDate}). Skipping current_balance update for account ${accountId}`);
-        return; // Don't update current_balance for historical transactions
-      }
+      const checkTransaction = (txn) => {
+        const errors = validateTransactionData(txn);
+        if (errors) {
+          return errors.join(', ');
+        }
+        if (txn.type === 'transfer') {
+          const fromAccount = accountsById.get(txn.from_account_id);
+          const toAccount = accountsById.get(txn.to_account_id);
+          if (!fromAccount || !toAccount) {
+            return 'One or both accounts not found';
+          }
+          try {
+            resolveTransferAmounts(txn, fromAccount.currency, toAccount.currency);
+          } catch (error) {
+            return error.message;
+          }
+          return null;
+        }
+        const account = accountsById.get(txn.account_id);
+        if (!account) {
+          return 'Account not found';
+        }
+        if (account.currency !== txn.currency) {
+          return 'Transaction currency must match account currency';
+        }
+        return null;
+      };
+
+      // Show rows as they would be stored, after the categorization rules
+      const rules = await this.getActiveRules(userId);
+      const checked = transactions.map(txn => ({
+        transaction: { ...txn, ...applyRules(rules, txn).changes },
+        error: checkTransaction(txn)
+      }));
+      const valid = checked.filter(row => !row.error);
+      const matches = await this.findDuplicateCandidates(userId, valid.map(row => row.transaction));
+
+      return {
+        dry_run: true,
+        success: valid.length,
+        failed: checked.length - valid.length,
+        errors: checked
+          .filter(row => row.error)
+          .map(row => ({ transaction: row.transaction, error: row.error })),
+        transactions: valid.map((row, index) => ({
+          ...row.transaction,
+          ...(matches[index].length > 0 && { possible_duplicates: matches[index].map(t => t.id) })
+        }))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // For debt accounts (loans, credit cards), balance works inversely:
-      // - When money comes IN (payment), balance DECREASES (debt is reduced)
-      // - When money goes OUT (borrowing), balance INCREASES (debt grows)
-      const isDebtAccount = account.type === 'loan' || account.type === 'credit_card';
-      const adjustedAmountChange = isDebtAccount ? -parseFloat(amountChange) : parseFloat(amountChange);
+  /**
+   * Get the user's active auto-categorization rules in the order they apply
+   * @param {string} userId - User ID
+   * @returns {Array} Rules ordered by priority
+   */
+  async getActiveRules(userId) {
+    const { data: rules, error } = await supabase
+      .from('categorization_rules')
+      .select('id, conditions, actions')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .is('deleted_at', null)
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return rules;
+  }
 
-      const newBalance = parseFloat(account.current_balance) + adjustedAmountChange;
+  /**
+   * Find stored transactions that look like the given ones: same account, same fingerprint
+   * (amount and normalized payee) and dates within a few days of each other
+   * @param {string} userId - User ID
+   * @param {Array} transactions - Transactions to check (account_id, date, amount, payee, type)
+   * @param {number} windowDays - Maximum days between the two dates
+   * @returns {Array<Array>} For each input transaction, the stored transactions it may duplicate
+   */
+  async findDuplicateCandidates(userId, transactions, windowDays = DEFAULT_DATE_WINDOW_DAYS) {
+    const checkable = transactions.filter(t => t.type !== 'transfer' && t.account_id);
+    if (checkable.length === 0) {
+      return transactions.map(() => []);
+    }
+
+    const shiftDate = (date, days) => {
+      const shifted = new Date(String(date).slice(0, 10));
+      shifted.setUTCDate(shifted.getUTCDate() + days);
+      return shifted.toISOString().split('T')[0];
+    };
+    const dates = checkable.map(t => String(t.date).slice(0, 10)).sort();
+
+    const { data: stored, error } = await supabase
+      .from('transactions')
+      .select('id, account_id, date, amount, payee, type, fingerprint, external_id, created_at')
+      .eq('user_id', userId)
+      .in('account_id', [...new Set(checkable.map(t => t.account_id))])
+      .in('fingerprint', [...new Set(checkable.map(t => t.fingerprint || buildFingerprint(t)))])
+      .gte('date', shiftDate(dates[0], -windowDays))
+      .lte('date', shiftDate(dates[dates.length - 1], windowDays))
+      .is('deleted_at', null);
+
+    if (error) throw error;
+
+    return transactions.map(transaction =>
+      stored.filter(candidate => isLikelyDuplicate(transaction, candidate, windowDays)));
+  }
+
+  /**
+   * Build split rows for storage
+   * @param {Array} splits - Split lines ({ category_id, amount, memo }); empty removes the split
+   * @param {number} signFactor - 1 or -1, applied so lines carry the sign of the stored parent amount
+   * @returns {Array} Rows for transaction_splits
+   */
+  buildSplitRows(splits, signFactor = 1) {
+    return splits.map(split => ({
+      category_id: split.category_id,
+      amount: parseFloat(split.amount) * signFactor,
+      memo: split.memo || null
+    }));
+  }
 
-      await supabase
+  /**
+   * Sum the balance changes of pending transactions per account
+   * @param {string} userId - User ID
+   * @param {string} accountId - Only this account (default: all accounts)
+   * @returns {Map} account_id -> sum of balance changes
+   */
+  async getPendingBalanceChanges(userId, accountId = null) {
+    // Pending transactions dated before an account's opening balance date did not change it
+    const openingDays = new Map();
+    let lastAccountId = null;
+    while (true) {
+      let accountsQuery = supabase
         .from('accounts')
-        .update({
-          current_balance: newBalance,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', accountId)
-        .eq('user_id', userId);
+        .select('id, opening_balance_date')
+        .eq('user_id', userId)
+        .order('id', { ascending: true })
+        .limit(LEDGER_BATCH_SIZE);
+
+      if (lastAccountId) {
+        accountsQuery = accountsQuery.gt('id', lastAccountId);
+      }
 
-      console.log(`✅ Updated current_balance for account ${accountId}: ${account.current_balance} → ${newBalance}`);
+      const { data: accounts, error: accountsError } = await accountsQuery;
+      if (accountsError) throw accountsError;
+
+      accounts.forEach(account => openingDays.set(account.id, getLedgerStart(account)));
+      if (accounts.length < LEDGER_BATCH_SIZE) {
+        break;
+      }
+      lastAccountId = accounts[accounts.length - 1].id;
+    }
+
+    const { totals } = await this.sumPagedBalanceChanges(() => {
+      const query = supabase
+        .from('transactions')
+        .select('id, type, date, amount, to_amount, account_id, from_account_id, to_account_id')
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .is('deleted_at', null);
+
+      return accountId
+        ? query.or(`account_id.eq.${accountId},from_account_id.eq.${accountId},to_account_id.eq.${accountId}`)
+        : query;
+    }, transaction => this.getBalanceChanges(transaction).filter(change =>
+      openingDays.has(change.account_id) && change.date >= openingDays.get(change.account_id)
+    ));
+
+    return totals;
+  }
+
+  /**
+   * Sum the balance changes scheduled transactions will make once posted, per account
+   * @param {string} userId - User ID
+   * @param {Object} options - { account_id: only this account, until: only transactions dated up to this day }
+   * @returns {Object} { changes: Map(account_id -> sum of balance changes), count }
+   */
+  async getScheduledBalanceChanges(userId, options = {}) {
+    const { totals, count } = await this.sumPagedBalanceChanges(() => {
+      let query = supabase
+        .from('transactions')
+        .select('id, type, date, amount, to_amount, account_id, from_account_id, to_account_id')
+        .eq('user_id', userId)
+        .eq('is_scheduled', true)
+        .is('deleted_at', null);
+
+      if (options.account_id) {
+        query = query.or(`account_id.eq.${options.account_id},from_account_id.eq.${options.account_id},to_account_id.eq.${options.account_id}`);
+      }
+      if (options.until) {
+        query = query.lte('date', options.until);
+      }
+      return query;
+    }, transaction => this.getPostingBalanceChanges(transaction));
+
+    return { changes: totals, count };
+  }
+
+  /**
+   * Sum the balance changes of every posted transaction per account.
+   * Only transactions dated on or after an account's opening balance date count towards that account.
+   * @param {string} userId - User ID
+   * @param {Map} openingDays - account_id -> opening balance date (YYYY-MM-DD) of the accounts to sum
+   * @param {Object} options - { account_id: only this account }
+   * @returns {Map} account_id -> sum of balance changes
+   */
+  async getLedgerBalanceChanges(userId, openingDays, options = {}) {
+    const totals = new Map();
+    let lastId = null;
+
+    while (true) {
+      let query = supabase
+        .from('transactions')
+        .select('id, type, date, amount, to_amount, account_id, from_account_id, to_account_id')
+        .eq('user_id', userId)
+        .eq('is_scheduled', false)
+        .is('deleted_at', null)
+        .order('id', { ascending: true })
+        .limit(LEDGER_BATCH_SIZE);
+
+      if (options.account_id) {
+        query = query.or(`account_id.eq.${options.account_id},from_account_id.eq.${options.account_id},to_account_id.eq.${options.account_id}`);
+      }
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: transactions, error } = await query;
+      if (error) throw error;
+
+      const batchTotals = this.sumBalanceChanges(transactions, transaction =>
+        this.getBalanceChanges(transaction).filter(change =>
+          openingDays.has(change.account_id) && change.date >= openingDays.get(change.account_id)
+        )
+      );
+      batchTotals.forEach((amount, accountId) => {
+        totals.set(accountId, (totals.get(accountId) || 0) + amount);
+      });
+
+      if (transactions.length < LEDGER_BATCH_SIZE) {
+        return totals;
+      }
+      lastId = transactions[transactions.length - 1].id;
+    }
+  }
+
+  /**
+   * Total the balance changes of the transactions a query selects per account, reading
+   * them page by page by id (PostgREST caps how many rows a query returns)
+   * @private
+   * @param {Function} buildQuery - Returns a new query selecting the transactions to sum
+   * @param {Function} getChanges - Balance changes of one transaction
+   * @returns {Object} { totals: Map(account_id -> sum of balance changes), count: transactions summed }
+   */
+  async sumPagedBalanceChanges(buildQuery, getChanges) {
+    const totals = new Map();
+    let count = 0;
+    let lastId = null;
+
+    while (true) {
+      let query = buildQuery()
+        .order('id', { ascending: true })
+        .limit(LEDGER_BATCH_SIZE);
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: transactions, error } = await query;
+      if (error) throw error;
+
+      this.sumBalanceChanges(transactions, getChanges).forEach((amount, accountId) => {
+        totals.set(accountId, (totals.get(accountId) || 0) + amount);
+      });
+      count += transactions.length;
+
+      if (transactions.length < LEDGER_BATCH_SIZE) {
+        return { totals, count };
+      }
+      lastId = transactions[transactions.length - 1].id;
+    }
+  }
+
+  /**
+   * Total the balance changes of transactions per account
+   * @private
+   * @param {Array} transactions - Transactions
+   * @param {Function} getChanges - Balance changes of one transaction
+   * @returns {Map} account_id -> sum of balance changes
+   */
+  sumBalanceChanges(transactions, getChanges) {
+    const totals = new Map();
+    transactions.forEach(transaction => {
+      getChanges(transaction).forEach(change => {
+        totals.set(change.account_id, (totals.get(change.account_id) || 0) + change.amount);
+      });
+    });
+    return totals;
+  }
+
+  /**
+   * Post every scheduled transaction whose date has come, applying its balance changes.
+   * Runs for all users from the daily cron job.
+   * @param {Date} asOf - Post transactions dated up to this day (default: today)
+   * @returns {Object} { as_of, posted, failed }
+   */
+  async postScheduledTransactions(asOf = new Date()) {
+    try {
+      const asOfDate = toDay(asOf);
+      const failedIds = [];
+      let posted = 0;
+
+      while (true) {
+        let query = supabase
+          .from('transactions')
+          .select(TRANSACTION_SELECT)
+          .eq('is_scheduled', true)
+          .lte('date', asOfDate)
+          .is('deleted_at', null)
+          .order('date', { ascending: true })
+          .limit(POST_BATCH_SIZE);
+        if (failedIds.length > 0) {
+          query = query.not('id', 'in', `(${failedIds.join(',')})`);
+        }
+
+        const { data: transactions, error } = await query;
+        if (error) throw error;
+        if (transactions.length === 0) break;
+
+        for (const transaction of transactions) {
+          try {
+            await this.writeTransaction(transaction.user_id, {
+              transactionId: transaction.id,
+              payload: { is_scheduled: false, updated_at: new Date().toISOString() },
+              audit: { action: 'update', metadata: { posted: true } }
+            });
+            posted++;
+          } catch (postError) {
+            // E.g. the account was deleted; the transaction stays scheduled
+            console.error(`Error posting scheduled transaction ${transaction.id}:`, postError);
+            failedIds.push(transaction.id);
+          }
+        }
+      }
+
+      return { as_of: asOfDate, posted, failed: failedIds.length };
     } catch (error) {
-      console.error('Error updating account balance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get per-category amount lines for reporting.
+   * Unsplit transactions contribute one line for their category_id;
+   * split transactions contribute one line per split instead of the parent.
+   * Scheduled transactions are left out until they are posted.
+   * @param {string} userId - User ID
+   * @param {Object} options - { category_ids, type, start_date (inclusive), end_before (exclusive) }
+   * @returns {Array} Lines of { transaction_id, category_id, amount, date, type }
+   */
+  async getCategoryLines(userId, options = {}) {
+    let transactionQuery = supabase
+      .from('transactions')
+      .select('id, category_id, amount, date, type, splits:transaction_splits(id)')
+      .eq('user_id', userId)
+      .eq('is_scheduled', false)
+      .is('deleted_at', null);
+
+    let splitQuery = supabase
+      .from('transaction_splits')
+      .select('transaction_id, category_id, amount, transactions!inner(date, type, deleted_at, is_scheduled)')
+      .eq('user_id', userId)
+      .eq('transactions.is_scheduled', false)
+      .is('transactions.deleted_at', null);
+
+    if (options.category_ids) {
+      transactionQuery = transactionQuery.in('category_id', options.category_ids);
+      splitQuery = splitQuery.in('category_id', options.category_ids);
     }
+
+    if (options.type) {
+      transactionQuery = transactionQuery.eq('type', options.type);
+      splitQuery = splitQuery.eq('transactions.type', options.type);
+    }
+
+    if (options.start_date) {
+      transactionQuery = transactionQuery.gte('date', options.start_date);
+      splitQuery = splitQuery.gte('transactions.date', options.start_date);
+    }
+
+    if (options.end_before) {
+      transactionQuery = transactionQuery.lt('date', options.end_before);
+      splitQuery = splitQuery.lt('transactions.date', options.end_before);
+    }
+
+    const [transactionResult, splitResult] = await Promise.all([transactionQuery, splitQuery]);
+
+    if (transactionResult.error) throw transactionResult.error;
+    if (splitResult.error) throw splitResult.error;
+
+    const unsplitLines = transactionResult.data
+      .filter(t => !t.splits || t.splits.length === 0)
+      .map(t => ({
+        transaction_id: t.id,
+        category_id: t.category_id,
+        amount: parseFloat(t.amount),
+        date: t.date,
+        type: t.type
+      }));
+
+    const splitLines = splitResult.data.map(split => ({
+      transaction_id: split.transaction_id,
+      category_id: split.category_id,
+      amount: parseFloat(split.amount),
+      date: split.transactions.date,
+      type: split.transactions.type
+    }));
+
+    return [...unsplitLines, ...splitLines];
+  }
+
+  /**
+   * Write a transaction row, its split lines, its tags and its account balance changes atomically.
+   * Runs the write_transaction_with_balances database function so that either everything
+   * is committed or nothing is; any failure is thrown to the caller. The function locks the
+   * transaction while it updates it and derives the balance changes from the stored row
+   * (reverting what it applied before the write, applying what it applies after).
+   * It also writes the audit log entry, with the balance changes added to its metadata.
+   * @param {string} userId - User ID
+   * @param {Object} write - { transactionId (omit to insert), payload, splits,
+   *   tags (tag names; missing tags are created, null leaves the tags unchanged),
+   *   restore (allow writing to a soft-deleted transaction), audit: { action, metadata },
+   *   feeWrites (transfers: [{ transactionId (omit to create the fee), payload, restore, audit }],
+   *   written in the same database transaction) }
+   * @returns {Object} The written transaction, including its splits and tags; with feeWrites
+   *   also its fee_transaction (null when it has none left)
+   */
+  async writeTransaction(userId, { transactionId = null, payload, splits = null, tags = null, restore = false, audit, feeWrites = null }) {
+    const actor = auditService.getActor();
+    const { data: transaction, error } = await supabase.rpc('write_transaction_with_balances', {
+      p_user_id: userId,
+      p_transaction_id: transactionId,
+      p_payload: payload,
+      p_splits: splits,
+      p_tags: tags,
+      p_restore: restore,
+      p_audit: { ...audit, ...actor },
+      p_fee_writes: feeWrites && feeWrites.map(write => ({
+        transaction_id: write.transactionId || null,
+        payload: write.payload,
+        restore: write.restore || false,
+        audit: { ...write.audit, ...actor }
+      }))
+    });
+
+    if (error) {
+      throw new Error(error.message === 'Transaction not found' ? error.message : `Failed to save transaction: ${error.message}`);
+    }
+
+    if (!feeWrites) {
+      return transaction;
+    }
+
+    // The transfer's fee after the writes: the last one written that is not deleted
+    const { fee_transactions: fees, ...transfer } = transaction;
+    transfer.fee_transaction = fees.filter(fee => !fee.deleted_at).pop() || null;
+    return transfer;
+  }
+
+  /**
+   * Whether a date is after the given day, making a transaction dated then scheduled.
+   * Days are compared in UTC, like postScheduledTransactions picks the day to post.
+   * @param {string} date - Transaction date
+   * @param {Date} asOf - Day to compare with (default: today)
+   */
+  isFutureDate(date, asOf = new Date()) {
+    return toDay(date) > toDay(asOf);
+  }
+
+  /**
+   * Balance changes a scheduled transaction applies when it is posted on its date
+   * @param {Object} transaction - Scheduled transaction
+   */
+  getPostingBalanceChanges(transaction) {
+    return this.getBalanceChanges({ ...transaction, is_scheduled: false });
+  }
+
+  /**
+   * Get the account balance changes a transaction applies, the way write_transaction_with_balances
+   * derives them when it is written; the database also skips changes dated before an account's
+   * opening_balance_date (its opening balance already includes them) and applies the debt account sign rules.
+   * Scheduled (future-dated) transactions only change balances once they are posted.
+   * @param {Object} transaction - Transaction (type, date, amount and account ids)
+   * @returns {Array} Balance changes of { account_id, amount, date }
+   */
+  getBalanceChanges(transaction) {
+    if (transaction.is_scheduled) {
+      return [];
+    }
+
+    const date = new Date(transaction.date).toISOString().split('T')[0];
+
+    if (transaction.type === 'transfer') {
+      // The source pays the sent amount; the destination gets the received amount
+      const { sent, received } = getTransferLegs(transaction);
+      return [
+        { account_id: transaction.from_account_id, amount: -sent, date },
+        { account_id: transaction.to_account_id, amount: received, date }
+      ];
+    }
+
+    return [{ account_id: transaction.account_id, amount: parseFloat(transaction.amount), date }];
   }
 }
 
@@ -0,0 +1,266 @@
+// trash.service.js - Trash Service for Lumina Finance Backend
+// Lists and restores soft-deleted records and purges them after the retention period
+
+import { supabase } from '../config/database.js';
+import transactionService from './transaction.service.js';
+import attachmentService from './attachment.service.js';
+import auditService from './audit.service.js';
+import { TRASH_TYPES, TRASH_RETENTION_DAYS, getPurgeCutoff, toTrashItem } from '../utils/trash.js';
+
+// Rows deleted per purge query
+const PURGE_BATCH_SIZE = 500;
+
+class TrashService {
+  /**
+   * List deleted records, most recently deleted first
+   * @param {string} userId - User ID
+   * @param {Object} options - { type (one of TRASH_TYPES, default: all), page, limit }
+   * @returns {Object} { items, counts, pagination, retention_days }
+   */
+  async getTrash(userId, options = {}) {
+    try {
+      const types = this.getTypes(options.type);
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const offset = (page - 1) * limit;
+
+      // Each table returns enough rows to fill the requested page once merged
+      const results = await Promise.all(types.map(type => supabase
+        .from(TRASH_TYPES[type].table)
+        .select(TRASH_TYPES[type].fields, { count: 'exact' })
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false })
+        .range(types.length === 1 ? offset : 0, offset + limit - 1)));
+
+      const counts = {};
+      let items = [];
+      results.forEach(({ data, error, count }, index) => {
+        if (error) throw error;
+        counts[types[index]] = count;
+        items.push(...data.map(row => toTrashItem(types[index], row)));
+      });
+
+      items.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+      if (types.length > 1) {
+        items = items.slice(offset, offset + limit);
+      }
+
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+      return {
+        items,
+        counts,
+        retention_days: TRASH_RETENTION_DAYS,
+        pagination: {
+          page,
+          limit,
+          total,
+          total_pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a deleted record
+   * @param {string} userId - User ID
+   * @param {string} type - Key of TRASH_TYPES
+   * @param {string} id - Record ID
+   * @returns {Object} The restored record
+   */
+  async restoreItem(userId, type, id) {
+    try {
+      this.getTypes(type);
+
+      // Transactions go through TransactionService so their balance effects come back too
+      if (type === 'transactions') {
+        return await transactionService.restoreTransaction(userId, id);
+      }
+
+      const { table } = TRASH_TYPES[type];
+      const { data: record } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .single();
+
+      if (!record) {
+        throw new Error('Item not found in trash');
+      }
+
+      await this.checkRestorable(userId, type, record);
+
+      const { data: restored, error } = await supabase
+        .from(table)
+        .update({ deleted_at: null })
+        .eq('id', id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await auditService.record(userId, type, id, 'restore', { before: record, after: restored });
+
+      return restored;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the records a deleted record points to are live, and that
+   * restoring it does not clash with a record created since
+   * @private
+   */
+  async checkRestorable(userId, type, record) {
+    switch (type) {
+      case 'categories':
+        if (record.parent_id && !(await this.isLive(userId, 'categories', record.parent_id))) {
+          throw new Error('Restore the parent category first');
+        }
+        break;
+
+      case 'budgets': {
+        if (!(await this.isLive(userId, 'categories', record.category_id))) {
+          throw new Error('Restore the budget\'s category first');
+        }
+
+        const { data: existing } = await supabase
+          .from('budgets')
+          .select('id')
+          .eq('user_id', userId)
+          .eq('category_id', record.category_id)
+          .eq('month', record.month)
+          .is('deleted_at', null)
+          .maybeSingle();
+
+        if (existing) {
+          throw new Error('Budget already exists for this category and month');
+        }
+        break;
+      }
+
+      case 'goals':
+        if (record.linked_account_id && !(await this.isLive(userId, 'accounts', record.linked_account_id))) {
+          throw new Error('Restore the goal\'s linked account first');
+        }
+        break;
+
+      case 'recurring':
+        if (!(await this.isLive(userId, 'accounts', record.account_id))) {
+          throw new Error('Restore the recurring transaction\'s account first');
+        }
+        if (record.category_id && !(await this.isLive(userId, 'categories', record.category_id))) {
+          throw new Error('Restore the recurring transaction\'s category first');
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Whether a record exists and is not deleted
+   * @private
+   */
+  async isLive(userId, table, id) {
+    const { data } = await supabase
+      .from(table)
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    return Boolean(data);
+  }
+
+  /**
+   * Validate a type filter
+   * @private
+   * @returns {Array} The trash types to look at
+   */
+  getTypes(type) {
+    if (!type) {
+      return Object.keys(TRASH_TYPES);
+    }
+    if (!TRASH_TYPES[type]) {
+      throw new Error(`Invalid trash type: ${type}. Use one of ${Object.keys(TRASH_TYPES).join(', ')}`);
+    }
+    return [type];
+  }
+
+  /**
+   * Permanently delete every record that has been in the trash longer than the retention period.
+   * Runs for all users from the daily cron job. Purged transactions take their attachments
+   * and the attachment files with them.
+   * @param {number} retentionDays - Days deleted records are kept
+   * @returns {Object} { cutoff, purged: { type: count }, skipped: { type: count }, attachment_files_removed }
+   */
+  async purgeExpired(retentionDays = TRASH_RETENTION_DAYS) {
+    try {
+      const cutoff = getPurgeCutoff(new Date(), retentionDays);
+      const purged = {};
+      const skipped = {};
+      let filesRemoved = 0;
+
+      for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+        purged[type] = 0;
+        skipped[type] = 0;
+        const skippedIds = [];
+
+        while (true) {
+          let query = supabase
+            .from(table)
+            .select('id')
+            .lt('deleted_at', cutoff)
+            .limit(PURGE_BATCH_SIZE);
+          if (skippedIds.length > 0) {
+            query = query.not('id', 'in', `(${skippedIds.join(',')})`);
+          }
+
+          const { data: rows, error } = await query;
+          if (error) throw error;
+          if (rows.length === 0) break;
+
+          const ids = rows.map(row => row.id);
+          // Attachment rows are deleted with their transactions; their files are removed after
+          const files = type === 'transactions' ? await attachmentService.getTransactionFiles(ids) : [];
+          const { error: deleteError } = await supabase.from(table).delete().in('id', ids);
+
+          if (!deleteError) {
+            purged[type] += ids.length;
+            filesRemoved += await attachmentService.removeFiles(files);
+            continue;
+          }
+
+          // A row still referenced by a newer deleted record (e.g. an account whose deleted
+          // transactions are within retention) is kept until that record is purged
+          for (const id of ids) {
+            const { error: rowError } = await supabase.from(table).delete().eq('id', id);
+            if (rowError) {
+              skippedIds.push(id);
+              skipped[type]++;
+            } else {
+              purged[type]++;
+              filesRemoved += await attachmentService.removeFiles(files.filter(file => file.transaction_id === id));
+            }
+          }
+        }
+      }
+
+      return { cutoff, retention_days: retentionDays, purged, skipped, attachment_files_removed: filesRemoved };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new TrashService();
@@ -0,0 +1,44 @@
+// Unit tests for attachment file type checks and filename handling
+import { describe, test, expect } from '@jest/globals';
+import { detectContentType, sanitizeFilename, contentDisposition } from '../../utils/attachments.js';
+
+const pad = (bytes) => Buffer.concat([Buffer.from(bytes), Buffer.alloc(16)]);
+
+describe('Attachments', () => {
+  describe('detectContentType', () => {
+    test('should recognize allowed file signatures', () => {
+      expect(detectContentType(pad(Buffer.from('%PDF-1.7')))).toBe('application/pdf');
+      expect(detectContentType(pad([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+      expect(detectContentType(pad([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe('image/png');
+      expect(detectContentType(pad(Buffer.from('RIFF\x00\x00\x00\x00WEBP', 'latin1')))).toBe('image/webp');
+      expect(detectContentType(pad(Buffer.from('\x00\x00\x00\x18ftypheic', 'latin1')))).toBe('image/heic');
+    });
+
+    test('should reject other or too short contents', () => {
+      expect(detectContentType(pad(Buffer.from('<html><script>')))).toBeNull();
+      expect(detectContentType(Buffer.from('%PDF-'))).toBeNull();
+      expect(detectContentType('%PDF-1.7 not a buffer')).toBeNull();
+    });
+  });
+
+  describe('sanitizeFilename', () => {
+    test('should strip directories, quotes and control characters', () => {
+      expect(sanitizeFilename('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFilename('C:\\receipts\\"lunch"\n.pdf')).toBe('lunch.pdf');
+    });
+
+    test('should fall back to a default name', () => {
+      expect(sanitizeFilename('')).toBe('attachment');
+      expect(sanitizeFilename(undefined)).toBe('attachment');
+      expect(sanitizeFilename('..')).toBe('attachment');
+    });
+  });
+
+  describe('contentDisposition', () => {
+    test('should include an ASCII fallback and the encoded name', () => {
+      expect(contentDisposition('re\u00e7u.pdf')).toBe(
+        'attachment; filename="re_u.pdf"; filename*=UTF-8\'\'re%C3%A7u.pdf'
+      );
+    });
+  });
+});
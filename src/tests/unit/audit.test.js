@@ -0,0 +1,38 @@
+// Unit tests for audit log entry shaping
+import { describe, test, expect } from '@jest/globals';
+import { toAuditSnapshot, getChangedFields } from '../../utils/audit.js';
+
+describe('Audit', () => {
+  describe('toAuditSnapshot', () => {
+    test('should drop joined rows and computed fields but keep lists', () => {
+      const goal = {
+        id: 'goal-1',
+        name: 'Holiday',
+        current_amount: 100,
+        accounts: { id: 'acc-1', name: 'Savings' },
+        progress_percentage: 10,
+        status: 'active'
+      };
+      expect(toAuditSnapshot('goals', goal)).toEqual({ id: 'goal-1', name: 'Holiday', current_amount: 100 });
+
+      const transaction = { id: 'tx-1', amount: -5, tags: [{ id: 'tag-1', name: 'work' }], applied_rules: ['rule-1'] };
+      expect(toAuditSnapshot('transactions', transaction)).toEqual({ id: 'tx-1', amount: -5, tags: [{ id: 'tag-1', name: 'work' }] });
+    });
+
+    test('should return null for a missing record', () => {
+      expect(toAuditSnapshot('accounts', null)).toBeNull();
+    });
+  });
+
+  describe('getChangedFields', () => {
+    test('should list changed fields, ignoring updated_at', () => {
+      const before = { amount: -5, payee: 'Cafe', tags: [], updated_at: '2026-10-01' };
+      const after = { amount: -7, payee: 'Cafe', tags: [{ id: 'tag-1', name: 'work' }], updated_at: '2026-10-02' };
+      expect(getChangedFields(before, after)).toEqual(['amount', 'tags']);
+    });
+
+    test('should treat a missing side as empty', () => {
+      expect(getChangedFields(null, { name: 'Cash', updated_at: '2026-10-02' })).toEqual(['name']);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+// Unit tests for Balance History Service
+import { describe, test, expect, jest } from '@jest/globals';
+import { createMockSupabase } from '../utils/testUtils.js';
+
+// The service talks to this client; each test swaps in its own recorded responses
+const mockSupabase = {};
+jest.unstable_mockModule('../../config/database.js', () => ({ supabase: mockSupabase }));
+
+const { default: balanceHistoryService } = await import('../../services/balanceHistory.service.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Balance History Service', () => {
+  describe('getAccountBalancesOn', () => {
+    const account = { id: 'checking', opening_balance: '0.00', opening_balance_date: '2020-01-01' };
+
+    // One row per day from 2020-01-01, the balance growing by one a day
+    const days = Array.from({ length: 1500 }, (_, index) => ({
+      date: new Date(Date.UTC(2020, 0, 1) + index * DAY_MS).toISOString().split('T')[0],
+      balance: String(index + 1)
+    }));
+
+    test('should read every history row up to the last day, page by page', async () => {
+      Object.assign(mockSupabase, createMockSupabase({
+        respond: ({ calls }) => {
+          const after = calls.find(([method]) => method === 'gt');
+          const from = calls.find(([method]) => method === 'gte');
+          const limit = calls.find(([method]) => method === 'limit')[1];
+          if (!from && !after) {
+            return { data: [], error: null };
+          }
+          const rows = days.filter(day => (after ? day.date > after[2] : day.date >= from[2]));
+          return { data: rows.slice(0, limit), error: null };
+        }
+      }));
+
+      const balances = await balanceHistoryService.getAccountBalancesOn('user-1', account, ['2020-01-31', days[1499].date]);
+
+      expect(balances).toEqual([31, 1500]);
+      expect(mockSupabase.queries.filter(query => query.calls.some(([method]) => method === 'gt')))
+        .toHaveLength(1);
+    });
+  });
+});
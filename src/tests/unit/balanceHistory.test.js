@@ -0,0 +1,56 @@
+// Unit tests for account balance series
+import { describe, test, expect } from '@jest/globals';
+import { getSeriesDates, fillBalanceSeries } from '../../utils/balanceHistory.js';
+
+describe('Balance history', () => {
+  describe('getSeriesDates', () => {
+    test('should list every day of the range', () => {
+      expect(getSeriesDates({ from: '2026-02-26', to: '2026-03-02' })).toEqual([
+        '2026-02-26', '2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02'
+      ]);
+    });
+
+    test('should step back a week at a time from the end of the range', () => {
+      expect(getSeriesDates({ from: '2026-03-01', to: '2026-03-20', interval: 'weekly' }))
+        .toEqual(['2026-03-06', '2026-03-13', '2026-03-20']);
+    });
+
+    test('should use month ends, ending on the last day of the range', () => {
+      expect(getSeriesDates({ from: '2025-12-15', to: '2026-03-10', interval: 'monthly' }))
+        .toEqual(['2025-12-31', '2026-01-31', '2026-02-28', '2026-03-10']);
+    });
+
+    test('should go back a default number of points without from', () => {
+      const dates = getSeriesDates({ to: '2026-03-31', interval: 'monthly' });
+      expect(dates).toHaveLength(12);
+      expect(dates[0]).toBe('2025-04-30');
+    });
+
+    test('should reject invalid ranges and intervals', () => {
+      expect(() => getSeriesDates({ from: '2026-03-02', to: '2026-03-01' })).toThrow('from must not be after to');
+      expect(() => getSeriesDates({ from: 'yesterday', to: '2026-03-01' })).toThrow('Invalid from date: yesterday');
+      expect(() => getSeriesDates({ interval: 'hourly' })).toThrow('Invalid interval: hourly');
+      expect(() => getSeriesDates({ from: '2000-01-01', to: '2026-01-01' })).toThrow('at most 1000 points');
+    });
+  });
+
+  describe('fillBalanceSeries', () => {
+    const start = { opening_balance: '1000.00', ledger_start: '2026-03-02' };
+
+    test('should carry each day-end balance forward until the next change', () => {
+      const rows = [{ date: '2026-03-03', balance: '950.00' }, { date: '2026-03-05', balance: '1200.00' }];
+      expect(fillBalanceSeries(rows, ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06'], start))
+        .toEqual([1000, 950, 950, 1200, 1200]);
+    });
+
+    test('should start from the last change before the first day', () => {
+      const rows = [{ date: '2026-02-20', balance: '640.00' }, { date: '2026-03-10', balance: '700.00' }];
+      expect(fillBalanceSeries(rows, ['2026-03-07', '2026-03-14'], { ...start, ledger_start: '2026-01-01' }))
+        .toEqual([640, 700]);
+    });
+
+    test('should have no balance before the account was opened', () => {
+      expect(fillBalanceSeries([], ['2026-03-01', '2026-03-02'], start)).toEqual([null, 1000]);
+    });
+  });
+});
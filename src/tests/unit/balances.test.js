@@ -0,0 +1,42 @@
+// Unit tests for projected and ledger account balances
+import { describe, test, expect } from '@jest/globals';
+import { getProjectedBalance, getLedgerBalance, getLedgerStart } from '../../utils/balances.js';
+
+describe('Balances', () => {
+  describe('getProjectedBalance', () => {
+    test('should add scheduled transactions to the current balance', () => {
+      expect(getProjectedBalance({ type: 'checking', current_balance: '1000.00' }, -250.5)).toBe(749.5);
+    });
+
+    test('should apply the debt sign rule to credit cards and loans', () => {
+      // A scheduled 80.00 card purchase raises the amount owed, a 500.00 loan repayment lowers it
+      expect(getProjectedBalance({ type: 'credit_card', current_balance: 400 }, -80)).toBe(480);
+      expect(getProjectedBalance({ type: 'loan', current_balance: 10000 }, 500)).toBe(9500);
+    });
+
+    test('should equal the current balance without scheduled transactions', () => {
+      expect(getProjectedBalance({ type: 'savings', current_balance: 300 })).toBe(300);
+    });
+  });
+
+  describe('getLedgerBalance', () => {
+    test('should add the transactions to the opening balance', () => {
+      expect(getLedgerBalance({ type: 'checking', opening_balance: '500.00' }, 120.25 - 80)).toBe(540.25);
+    });
+
+    test('should apply the debt sign rule to credit cards and loans', () => {
+      // 75.00 of card purchases on a card opened owing 100.00
+      expect(getLedgerBalance({ type: 'credit_card', opening_balance: 100 }, -75)).toBe(175);
+    });
+
+    test('should equal the opening balance without transactions', () => {
+      expect(getLedgerBalance({ type: 'loan', opening_balance: 20000 })).toBe(20000);
+    });
+  });
+
+  describe('getLedgerStart', () => {
+    test('should start on the opening balance date', () => {
+      expect(getLedgerStart({ opening_balance_date: '2026-09-01' })).toBe('2026-09-01');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+// Unit tests for Bulk Edit Service
+import { describe, test, expect, jest } from '@jest/globals';
+import { createMockSupabase } from '../utils/testUtils.js';
+
+// The service talks to this client; each test swaps in its own recorded responses
+const mockSupabase = {};
+jest.unstable_mockModule('../../config/database.js', () => ({ supabase: mockSupabase }));
+
+const { default: bulkEditService } = await import('../../services/bulkEdit.service.js');
+
+describe('Bulk Edit Service', () => {
+  describe('bulkUpdate', () => {
+    const groceries = '11111111-1111-4111-8111-111111111111';
+    const transactions = [
+      { id: 'tx-1', type: 'expense', category_id: null, splits: [], tags: [] },
+      { id: 'tx-2', type: 'expense', category_id: null, splits: [{ id: 'split-1' }, { id: 'split-2' }], tags: [] },
+      { id: 'tx-3', type: 'transfer', category_id: null, splits: [], tags: [] }
+    ];
+
+    test('should not put split transactions in a single category, in dry runs as well', async () => {
+      Object.assign(mockSupabase, createMockSupabase({
+        respond: ({ table }) => ({ data: table === 'categories' ? { id: groceries } : transactions, error: null })
+      }));
+
+      const result = await bulkEditService.bulkUpdate('user-1', {
+        ids: ['tx-1', 'tx-2', 'tx-3'],
+        patch: { category_id: groceries },
+        dry_run: true
+      });
+
+      expect(result).toMatchObject({ matched: 3, updated: 1, failed: 2 });
+      expect(result.results).toEqual([
+        { id: 'tx-1', status: 'would_update', changes: { category_id: groceries } },
+        { id: 'tx-2', status: 'failed', error: 'Split transactions cannot take a single category' },
+        { id: 'tx-3', status: 'failed', error: 'Transfers cannot have a category' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// Unit tests for credit card statement cycles
+import { describe, test, expect } from '@jest/globals';
+import {
+  getDueDate, getStatementPeriods, getMinimumPayment, getCreditUsage, buildStatement, getPaymentStatus
+} from '../../utils/creditCards.js';
+
+describe('Credit cards', () => {
+  const card = { id: 'card', type: 'credit_card', statement_closing_day: 15, payment_due_day: 5 };
+
+  describe('getStatementPeriods', () => {
+    test('should list the closed statements newest first after the current period', () => {
+      expect(getStatementPeriods(card, { today: '2026-03-20', count: 2 })).toEqual({
+        current: { period_start: '2026-03-16', closing_date: '2026-04-15' },
+        statements: [
+          { period_start: '2026-02-16', closing_date: '2026-03-15', due_date: '2026-04-05' },
+          { period_start: '2026-01-16', closing_date: '2026-02-15', due_date: '2026-03-05' }
+        ]
+      });
+    });
+
+    test('should keep a statement open until the end of its closing day', () => {
+      expect(getStatementPeriods(card, { today: '2026-03-15', count: 1 }).current.closing_date).toBe('2026-03-15');
+    });
+
+    test('should close on the last day of months without the closing day', () => {
+      const periods = getStatementPeriods({ statement_closing_day: 31, payment_due_day: 25 }, { today: '2026-03-05', count: 1 });
+      expect(periods.current).toEqual({ period_start: '2026-03-01', closing_date: '2026-03-31' });
+      expect(periods.statements).toEqual([
+        { period_start: '2026-02-01', closing_date: '2026-02-28', due_date: '2026-03-25' }
+      ]);
+    });
+  });
+
+  describe('getDueDate', () => {
+    test('should use the first due day after the closing date', () => {
+      expect(getDueDate({ payment_due_day: 25 }, '2026-03-15')).toBe('2026-03-25');
+      expect(getDueDate({ payment_due_day: 5 }, '2026-12-15')).toBe('2027-01-05');
+    });
+
+    test('should have no due date without a payment due day', () => {
+      expect(getDueDate({ payment_due_day: null }, '2026-03-15')).toBeNull();
+    });
+  });
+
+  describe('getMinimumPayment', () => {
+    test('should ask for a share of the statement balance, but at least the floor', () => {
+      expect(getMinimumPayment(card, 2000)).toBe(40);
+      expect(getMinimumPayment(card, 500)).toBe(25);
+    });
+
+    test('should never ask for more than the statement balance', () => {
+      expect(getMinimumPayment(card, 10)).toBe(10);
+      expect(getMinimumPayment(card, -20)).toBe(0);
+    });
+
+    test('should use the card\'s own settings', () => {
+      expect(getMinimumPayment({ minimum_payment_percent: '5.00', minimum_payment_floor: '0.00' }, 300)).toBe(15);
+    });
+  });
+
+  describe('getCreditUsage', () => {
+    test('should report available credit and utilization', () => {
+      expect(getCreditUsage({ current_balance: '1250.00', credit_limit: '5000.00' }))
+        .toEqual({ available_credit: 3750, utilization: 25 });
+    });
+
+    test('should not count a credit balance as utilization', () => {
+      expect(getCreditUsage({ current_balance: -40, credit_limit: 1000 })).toEqual({ available_credit: 1040, utilization: 0 });
+    });
+
+    test('should report nothing without a credit limit', () => {
+      expect(getCreditUsage({ current_balance: 100, credit_limit: null })).toEqual({ available_credit: null, utilization: null });
+    });
+  });
+
+  describe('statements and payments', () => {
+    const period = { period_start: '2026-02-16', closing_date: '2026-03-15', due_date: '2026-04-05' };
+    const purchases = [
+      { date: '2026-02-20', type: 'expense', account_id: 'card', amount: -600 },
+      { date: '2026-03-01', type: 'income', account_id: 'card', amount: 100 }
+    ];
+    const payment = { date: '2026-03-20', type: 'transfer', from_account_id: 'checking', to_account_id: 'card', amount: 200 };
+
+    test('should sum the period\'s charges and credits and the payments after it closed', () => {
+      const statement = buildStatement(card, period, { previous_balance: 300, statement_balance: 800 }, [...purchases, payment]);
+      expect(statement).toEqual({
+        ...period,
+        previous_balance: 300,
+        charges: 600,
+        credits: 100,
+        statement_balance: 800,
+        minimum_payment: 25,
+        payments: 200,
+        paid_in_full: false,
+        minimum_paid: true
+      });
+    });
+
+    test('should flag an unpaid minimum payment due within a week', () => {
+      const statement = buildStatement(card, period, { previous_balance: 300, statement_balance: 800 }, purchases);
+      expect(getPaymentStatus(statement, '2026-03-30')).toEqual({
+        statement_balance: 800,
+        minimum_payment: 25,
+        payment_due_date: '2026-04-05',
+        days_until_due: 6,
+        remaining_statement_balance: 800,
+        remaining_minimum_payment: 25,
+        payment_due_soon: true,
+        is_overdue: false
+      });
+      expect(getPaymentStatus(statement, '2026-03-20').payment_due_soon).toBe(false);
+      expect(getPaymentStatus(statement, '2026-04-06')).toMatchObject({ payment_due_soon: false, is_overdue: true });
+    });
+
+    test('should not flag a statement whose minimum payment is paid', () => {
+      const statement = buildStatement(card, period, { previous_balance: 300, statement_balance: 800 }, [...purchases, payment]);
+      expect(getPaymentStatus(statement, '2026-04-01')).toMatchObject({
+        remaining_statement_balance: 600,
+        remaining_minimum_payment: 0,
+        payment_due_soon: false
+      });
+    });
+  });
+});
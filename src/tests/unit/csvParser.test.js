@@ -0,0 +1,125 @@
+// Unit tests for CSV statement parsing
+import { describe, test, expect } from '@jest/globals';
+import { parseCsv, parseDate, parseAmount, mapCsvRows } from '../../utils/csvParser.js';
+
+describe('CSV Parser', () => {
+  describe('parseCsv', () => {
+    test('should split rows and fields', () => {
+      const rows = parseCsv('Date,Amount\n2026-01-05,12.50\n');
+      expect(rows).toEqual([['Date', 'Amount'], ['2026-01-05', '12.50']]);
+    });
+
+    test('should handle quoted fields, escaped quotes and CRLF', () => {
+      const rows = parseCsv('"Payee","Memo"\r\n"Shop, Inc.","said ""hi"""\r\n');
+      expect(rows).toEqual([['Payee', 'Memo'], ['Shop, Inc.', 'said "hi"']]);
+    });
+
+    test('should support other delimiters and strip a BOM', () => {
+      const rows = parseCsv('\uFEFFDatum;Betrag\n05.01.2026;-1.234,56', ';');
+      expect(rows).toEqual([['Datum', 'Betrag'], ['05.01.2026', '-1.234,56']]);
+    });
+
+    test('should skip blank lines', () => {
+      expect(parseCsv('a,b\n\n1,2\n,\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+  });
+
+  describe('parseDate', () => {
+    test('should parse supported formats', () => {
+      expect(parseDate('2026-01-05', 'YYYY-MM-DD')).toBe('2026-01-05');
+      expect(parseDate('05/01/2026', 'DD/MM/YYYY')).toBe('2026-01-05');
+      expect(parseDate('01/05/2026', 'MM/DD/YYYY')).toBe('2026-01-05');
+      expect(parseDate('5.1.2026', 'DD.MM.YYYY')).toBe('2026-01-05');
+      expect(parseDate('05/01/26', 'DD/MM/YY')).toBe('2026-01-05');
+    });
+
+    test('should reject dates that do not match or do not exist', () => {
+      expect(parseDate('2026-01-05', 'DD/MM/YYYY')).toBeNull();
+      expect(parseDate('31/02/2026', 'DD/MM/YYYY')).toBeNull();
+    });
+  });
+
+  describe('parseAmount', () => {
+    test('should parse dot and comma decimal separators', () => {
+      expect(parseAmount('1,234.56', '.')).toBe(1234.56);
+      expect(parseAmount('1.234,56', ',')).toBe(1234.56);
+      expect(parseAmount('$ -12.50', '.')).toBe(-12.5);
+    });
+
+    test('should treat parentheses and trailing minus as negative', () => {
+      expect(parseAmount('(12.50)', '.')).toBe(-12.5);
+      expect(parseAmount('12.50-', '.')).toBe(-12.5);
+    });
+
+    test('should return null for empty or non-numeric values', () => {
+      expect(parseAmount('', '.')).toBeNull();
+      expect(parseAmount('n/a', '.')).toBeNull();
+    });
+  });
+
+  describe('mapCsvRows', () => {
+    test('should map a single amount column by header name', () => {
+      const csv = 'Date,Description,Amount\n05/01/2026,Coffee,-3.20\n06/01/2026,Salary,2500.00';
+      const rows = mapCsvRows(csv, {
+        date_column: 'Date',
+        date_format: 'DD/MM/YYYY',
+        amount_column: 'Amount',
+        payee_column: 'Description'
+      });
+
+      expect(rows).toEqual([
+        {
+          row_number: 2,
+          data: { date: '2026-01-05', amount: -3.2, type: 'expense', payee: 'Coffee', memo: null },
+          error: null
+        },
+        {
+          row_number: 3,
+          data: { date: '2026-01-06', amount: 2500, type: 'income', payee: 'Salary', memo: null },
+          error: null
+        }
+      ]);
+    });
+
+    test('should combine debit and credit columns', () => {
+      const csv = 'Date;Debit;Credit\n2026-01-05;10,00;\n2026-01-06;;20,50';
+      const rows = mapCsvRows(csv, {
+        delimiter: ';',
+        date_column: 0,
+        debit_column: 'Debit',
+        credit_column: 'Credit',
+        decimal_separator: ','
+      });
+
+      expect(rows.map(row => row.data.amount)).toEqual([-10, 20.5]);
+    });
+
+    test('should flip signs for banks that write expenses as positive', () => {
+      const rows = mapCsvRows('Date,Amount\n2026-01-05,15.00', {
+        date_column: 'Date',
+        amount_column: 'Amount',
+        sign_convention: 'positive_is_expense'
+      });
+
+      expect(rows[0].data.amount).toBe(-15);
+      expect(rows[0].data.type).toBe('expense');
+    });
+
+    test('should report row errors without failing the whole file', () => {
+      const rows = mapCsvRows('Date,Amount\nyesterday,5\n2026-01-05,abc', {
+        date_column: 'Date',
+        amount_column: 'Amount'
+      });
+
+      expect(rows[0].error).toContain('Invalid date');
+      expect(rows[1].error).toBe('Missing or invalid amount');
+    });
+
+    test('should throw when the date column is missing', () => {
+      expect(() => mapCsvRows('When,Amount\n2026-01-05,5', {
+        date_column: 'Date',
+        amount_column: 'Amount'
+      })).toThrow('Date column "Date" not found in CSV');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// Unit tests for duplicate transaction detection
+import { describe, test, expect } from '@jest/globals';
+import { normalizePayee, buildFingerprint, isLikelyDuplicate, findDuplicatePairs, pairKey } from '../../utils/duplicates.js';
+
+const txn = (overrides) => ({
+  account_id: 'acc-1',
+  type: 'expense',
+  amount: -42.1,
+  payee: 'Grocer',
+  date: '2026-01-05',
+  ...overrides
+});
+
+describe('Duplicate Detection', () => {
+  describe('normalizePayee', () => {
+    test('should drop case, punctuation, reference numbers and card noise', () => {
+      expect(normalizePayee('POS PURCHASE AMAZON MKTPL*2K4 #123')).toBe('amazon mktpl');
+      expect(normalizePayee('Amazon Mktpl')).toBe('amazon mktpl');
+    });
+
+    test('should strip accents and handle empty payees', () => {
+      expect(normalizePayee('Café Zürich')).toBe('cafe zurich');
+      expect(normalizePayee(null)).toBe('');
+    });
+  });
+
+  describe('buildFingerprint', () => {
+    test('should combine signed cents with the normalized payee', () => {
+      expect(buildFingerprint(txn({}))).toBe('-4210|grocer');
+      expect(buildFingerprint(txn({ type: 'income', amount: 1500, payee: 'PAYROLL 0126' }))).toBe('+150000|payroll');
+    });
+
+    test('should not fingerprint transfers', () => {
+      expect(buildFingerprint(txn({ type: 'transfer' }))).toBeNull();
+    });
+  });
+
+  describe('isLikelyDuplicate', () => {
+    test('should match the same amount and payee within the date window', () => {
+      expect(isLikelyDuplicate(txn({}), txn({ date: '2026-01-07', payee: 'GROCER 4411' }), 3)).toBe(true);
+      expect(isLikelyDuplicate(txn({}), txn({ date: '2026-01-09' }), 3)).toBe(false);
+    });
+
+    test('should not match other accounts or different bank identifiers', () => {
+      expect(isLikelyDuplicate(txn({}), txn({ account_id: 'acc-2' }))).toBe(false);
+      expect(isLikelyDuplicate(txn({ external_id: 'A' }), txn({ external_id: 'B' }))).toBe(false);
+      expect(isLikelyDuplicate(txn({ external_id: 'A' }), txn({}))).toBe(true);
+    });
+  });
+
+  describe('findDuplicatePairs', () => {
+    const stored = [
+      txn({ id: 'b', date: '2026-01-06' }),
+      txn({ id: 'a' }),
+      txn({ id: 'c', date: '2026-02-01' }),
+      txn({ id: 'd', amount: -5 })
+    ].map(t => ({ ...t, fingerprint: buildFingerprint(t) }));
+
+    test('should pair older with newer transactions', () => {
+      const pairs = findDuplicatePairs(stored, 3);
+      expect(pairs.map(([first, second]) => [first.id, second.id])).toEqual([['a', 'b']]);
+    });
+
+    test('should leave out dismissed pairs', () => {
+      expect(findDuplicatePairs(stored, 3, new Set([pairKey('b', 'a')]))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// Unit tests for transaction export formatting
+import { describe, test, expect } from '@jest/globals';
+import {
+  toExportRecord,
+  escapeCsvField,
+  toCsvHeader,
+  toCsvRow,
+  toJsonLine,
+  toOfxHeader,
+  toOfxTransaction,
+  toOfxFooter
+} from '../../utils/exportFormatters.js';
+import { parseOfx } from '../../utils/statementParser.js';
+
+const names = {
+  accounts: new Map([['acc-1', 'Checking'], ['acc-2', 'Savings']]),
+  categories: new Map([['cat-1', 'Groceries'], ['cat-2', 'Household']])
+};
+
+const expense = {
+  id: 'txn-1',
+  date: '2026-01-05',
+  type: 'expense',
+  account_id: 'acc-1',
+  payee: 'Grocer',
+  category_id: 'cat-1',
+  amount: '-42.10',
+  currency: 'EUR',
+  memo: null,
+  splits: [],
+  tags: [{ id: 'tag-1', name: 'business' }, { id: 'tag-2', name: 'reimbursable' }]
+};
+
+describe('Export Formatters', () => {
+  describe('toExportRecord', () => {
+    test('should resolve account and category names', () => {
+      expect(toExportRecord(expense, names)).toEqual({
+        id: 'txn-1',
+        date: '2026-01-05',
+        type: 'expense',
+        account: 'Checking',
+        from_account: null,
+        to_account: null,
+        payee: 'Grocer',
+        category: 'Groceries',
+        amount: -42.1,
+        currency: 'EUR',
+        memo: null,
+        tags: ['business', 'reimbursable']
+      });
+    });
+
+    test('should list split categories and lines', () => {
+      const record = toExportRecord({
+        ...expense,
+        category_id: null,
+        splits: [
+          { category_id: 'cat-1', amount: '-30.00', memo: null },
+          { category_id: 'cat-2', amount: '-12.10', memo: 'Soap' }
+        ]
+      }, names);
+
+      expect(record.category).toBe('Groceries; Household');
+      expect(record.splits).toEqual([
+        { category: 'Groceries', amount: -30, memo: null },
+        { category: 'Household', amount: -12.1, memo: 'Soap' }
+      ]);
+    });
+
+    test('should resolve transfer accounts', () => {
+      const record = toExportRecord({
+        ...expense,
+        type: 'transfer',
+        account_id: null,
+        from_account_id: 'acc-1',
+        to_account_id: 'acc-2',
+        category_id: null
+      }, names);
+
+      expect(record).toMatchObject({ account: null, from_account: 'Checking', to_account: 'Savings' });
+    });
+
+    test('should export what a transfer between currencies received and its rate', () => {
+      const record = toExportRecord({
+        ...expense,
+        type: 'transfer',
+        account_id: null,
+        from_account_id: 'acc-1',
+        to_account_id: 'acc-2',
+        category_id: null,
+        amount: '100.00',
+        to_amount: '108.50',
+        to_currency: 'USD'
+      }, names);
+
+      expect(record).toMatchObject({ amount: 100, currency: 'EUR', to_amount: 108.5, to_currency: 'USD', rate: 1.085 });
+      expect(toCsvRow(record)).toBe('txn-1,2026-01-05,transfer,,Checking,Savings,Grocer,,100,EUR,108.5,USD,1.085,,business; reimbursable\r\n');
+    });
+  });
+
+  describe('CSV', () => {
+    test('should quote fields and neutralize formulas', () => {
+      expect(escapeCsvField('Shop, Inc.')).toBe('"Shop, Inc."');
+      expect(escapeCsvField('said "hi"')).toBe('"said ""hi"""');
+      expect(escapeCsvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvField(-42.1)).toBe('-42.1');
+      expect(escapeCsvField(null)).toBe('');
+    });
+
+    test('should write a header and one row per transaction', () => {
+      const csv = toCsvHeader() + toCsvRow(toExportRecord(expense, names));
+      expect(csv).toBe(
+        'id,date,type,account,from_account,to_account,payee,category,amount,currency,to_amount,to_currency,rate,memo,tags\r\n' +
+        'txn-1,2026-01-05,expense,Checking,,,Grocer,Groceries,-42.1,EUR,,,,,business; reimbursable\r\n'
+      );
+    });
+  });
+
+  describe('JSON Lines', () => {
+    test('should write one JSON object per line', () => {
+      const line = toJsonLine(toExportRecord(expense, names));
+      expect(line.endsWith('\n')).toBe(true);
+      expect(JSON.parse(line).category).toBe('Groceries');
+    });
+  });
+
+  describe('OFX', () => {
+    test('should produce a statement the OFX importer can read back', () => {
+      const account = { id: 'acc-1', type: 'checking', currency: 'EUR', current_balance: 100 };
+      const transfer = { id: 'txn-2', date: '2026-01-06', type: 'transfer', from_account_id: 'acc-1', to_account_id: 'acc-2', amount: 50 };
+      const ofx = toOfxHeader(account, { start: '2026-01-01', end: '2026-01-31' }) +
+        toOfxTransaction({ ...expense, payee: 'A & B' }, 'acc-1') +
+        toOfxTransaction(transfer, 'acc-1') +
+        toOfxFooter(account, '2026-01-31');
+
+      const { currency, rows } = parseOfx(ofx);
+      expect(currency).toBe('EUR');
+      expect(rows.map(row => row.data)).toEqual([
+        { date: '2026-01-05', amount: -42.1, type: 'expense', payee: 'A & B', memo: null, external_id: 'txn-1' },
+        { date: '2026-01-06', amount: -50, type: 'expense', payee: null, memo: null, external_id: 'txn-2' }
+      ]);
+    });
+
+    test('should sign transfers from the exported account\'s side', () => {
+      const transfer = { id: 'txn-2', date: '2026-01-06', type: 'transfer', from_account_id: 'acc-1', to_account_id: 'acc-2', amount: 50 };
+      expect(toOfxTransaction(transfer, 'acc-2')).toContain('<TRNAMT>50.00</TRNAMT>');
+      expect(toOfxTransaction(transfer, 'acc-2')).toContain('<TRNTYPE>XFER</TRNTYPE>');
+    });
+
+    test('should export each side of a transfer between currencies in its own currency', () => {
+      const transfer = {
+        id: 'txn-3', date: '2026-01-07', type: 'transfer', from_account_id: 'acc-1', to_account_id: 'acc-2',
+        amount: 100, currency: 'EUR', to_amount: 13150, to_currency: 'BDT'
+      };
+      expect(toOfxTransaction(transfer, 'acc-1')).toContain('<TRNAMT>-100.00</TRNAMT>');
+      expect(toOfxTransaction(transfer, 'acc-2')).toContain('<TRNAMT>13150.00</TRNAMT>');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// Unit tests for cursor pagination helpers
+import { describe, test, expect } from '@jest/globals';
+import { parseSort, encodeCursor, decodeCursor, buildKeysetFilter } from '../../utils/pagination.js';
+
+describe('Pagination', () => {
+  describe('parseSort', () => {
+    test('should default to newest date first', () => {
+      expect(parseSort()).toEqual({ sort: 'date', direction: 'desc' });
+    });
+
+    test('should reject unknown fields and directions', () => {
+      expect(() => parseSort('memo')).toThrow('Invalid sort field');
+      expect(() => parseSort('amount', 'sideways')).toThrow('Invalid sort direction');
+    });
+  });
+
+  describe('cursors', () => {
+    test('should round-trip the sort value and id', () => {
+      const cursor = encodeCursor({ id: 'tx-9', amount: -12.5, payee: 'Cafe' }, 'amount', 'asc');
+      expect(decodeCursor(cursor, 'amount', 'asc')).toEqual({ value: -12.5, id: 'tx-9' });
+    });
+
+    test('should keep null sort values', () => {
+      const cursor = encodeCursor({ id: 'tx-1', payee: null }, 'payee', 'desc');
+      expect(decodeCursor(cursor, 'payee', 'desc')).toEqual({ value: null, id: 'tx-1' });
+    });
+
+    test('should reject garbage and cursors made for another sort', () => {
+      expect(() => decodeCursor('not-a-cursor', 'date', 'desc')).toThrow('Invalid cursor');
+      const cursor = encodeCursor({ id: 'tx-1', date: '2026-01-01' }, 'date', 'desc');
+      expect(() => decodeCursor(cursor, 'date', 'asc')).toThrow('Cursor does not match the requested sort');
+    });
+  });
+
+  describe('buildKeysetFilter', () => {
+    test('should continue after the cursor row, ties broken by id', () => {
+      expect(buildKeysetFilter('date', 'desc', { value: '2026-01-15', id: 'abc' })).toBe(
+        'date.lt."2026-01-15",and(date.eq."2026-01-15",id.lt."abc"),date.is.null'
+      );
+    });
+
+    test('should only page through the null tail after a null value', () => {
+      expect(buildKeysetFilter('payee', 'asc', { value: null, id: 'abc' })).toBe('and(payee.is.null,id.gt."abc")');
+    });
+
+    test('should quote values containing filter syntax', () => {
+      expect(buildKeysetFilter('payee', 'asc', { value: 'A, "B" (C)', id: 'abc' })).toBe(
+        'payee.gt."A, \\"B\\" (C)",and(payee.eq."A, \\"B\\" (C)",id.gt."abc"),payee.is.null'
+      );
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// Unit tests for Reconciliation Service
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { createMockSupabase } from '../utils/testUtils.js';
+
+// The service talks to this client; each test swaps in its own recorded responses
+const mockSupabase = {};
+jest.unstable_mockModule('../../config/database.js', () => ({ supabase: mockSupabase }));
+
+const { default: reconciliationService } = await import('../../services/reconciliation.service.js');
+
+describe('Reconciliation Service', () => {
+  const account = { id: 'checking', type: 'checking', currency: 'EUR', opening_balance: '0.00', opening_balance_date: '2026-01-01' };
+  const session = {
+    id: 'rec-1',
+    account_id: 'checking',
+    statement_date: '2026-03-31',
+    statement_balance: '500.00',
+    starting_balance: '400.00',
+    status: 'open'
+  };
+  const beforeOpening = { id: 'tx-0', type: 'income', account_id: 'checking', amount: '50.00', date: '2025-12-30', deleted_at: null };
+  const ticked = [
+    { transaction: { id: 'tx-1', type: 'income', account_id: 'checking', amount: '90.00', date: '2026-03-02', deleted_at: null } },
+    { transaction: beforeOpening }
+  ];
+
+  const useSupabase = (rpc) => Object.assign(mockSupabase, createMockSupabase({
+    respond: ({ table }) => ({
+      data: { accounts: account, reconciliations: session, reconciliation_transactions: ticked }[table] || [],
+      error: null
+    }),
+    rpc
+  }));
+
+  describe('finalizeReconciliation', () => {
+    beforeEach(() => {
+      useSupabase(() => ({ data: null, error: null }));
+    });
+
+    test('should create the adjustment, lock the ticked transactions and close the session in one write', async () => {
+      await reconciliationService.finalizeReconciliation('user-1', 'checking', 'rec-1', { create_adjustment: true });
+
+      expect(mockSupabase.rpcCalls).toHaveLength(1);
+      const [{ name, params }] = mockSupabase.rpcCalls;
+      expect(name).toBe('finalize_reconciliation');
+      expect(params).toMatchObject({
+        p_user_id: 'user-1',
+        p_reconciliation_id: 'rec-1',
+        p_adjustment: { account_id: 'checking', user_id: 'user-1', is_scheduled: false },
+        p_actor: { actor_type: 'system' }
+      });
+      // The database works out the adjustment's type and amount once the ticked transactions are locked
+      expect(params.p_adjustment).not.toHaveProperty('amount');
+      expect(params.p_adjustment).not.toHaveProperty('type');
+      // Nothing is written outside the database function
+      const methods = mockSupabase.queries.flatMap(query => query.calls.map(([method]) => method));
+      expect(methods).not.toContain('insert');
+      expect(methods).not.toContain('update');
+    });
+
+    test('should not finalize with a difference unless an adjustment is created', async () => {
+      // The transaction dated before the opening balance date does not count towards the statement
+      await expect(reconciliationService.finalizeReconciliation('user-1', 'checking', 'rec-1'))
+        .rejects.toThrow('Reconciliation is off by 10.00');
+      expect(mockSupabase.rpcCalls).toEqual([]);
+    });
+
+    test('should pass on a difference the database finds once the ticked transactions are locked', async () => {
+      // Balanced when read here; a write landed before the database function took its locks
+      const message = 'Reconciliation is off by 25.00; tick the missing transactions or finalize with create_adjustment';
+      Object.assign(mockSupabase, createMockSupabase({
+        respond: ({ table }) => ({
+          data: {
+            accounts: account,
+            reconciliations: { ...session, statement_balance: '490.00' },
+            reconciliation_transactions: ticked
+          }[table] || [],
+          error: null
+        }),
+        rpc: () => ({ data: null, error: { message } })
+      }));
+
+      await expect(reconciliationService.finalizeReconciliation('user-1', 'checking', 'rec-1'))
+        .rejects.toThrow(new RegExp(`^${message}$`));
+      expect(mockSupabase.rpcCalls[0].params.p_adjustment).toBeNull();
+    });
+
+    test('should report a session finalized in the meantime', async () => {
+      useSupabase(() => ({ data: null, error: { message: 'Reconciliation is already finalized' } }));
+
+      await expect(reconciliationService.finalizeReconciliation('user-1', 'checking', 'rec-1', { create_adjustment: true }))
+        .rejects.toThrow(/^Reconciliation is already finalized$/);
+    });
+  });
+
+  describe('tickTransactions', () => {
+    test('should not tick transactions dated before the opening balance date', async () => {
+      Object.assign(mockSupabase, createMockSupabase({
+        respond: ({ table }) => ({
+          data: { accounts: account, reconciliations: session, transactions: [beforeOpening] }[table] || [],
+          error: null
+        })
+      }));
+
+      await expect(reconciliationService.tickTransactions('user-1', 'checking', 'rec-1', ['tx-0']))
+        .rejects.toThrow("Transaction tx-0 is dated before the account's opening balance date");
+      const methods = mockSupabase.queries.flatMap(query => query.calls.map(([method]) => method));
+      expect(methods).not.toContain('upsert');
+    });
+  });
+});
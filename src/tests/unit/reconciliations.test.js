@@ -0,0 +1,93 @@
+// Unit tests for statement reconciliation
+import { describe, test, expect } from '@jest/globals';
+import {
+  checkLockedUpdate, getAccountAmount, summarizeReconciliation, buildAdjustment, LOCKED_MESSAGE
+} from '../../utils/reconciliations.js';
+
+describe('Reconciliations', () => {
+  describe('getAccountAmount', () => {
+    test('should use the amount of income and expenses on the account', () => {
+      expect(getAccountAmount({ type: 'expense', account_id: 'acc-1', amount: '-42.10' }, 'acc-1')).toBe(-42.1);
+    });
+
+    test('should use the leg of a transfer that touches the account', () => {
+      const transfer = { type: 'transfer', from_account_id: 'acc-eur', to_account_id: 'acc-bdt', amount: 100, to_amount: 13150 };
+      expect(getAccountAmount(transfer, 'acc-eur')).toBe(-100);
+      expect(getAccountAmount(transfer, 'acc-bdt')).toBe(13150);
+    });
+  });
+
+  describe('summarizeReconciliation', () => {
+    const reconciliation = { starting_balance: '1000.00', statement_balance: '1157.50' };
+    const ticked = [
+      { type: 'income', account_id: 'acc-1', amount: 250 },
+      { type: 'expense', account_id: 'acc-1', amount: -92.5 }
+    ];
+
+    test('should add the ticked transactions to the starting balance', () => {
+      expect(summarizeReconciliation(reconciliation, { id: 'acc-1', type: 'checking' }, ticked)).toEqual({
+        starting_balance: 1000,
+        statement_balance: 1157.5,
+        cleared_balance: 1157.5,
+        difference: 0,
+        ticked_count: 2
+      });
+    });
+
+    test('should report what the ticked transactions are missing', () => {
+      const summary = summarizeReconciliation(reconciliation, { id: 'acc-1', type: 'checking' }, ticked.slice(0, 1));
+      expect(summary.cleared_balance).toBe(1250);
+      expect(summary.difference).toBe(-92.5);
+    });
+
+    test('should apply the debt sign rule to credit card statements', () => {
+      // 60.00 of purchases on a card that owed 200.00
+      const summary = summarizeReconciliation(
+        { starting_balance: 200, statement_balance: 260 },
+        { id: 'card', type: 'credit_card' },
+        [{ type: 'expense', account_id: 'card', amount: -60 }]
+      );
+      expect(summary.cleared_balance).toBe(260);
+      expect(summary.difference).toBe(0);
+    });
+  });
+
+  describe('buildAdjustment', () => {
+    test('should make up a shortfall with an expense on the statement date', () => {
+      const account = { id: 'acc-1', type: 'checking', currency: 'EUR' };
+      expect(buildAdjustment(account, { statement_date: '2026-09-30' }, -3.2)).toEqual({
+        type: 'expense',
+        date: '2026-09-30',
+        account_id: 'acc-1',
+        amount: -3.2,
+        currency: 'EUR',
+        category_id: null,
+        payee: 'Reconciliation adjustment',
+        memo: 'Statement of 2026-09-30',
+        status: 'cleared'
+      });
+    });
+
+    test('should charge a card whose statement owes more than the ticked transactions', () => {
+      const account = { id: 'card', type: 'credit_card', currency: 'EUR' };
+      expect(buildAdjustment(account, { statement_date: '2026-09-30' }, 15)).toMatchObject({ type: 'expense', amount: -15 });
+    });
+  });
+
+  describe('checkLockedUpdate', () => {
+    const locked = { id: 'txn-1', reconciliation_id: 'rec-1' };
+
+    test('should reject changes to what the statement showed', () => {
+      expect(() => checkLockedUpdate(locked, { amount: 10 })).toThrow(LOCKED_MESSAGE);
+      expect(() => checkLockedUpdate(locked, { status: 'cleared' })).toThrow(LOCKED_MESSAGE);
+    });
+
+    test('should allow recategorizing and notes', () => {
+      expect(() => checkLockedUpdate(locked, { category_id: 'cat-1', memo: 'Lunch', tags: ['work'] })).not.toThrow();
+    });
+
+    test('should leave unlocked transactions alone', () => {
+      expect(() => checkLockedUpdate({ id: 'txn-2', reconciliation_id: null }, { amount: 10 })).not.toThrow();
+    });
+  });
+});
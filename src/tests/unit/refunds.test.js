@@ -0,0 +1,71 @@
+// Unit tests for refunds
+import { describe, test, expect } from '@jest/globals';
+import { buildRefund, getRefundableAmount, getRefundSign } from '../../utils/refunds.js';
+
+describe('Refunds', () => {
+  const original = {
+    id: 'txn-1',
+    type: 'expense',
+    account_id: 'acc-1',
+    category_id: 'cat-shoes',
+    payee: 'Shoe Shop',
+    amount: -120,
+    currency: 'EUR',
+    memo: 'Running shoes',
+    refund_of_id: null,
+    splits: []
+  };
+
+  describe('getRefundSign', () => {
+    test('should refund expenses as money in and reverse income as money out', () => {
+      expect(getRefundSign('expense')).toBe(1);
+      expect(getRefundSign('income')).toBe(-1);
+    });
+  });
+
+  describe('getRefundableAmount', () => {
+    test('should subtract earlier refunds', () => {
+      expect(getRefundableAmount(original, [{ amount: 20 }, { amount: '30.50' }])).toBe(69.5);
+      expect(getRefundableAmount(original, [{ amount: 120 }])).toBe(0);
+    });
+  });
+
+  describe('buildRefund', () => {
+    test('should refund everything not yet refunded in the same category by default', () => {
+      expect(buildRefund(original, [{ amount: 20 }], { date: '2026-03-10' })).toEqual({
+        date: '2026-03-10',
+        type: 'expense',
+        account_id: 'acc-1',
+        payee: 'Shoe Shop',
+        category_id: 'cat-shoes',
+        amount: 100,
+        currency: 'EUR',
+        memo: 'Running shoes',
+        refund_of_id: 'txn-1'
+      });
+    });
+
+    test('should support partial refunds and income reversals', () => {
+      expect(buildRefund(original, [], { amount: 45.5 }).amount).toBe(45.5);
+      expect(buildRefund({ ...original, type: 'income', amount: 500 }, [], { amount: 50 }).amount).toBe(-50);
+    });
+
+    test('should not refund more than is left', () => {
+      expect(() => buildRefund(original, [{ amount: 100 }], { amount: 30 }))
+        .toThrow('Refund cannot exceed the amount not yet refunded (20.00)');
+      expect(() => buildRefund(original, [{ amount: 120 }])).toThrow('Transaction is already fully refunded');
+    });
+
+    test('should refund a split transaction against one of its categories', () => {
+      const split = { ...original, category_id: null, splits: [{ category_id: 'cat-a' }, { category_id: 'cat-b' }] };
+      expect(buildRefund(split, [], { amount: 10, category_id: 'cat-b' }).category_id).toBe('cat-b');
+      expect(() => buildRefund(split, [], { amount: 10 }))
+        .toThrow('Choose which category of the split transaction is refunded (category_id)');
+    });
+
+    test('should reject transfers and refunds', () => {
+      expect(() => buildRefund({ ...original, type: 'transfer' }, [])).toThrow('Transfers cannot be refunded');
+      expect(() => buildRefund({ ...original, refund_of_id: 'txn-0' }, [])).toThrow('A refund cannot be refunded');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// Unit tests for auto-categorization rules
+import { describe, test, expect } from '@jest/globals';
+import { compilePayeeRegex, isSafeRegex, matchesConditions, applyRules } from '../../utils/rules.js';
+
+const coffee = {
+  type: 'expense',
+  account_id: 'acc-1',
+  payee: 'SQ *BLUE BOTTLE 0042',
+  amount: -4.5,
+  category_id: null,
+  memo: null
+};
+
+describe('Categorization Rules', () => {
+  describe('compilePayeeRegex', () => {
+    test('should compile case-insensitive patterns and reject invalid ones', () => {
+      expect(compilePayeeRegex('^sq \\*').test('SQ *SHOP')).toBe(true);
+      expect(compilePayeeRegex('(unclosed')).toBeNull();
+      expect(compilePayeeRegex('')).toBeNull();
+    });
+
+    test('should reject patterns prone to catastrophic backtracking', () => {
+      expect(compilePayeeRegex('(a+)+$')).toBeNull();
+      expect(compilePayeeRegex('((a*))*b')).toBeNull();
+      expect(compilePayeeRegex('(?:\\w+\\s?)*x')).toBeNull();
+      expect(compilePayeeRegex('(a|ab){2,}c')).toBeNull();
+      expect(compilePayeeRegex('(\\w+)\\1')).toBeNull();
+    });
+  });
+
+  describe('isSafeRegex', () => {
+    test('should accept single repetitions, optional groups and character classes', () => {
+      expect(isSafeRegex('^sq \\*[a-z]+ \\d{2,4}$')).toBe(true);
+      expect(isSafeRegex('(uber|lyft) trip')).toBe(true);
+      expect(isSafeRegex('amazon(\\.com)? (mktp|marketplace)?')).toBe(true);
+      expect(isSafeRegex('[(+)]+ (ab){3}')).toBe(true);
+      expect(isSafeRegex('a{')).toBe(true);
+    });
+  });
+
+  describe('matchesConditions', () => {
+    test('should match payee text and patterns regardless of case', () => {
+      expect(matchesConditions({ payee_contains: 'blue bottle' }, coffee)).toBe(true);
+      expect(matchesConditions({ payee_regex: 'bottle \\d+$' }, coffee)).toBe(true);
+      expect(matchesConditions({ payee_contains: 'starbucks' }, coffee)).toBe(false);
+    });
+
+    test('should compare amount bounds with the absolute amount', () => {
+      expect(matchesConditions({ min_amount: 3, max_amount: 10 }, coffee)).toBe(true);
+      expect(matchesConditions({ max_amount: 4 }, coffee)).toBe(false);
+    });
+
+    test('should require every condition to match', () => {
+      expect(matchesConditions({ payee_contains: 'bottle', account_id: 'acc-2' }, coffee)).toBe(false);
+      expect(matchesConditions({ payee_contains: 'bottle', type: 'income' }, coffee)).toBe(false);
+    });
+
+    test('should never match transfers', () => {
+      expect(matchesConditions({ min_amount: 0 }, { ...coffee, type: 'transfer' })).toBe(false);
+    });
+  });
+
+  describe('applyRules', () => {
+    const rules = [
+      { id: 'rule-1', conditions: { payee_contains: 'blue bottle' }, actions: { category_id: 'cat-coffee', payee: 'Blue Bottle' } },
+      { id: 'rule-2', conditions: { max_amount: 10 }, actions: { category_id: 'cat-small', memo: 'Small purchase' } }
+    ];
+
+    test('should let the first matching rule set each field', () => {
+      expect(applyRules(rules, coffee)).toEqual({
+        changes: { category_id: 'cat-coffee', payee: 'Blue Bottle', memo: 'Small purchase' },
+        rule_ids: ['rule-1', 'rule-2']
+      });
+    });
+
+    test('should keep an existing category and memo unless overwriting', () => {
+      const categorized = { ...coffee, category_id: 'cat-manual', memo: 'Team coffee' };
+
+      expect(applyRules(rules, categorized).changes).toEqual({ payee: 'Blue Bottle' });
+      expect(applyRules(rules, categorized, { overwrite: true }).changes).toEqual({
+        category_id: 'cat-coffee',
+        payee: 'Blue Bottle',
+        memo: 'Small purchase'
+      });
+    });
+
+    test('should not categorize split transactions', () => {
+      const split = { ...coffee, splits: [{ category_id: 'a' }, { category_id: 'b' }] };
+      expect(applyRules(rules, split).changes).not.toHaveProperty('category_id');
+    });
+
+    test('should add tags from every matching rule', () => {
+      const tagRules = [
+        { id: 'rule-3', conditions: { payee_contains: 'bottle' }, actions: { tags: ['Coffee', 'business'] } },
+        { id: 'rule-4', conditions: { type: 'expense' }, actions: { tags: ['business', 'reimbursable'] } }
+      ];
+      const tagged = { ...coffee, tags: [{ id: 'tag-1', name: 'business' }] };
+
+      expect(applyRules(tagRules, tagged)).toEqual({
+        changes: { tags: ['business', 'coffee', 'reimbursable'] },
+        rule_ids: ['rule-3', 'rule-4']
+      });
+    });
+
+    test('should report no changes when nothing matches', () => {
+      expect(applyRules(rules, { ...coffee, payee: 'Rent', amount: -900 })).toEqual({ changes: {}, rule_ids: [] });
+    });
+  });
+});
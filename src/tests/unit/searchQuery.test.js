@@ -0,0 +1,102 @@
+// Unit tests for the transaction search query language
+import { describe, test, expect } from '@jest/globals';
+import { parseSearchQuery, compileSearchQuery, SearchQueryError } from '../../utils/searchQuery.js';
+
+const compile = (query, lookups) => compileSearchQuery(parseSearchQuery(query), lookups);
+
+describe('Search Query', () => {
+  describe('parseSearchQuery', () => {
+    test('should parse fields, negation and quoted values', () => {
+      const terms = parseSearchQuery('payee:"whole foods" -tag:Work coffee');
+
+      expect(terms).toEqual([
+        { field: 'payee', negated: false, value: 'whole foods', position: 0 },
+        { field: 'tag', negated: true, value: 'work', position: 20 },
+        { field: 'text', negated: false, value: 'coffee', position: 30 }
+      ]);
+    });
+
+    test('should parse amount comparisons and ranges', () => {
+      expect(parseSearchQuery('amount:>50')[0]).toMatchObject({ lower: { value: 50, inclusive: false }, upper: null });
+      expect(parseSearchQuery('amount:10..20.5')[0]).toMatchObject({
+        lower: { value: 10, inclusive: true },
+        upper: { value: 20.5, inclusive: true }
+      });
+      expect(parseSearchQuery('amount:12')[0]).toMatchObject({
+        lower: { value: 12, inclusive: true },
+        upper: { value: 12, inclusive: true }
+      });
+    });
+
+    test('should expand months, years and ranges to whole days', () => {
+      expect(parseSearchQuery('date:2026-01..2026-03')[0]).toMatchObject({ from: '2026-01-01', to: '2026-03-31' });
+      expect(parseSearchQuery('date:2024-02')[0]).toMatchObject({ from: '2024-02-01', to: '2024-02-29' });
+      expect(parseSearchQuery('date:>2026-01-31')[0]).toMatchObject({ from: '2026-02-01', to: null });
+      expect(parseSearchQuery('date:<2026')[0]).toMatchObject({ from: null, to: '2025-12-31' });
+    });
+
+    test('should report errors with their position', () => {
+      const cases = [
+        ['payee:amazon colour:red', 'Unknown field: colour', 13],
+        ['amount:>fifty', 'Invalid amount: >fifty', 0],
+        ['date:2026-13', 'Invalid date', 0],
+        ['date:2026-03..2026-01', 'ends before it starts', 0],
+        ['memo:"unterminated', 'Unterminated quoted value', 5],
+        ['type:refund', 'Invalid type', 0],
+        ['tag:', 'Missing value for tag', 0]
+      ];
+
+      cases.forEach(([query, message, position]) => {
+        let thrown;
+        try {
+          parseSearchQuery(query);
+        } catch (error) {
+          thrown = error;
+        }
+        expect(thrown).toBeInstanceOf(SearchQueryError);
+        expect(thrown.message).toContain(message);
+        expect(thrown.position).toBe(position);
+      });
+    });
+  });
+
+  describe('compileSearchQuery', () => {
+    test('should compile the example query', () => {
+      const lookups = { categories: new Map([['groceries', ['cat-1', 'cat-2']]]) };
+      const { condition, tags } = compile('payee:amazon amount:>50 tag:work -category:groceries date:2026-01..2026-03', lookups);
+
+      expect(condition).toBe(
+        'and(payee.ilike."%amazon%",' +
+        'and(or(amount.gt.50,amount.lt.-50)),' +
+        'and(or(category_id.is.null,category_id.not.in.("cat-1","cat-2")),not.split_category_ids.ov.{"cat-1","cat-2"}),' +
+        'and(date.gte.2026-01-01,date.lte.2026-03-31))'
+      );
+      expect(tags).toEqual({ include: ['work'], exclude: [] });
+    });
+
+    test('should match plain words in payee or memo and keep filter syntax literal', () => {
+      expect(compile('"50%, (off)"').condition).toBe(
+        'and(or(payee.ilike."%50\\\\%, (off)%",memo.ilike."%50\\\\%, (off)%"))'
+      );
+    });
+
+    test('should negate terms, counting missing values as not matching', () => {
+      expect(compile('-payee:cafe').condition).toBe('and(or(payee.is.null,payee.not.ilike."%cafe%"))');
+      expect(compile('-amount:10..20').condition).toBe(
+        'and(not.and(or(amount.gte.10,amount.lte.-10),and(amount.lte.20,amount.gte.-20)))'
+      );
+    });
+
+    test('should match categories on the transaction or on any of its split lines', () => {
+      const lookups = { categories: new Map([['groceries', ['cat-1']]]) };
+      expect(compile('category:groceries', lookups).condition).toBe(
+        'and(or(category_id.in.("cat-1"),split_category_ids.ov.{"cat-1"}))'
+      );
+    });
+
+    test('should match nothing for an unknown category or account', () => {
+      expect(compile('category:nope').condition).toBe('and(id.is.null)');
+      expect(compile('-account:nope').condition).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// Unit tests for OFX/QFX and QIF statement parsing
+import { describe, test, expect } from '@jest/globals';
+import { parseOfx, parseOfxDate, parseQif, parseQifDate } from '../../utils/statementParser.js';
+
+const sgmlOfx = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>usd
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20260105120000[-5:EST]
+<TRNAMT>-42.10
+<FITID>2026010501
+<NAME>GROCER &amp; CO
+<MEMO>Card purchase
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20260106
+<TRNAMT>1500.00
+<FITID>2026010601
+<NAME>PAYROLL
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const xmlOfx = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220"?>
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>EUR</CURDEF><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20260110</DTPOSTED><TRNAMT>-9.99</TRNAMT><FITID>X1</FITID><NAME>Streaming</NAME></STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+describe('Statement Parser', () => {
+  describe('OFX/QFX', () => {
+    test('should parse SGML statements with FITID as external id', () => {
+      const { currency, rows } = parseOfx(sgmlOfx);
+
+      expect(currency).toBe('USD');
+      expect(rows).toEqual([
+        {
+          row_number: 1,
+          data: {
+            date: '2026-01-05',
+            amount: -42.1,
+            type: 'expense',
+            payee: 'GROCER & CO',
+            memo: 'Card purchase',
+            external_id: '2026010501'
+          },
+          error: null
+        },
+        {
+          row_number: 2,
+          data: {
+            date: '2026-01-06',
+            amount: 1500,
+            type: 'income',
+            payee: 'PAYROLL',
+            memo: null,
+            external_id: '2026010601'
+          },
+          error: null
+        }
+      ]);
+    });
+
+    test('should parse XML statements', () => {
+      const { currency, rows } = parseOfx(xmlOfx);
+
+      expect(currency).toBe('EUR');
+      expect(rows[0].data).toMatchObject({ date: '2026-01-10', amount: -9.99, external_id: 'X1', payee: 'Streaming' });
+    });
+
+    test('should report transactions without FITID', () => {
+      const { rows } = parseOfx('<OFX><STMTTRN><DTPOSTED>20260101<TRNAMT>-1.00</STMTTRN></OFX>');
+      expect(rows[0].error).toBe('Missing FITID');
+    });
+
+    test('should reject files that are not OFX', () => {
+      expect(() => parseOfx('Date,Amount')).toThrow('File is not a valid OFX/QFX statement');
+    });
+
+    test('should parse OFX dates', () => {
+      expect(parseOfxDate('20260229')).toBeNull();
+      expect(parseOfxDate('20240229000000.000[0:GMT]')).toBe('2024-02-29');
+    });
+  });
+
+  describe('QIF', () => {
+    test('should parse bank records', () => {
+      const qif = '!Type:Bank\nD01/05/2026\nT-1,234.50\nPLandlord\nMJanuary rent\n^\nD1/6\'26\nT20.00\nPRefund\n^\n';
+      const { rows } = parseQif(qif);
+
+      expect(rows).toEqual([
+        {
+          row_number: 1,
+          data: { date: '2026-01-05', amount: -1234.5, type: 'expense', payee: 'Landlord', memo: 'January rent' },
+          error: null
+        },
+        {
+          row_number: 2,
+          data: { date: '2026-01-06', amount: 20, type: 'income', payee: 'Refund', memo: null },
+          error: null
+        }
+      ]);
+    });
+
+    test('should honour day-first date order', () => {
+      expect(parseQifDate('05/01/2026', 'DMY')).toBe('2026-01-05');
+      expect(parseQifDate('05/01/2026', 'MDY')).toBe('2026-05-01');
+      expect(parseQifDate('2026-01-05')).toBe('2026-01-05');
+    });
+
+    test('should reject unsupported sections', () => {
+      expect(() => parseQif('!Type:Invst\nD01/05/2026\n^')).toThrow('Unsupported QIF section');
+      expect(() => parseQif('D01/05/2026\n^')).toThrow('File is not a valid QIF statement');
+    });
+  });
+});
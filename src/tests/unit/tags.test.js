@@ -0,0 +1,39 @@
+// Unit tests for tag name handling
+import { describe, test, expect } from '@jest/globals';
+import { normalizeTagNames, applyTagPatch } from '../../utils/tags.js';
+
+describe('Tags', () => {
+  describe('normalizeTagNames', () => {
+    test('should trim, lowercase and deduplicate names', () => {
+      expect(normalizeTagNames([' Vacation-2026 ', 'vacation-2026', 'Business'])).toEqual(['vacation-2026', 'business']);
+    });
+
+    test('should accept stored tag objects', () => {
+      expect(normalizeTagNames([{ id: 'tag-1', name: 'reimbursable' }, 'Work'])).toEqual(['reimbursable', 'work']);
+    });
+
+    test('should drop empty names and non-arrays', () => {
+      expect(normalizeTagNames(['', '  ', null])).toEqual([]);
+      expect(normalizeTagNames(undefined)).toEqual([]);
+    });
+  });
+
+  describe('applyTagPatch', () => {
+    const current = [{ id: 'tag-1', name: 'work' }, { id: 'tag-2', name: 'travel' }];
+
+    test('should replace all tags', () => {
+      expect(applyTagPatch(current, { tags: ['Personal'] })).toEqual(['personal']);
+    });
+
+    test('should add and remove tags', () => {
+      expect(applyTagPatch(current, { add_tags: ['Reimbursable'], remove_tags: ['TRAVEL'] })).toEqual(['work', 'reimbursable']);
+    });
+
+    test('should return null when the tags do not change', () => {
+      expect(applyTagPatch(current, { add_tags: ['work'] })).toBeNull();
+      expect(applyTagPatch(current, { tags: ['travel', 'work'] })).toBeNull();
+      expect(applyTagPatch(current, { remove_tags: ['other'] })).toBeNull();
+      expect(applyTagPatch(current, {})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,392 @@
+// Unit tests for Transaction Service
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { createMockSupabase } from '../utils/testUtils.js';
+import { LOCKED_MESSAGE } from '../../utils/reconciliations.js';
+
+// The service talks to this client; each test swaps in its own recorded responses
+const mockSupabase = {};
+jest.unstable_mockModule('../../config/database.js', () => ({ supabase: mockSupabase }));
+
+const { default: transactionService } = await import('../../services/transaction.service.js');
+
+const useSupabase = (handlers) => Object.assign(mockSupabase, createMockSupabase(handlers));
+
+// Whether a recorded query filters a column with eq
+const filtersOn = (calls, column) => calls.some(([method, name]) => method === 'eq' && name === column);
+
+describe('Transaction Service', () => {
+  describe('getCategoryLines', () => {
+    const transactions = [
+      { id: 'tx-1', category_id: 'groceries', amount: '-42.50', date: '2026-03-02', type: 'expense', splits: [] },
+      { id: 'tx-2', category_id: null, amount: '-100.00', date: '2026-03-05', type: 'expense', splits: [{ id: 'split-1' }, { id: 'split-2' }] }
+    ];
+    const splits = [
+      { transaction_id: 'tx-2', category_id: 'groceries', amount: '-60.00', transactions: { date: '2026-03-05', type: 'expense' } },
+      { transaction_id: 'tx-2', category_id: 'household', amount: '-40.00', transactions: { date: '2026-03-05', type: 'expense' } }
+    ];
+
+    beforeEach(() => {
+      useSupabase({
+        respond: ({ table }) => ({ data: table === 'transactions' ? transactions : splits, error: null })
+      });
+    });
+
+    test('should count split transactions once per split line instead of the parent', async () => {
+      const lines = await transactionService.getCategoryLines('user-1');
+
+      expect(lines).toEqual([
+        { transaction_id: 'tx-1', category_id: 'groceries', amount: -42.5, date: '2026-03-02', type: 'expense' },
+        { transaction_id: 'tx-2', category_id: 'groceries', amount: -60, date: '2026-03-05', type: 'expense' },
+        { transaction_id: 'tx-2', category_id: 'household', amount: -40, date: '2026-03-05', type: 'expense' }
+      ]);
+    });
+
+    test('should apply the category, type and date filters to transactions and split lines alike', async () => {
+      await transactionService.getCategoryLines('user-1', {
+        category_ids: ['groceries'],
+        type: 'expense',
+        start_date: '2026-03-01',
+        end_before: '2026-04-01'
+      });
+
+      const [transactionQuery, splitQuery] = mockSupabase.queries;
+      expect(transactionQuery.table).toBe('transactions');
+      expect(transactionQuery.calls).toEqual(expect.arrayContaining([
+        ['in', 'category_id', ['groceries']],
+        ['eq', 'type', 'expense'],
+        ['gte', 'date', '2026-03-01'],
+        ['lt', 'date', '2026-04-01'],
+        ['is', 'deleted_at', null]
+      ]));
+      expect(splitQuery.table).toBe('transaction_splits');
+      expect(splitQuery.calls).toEqual(expect.arrayContaining([
+        ['in', 'category_id', ['groceries']],
+        ['eq', 'transactions.type', 'expense'],
+        ['gte', 'transactions.date', '2026-03-01'],
+        ['lt', 'transactions.date', '2026-04-01'],
+        ['is', 'transactions.deleted_at', null]
+      ]));
+    });
+
+    test('should throw query errors', async () => {
+      useSupabase({
+        respond: ({ table }) => (table === 'transaction_splits'
+          ? { data: null, error: new Error('split query failed') }
+          : { data: transactions, error: null })
+      });
+
+      await expect(transactionService.getCategoryLines('user-1')).rejects.toThrow('split query failed');
+    });
+  });
+
+  describe('writes', () => {
+    const stored = {
+      id: 'tx-1',
+      user_id: 'user-1',
+      type: 'expense',
+      account_id: 'checking',
+      amount: '-40.00',
+      date: '2026-03-02',
+      payee: 'Grocer',
+      status: 'cleared',
+      is_scheduled: false,
+      deleted_at: null,
+      splits: [],
+      tags: []
+    };
+
+    // Outside a request the change is made by the system
+    const systemActor = { actor_id: null, actor_type: 'system', request_id: null };
+
+    const writtenTables = () => mockSupabase.queries.map(query => query.table);
+
+    // The stored row, without refunds
+    const respondStored = ({ table, calls }) => ({
+      data: table !== 'transactions' ? null : filtersOn(calls, 'refund_of_id') ? [] : stored,
+      error: null
+    });
+
+    test('should leave reverting the stored row and auditing to the database on update', async () => {
+      useSupabase({
+        respond: respondStored,
+        rpc: (name, params) => ({ data: { ...stored, ...params.p_payload }, error: null })
+      });
+
+      const transaction = await transactionService.updateTransaction('user-1', 'tx-1', { amount: 55 });
+
+      expect(mockSupabase.rpcCalls).toHaveLength(1);
+      const [{ name, params }] = mockSupabase.rpcCalls;
+      expect(name).toBe('write_transaction_with_balances');
+      expect(params).toMatchObject({
+        p_user_id: 'user-1',
+        p_transaction_id: 'tx-1',
+        p_payload: { amount: -55 },
+        p_audit: { action: 'update', ...systemActor }
+      });
+      expect(params).not.toHaveProperty('p_balance_changes');
+
+      expect(transaction.amount).toBe(-55);
+      expect(writtenTables()).not.toContain('audit_log');
+    });
+
+    test('should report a transaction deleted since it was read as not found', async () => {
+      useSupabase({
+        respond: respondStored,
+        rpc: () => ({ data: null, error: { message: 'Transaction not found' } })
+      });
+
+      await expect(transactionService.updateTransaction('user-1', 'tx-1', { amount: 55 })).rejects.toThrow(/^Transaction not found$/);
+    });
+
+    test('should soft delete through the database write', async () => {
+      useSupabase({
+        respond: ({ table }) => ({ data: table === 'transactions' ? stored : [], error: null }),
+        rpc: (name, params) => ({ data: { ...stored, ...params.p_payload }, error: null })
+      });
+
+      await transactionService.deleteTransaction('user-1', 'tx-1');
+
+      const [{ params }] = mockSupabase.rpcCalls;
+      expect(params.p_transaction_id).toBe('tx-1');
+      expect(params.p_payload).toEqual({ deleted_at: expect.any(String) });
+      expect(params.p_audit).toEqual({ action: 'delete', ...systemActor });
+      // Attachments stay with the transaction in the trash until it is purged
+      expect(writtenTables()).not.toContain('transaction_attachments');
+    });
+
+    test('should not write a transaction locked by a finalized reconciliation', async () => {
+      useSupabase({
+        respond: ({ table }) => ({ data: table === 'transactions' ? { ...stored, reconciliation_id: 'rec-1' } : null, error: null })
+      });
+
+      await expect(transactionService.deleteTransaction('user-1', 'tx-1')).rejects.toThrow(LOCKED_MESSAGE);
+      expect(mockSupabase.rpcCalls).toEqual([]);
+    });
+  });
+
+  describe('balance totals', () => {
+    // More rows than one query returns, each taking 1.00 from the account
+    const pending = Array.from({ length: 1500 }, (_, index) => ({
+      id: `tx-${String(index).padStart(4, '0')}`,
+      type: 'expense',
+      date: '2026-03-02',
+      amount: '-1.00',
+      account_id: 'checking'
+    }));
+
+    test('should sum pending transactions past the row cap, page by page', async () => {
+      useSupabase({
+        respond: ({ table, calls }) => {
+          if (table === 'accounts') {
+            return { data: [{ id: 'checking', opening_balance_date: '2026-01-01' }], error: null };
+          }
+          const after = calls.find(([method]) => method === 'gt');
+          const limit = calls.find(([method]) => method === 'limit')[1];
+          const rows = pending.filter(transaction => !after || transaction.id > after[2]);
+          return { data: rows.slice(0, limit), error: null };
+        }
+      });
+
+      const totals = await transactionService.getPendingBalanceChanges('user-1');
+
+      expect(totals.get('checking')).toBe(-1500);
+      expect(mockSupabase.queries.filter(query => query.table === 'transactions')).toHaveLength(2);
+    });
+
+    test('should sum scheduled transactions past the row cap, page by page', async () => {
+      useSupabase({
+        respond: ({ calls }) => {
+          const after = calls.find(([method]) => method === 'gt');
+          const limit = calls.find(([method]) => method === 'limit')[1];
+          const rows = pending.filter(transaction => !after || transaction.id > after[2]);
+          return { data: rows.slice(0, limit).map(transaction => ({ ...transaction, is_scheduled: true })), error: null };
+        }
+      });
+
+      const { changes, count } = await transactionService.getScheduledBalanceChanges('user-1');
+
+      expect(changes.get('checking')).toBe(-1500);
+      expect(count).toBe(1500);
+    });
+  });
+
+  describe('isFutureDate', () => {
+    test('should compare days in UTC, the way scheduled transactions are posted', () => {
+      const lateEvening = new Date('2026-03-01T23:30:00.000Z');
+      expect(transactionService.isFutureDate('2026-03-02', lateEvening)).toBe(true);
+      expect(transactionService.isFutureDate('2026-03-01', lateEvening)).toBe(false);
+
+      const earlyMorning = new Date('2026-03-02T00:30:00.000Z');
+      expect(transactionService.isFutureDate('2026-03-02', earlyMorning)).toBe(false);
+    });
+  });
+
+  describe('bulkImport', () => {
+    test('should count invalid rows as failed without writing them', async () => {
+      useSupabase({
+        respond: ({ table }) => ({ data: table === 'accounts' ? { currency: 'EUR' } : [], error: null }),
+        rpc: (name, params) => ({ data: { id: 'tx-new', ...params.p_payload }, error: null })
+      });
+      const row = {
+        date: '2026-03-01',
+        type: 'expense',
+        account_id: '33333333-3333-4333-8333-333333333333',
+        amount: -12.5,
+        currency: 'EUR'
+      };
+
+      const result = await transactionService.bulkImport('user-1', [row, { ...row, amount: 'lots' }, { ...row, status: 'reconciled' }]);
+
+      expect(result).toMatchObject({ success: 1, failed: 2 });
+      expect(result.errors.map(error => error.transaction)).toEqual([{ ...row, amount: 'lots' }, { ...row, status: 'reconciled' }]);
+      expect(mockSupabase.rpcCalls).toHaveLength(1);
+    });
+  });
+
+  describe('refunds', () => {
+    const original = {
+      id: 'tx-1',
+      user_id: 'user-1',
+      type: 'expense',
+      account_id: 'checking',
+      amount: '-100.00',
+      date: '2026-03-02',
+      deleted_at: null,
+      splits: [],
+      tags: []
+    };
+    const refunds = [{ id: 'refund-1', date: '2026-03-05', amount: '80.00', account_id: 'checking', memo: null }];
+
+    beforeEach(() => {
+      useSupabase({
+        respond: ({ calls }) => ({
+          data: filtersOn(calls, 'refund_of_id') ? refunds : original,
+          error: null
+        }),
+        rpc: (name, params) => ({ data: { ...original, ...params.p_payload }, error: null })
+      });
+    });
+
+    test('should not edit an original below what it has refunded', async () => {
+      await expect(transactionService.updateTransaction('user-1', 'tx-1', { amount: 50 }))
+        .rejects.toThrow('Amount cannot be less than what has already been refunded (80.00)');
+      expect(mockSupabase.rpcCalls).toEqual([]);
+    });
+
+    test('should edit an original down to what it has refunded', async () => {
+      const updated = await transactionService.updateTransaction('user-1', 'tx-1', { amount: 80 });
+      expect(updated.amount).toBe(-80);
+    });
+  });
+
+  describe('transfer fees', () => {
+    const transfer = {
+      id: 'tr-1',
+      user_id: 'user-1',
+      type: 'transfer',
+      from_account_id: 'checking',
+      to_account_id: 'savings',
+      amount: '100.00',
+      currency: 'EUR',
+      date: '2026-03-02',
+      is_scheduled: false,
+      deleted_at: null,
+      splits: [],
+      tags: []
+    };
+    const fee = {
+      id: 'fee-1',
+      user_id: 'user-1',
+      type: 'expense',
+      account_id: 'checking',
+      amount: '-2.00',
+      currency: 'EUR',
+      date: '2026-03-02',
+      fee_transfer_id: 'tr-1',
+      deleted_at: null,
+      splits: [],
+      tags: []
+    };
+
+    // The database returns the fee rows it wrote with the transfer
+    const writeWithFees = (name, params) => ({
+      data: {
+        ...transfer,
+        ...params.p_payload,
+        fee_transactions: (params.p_fee_writes || []).map(write => ({ ...fee, id: write.transaction_id || 'fee-2', ...write.payload }))
+      },
+      error: null
+    });
+
+    test('should create the transfer and its fee in one write without applying rules to the fee', async () => {
+      useSupabase({
+        respond: ({ table }) => ({ data: table === 'accounts' ? { currency: 'EUR' } : [], error: null }),
+        rpc: writeWithFees
+      });
+
+      const created = await transactionService.createTransaction('user-1', {
+        type: 'transfer',
+        date: '2026-03-02',
+        from_account_id: 'checking',
+        to_account_id: 'savings',
+        amount: 100,
+        currency: 'EUR',
+        fee: { amount: 2 }
+      });
+
+      expect(mockSupabase.rpcCalls).toHaveLength(1);
+      const [{ params }] = mockSupabase.rpcCalls;
+      expect(params.p_fee_writes).toEqual([{
+        transaction_id: null,
+        payload: expect.objectContaining({ type: 'expense', account_id: 'checking', amount: -2, memo: 'Transfer fee', user_id: 'user-1' }),
+        restore: false,
+        audit: expect.objectContaining({ action: 'create' })
+      }]);
+      expect(mockSupabase.queries.map(query => query.table)).not.toContain('categorization_rules');
+      expect(created.fee_transaction).toMatchObject({ id: 'fee-2', amount: -2 });
+      expect(created).not.toHaveProperty('fee_transactions');
+    });
+
+    test('should delete a transfer and its fee in one write', async () => {
+      useSupabase({
+        respond: ({ table, calls }) => ({
+          data: table === 'transactions' && filtersOn(calls, 'fee_transfer_id') ? fee : transfer,
+          error: null
+        }),
+        rpc: writeWithFees
+      });
+
+      await transactionService.deleteTransaction('user-1', 'tr-1');
+
+      expect(mockSupabase.rpcCalls).toHaveLength(1);
+      const [{ params }] = mockSupabase.rpcCalls;
+      expect(params.p_transaction_id).toBe('tr-1');
+      expect(params.p_fee_writes).toEqual([{
+        transaction_id: 'fee-1',
+        payload: { deleted_at: params.p_payload.deleted_at },
+        restore: false,
+        audit: expect.objectContaining({ action: 'delete' })
+      }]);
+    });
+
+    test('should replace a fee paid by the other account within the transfer\'s write', async () => {
+      useSupabase({
+        respond: ({ table, calls }) => ({
+          data: table === 'transactions' && filtersOn(calls, 'fee_transfer_id') ? fee : transfer,
+          error: null
+        }),
+        rpc: writeWithFees
+      });
+
+      const updated = await transactionService.updateTransaction('user-1', 'tr-1', { fee: { amount: 3, paid_by: 'receiver' } });
+
+      expect(mockSupabase.rpcCalls).toHaveLength(1);
+      const [{ params }] = mockSupabase.rpcCalls;
+      expect(params.p_fee_writes).toEqual([
+        expect.objectContaining({ transaction_id: 'fee-1', payload: { deleted_at: expect.any(String) } }),
+        expect.objectContaining({ transaction_id: null, payload: expect.objectContaining({ account_id: 'savings', amount: -3 }) })
+      ]);
+      expect(updated.fee_transaction).toMatchObject({ id: 'fee-2', account_id: 'savings' });
+    });
+  });
+});
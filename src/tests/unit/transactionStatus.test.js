@@ -0,0 +1,72 @@
+// Unit tests for the transaction status lifecycle and status balances
+import { describe, test, expect } from '@jest/globals';
+import { getStatus, checkStatusTransition, parseStatusFilter } from '../../utils/transactionStatus.js';
+import { getStatusBalances, toAccountBalanceChange } from '../../utils/balances.js';
+
+describe('Transaction status', () => {
+  describe('getStatus', () => {
+    test('should fall back to is_reconciled for rows without a status', () => {
+      expect(getStatus({ status: 'pending', is_reconciled: false })).toBe('pending');
+      expect(getStatus({ is_reconciled: true })).toBe('reconciled');
+      expect(getStatus({ is_reconciled: false })).toBe('cleared');
+    });
+  });
+
+  describe('checkStatusTransition', () => {
+    test('should allow one step forward or back', () => {
+      expect(() => checkStatusTransition('pending', 'cleared')).not.toThrow();
+      expect(() => checkStatusTransition('cleared', 'reconciled')).not.toThrow();
+      expect(() => checkStatusTransition('reconciled', 'cleared')).not.toThrow();
+      expect(() => checkStatusTransition('cleared', 'cleared')).not.toThrow();
+    });
+
+    test('should not skip a step', () => {
+      expect(() => checkStatusTransition('pending', 'reconciled')).toThrow('Cannot change status from pending to reconciled');
+      expect(() => checkStatusTransition('reconciled', 'pending')).toThrow('Cannot change status from reconciled to pending');
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(() => checkStatusTransition('cleared', 'posted')).toThrow('Invalid status: posted');
+    });
+  });
+
+  describe('parseStatusFilter', () => {
+    test('should accept one or more statuses', () => {
+      expect(parseStatusFilter('pending')).toEqual(['pending']);
+      expect(parseStatusFilter('pending, cleared')).toEqual(['pending', 'cleared']);
+      expect(parseStatusFilter(['reconciled'])).toEqual(['reconciled']);
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(() => parseStatusFilter('cleared,void')).toThrow('Invalid status: void');
+    });
+  });
+
+  describe('getStatusBalances', () => {
+    test('should leave pending changes out of the cleared balance', () => {
+      expect(getStatusBalances({ type: 'checking', current_balance: 950 }, -50)).toEqual({
+        cleared_balance: 1000,
+        working_balance: 950,
+        pending_balance: -50
+      });
+    });
+
+    test('should apply the debt sign rule to credit cards and loans', () => {
+      // A pending 30.00 card purchase raises the amount owed
+      expect(toAccountBalanceChange('credit_card', -30)).toBe(30);
+      expect(getStatusBalances({ type: 'credit_card', current_balance: 530 }, -30)).toEqual({
+        cleared_balance: 500,
+        working_balance: 530,
+        pending_balance: 30
+      });
+    });
+
+    test('should equal the stored balance without pending transactions', () => {
+      expect(getStatusBalances({ type: 'savings', current_balance: '1200.50' })).toEqual({
+        cleared_balance: 1200.5,
+        working_balance: 1200.5,
+        pending_balance: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Unit tests for transfer amounts
+import { describe, test, expect } from '@jest/globals';
+import { resolveTransferAmounts, getTransferLegs, getImpliedRate, buildFeeTransaction } from '../../utils/transfers.js';
+
+describe('Transfers', () => {
+  describe('resolveTransferAmounts', () => {
+    test('should receive the sent amount within one currency', () => {
+      expect(resolveTransferAmounts({ amount: -250, currency: 'EUR' }, 'EUR', 'EUR')).toEqual({
+        amount: 250,
+        currency: 'EUR',
+        to_amount: 250,
+        to_currency: 'EUR'
+      });
+    });
+
+    test('should record both sides of a transfer between currencies', () => {
+      const amounts = resolveTransferAmounts({ amount: 100, currency: 'EUR', to_amount: 13150 }, 'EUR', 'BDT');
+      expect(amounts).toEqual({ amount: 100, currency: 'EUR', to_amount: 13150, to_currency: 'BDT' });
+    });
+
+    test('should work out the received amount from a rate', () => {
+      expect(resolveTransferAmounts({ amount: 100, currency: 'EUR', rate: 131.456 }, 'EUR', 'BDT').to_amount).toBe(13145.6);
+    });
+
+    test('should reject currencies that do not match the accounts', () => {
+      expect(() => resolveTransferAmounts({ amount: 100, currency: 'USD', to_amount: 90 }, 'EUR', 'BDT'))
+        .toThrow('Transfer currency must match the source account currency');
+      expect(() => resolveTransferAmounts({ amount: 100, currency: 'EUR', to_currency: 'USD', to_amount: 90 }, 'EUR', 'BDT'))
+        .toThrow('Received currency must match the destination account currency');
+    });
+
+    test('should require a received amount or rate between currencies', () => {
+      expect(() => resolveTransferAmounts({ amount: 100, currency: 'EUR' }, 'EUR', 'BDT'))
+        .toThrow('Provide to_amount or rate for a transfer between currencies');
+    });
+
+    test('should reject different amounts within one currency', () => {
+      expect(() => resolveTransferAmounts({ amount: 100, currency: 'EUR', to_amount: 99 }, 'EUR', 'EUR'))
+        .toThrow('Sent and received amounts must match for a transfer in one currency');
+    });
+  });
+
+  describe('getTransferLegs', () => {
+    test('should move each account in its own currency', () => {
+      expect(getTransferLegs({ amount: '100.00', to_amount: '13150.00' })).toEqual({ sent: 100, received: 13150 });
+    });
+
+    test('should receive the sent amount for transfers without a received amount', () => {
+      expect(getTransferLegs({ amount: '40.00', to_amount: null })).toEqual({ sent: 40, received: 40 });
+    });
+  });
+
+  describe('getImpliedRate', () => {
+    test('should divide the received amount by the sent amount', () => {
+      expect(getImpliedRate({ amount: 100, to_amount: 13150 })).toBe(131.5);
+      expect(getImpliedRate({ amount: 0, to_amount: 0 })).toBeNull();
+    });
+  });
+
+  describe('buildFeeTransaction', () => {
+    const transfer = {
+      id: 'txn-1', date: '2026-03-02', from_account_id: 'acc-eur', to_account_id: 'acc-bdt', currency: 'EUR', to_currency: 'BDT'
+    };
+
+    test('should charge the sender by default', () => {
+      expect(buildFeeTransaction(transfer, { amount: 2.5, category_id: 'cat-fees' })).toEqual({
+        type: 'expense',
+        date: '2026-03-02',
+        account_id: 'acc-eur',
+        amount: -2.5,
+        currency: 'EUR',
+        category_id: 'cat-fees',
+        memo: 'Transfer fee',
+        fee_transfer_id: 'txn-1'
+      });
+    });
+
+    test('should charge the receiver in the received currency', () => {
+      const fee = buildFeeTransaction(transfer, { amount: 150, paid_by: 'receiver', memo: 'Incoming wire fee' });
+      expect(fee).toMatchObject({ account_id: 'acc-bdt', amount: -150, currency: 'BDT', category_id: null, memo: 'Incoming wire fee' });
+    });
+
+    test('should reject a fee in another currency than the paying account', () => {
+      expect(() => buildFeeTransaction(transfer, { amount: 2, currency: 'USD' }))
+        .toThrow('Fee currency must match the currency of the account paying it');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// Unit tests for trash retention helpers
+import { describe, test, expect } from '@jest/globals';
+import { TRASH_TYPES, getPurgeCutoff, toTrashItem } from '../../utils/trash.js';
+
+describe('Trash', () => {
+  describe('getPurgeCutoff', () => {
+    test('should go back the retention period from now', () => {
+      expect(getPurgeCutoff(new Date('2026-10-18T03:00:00.000Z'), 30)).toBe('2026-09-18T03:00:00.000Z');
+    });
+  });
+
+  describe('toTrashItem', () => {
+    test('should name the item and give its purge date', () => {
+      const row = { id: 'tx-1', payee: 'Coffee Shop', amount: -4.5, deleted_at: '2026-10-01T12:00:00.000Z' };
+
+      expect(toTrashItem('transactions', row, 30)).toEqual({
+        type: 'transactions',
+        id: 'tx-1',
+        name: 'Coffee Shop',
+        deleted_at: '2026-10-01T12:00:00.000Z',
+        purge_after: '2026-10-31T12:00:00.000Z',
+        record: row
+      });
+    });
+
+    test('should use null when the record has no name', () => {
+      expect(toTrashItem('transactions', { id: 'tx-2', deleted_at: '2026-10-01T12:00:00.000Z' }, 30).name).toBeNull();
+    });
+  });
+
+  describe('TRASH_TYPES', () => {
+    test('should purge transactions before the accounts they point to', () => {
+      const order = Object.keys(TRASH_TYPES);
+      expect(order.indexOf('transactions')).toBeLessThan(order.indexOf('accounts'));
+      expect(order.indexOf('budgets')).toBeLessThan(order.indexOf('categories'));
+    });
+  });
+});
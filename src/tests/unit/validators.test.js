@@ -1,6 +1,7 @@
 // Unit tests for Validators
 import { describe, test, expect } from '@jest/globals';
 import Joi from 'joi';
+import { validateTransactionData, validateTransactionUpdate, validateImportBatch } from '../../utils/validators.js';
 
 // Import validation schemas
 const registerSchema = Joi.object({
@@ -349,4 +350,118 @@ describe('Validators', () => {
       });
     });
   });
+
+  describe('Split Validation', () => {
+    const groceries = '11111111-1111-4111-8111-111111111111';
+    const household = '22222222-2222-4222-8222-222222222222';
+    const expense = {
+      date: '2026-03-01',
+      type: 'expense',
+      account_id: '33333333-3333-4333-8333-333333333333',
+      amount: -100.3,
+      currency: 'EUR'
+    };
+
+    // Runs the update validator middleware and returns the error details, or null when it passed
+    const validateUpdate = (body) => {
+      let details = null;
+      const res = { status: () => res, json: (payload) => { details = payload.details; } };
+      validateTransactionUpdate({ body }, res, () => {});
+      return details;
+    };
+
+    test('should accept split lines adding up to the amount to the cent', () => {
+      expect(validateTransactionData({
+        ...expense,
+        splits: [
+          { category_id: groceries, amount: -60.1 },
+          { category_id: household, amount: -40.2, memo: 'Soap' }
+        ]
+      })).toBeNull();
+    });
+
+    test('should reject split lines not adding up to the amount', () => {
+      expect(validateTransactionData({
+        ...expense,
+        splits: [
+          { category_id: groceries, amount: -60 },
+          { category_id: household, amount: -40 }
+        ]
+      })).toEqual(['Split amounts must add up to the transaction amount']);
+    });
+
+    test('should reject a category on a split transaction', () => {
+      expect(validateTransactionData({
+        ...expense,
+        category_id: groceries,
+        splits: [
+          { category_id: groceries, amount: -60.1 },
+          { category_id: household, amount: -40.2 }
+        ]
+      })).toEqual(['category_id must be empty when a transaction is split']);
+    });
+
+    test('should reject fewer than two lines, zero amounts and lines without a category', () => {
+      expect(validateTransactionData({ ...expense, splits: [{ category_id: groceries, amount: -100.3 }] })).not.toBeNull();
+      expect(validateTransactionData({
+        ...expense,
+        splits: [{ category_id: groceries, amount: -100.3 }, { category_id: household, amount: 0 }]
+      })).not.toBeNull();
+      expect(validateTransactionData({
+        ...expense,
+        splits: [{ category_id: groceries, amount: -60.1 }, { amount: -40.2 }]
+      })).not.toBeNull();
+    });
+
+    test('should not split transfers', () => {
+      expect(validateTransactionData({
+        date: '2026-03-01',
+        type: 'transfer',
+        from_account_id: '33333333-3333-4333-8333-333333333333',
+        to_account_id: '44444444-4444-4444-8444-444444444444',
+        amount: 100,
+        currency: 'EUR',
+        splits: [{ category_id: groceries, amount: 50 }, { category_id: household, amount: 50 }]
+      })).not.toBeNull();
+    });
+
+    test('should check split totals on update only when the amount changes with them', () => {
+      const splits = [{ category_id: groceries, amount: -60 }, { category_id: household, amount: -40 }];
+      expect(validateUpdate({ splits })).toBeNull();
+      expect(validateUpdate({ amount: -100, splits })).toBeNull();
+      expect(validateUpdate({ amount: -90, splits })).toEqual(['Split amounts must add up to the transaction amount']);
+    });
+
+    test('should allow removing the splits on update', () => {
+      expect(validateUpdate({ splits: null, category_id: groceries })).toBeNull();
+    });
+  });
+
+  describe('Import Batch Validation', () => {
+    const row = {
+      date: '2026-03-01',
+      type: 'expense',
+      account_id: '33333333-3333-4333-8333-333333333333',
+      amount: -12.5,
+      currency: 'EUR'
+    };
+
+    // Runs the batch validator middleware and returns the error details, or null when it passed
+    const validateBatch = (body) => {
+      let details = null;
+      const res = { status: () => res, json: (payload) => { details = payload.details; } };
+      validateImportBatch({ body }, res, () => {});
+      return details;
+    };
+
+    test('should accept rows that are valid transactions', () => {
+      expect(validateBatch({ transactions: [row, { ...row, status: 'pending' }] })).toBeNull();
+    });
+
+    test('should reject rows that are not valid transactions', () => {
+      expect(validateBatch({ transactions: [row, { ...row, amount: 'lots' }] })).toEqual([expect.stringContaining('amount')]);
+      expect(validateBatch({ transactions: [{ ...row, status: 'reconciled' }] })).not.toBeNull();
+      expect(validateBatch({ transactions: [{ ...row, reconciliation_id: 'rec-1' }] })).not.toBeNull();
+    });
+  });
 });
\ No newline at end of file
@@ -139,4 +139,43 @@ export const cleanTestDatabase = async () => {
   // This should be implemented to clean test data between tests
   // For now, it's a placeholder
   console.log('Cleaning test database...');
-};
\ No newline at end of file
+};
+// Query builder methods of the supabase client that only narrow or shape a query
+const QUERY_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete', 'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is',
+  'not', 'or', 'overlaps', 'contains', 'order', 'limit', 'range', 'single', 'maybeSingle'
+];
+
+/**
+ * Create a stand-in for the supabase client that records every query and rpc call.
+ * Each awaited query resolves to respond({ table, calls }), where calls lists the builder
+ * calls as [method, ...args]; each rpc call resolves to rpc(name, params).
+ * @param {Object} handlers - { respond, rpc }, both returning { data, error }
+ * @returns {Object} The client, with the recorded queries and rpcCalls
+ */
+export const createMockSupabase = ({ respond = () => ({ data: [], error: null }), rpc = () => ({ data: null, error: null }) } = {}) => {
+  const client = { queries: [], rpcCalls: [] };
+
+  client.from = (table) => {
+    const query = { table, calls: [] };
+    client.queries.push(query);
+
+    const builder = {
+      then: (resolve, reject) => Promise.resolve().then(() => respond(query)).then(resolve, reject)
+    };
+    QUERY_METHODS.forEach(method => {
+      builder[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return builder;
+      };
+    });
+    return builder;
+  };
+
+  client.rpc = async (name, params) => {
+    client.rpcCalls.push({ name, params });
+    return rpc(name, params);
+  };
+
+  return client;
+};
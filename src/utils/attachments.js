@@ -0,0 +1,63 @@
+// src/utils/attachments.js
+// File type checks and filename handling for transaction attachments
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic'
+];
+
+/**
+ * Detect a file's type from its first bytes, so a file cannot claim to be
+ * something it is not
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if it is not an allowed type
+ */
+export const detectContentType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'application/pdf';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp' &&
+      ['heic', 'heix', 'mif1', 'msf1'].includes(buffer.subarray(8, 12).toString('latin1'))) {
+    return 'image/heic';
+  }
+  return null;
+};
+
+/**
+ * Make an uploaded filename safe to store and send back in a Content-Disposition header
+ * @returns {string} Filename without directories, control characters or quotes
+ */
+export const sanitizeFilename = (filename) => {
+  const name = String(filename || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .slice(0, 255);
+
+  return name && name !== '.' && name !== '..' ? name : 'attachment';
+};
+
+/**
+ * Content-Disposition value for downloading a stored attachment
+ */
+export const contentDisposition = (filename) => {
+  const asciiName = filename.replace(/[^\x20-\x7e]/g, '_');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
@@ -0,0 +1,51 @@
+// src/utils/audit.js
+// Shaping audit log entries for financial records
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+/**
+ * Audited resources, keyed by the name used in their API paths.
+ * computed lists response-only fields that are not stored on the record.
+ */
+export const AUDIT_RESOURCES = {
+  transactions: { computed: ['possible_duplicates', 'applied_rules', 'fee_transaction', 'refunds', 'refunded_amount'] },
+  accounts: { computed: ['transaction_count', 'balance_change'] },
+  categories: { computed: [] },
+  budgets: { computed: [] },
+  goals: { computed: ['remaining', 'progress_percentage', 'is_complete', 'days_until_target', 'is_overdue', 'status'] },
+  recurring: { computed: ['next_due_date', 'is_due', 'status'] }
+};
+
+// Columns that change on every write and say nothing on their own
+const IGNORED_FIELDS = ['updated_at'];
+
+/**
+ * Copy of a record as stored: joined rows (nested objects) and computed fields are dropped,
+ * lists such as split lines and tags are kept
+ * @param {string} resource - Key of AUDIT_RESOURCES
+ * @param {Object|null} record - Record as returned by its service
+ * @returns {Object|null}
+ */
+export const toAuditSnapshot = (resource, record) => {
+  if (!record) {
+    return null;
+  }
+
+  const computed = AUDIT_RESOURCES[resource].computed;
+  return Object.fromEntries(Object.entries(record).filter(([field, value]) =>
+    !computed.includes(field) &&
+    !(value !== null && typeof value === 'object' && !Array.isArray(value))));
+};
+
+/**
+ * Fields whose values differ between two snapshots
+ * @returns {Array} Sorted field names
+ */
+export const getChangedFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+    .sort();
+};
@@ -0,0 +1,92 @@
+// src/utils/balanceHistory.js
+// Balance series read from account_balance_history, which keeps one row per day an
+// account's balance changed; days without a row carry the previous balance forward
+
+export const BALANCE_HISTORY_INTERVALS = ['daily', 'weekly', 'monthly'];
+
+// Most points one series may have
+export const MAX_BALANCE_HISTORY_POINTS = 1000;
+
+// Default range per interval when from is not given
+const DEFAULT_POINTS = { daily: 30, weekly: 12, monthly: 12 };
+
+const toDay = (date) => date.toISOString().split('T')[0];
+
+const parseDay = (value, name) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Last day of the month before the given day's month
+const endOfPreviousMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 0));
+
+/**
+ * Days a balance series has a point on, oldest first. Points step back from to:
+ * every day, every seventh day, or the end of each month (to itself being the last point).
+ * @param {Object} range - { from, to (default: today), interval (default: daily) }
+ * @returns {Array<string>} Days (YYYY-MM-DD)
+ * @throws {Error} For invalid dates or intervals, and series with too many points
+ */
+export const getSeriesDates = ({ from, to, interval = 'daily' } = {}) => {
+  if (!BALANCE_HISTORY_INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval: ${interval}. Use one of ${BALANCE_HISTORY_INTERVALS.join(', ')}`);
+  }
+
+  const end = parseDay(to === undefined ? new Date() : to, 'to');
+  const step = (date) => {
+    if (interval === 'monthly') return endOfPreviousMonth(date);
+    const previous = new Date(date);
+    previous.setUTCDate(previous.getUTCDate() - (interval === 'weekly' ? 7 : 1));
+    return previous;
+  };
+
+  // Without from, go back the default number of points
+  let start;
+  if (from === undefined) {
+    start = end;
+    for (let i = 1; i < DEFAULT_POINTS[interval]; i++) {
+      start = step(start);
+    }
+  } else {
+    start = parseDay(from, 'from');
+  }
+
+  if (start > end) {
+    throw new Error('from must not be after to');
+  }
+
+  const dates = [];
+  for (let date = end; date >= start; date = step(date)) {
+    if (dates.length === MAX_BALANCE_HISTORY_POINTS) {
+      throw new Error(`A balance series can have at most ${MAX_BALANCE_HISTORY_POINTS} points; use a longer interval or a shorter range`);
+    }
+    dates.push(toDay(date));
+  }
+
+  return dates.reverse();
+};
+
+/**
+ * An account's balance on each of the given days
+ * @param {Array} rows - The account's history rows ({ date, balance }), oldest first,
+ *   starting with the last row before the first day if there is one
+ * @param {Array<string>} dates - Days, oldest first
+ * @param {Object} start - { opening_balance, ledger_start }: the balance before the first row
+ *   and the day it applies from
+ * @returns {Array<number|null>} Balance per day; null before the account's ledger starts
+ */
+export const fillBalanceSeries = (rows, dates, start) => {
+  let index = -1;
+  let balance = parseFloat(start.opening_balance || 0);
+
+  return dates.map(date => {
+    while (index + 1 < rows.length && rows[index + 1].date <= date) {
+      index++;
+      balance = parseFloat(rows[index].balance);
+    }
+    return date < start.ledger_start ? null : balance;
+  });
+};
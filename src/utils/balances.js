@@ -0,0 +1,57 @@
+// src/utils/balances.js
+// Account balance arithmetic shared by the account and transaction services
+
+// Debt accounts (loans, credit cards) store the amount owed: money in reduces the balance
+export const DEBT_ACCOUNT_TYPES = ['loan', 'credit_card'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * First day the ledger counts for an account (YYYY-MM-DD): transactions dated earlier are
+ * history its opening balance already includes. Matches account_ledger_start() in the database.
+ * @param {Object} account - { opening_balance_date }
+ */
+export const getLedgerStart = (account) => new Date(account.opening_balance_date).toISOString().split('T')[0];
+
+/**
+ * How much a balance change moves an account's stored balance
+ * (the same rule write_transaction_with_balances applies in the database)
+ * @param {string} accountType - Account type
+ * @param {number} amount - Balance change from TransactionService.getBalanceChanges
+ */
+export const toAccountBalanceChange = (accountType, amount) =>
+  (DEBT_ACCOUNT_TYPES.includes(accountType) ? -amount : amount);
+
+/**
+ * Cleared and working balance of an account. The stored balance is the working balance;
+ * the cleared balance leaves out what pending transactions changed.
+ * @param {Object} account - { type, current_balance }
+ * @param {number} pendingChange - Sum of the balance changes of the account's pending transactions
+ * @returns {Object} { cleared_balance, working_balance, pending_balance }
+ */
+export const getStatusBalances = (account, pendingChange = 0) => {
+  const workingBalance = parseFloat(account.current_balance || 0);
+  const pendingBalance = roundAmount(toAccountBalanceChange(account.type, pendingChange));
+
+  return {
+    cleared_balance: roundAmount(workingBalance - pendingBalance),
+    working_balance: workingBalance,
+    pending_balance: pendingBalance
+  };
+};
+
+/**
+ * Balance an account will have once its scheduled transactions are posted
+ * @param {Object} account - { type, current_balance }
+ * @param {number} scheduledChange - Sum of the balance changes the scheduled transactions will make
+ */
+export const getProjectedBalance = (account, scheduledChange = 0) =>
+  roundAmount(parseFloat(account.current_balance || 0) + toAccountBalanceChange(account.type, scheduledChange));
+
+/**
+ * Balance an account should have according to its transactions
+ * @param {Object} account - { type, opening_balance }
+ * @param {number} ledgerChange - Sum of the balance changes of the transactions since its opening_balance_date
+ */
+export const getLedgerBalance = (account, ledgerChange = 0) =>
+  roundAmount(parseFloat(account.opening_balance || 0) + toAccountBalanceChange(account.type, ledgerChange));
@@ -0,0 +1,218 @@
+// src/utils/creditCards.js
+// Credit card statement cycles: the periods a card's statements cover, what each statement
+// asks to be paid and by when, and how much of the credit limit is in use
+
+import { getAccountAmount } from './reconciliations.js';
+
+// Account settings that only credit cards have
+export const CARD_STATEMENT_FIELDS = [
+  'statement_closing_day', 'payment_due_day', 'minimum_payment_percent', 'minimum_payment_floor'
+];
+
+export const CARD_ONLY_MESSAGE = 'Statement settings only apply to credit card accounts';
+
+// Minimum payment when the card does not set its own: this share of the statement balance,
+// but at least the floor (never more than the statement balance)
+export const DEFAULT_MINIMUM_PAYMENT_PERCENT = 2;
+export const DEFAULT_MINIMUM_PAYMENT_FLOOR = 25;
+
+// A payment is due soon this many days (or fewer) before its due date
+export const PAYMENT_DUE_SOON_DAYS = 7;
+
+// Past statements returned by default and at most
+export const DEFAULT_STATEMENT_COUNT = 6;
+export const MAX_STATEMENT_COUNT = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toDay = (date) => date.toISOString().split('T')[0];
+
+const parseDay = (day) => new Date(`${day}T00:00:00.000Z`);
+
+const addDays = (day, days) => toDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+
+const daysBetween = (from, to) => Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+
+const setting = (value, fallback) => (value === null || value === undefined ? fallback : parseFloat(value));
+
+// A day of the month, moved back to the last day of shorter months
+const dayInMonth = (year, month, day) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+};
+
+/**
+ * Day a statement's payment is due: the first payment_due_day after its closing date
+ * @param {Object} account - { payment_due_day }
+ * @param {string} closingDate - Statement closing date (YYYY-MM-DD)
+ * @returns {string|null} Due date, or null when the card has no payment_due_day
+ */
+export const getDueDate = (account, closingDate) => {
+  if (!account.payment_due_day) {
+    return null;
+  }
+
+  const closing = parseDay(closingDate);
+  let due = dayInMonth(closing.getUTCFullYear(), closing.getUTCMonth(), account.payment_due_day);
+  if (due <= closing) {
+    due = dayInMonth(closing.getUTCFullYear(), closing.getUTCMonth() + 1, account.payment_due_day);
+  }
+  return toDay(due);
+};
+
+// Closing date of the statement after the one closing on closingDate
+const getNextClosingDate = (account, closingDate) =>
+  getDueDate({ payment_due_day: account.statement_closing_day }, closingDate);
+
+/**
+ * Statement periods of a card. A statement closes at the end of statement_closing_day
+ * and covers the days since the previous one closed.
+ * @param {Object} account - { statement_closing_day, payment_due_day }
+ * @param {Object} options - { today (YYYY-MM-DD), count: closed statements to list }
+ * @returns {Object} { current: { period_start, closing_date }, statements: [{ period_start,
+ *   closing_date, due_date }] } with the closed statements newest first
+ */
+export const getStatementPeriods = (account, { today, count = DEFAULT_STATEMENT_COUNT }) => {
+  const date = parseDay(today);
+  const closingDay = account.statement_closing_day;
+
+  // The statement closing this month is still open until the end of its closing day
+  let monthOffset = dayInMonth(date.getUTCFullYear(), date.getUTCMonth(), closingDay) >= date ? 0 : 1;
+  const closingDates = [];
+  for (let i = 0; i <= count + 1; i++) {
+    closingDates.push(toDay(dayInMonth(date.getUTCFullYear(), date.getUTCMonth() + monthOffset, closingDay)));
+    monthOffset--;
+  }
+
+  const periods = closingDates.slice(0, -1).map((closingDate, index) => ({
+    period_start: addDays(closingDates[index + 1], 1),
+    closing_date: closingDate,
+    due_date: getDueDate(account, closingDate)
+  }));
+
+  return {
+    current: { period_start: periods[0].period_start, closing_date: periods[0].closing_date },
+    statements: periods.slice(1)
+  };
+};
+
+/**
+ * Charges (what raised the amount owed) and credits (payments and refunds) on a card
+ * in a range of days
+ * @param {Array} transactions - The card's transactions
+ * @param {string} accountId - Card account ID
+ * @param {string} from - First day, or null for no lower bound
+ * @param {string} to - Last day, or null for no upper bound
+ * @returns {Object} { charges, credits }, both positive amounts
+ */
+export const summarizeCardActivity = (transactions, accountId, from, to) => {
+  let charges = 0;
+  let credits = 0;
+  transactions
+    .filter(transaction => (!from || transaction.date >= from) && (!to || transaction.date <= to))
+    .forEach(transaction => {
+      const amount = getAccountAmount(transaction, accountId);
+      if (amount < 0) charges -= amount;
+      else credits += amount;
+    });
+
+  return { charges: roundAmount(charges), credits: roundAmount(credits) };
+};
+
+/**
+ * Minimum payment a statement asks for
+ * @param {Object} account - { minimum_payment_percent, minimum_payment_floor }
+ * @param {number} statementBalance - Amount owed on the statement
+ */
+export const getMinimumPayment = (account, statementBalance) => {
+  if (statementBalance <= 0) {
+    return 0;
+  }
+
+  const percent = setting(account.minimum_payment_percent, DEFAULT_MINIMUM_PAYMENT_PERCENT);
+  const floor = setting(account.minimum_payment_floor, DEFAULT_MINIMUM_PAYMENT_FLOOR);
+  return roundAmount(Math.min(statementBalance, Math.max(floor, statementBalance * percent / 100)));
+};
+
+/**
+ * How much of a card's credit limit is in use
+ * @param {Object} account - { current_balance, credit_limit }
+ * @returns {Object} { available_credit, utilization (percent) }, null without a credit limit
+ */
+export const getCreditUsage = (account) => {
+  if (account.credit_limit === null || account.credit_limit === undefined) {
+    return { available_credit: null, utilization: null };
+  }
+
+  const balance = parseFloat(account.current_balance || 0);
+  const limit = parseFloat(account.credit_limit);
+  return {
+    available_credit: roundAmount(limit - balance),
+    utilization: limit > 0 ? roundAmount(Math.max(balance, 0) / limit * 100) : null
+  };
+};
+
+/**
+ * A closed statement with what it asks to be paid and what has been paid towards it:
+ * credits dated after it closed, up to its due date (or the next closing date without one)
+ * @param {Object} account - Card account
+ * @param {Object} period - { period_start, closing_date, due_date } from getStatementPeriods
+ * @param {Object} balances - { previous_balance, statement_balance }: amount owed when the
+ *   previous statement closed and when this one closed
+ * @param {Array} transactions - The card's transactions from period_start on
+ */
+export const buildStatement = (account, period, balances, transactions) => {
+  const paymentsUntil = period.due_date || getNextClosingDate(account, period.closing_date);
+  const payments = summarizeCardActivity(transactions, account.id, addDays(period.closing_date, 1), paymentsUntil).credits;
+  const minimumPayment = getMinimumPayment(account, balances.statement_balance);
+
+  return {
+    ...period,
+    previous_balance: balances.previous_balance,
+    ...summarizeCardActivity(transactions, account.id, period.period_start, period.closing_date),
+    statement_balance: balances.statement_balance,
+    minimum_payment: minimumPayment,
+    payments,
+    paid_in_full: payments >= balances.statement_balance,
+    minimum_paid: payments >= minimumPayment
+  };
+};
+
+/**
+ * What is left to pay on a card's latest statement and whether it is due soon
+ * @param {Object|null} statement - Latest closed statement from buildStatement
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} { statement_balance, minimum_payment, payment_due_date, days_until_due,
+ *   remaining_statement_balance, remaining_minimum_payment, payment_due_soon, is_overdue }
+ */
+export const getPaymentStatus = (statement, today) => {
+  if (!statement) {
+    return {
+      statement_balance: null,
+      minimum_payment: null,
+      payment_due_date: null,
+      days_until_due: null,
+      remaining_statement_balance: null,
+      remaining_minimum_payment: null,
+      payment_due_soon: false,
+      is_overdue: false
+    };
+  }
+
+  const remainingMinimum = roundAmount(Math.max(0, statement.minimum_payment - statement.payments));
+  const daysUntilDue = statement.due_date ? daysBetween(today, statement.due_date) : null;
+
+  return {
+    statement_balance: statement.statement_balance,
+    minimum_payment: statement.minimum_payment,
+    payment_due_date: statement.due_date,
+    days_until_due: daysUntilDue,
+    remaining_statement_balance: roundAmount(Math.max(0, statement.statement_balance - statement.payments)),
+    remaining_minimum_payment: remainingMinimum,
+    payment_due_soon: remainingMinimum > 0 && daysUntilDue !== null &&
+      daysUntilDue >= 0 && daysUntilDue <= PAYMENT_DUE_SOON_DAYS,
+    is_overdue: remainingMinimum > 0 && daysUntilDue !== null && daysUntilDue < 0
+  };
+};
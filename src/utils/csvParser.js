@@ -0,0 +1,226 @@
+// src/utils/csvParser.js
+// Parses bank statement CSV files and maps their columns to transaction fields
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYY/MM/DD', 'DD/MM/YY', 'MM/DD/YY'];
+
+/**
+ * Split CSV text into rows of fields.
+ * Supports quoted fields (with "" escapes and embedded newlines), CRLF line endings and a UTF-8 BOM.
+ * @param {string} text - Raw CSV file contents
+ * @param {string} delimiter - Field delimiter (default ',')
+ * @returns {Array<Array<string>>} Rows of raw field values, blank lines removed
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse a date string using one of DATE_FORMATS
+ * @returns {string|null} Date as YYYY-MM-DD, or null if it does not match the format
+ */
+export const parseDate = (value, format = 'YYYY-MM-DD') => {
+  const tokens = format.match(/YYYY|YY|MM|DD|[^YMD]+/g);
+  let pattern = '^';
+  const order = [];
+
+  tokens.forEach(token => {
+    if (token === 'YYYY') {
+      pattern += '(\\d{4})';
+      order.push('year');
+    } else if (token === 'YY') {
+      pattern += '(\\d{2})';
+      order.push('shortYear');
+    } else if (token === 'MM' || token === 'DD') {
+      pattern += '(\\d{1,2})';
+      order.push(token === 'MM' ? 'month' : 'day');
+    } else {
+      pattern += token.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  });
+
+  const match = String(value).trim().match(new RegExp(`${pattern}$`));
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  order.forEach((part, index) => {
+    parts[part] = parseInt(match[index + 1], 10);
+  });
+  const year = parts.year !== undefined ? parts.year : 2000 + parts.shortYear;
+
+  const date = new Date(Date.UTC(year, parts.month - 1, parts.day));
+  if (date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Parse an amount string such as "1.234,56", "-12.50", "(12.50)", "12.50-" or "$ 1,000.00"
+ * @param {string} value - Raw amount
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Parsed amount, or null if the value is not a number
+ */
+export const parseAmount = (value, decimalSeparator = '.') => {
+  let text = String(value).trim();
+  if (text === '') {
+    return null;
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  text = text
+    .replace(/[^\d.,+-]/g, '')
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.');
+
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    return null;
+  }
+
+  const amount = parseFloat(text);
+  return negative ? -Math.abs(amount) : amount;
+};
+
+/**
+ * Resolve a mapped column (header name or 0-based index) to an index
+ * @returns {number} Column index, or -1 when the column is not present
+ */
+const resolveColumn = (column, headers) => {
+  if (column === undefined || column === null || column === '') {
+    return -1;
+  }
+  if (typeof column === 'number') {
+    return column;
+  }
+  const index = headers.findIndex(header => header.trim().toLowerCase() === String(column).trim().toLowerCase());
+  if (index === -1 && /^\d+$/.test(String(column))) {
+    return parseInt(column, 10);
+  }
+  return index;
+};
+
+/**
+ * Map CSV rows to transaction fields using a mapping profile.
+ * The amount is signed so that money going out is negative; for a single amount
+ * column the sign_convention of the profile says how the bank writes it.
+ * @param {string} text - Raw CSV file contents
+ * @param {Object} mapping - Mapping profile settings
+ * @returns {Array} Rows of { row_number, data: { date, amount, type, payee, memo }, error }
+ */
+export const mapCsvRows = (text, mapping) => {
+  const rows = parseCsv(text, mapping.delimiter || ',').slice(mapping.skip_rows || 0);
+  const hasHeader = mapping.has_header !== false;
+  const headers = hasHeader && rows.length > 0 ? rows[0] : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const decimalSeparator = mapping.decimal_separator || '.';
+
+  const columns = {
+    date: resolveColumn(mapping.date_column, headers),
+    amount: resolveColumn(mapping.amount_column, headers),
+    debit: resolveColumn(mapping.debit_column, headers),
+    credit: resolveColumn(mapping.credit_column, headers),
+    payee: resolveColumn(mapping.payee_column, headers),
+    memo: resolveColumn(mapping.memo_column, headers)
+  };
+
+  if (columns.date === -1) {
+    throw new Error(`Date column "${mapping.date_column}" not found in CSV`);
+  }
+  if (columns.amount === -1 && columns.debit === -1 && columns.credit === -1) {
+    throw new Error('CSV mapping needs an amount column or debit/credit columns');
+  }
+
+  const headerOffset = (mapping.skip_rows || 0) + (hasHeader ? 2 : 1);
+
+  return dataRows.map((row, index) => {
+    const rowNumber = index + headerOffset;
+    const cell = column => (column >= 0 && column < row.length ? row[column].trim() : '');
+
+    const date = parseDate(cell(columns.date), mapping.date_format || 'YYYY-MM-DD');
+    if (!date) {
+      return { row_number: rowNumber, data: null, error: `Invalid date "${cell(columns.date)}"` };
+    }
+
+    let amount;
+    if (columns.amount !== -1) {
+      amount = parseAmount(cell(columns.amount), decimalSeparator);
+    } else {
+      const debit = parseAmount(cell(columns.debit), decimalSeparator);
+      const credit = parseAmount(cell(columns.credit), decimalSeparator);
+      amount = debit === null && credit === null ? null : Math.abs(credit || 0) - Math.abs(debit || 0);
+    }
+
+    if (amount === null || amount === 0) {
+      return { row_number: rowNumber, data: null, error: 'Missing or invalid amount' };
+    }
+
+    if (columns.amount !== -1 && mapping.sign_convention === 'positive_is_expense') {
+      amount = -amount;
+    }
+
+    return {
+      row_number: rowNumber,
+      data: {
+        date,
+        amount: parseFloat(amount.toFixed(2)),
+        type: amount < 0 ? 'expense' : 'income',
+        payee: cell(columns.payee) || null,
+        memo: cell(columns.memo) || null
+      },
+      error: null
+    };
+  });
+};
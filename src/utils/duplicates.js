@@ -0,0 +1,111 @@
+// src/utils/duplicates.js
+// Fuzzy fingerprints for spotting the same transaction entered or imported twice
+
+export const DEFAULT_DATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_DATE_WINDOW_DAYS) || 3;
+
+// Words banks add around the merchant name that say nothing about who was paid
+// (migration 006 fingerprints existing transactions with a copy of these rules)
+const PAYEE_NOISE_WORDS = new Set([
+  'pos', 'card', 'purchase', 'payment', 'debit', 'credit', 'visa', 'mastercard', 'contactless',
+  'online', 'ref', 'reference', 'txn', 'trx', 'to', 'from', 'the', 'inc', 'ltd', 'llc', 'gmbh', 'co'
+]);
+
+/**
+ * Normalize a payee so that "AMAZON MKTPL*2K4 #123" and "Amazon Mktpl" compare equal
+ * @returns {string} Up to the first two significant lowercase words
+ */
+export const normalizePayee = (payee) => {
+  if (!payee) {
+    return '';
+  }
+
+  return String(payee)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word.length > 1 && !/\d/.test(word) && !PAYEE_NOISE_WORDS.has(word))
+    .slice(0, 2)
+    .join(' ');
+};
+
+/**
+ * Build the fingerprint of an income/expense transaction: amount in cents plus normalized payee.
+ * The account and date window are compared separately.
+ * @returns {string|null} Fingerprint, or null for transfers
+ */
+export const buildFingerprint = (transaction) => {
+  if (transaction.type === 'transfer') {
+    return null;
+  }
+  const cents = Math.round(Math.abs(parseFloat(transaction.amount)) * 100);
+  const sign = transaction.type === 'expense' || parseFloat(transaction.amount) < 0 ? '-' : '+';
+  return `${sign}${cents}|${normalizePayee(transaction.payee)}`;
+};
+
+/**
+ * Days between two YYYY-MM-DD dates
+ */
+export const daysBetween = (dateA, dateB) => {
+  const a = Date.parse(String(dateA).slice(0, 10));
+  const b = Date.parse(String(dateB).slice(0, 10));
+  return Math.round(Math.abs(a - b) / 86400000);
+};
+
+/**
+ * Key identifying a pair of transactions regardless of order
+ */
+export const pairKey = (idA, idB) => [idA, idB].sort().join(':');
+
+/**
+ * Whether two transactions look like the same one
+ */
+export const isLikelyDuplicate = (a, b, windowDays = DEFAULT_DATE_WINDOW_DAYS) => {
+  if (a.id && a.id === b.id) {
+    return false;
+  }
+  // Two different bank identifiers are two different transactions
+  if (a.external_id && b.external_id && a.external_id !== b.external_id) {
+    return false;
+  }
+  return a.account_id === b.account_id &&
+    (a.fingerprint || buildFingerprint(a)) === (b.fingerprint || buildFingerprint(b)) &&
+    daysBetween(a.date, b.date) <= windowDays;
+};
+
+/**
+ * Find suspected duplicate pairs within a list of stored transactions
+ * @param {Array} transactions - Transactions with id, account_id, date, fingerprint, external_id
+ * @param {number} windowDays - Maximum days between the two dates
+ * @param {Set<string>} dismissed - pairKey()s the user has dismissed
+ * @returns {Array} Pairs of [olderTransaction, newerTransaction]
+ */
+export const findDuplicatePairs = (transactions, windowDays = DEFAULT_DATE_WINDOW_DAYS, dismissed = new Set()) => {
+  const groups = new Map();
+  transactions
+    .filter(t => t.fingerprint)
+    .forEach(t => {
+      const key = `${t.account_id}|${t.fingerprint}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(t);
+    });
+
+  const pairs = [];
+  groups.forEach(group => {
+    const sorted = [...group].sort((a, b) =>
+      String(a.date).localeCompare(String(b.date)) || String(a.created_at).localeCompare(String(b.created_at)));
+
+    for (let i = 0; i < sorted.length; i++) {
+      for (let j = i + 1; j < sorted.length && daysBetween(sorted[i].date, sorted[j].date) <= windowDays; j++) {
+        if (isLikelyDuplicate(sorted[i], sorted[j], windowDays) && !dismissed.has(pairKey(sorted[i].id, sorted[j].id))) {
+          pairs.push([sorted[i], sorted[j]]);
+        }
+      }
+    }
+  });
+
+  return pairs;
+};
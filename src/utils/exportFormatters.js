@@ -0,0 +1,167 @@
+// src/utils/exportFormatters.js
+// Formats exported transactions as CSV rows, JSON Lines or an OFX statement
+
+import { getTransferLegs, getImpliedRate } from './transfers.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  ofx: { contentType: 'application/x-ofx; charset=utf-8', extension: 'ofx' }
+};
+
+export const CSV_COLUMNS = [
+  'id', 'date', 'type', 'account', 'from_account', 'to_account',
+  'payee', 'category', 'amount', 'currency', 'to_amount', 'to_currency', 'rate', 'memo', 'tags'
+];
+
+/**
+ * Replace account and category IDs with their names
+ * @param {Object} transaction - Stored transaction with splits
+ * @param {Object} names - { accounts: Map(id -> name), categories: Map(id -> name) }
+ * @returns {Object} Export record
+ */
+export const toExportRecord = (transaction, names) => {
+  const accountName = (id) => (id ? names.accounts.get(id) || null : null);
+  const categoryName = (id) => (id ? names.categories.get(id) || null : null);
+  const splits = (transaction.splits || []).map(split => ({
+    category: categoryName(split.category_id),
+    amount: parseFloat(split.amount),
+    memo: split.memo || null
+  }));
+
+  return {
+    id: transaction.id,
+    date: String(transaction.date).slice(0, 10),
+    type: transaction.type,
+    account: accountName(transaction.account_id),
+    from_account: accountName(transaction.from_account_id),
+    to_account: accountName(transaction.to_account_id),
+    payee: transaction.payee || null,
+    category: splits.length > 0
+      ? splits.map(split => split.category).join('; ')
+      : categoryName(transaction.category_id),
+    amount: parseFloat(transaction.amount),
+    currency: transaction.currency,
+    // What the destination account received, in its own currency
+    ...(transaction.type === 'transfer' && {
+      to_amount: getTransferLegs(transaction).received,
+      to_currency: transaction.to_currency || transaction.currency,
+      rate: getImpliedRate(transaction)
+    }),
+    memo: transaction.memo || null,
+    tags: (transaction.tags || []).map(tag => tag.name),
+    ...(splits.length > 0 && { splits })
+  };
+};
+
+/**
+ * Quote a CSV field. Text starting with =, +, - or @ is prefixed with a quote
+ * so spreadsheets do not run it as a formula.
+ */
+export const escapeCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvHeader = () => `${CSV_COLUMNS.join(',')}\r\n`;
+
+export const toCsvRow = (record) =>
+  `${CSV_COLUMNS.map(column => escapeCsvField(
+    Array.isArray(record[column]) ? record[column].join('; ') : record[column]
+  )).join(',')}\r\n`;
+
+export const toJsonLine = (record) => `${JSON.stringify(record)}\n`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const ofxDate = (date) => String(date).slice(0, 10).replace(/-/g, '');
+
+const ofxAccountType = {
+  checking: 'CHECKING',
+  savings: 'SAVINGS',
+  investment: 'SAVINGS',
+  cash: 'CHECKING',
+  loan: 'CREDITLINE'
+};
+
+/**
+ * Opening of an OFX 2 statement for one account, up to the start of the transaction list
+ * @param {Object} account - { id, type, currency }
+ * @param {Object} period - { start, end } as YYYY-MM-DD
+ */
+export const toOfxHeader = (account, period) => {
+  const isCreditCard = account.type === 'credit_card';
+  const accountFrom = isCreditCard
+    ? `<CCACCTFROM><ACCTID>${escapeXml(account.id)}</ACCTID></CCACCTFROM>`
+    : `<BANKACCTFROM><BANKID>0</BANKID><ACCTID>${escapeXml(account.id)}</ACCTID>` +
+      `<ACCTTYPE>${ofxAccountType[account.type] || 'CHECKING'}</ACCTTYPE></BANKACCTFROM>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>' +
+      `<DTSERVER>${ofxDate(period.end)}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+    isCreditCard ? '<CREDITCARDMSGSRSV1><CCSTMTTRNRS>' : '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    isCreditCard ? '<CCSTMTRS>' : '<STMTRS>',
+    `<CURDEF>${escapeXml(account.currency)}</CURDEF>`,
+    accountFrom,
+    `<BANKTRANLIST><DTSTART>${ofxDate(period.start)}</DTSTART><DTEND>${ofxDate(period.end)}</DTEND>`,
+    ''
+  ].join('\n');
+};
+
+/**
+ * One OFX transaction, signed from the point of view of the exported account
+ * @param {Object} transaction - Stored transaction
+ * @param {string} accountId - Exported account ID
+ */
+export const toOfxTransaction = (transaction, accountId) => {
+  let amount = parseFloat(transaction.amount);
+  if (transaction.type === 'transfer') {
+    // Each side of a transfer in its own account's currency
+    const { sent, received } = getTransferLegs(transaction);
+    amount = transaction.from_account_id === accountId ? -Math.abs(sent) : Math.abs(received);
+  }
+  const trnType = transaction.type === 'transfer' ? 'XFER' : amount < 0 ? 'DEBIT' : 'CREDIT';
+
+  return [
+    '<STMTTRN>',
+    `<TRNTYPE>${trnType}</TRNTYPE>`,
+    `<DTPOSTED>${ofxDate(transaction.date)}</DTPOSTED>`,
+    `<TRNAMT>${amount.toFixed(2)}</TRNAMT>`,
+    `<FITID>${escapeXml(transaction.id)}</FITID>`,
+    ...(transaction.payee ? [`<NAME>${escapeXml(transaction.payee.slice(0, 32))}</NAME>`] : []),
+    ...(transaction.memo ? [`<MEMO>${escapeXml(transaction.memo.slice(0, 255))}</MEMO>`] : []),
+    '</STMTTRN>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Closing of an OFX statement with the account's ledger balance
+ * @param {Object} account - { type, current_balance }
+ * @param {string} asOf - YYYY-MM-DD
+ */
+export const toOfxFooter = (account, asOf) => {
+  const isCreditCard = account.type === 'credit_card';
+  // Card balances are stored as the amount owed; OFX reports them as negative
+  const balance = parseFloat(account.current_balance || 0) * (isCreditCard ? -1 : 1);
+  return [
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${balance.toFixed(2)}</BALAMT><DTASOF>${ofxDate(asOf)}</DTASOF></LEDGERBAL>`,
+    isCreditCard ? '</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1>' : '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+};
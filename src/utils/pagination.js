@@ -0,0 +1,84 @@
+// src/utils/pagination.js
+// Keyset (cursor) pagination for transaction lists
+
+export const TRANSACTION_SORT_FIELDS = ['date', 'amount', 'payee', 'created_at'];
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+export const COUNT_MODES = ['exact', 'estimated', 'none'];
+
+/**
+ * Check the requested sort
+ * @returns {Object} { sort, direction } with defaults (date, desc) applied
+ */
+export const parseSort = (sort = 'date', direction = 'desc') => {
+  if (!TRANSACTION_SORT_FIELDS.includes(sort)) {
+    throw new Error(`Invalid sort field: ${sort}. Use one of ${TRANSACTION_SORT_FIELDS.join(', ')}`);
+  }
+  if (!SORT_DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid sort direction: ${direction}. Use asc or desc`);
+  }
+  return { sort, direction };
+};
+
+/**
+ * Opaque cursor pointing just after a row
+ * @param {Object} row - Last row of a page
+ * @param {string} sort - Sort field
+ * @param {string} direction - asc or desc
+ * @returns {string} base64url cursor
+ */
+export const encodeCursor = (row, sort, direction) => {
+  const value = row[sort] === undefined ? null : row[sort];
+  return Buffer.from(JSON.stringify({ s: sort, d: direction, v: value, id: row.id })).toString('base64url');
+};
+
+/**
+ * Read a cursor made by encodeCursor. A cursor only works with the sort it was made for.
+ * @returns {Object} { value, id }
+ */
+export const decodeCursor = (cursor, sort, direction) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded !== 'object' || typeof decoded.id !== 'string' || !('v' in decoded) ||
+      (decoded.v !== null && typeof decoded.v !== 'string' && typeof decoded.v !== 'number')) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.s !== sort || decoded.d !== direction) {
+    throw new Error('Cursor does not match the requested sort');
+  }
+
+  return { value: decoded.v, id: decoded.id };
+};
+
+/**
+ * Quote a value for a PostgREST filter string
+ */
+export const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * PostgREST "or" filter selecting the rows after a cursor, for rows ordered by
+ * the sort field (nulls last) and then id, both in the same direction
+ * @param {string} sort - Sort field
+ * @param {string} direction - asc or desc
+ * @param {Object} position - { value, id } from decodeCursor
+ * @returns {string} Filter for query.or()
+ */
+export const buildKeysetFilter = (sort, direction, { value, id }) => {
+  const op = direction === 'asc' ? 'gt' : 'lt';
+  const quotedId = quoteFilterValue(id);
+
+  if (value === null) {
+    return `and(${sort}.is.null,id.${op}.${quotedId})`;
+  }
+
+  const quotedValue = quoteFilterValue(value);
+  return [
+    `${sort}.${op}.${quotedValue}`,
+    `and(${sort}.eq.${quotedValue},id.${op}.${quotedId})`,
+    `${sort}.is.null`
+  ].join(',');
+};
@@ -0,0 +1,99 @@
+// src/utils/reconciliations.js
+// Statement reconciliation: comparing a statement's ending balance with the transactions
+// ticked off against it, and the lock finalized reconciliations put on those transactions
+
+import { getTransferLegs } from './transfers.js';
+import { toAccountBalanceChange } from './balances.js';
+
+export const RECONCILIATION_STATUSES = ['open', 'finalized'];
+
+export const LOCKED_MESSAGE = 'Transaction is locked by a finalized reconciliation';
+
+// Fields of a locked transaction that would change what the statement showed
+const LOCKED_FIELDS = [
+  'date', 'type', 'amount', 'currency', 'to_amount', 'rate',
+  'account_id', 'from_account_id', 'to_account_id', 'status', 'is_reconciled'
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a finalized reconciliation has locked a transaction
+ */
+export const isLocked = (transaction) => Boolean(transaction.reconciliation_id);
+
+/**
+ * Check that an update leaves the reconciled parts of a locked transaction alone
+ * (payee, memo, category, splits and tags may still change)
+ * @throws {Error} When a locked field is updated
+ */
+export const checkLockedUpdate = (transaction, updates) => {
+  if (isLocked(transaction) && LOCKED_FIELDS.some(field => updates[field] !== undefined)) {
+    throw new Error(LOCKED_MESSAGE);
+  }
+};
+
+/**
+ * What a transaction moves one account by, before the debt sign rule
+ * (the same amount TransactionService.getBalanceChanges records for that account)
+ * @param {Object} transaction - Stored transaction
+ * @param {string} accountId - Account ID
+ */
+export const getAccountAmount = (transaction, accountId) => {
+  if (transaction.type !== 'transfer') {
+    return transaction.account_id === accountId ? parseFloat(transaction.amount) : 0;
+  }
+
+  const { sent, received } = getTransferLegs(transaction);
+  let amount = 0;
+  if (transaction.from_account_id === accountId) amount -= sent;
+  if (transaction.to_account_id === accountId) amount += received;
+  return amount;
+};
+
+/**
+ * Compare a statement with the transactions ticked off against it
+ * @param {Object} reconciliation - { starting_balance, statement_balance }
+ * @param {Object} account - { id, type }
+ * @param {Array} ticked - Ticked transactions
+ * @returns {Object} { starting_balance, statement_balance, cleared_balance, difference, ticked_count }
+ */
+export const summarizeReconciliation = (reconciliation, account, ticked) => {
+  const startingBalance = parseFloat(reconciliation.starting_balance);
+  const statementBalance = parseFloat(reconciliation.statement_balance);
+  const tickedChange = ticked.reduce((sum, transaction) => sum + getAccountAmount(transaction, account.id), 0);
+  const clearedBalance = roundAmount(startingBalance + toAccountBalanceChange(account.type, tickedChange));
+
+  return {
+    starting_balance: startingBalance,
+    statement_balance: statementBalance,
+    cleared_balance: clearedBalance,
+    difference: roundAmount(statementBalance - clearedBalance),
+    ticked_count: ticked.length
+  };
+};
+
+/**
+ * The transaction that makes up the difference between a statement and the ticked transactions
+ * @param {Object} account - { id, type, currency }
+ * @param {Object} reconciliation - { statement_date }
+ * @param {number} difference - Statement balance minus cleared balance
+ * @param {Object} options - { category_id, memo }
+ * @returns {Object} Transaction columns of the adjustment
+ */
+export const buildAdjustment = (account, reconciliation, difference, options = {}) => {
+  // Debt accounts move inversely, so the transaction amount flips sign there too
+  const amount = toAccountBalanceChange(account.type, difference);
+
+  return {
+    type: amount > 0 ? 'income' : 'expense',
+    date: reconciliation.statement_date,
+    account_id: account.id,
+    amount,
+    currency: account.currency,
+    category_id: options.category_id || null,
+    payee: 'Reconciliation adjustment',
+    memo: options.memo || `Statement of ${reconciliation.statement_date}`,
+    status: 'cleared'
+  };
+};
@@ -0,0 +1,71 @@
+// src/utils/refunds.js
+// Refunds and reversals: transactions of the original's type with the opposite sign,
+// so they offset the original's category instead of counting as new income or spending
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sign of a refund's stored amount: refunded expenses are positive, reversed income negative
+ * @param {string} type - Type of the original transaction
+ */
+export const getRefundSign = (type) => (type === 'income' ? -1 : 1);
+
+/**
+ * How much of a transaction has not been refunded yet
+ * @param {Object} original - Original transaction
+ * @param {Array} refunds - Its live refunds
+ * @returns {number} Amount still refundable (never negative)
+ */
+export const getRefundableAmount = (original, refunds) => {
+  const refunded = refunds.reduce((sum, refund) => sum + Math.abs(parseFloat(refund.amount)), 0);
+  return Math.max(0, roundAmount(Math.abs(parseFloat(original.amount)) - refunded));
+};
+
+/**
+ * Check a refund request and build the refund transaction
+ * @param {Object} original - Original transaction with its splits
+ * @param {Array} refunds - Its live refunds
+ * @param {Object} request - { amount (default: everything not refunded yet), date (default: today),
+ *   account_id, category_id (required for split transactions), payee, memo }
+ * @returns {Object} Transaction columns of the refund
+ */
+export const buildRefund = (original, refunds, request = {}) => {
+  if (original.type === 'transfer') {
+    throw new Error('Transfers cannot be refunded');
+  }
+  if (original.refund_of_id) {
+    throw new Error('A refund cannot be refunded');
+  }
+
+  const refundable = getRefundableAmount(original, refunds);
+  if (refundable === 0) {
+    throw new Error('Transaction is already fully refunded');
+  }
+
+  const amount = request.amount !== undefined ? roundAmount(Math.abs(parseFloat(request.amount))) : refundable;
+  if (amount > refundable) {
+    throw new Error(`Refund cannot exceed the amount not yet refunded (${refundable.toFixed(2)})`);
+  }
+
+  // A split transaction is refunded against one of its categories
+  let categoryId = original.category_id;
+  const splits = original.splits || [];
+  if (splits.length > 0) {
+    if (!request.category_id || !splits.some(split => split.category_id === request.category_id)) {
+      throw new Error('Choose which category of the split transaction is refunded (category_id)');
+    }
+    categoryId = request.category_id;
+  }
+
+  return {
+    date: request.date || new Date().toISOString().split('T')[0],
+    type: original.type,
+    account_id: request.account_id || original.account_id,
+    payee: request.payee !== undefined ? request.payee : original.payee,
+    category_id: categoryId,
+    amount: getRefundSign(original.type) * amount,
+    currency: original.currency,
+    memo: request.memo !== undefined ? request.memo : original.memo,
+    refund_of_id: original.id
+  };
+};
@@ -0,0 +1,187 @@
+// src/utils/rules.js
+// Matching and applying user-defined auto-categorization rules
+
+import { normalizeTagNames } from './tags.js';
+
+// Long payees are cut before regex matching to bound the cost of user-supplied patterns
+const MAX_MATCHED_PAYEE_LENGTH = 256;
+
+// Quantifier following an atom: *, +, ?, {n}, {n,} or {n,m}, optionally lazy
+const QUANTIFIER = /^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/;
+
+/**
+ * Whether a pattern is safe from catastrophic backtracking, which would block the
+ * event loop on a crafted payee. Rejects a repeated group that contains a repetition
+ * ("(a+)+") or an alternation ("(a|ab)*"), and backreferences.
+ * Character classes, lookarounds and single repetitions are fine.
+ * @param {string} pattern - Regular expression source
+ */
+export const isSafeRegex = (pattern) => {
+  // Per open group: whether it contains a repetition or an alternation
+  const groups = [{ repeats: false, alternates: false }];
+  let closedGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const quantifier = QUANTIFIER.exec(pattern.slice(i));
+    const current = groups[groups.length - 1];
+
+    if (quantifier) {
+      // ? and {0,1} / {1} match at most once, everything else repeats
+      const max = quantifier[1] === undefined ? (char === '?' ? 1 : Infinity)
+        : quantifier[2] === undefined ? Number(quantifier[1])
+          : quantifier[3] === '' ? Infinity : Number(quantifier[3]);
+      if (max > 1) {
+        if (closedGroup && (closedGroup.repeats || closedGroup.alternates)) {
+          return false;
+        }
+        current.repeats = true;
+      }
+      closedGroup = null;
+      i += quantifier[0].length - 1;
+      continue;
+    }
+
+    closedGroup = null;
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return false;
+      }
+      i++;
+    } else if (char === '[') {
+      // Skip the character class up to its unescaped closing bracket
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      // Skip the group prefix: (?:, (?=, (?!, (?<=, (?<! or (?<name>
+      const prefix = /^\(\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(pattern.slice(i));
+      if (prefix) {
+        i += prefix[0].length - 1;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      // A group that repeats inside makes its enclosing group repeat inside too
+      groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || closedGroup.repeats;
+    } else if (char === '|') {
+      current.alternates = true;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Compile a rule's payee regex (case-insensitive)
+ * @returns {RegExp|null} The pattern, or null if it is missing, invalid or unsafe (see isSafeRegex)
+ */
+export const compilePayeeRegex = (pattern) => {
+  if (!pattern || !isSafeRegex(pattern)) {
+    return null;
+  }
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a transaction meets every condition of a rule.
+ * Amount bounds are compared with the absolute amount so "between 3 and 10"
+ * reads the same for income and expenses.
+ * @param {Object} conditions - { payee_contains, payee_regex, min_amount, max_amount, account_id, type }
+ * @param {Object} transaction - Transaction data
+ */
+export const matchesConditions = (conditions, transaction) => {
+  if (transaction.type === 'transfer') {
+    return false;
+  }
+
+  const payee = String(transaction.payee || '').slice(0, MAX_MATCHED_PAYEE_LENGTH);
+  const amount = Math.abs(parseFloat(transaction.amount));
+
+  if (conditions.type && conditions.type !== transaction.type) {
+    return false;
+  }
+  if (conditions.account_id && conditions.account_id !== transaction.account_id) {
+    return false;
+  }
+  if (conditions.payee_contains && !payee.toLowerCase().includes(conditions.payee_contains.toLowerCase())) {
+    return false;
+  }
+  if (conditions.payee_regex) {
+    const regex = compilePayeeRegex(conditions.payee_regex);
+    if (!regex || !regex.test(payee)) {
+      return false;
+    }
+  }
+  if (conditions.min_amount !== undefined && conditions.min_amount !== null && amount < conditions.min_amount) {
+    return false;
+  }
+  if (conditions.max_amount !== undefined && conditions.max_amount !== null && amount > conditions.max_amount) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Work out what the rules change on a transaction. Rules run in order and the first
+ * rule to set a field wins. Without overwrite, a category or memo the transaction
+ * already has is kept; payee renames always apply. Tags from every matching rule
+ * are added to the transaction's own tags.
+ * @param {Array} rules - Active rules ordered by priority
+ * @param {Object} transaction - Transaction data
+ * @param {Object} options - { overwrite }
+ * @returns {Object} { changes: { category_id, payee, memo, tags }, rule_ids }
+ */
+export const applyRules = (rules, transaction, options = {}) => {
+  const changes = {};
+  const claimed = new Set();
+  const ruleIds = [];
+  const currentTags = normalizeTagNames(transaction.tags);
+  const addedTags = [];
+  const isSplit = Array.isArray(transaction.splits) && transaction.splits.length > 0;
+
+  const canSet = {
+    category_id: !isSplit && (options.overwrite || !transaction.category_id),
+    payee: true,
+    memo: options.overwrite || !transaction.memo
+  };
+
+  for (const rule of rules) {
+    if (!matchesConditions(rule.conditions || {}, transaction)) {
+      continue;
+    }
+
+    let used = false;
+    Object.keys(canSet).forEach(field => {
+      const value = rule.actions ? rule.actions[field] : undefined;
+      if (value !== undefined && value !== null && canSet[field] && !claimed.has(field)) {
+        claimed.add(field);
+        if (transaction[field] !== value) {
+          changes[field] = value;
+        }
+        used = true;
+      }
+    });
+
+    if (rule.actions && Array.isArray(rule.actions.tags) && rule.actions.tags.length > 0) {
+      normalizeTagNames(rule.actions.tags)
+        .filter(tag => !currentTags.includes(tag) && !addedTags.includes(tag))
+        .forEach(tag => addedTags.push(tag));
+      used = true;
+    }
+
+    if (used) {
+      ruleIds.push(rule.id);
+    }
+  }
+
+  if (addedTags.length > 0) {
+    changes.tags = [...currentTags, ...addedTags];
+  }
+
+  return { changes, rule_ids: ruleIds };
+};
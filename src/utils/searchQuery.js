@@ -0,0 +1,388 @@
+// src/utils/searchQuery.js
+// Parser and compiler for the transaction search language, e.g.
+//   payee:amazon amount:>50 tag:work -category:groceries date:2026-01..2026-03
+// Terms are separated by spaces and must all match; a leading "-" negates a term and
+// values with spaces go in double quotes. Words without a field search payee and memo.
+
+import { quoteFilterValue } from './pagination.js';
+
+export const SEARCH_FIELDS = ['payee', 'memo', 'amount', 'date', 'tag', 'category', 'account', 'type'];
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 20;
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
+export class SearchQueryError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} position - Character offset of the problem in the query
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a query into raw terms
+ * @private
+ * @returns {Array} { negated, field, value, position }
+ */
+const tokenize = (query) => {
+  const terms = [];
+  let i = 0;
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    let negated = false;
+    if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    // Optional field name
+    let field = null;
+    const fieldMatch = /^([A-Za-z_]+):/.exec(query.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let value = '';
+    if (query[i] === '"') {
+      const quoteStart = i;
+      i++;
+      let closed = false;
+      while (i < query.length) {
+        if (query[i] === '\\' && i + 1 < query.length) {
+          value += query[i + 1];
+          i += 2;
+        } else if (query[i] === '"') {
+          closed = true;
+          i++;
+          break;
+        } else {
+          value += query[i++];
+        }
+      }
+      if (!closed) {
+        throw new SearchQueryError('Unterminated quoted value', quoteStart);
+      }
+      if (i < query.length && !/\s/.test(query[i])) {
+        throw new SearchQueryError('Expected a space after the quoted value', i);
+      }
+    } else {
+      while (i < query.length && !/\s/.test(query[i])) {
+        value += query[i++];
+      }
+    }
+
+    if (value === '') {
+      throw new SearchQueryError(field ? `Missing value for ${field}` : 'Missing search term', position);
+    }
+
+    terms.push({ negated, field, value, position });
+  }
+
+  return terms;
+};
+
+/**
+ * Parse an amount: 50, =50, >50, >=50, <50, <=50, 10..50, 10.. or ..50
+ * @private
+ * @returns {Object} { lower: { value, inclusive }, upper: { value, inclusive } } (either may be null)
+ */
+const parseAmount = (value, position) => {
+  const number = '(\\d+(?:\\.\\d{1,2})?)';
+  const range = new RegExp(`^${number}?\\.\\.${number}?$`).exec(value);
+  if (range && (range[1] || range[2])) {
+    const lower = range[1] ? { value: parseFloat(range[1]), inclusive: true } : null;
+    const upper = range[2] ? { value: parseFloat(range[2]), inclusive: true } : null;
+    if (lower && upper && lower.value > upper.value) {
+      throw new SearchQueryError(`Amount range ${value} ends before it starts`, position);
+    }
+    return { lower, upper };
+  }
+
+  const comparison = new RegExp(`^(>=|<=|>|<|=)?${number}$`).exec(value);
+  if (!comparison) {
+    throw new SearchQueryError(`Invalid amount: ${value}`, position);
+  }
+
+  const bound = parseFloat(comparison[2]);
+  switch (comparison[1]) {
+    case '>': return { lower: { value: bound, inclusive: false }, upper: null };
+    case '>=': return { lower: { value: bound, inclusive: true }, upper: null };
+    case '<': return { lower: null, upper: { value: bound, inclusive: false } };
+    case '<=': return { lower: null, upper: { value: bound, inclusive: true } };
+    default: return { lower: { value: bound, inclusive: true }, upper: { value: bound, inclusive: true } };
+  }
+};
+
+/**
+ * First and last day covered by 2026, 2026-03 or 2026-03-15
+ * @private
+ * @returns {Object|null} { first, last } as YYYY-MM-DD
+ */
+const getDateSpan = (spec) => {
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(spec);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match;
+  const y = parseInt(year);
+  const m = month ? parseInt(month) : null;
+  const d = day ? parseInt(day) : null;
+
+  if (m !== null && (m < 1 || m > 12)) {
+    return null;
+  }
+
+  const toIso = (date) => date.toISOString().split('T')[0];
+  if (d !== null) {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCMonth() !== m - 1) {
+      return null;
+    }
+    return { first: toIso(date), last: toIso(date) };
+  }
+  if (m !== null) {
+    return { first: toIso(new Date(Date.UTC(y, m - 1, 1))), last: toIso(new Date(Date.UTC(y, m, 0))) };
+  }
+  return { first: `${year}-01-01`, last: `${year}-12-31` };
+};
+
+/**
+ * Day before or after a YYYY-MM-DD date
+ * @private
+ */
+const shiftDay = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+};
+
+/**
+ * Parse a date: 2026-03-15, 2026-03, 2026, >2026-03, <=2026-03-15, 2026-01..2026-03, 2026-01.. or ..2026-03
+ * @private
+ * @returns {Object} { from, to } inclusive YYYY-MM-DD bounds (either may be null)
+ */
+const parseDate = (value, position) => {
+  const invalid = () => new SearchQueryError(`Invalid date: ${value}. Use YYYY, YYYY-MM or YYYY-MM-DD`, position);
+
+  if (value.includes('..')) {
+    const [start, end, ...rest] = value.split('..');
+    if (rest.length > 0 || (!start && !end)) {
+      throw invalid();
+    }
+    const startSpan = start ? getDateSpan(start) : null;
+    const endSpan = end ? getDateSpan(end) : null;
+    if ((start && !startSpan) || (end && !endSpan)) {
+      throw invalid();
+    }
+    const range = { from: startSpan ? startSpan.first : null, to: endSpan ? endSpan.last : null };
+    if (range.from && range.to && range.from > range.to) {
+      throw new SearchQueryError(`Date range ${value} ends before it starts`, position);
+    }
+    return range;
+  }
+
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+  const span = getDateSpan(match[2]);
+  if (!span) {
+    throw invalid();
+  }
+
+  switch (match[1]) {
+    case '>': return { from: shiftDay(span.last, 1), to: null };
+    case '>=': return { from: span.first, to: null };
+    case '<': return { from: null, to: shiftDay(span.first, -1) };
+    case '<=': return { from: null, to: span.last };
+    default: return { from: span.first, to: span.last };
+  }
+};
+
+/**
+ * Parse a search query
+ * @param {string} query - Search query
+ * @returns {Array} Terms of { field ('text' for plain words), negated, value, position, ...parsed bounds }
+ * @throws {SearchQueryError} When the query is invalid
+ */
+export const parseSearchQuery = (query) => {
+  const text = String(query || '');
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new SearchQueryError(`Search query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  const terms = tokenize(text);
+  if (terms.length > MAX_TERMS) {
+    throw new SearchQueryError(`Search query has more than ${MAX_TERMS} terms`, terms[MAX_TERMS].position);
+  }
+
+  return terms.map(({ negated, field, value, position }) => {
+    const term = { field: field || 'text', negated, value, position };
+
+    switch (term.field) {
+      case 'text':
+      case 'payee':
+      case 'memo':
+      case 'category':
+      case 'account':
+        return term;
+      case 'tag':
+        return { ...term, value: value.trim().toLowerCase() };
+      case 'type':
+        if (!TRANSACTION_TYPES.includes(value.toLowerCase())) {
+          throw new SearchQueryError(`Invalid type: ${value}. Use one of ${TRANSACTION_TYPES.join(', ')}`, position);
+        }
+        return { ...term, value: value.toLowerCase() };
+      case 'amount':
+        return { ...term, ...parseAmount(value, position) };
+      case 'date':
+        return { ...term, ...parseDate(value, position) };
+      default:
+        throw new SearchQueryError(`Unknown field: ${field}. Use one of ${SEARCH_FIELDS.join(', ')}`, position);
+    }
+  });
+};
+
+/**
+ * ilike pattern matching a value anywhere, with LIKE wildcards in the value taken literally
+ * @private
+ */
+const containsPattern = (value) => quoteFilterValue(`%${value.replace(/[\\%_]/g, '\\$&')}%`);
+
+// Column contains the value / does not contain it (rows without the column count as not containing it)
+const contains = (column, value) => `${column}.ilike.${containsPattern(value)}`;
+const notContains = (column, value) => `or(${column}.is.null,${column}.not.ilike.${containsPattern(value)})`;
+
+// Column is one of the ids / is none of them
+const inIds = (column, ids) => `${column}.in.(${ids.map(quoteFilterValue).join(',')})`;
+const notInIds = (column, ids) => `or(${column}.is.null,${column}.not.in.(${ids.map(quoteFilterValue).join(',')}))`;
+
+// Array column shares an id with the ids
+const overlapsIds = (column, ids) => `${column}.ov.{${ids.map(quoteFilterValue).join(',')}}`;
+
+// Condition that no row meets
+const NOTHING = 'id.is.null';
+
+/**
+ * PostgREST condition for the absolute amount being within the bounds
+ * @private
+ */
+const amountCondition = ({ lower, upper }) => {
+  const parts = [];
+  if (lower) {
+    const op = lower.inclusive ? 'gte' : 'gt';
+    const negOp = lower.inclusive ? 'lte' : 'lt';
+    parts.push(`or(amount.${op}.${lower.value},amount.${negOp}.${-lower.value})`);
+  }
+  if (upper) {
+    const op = upper.inclusive ? 'lte' : 'lt';
+    const negOp = upper.inclusive ? 'gte' : 'gt';
+    parts.push(`and(amount.${op}.${upper.value},amount.${negOp}.${-upper.value})`);
+  }
+  return `and(${parts.join(',')})`;
+};
+
+/**
+ * PostgREST condition for the date being within the bounds
+ * @private
+ */
+const dateCondition = ({ from, to }) => {
+  const parts = [];
+  if (from) {
+    parts.push(`date.gte.${from}`);
+  }
+  if (to) {
+    parts.push(`date.lte.${to}`);
+  }
+  return `and(${parts.join(',')})`;
+};
+
+/**
+ * Compile parsed terms into query conditions. Category and account names are looked up
+ * by the caller; a category matches its subcategories too, and split transactions with
+ * a split line in it.
+ * @param {Array} terms - Result of parseSearchQuery
+ * @param {Object} lookups - { categories: Map(lowercase name -> ids), accounts: Map(lowercase name -> ids) }
+ * @returns {Object} { condition (PostgREST logic tree for query.or(), or null), tags: { include, exclude } }
+ */
+export const compileSearchQuery = (terms, lookups = {}) => {
+  const conditions = [];
+  const tags = { include: [], exclude: [] };
+  const categories = lookups.categories || new Map();
+  const accounts = lookups.accounts || new Map();
+
+  terms.forEach(term => {
+    switch (term.field) {
+      case 'text':
+        conditions.push(term.negated
+          ? `and(${notContains('payee', term.value)},${notContains('memo', term.value)})`
+          : `or(${contains('payee', term.value)},${contains('memo', term.value)})`);
+        break;
+
+      case 'payee':
+      case 'memo':
+        conditions.push(term.negated ? notContains(term.field, term.value) : contains(term.field, term.value));
+        break;
+
+      case 'type':
+        conditions.push(`type.${term.negated ? 'neq' : 'eq'}.${term.value}`);
+        break;
+
+      case 'amount':
+        conditions.push(`${term.negated ? 'not.' : ''}${amountCondition(term)}`);
+        break;
+
+      case 'date':
+        conditions.push(`${term.negated ? 'not.' : ''}${dateCondition(term)}`);
+        break;
+
+      case 'tag':
+        tags[term.negated ? 'exclude' : 'include'].push(term.value);
+        break;
+
+      case 'category': {
+        const ids = categories.get(term.value.toLowerCase()) || [];
+        // Split transactions have their categories on the split lines (split_category_ids)
+        if (ids.length > 0) {
+          conditions.push(term.negated
+            ? `and(${notInIds('category_id', ids)},not.${overlapsIds('split_category_ids', ids)})`
+            : `or(${inIds('category_id', ids)},${overlapsIds('split_category_ids', ids)})`);
+        } else if (!term.negated) {
+          conditions.push(NOTHING);
+        }
+        break;
+      }
+
+      case 'account': {
+        const ids = accounts.get(term.value.toLowerCase()) || [];
+        const columns = ['account_id', 'from_account_id', 'to_account_id'];
+        if (ids.length > 0) {
+          conditions.push(term.negated
+            ? `and(${columns.map(column => notInIds(column, ids)).join(',')})`
+            : `or(${columns.map(column => inIds(column, ids)).join(',')})`);
+        } else if (!term.negated) {
+          conditions.push(NOTHING);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  return {
+    condition: conditions.length > 0 ? `and(${conditions.join(',')})` : null,
+    tags
+  };
+};
@@ -0,0 +1,173 @@
+// src/utils/statementParser.js
+// Parses OFX/QFX (SGML 1.x and XML 2.x) and QIF bank statement files
+
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Read a single OFX element value; works for SGML (no closing tag) and XML
+ */
+const readElement = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : null;
+};
+
+/**
+ * Parse an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) to YYYY-MM-DD
+ */
+export const parseOfxDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day));
+  if (date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) {
+    return null;
+  }
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse an OFX/QFX statement
+ * @param {string} text - Raw file contents
+ * @returns {Object} { currency, rows: [{ row_number, data: { date, amount, type, payee, memo, external_id }, error }] }
+ */
+export const parseOfx = (text) => {
+  if (!/<OFX>/i.test(text)) {
+    throw new Error('File is not a valid OFX/QFX statement');
+  }
+
+  const currency = readElement(text, 'CURDEF');
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  const rows = blocks.map((block, index) => {
+    const rowNumber = index + 1;
+    const fitId = readElement(block, 'FITID');
+    const date = parseOfxDate(readElement(block, 'DTPOSTED'));
+    const rawAmount = readElement(block, 'TRNAMT');
+    const amount = rawAmount !== null ? parseFloat(rawAmount.replace(',', '.')) : NaN;
+
+    if (!date) {
+      return { row_number: rowNumber, data: null, error: 'Missing or invalid DTPOSTED' };
+    }
+    if (Number.isNaN(amount) || amount === 0) {
+      return { row_number: rowNumber, data: null, error: 'Missing or invalid TRNAMT' };
+    }
+    if (!fitId) {
+      return { row_number: rowNumber, data: null, error: 'Missing FITID' };
+    }
+
+    return {
+      row_number: rowNumber,
+      data: {
+        date,
+        amount: parseFloat(amount.toFixed(2)),
+        type: amount < 0 ? 'expense' : 'income',
+        payee: readElement(block, 'NAME') || readElement(block, 'PAYEE') || null,
+        memo: readElement(block, 'MEMO') || null,
+        external_id: fitId
+      },
+      error: null
+    };
+  });
+
+  return {
+    currency: currency ? currency.toUpperCase() : null,
+    rows
+  };
+};
+
+/**
+ * Parse a QIF date such as 01/31/2026, 1/31'26 or 31.01.2026
+ * @param {string} value - Raw date
+ * @param {string} order - 'MDY' (US default) or 'DMY'
+ * @returns {string|null} Date as YYYY-MM-DD
+ */
+export const parseQifDate = (value, order = 'MDY') => {
+  const parts = String(value || '').trim().split(/[/.'\-\s]+/).filter(Boolean);
+  if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) {
+    return null;
+  }
+
+  let [first, second, year] = parts.map(part => parseInt(part, 10));
+  if (parts[0].length === 4) {
+    [year, first, second] = parts.map(part => parseInt(part, 10));
+    order = 'MDY';
+  } else if (parts[2].length <= 2) {
+    year += year < 70 ? 2000 : 1900;
+  }
+
+  const month = order === 'DMY' ? second : first;
+  const day = order === 'DMY' ? first : second;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Parse a QIF bank/cash/credit card statement
+ * @param {string} text - Raw file contents
+ * @param {Object} options - { date_order: 'MDY' | 'DMY' }
+ * @returns {Object} { currency: null, rows: [{ row_number, data, error }] }
+ */
+export const parseQif = (text, options = {}) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const header = lines.find(line => line.trim() !== '');
+  if (!header || !/^!Type:/i.test(header.trim())) {
+    throw new Error('File is not a valid QIF statement');
+  }
+  if (!/^!Type:(Bank|Cash|CCard|Oth A|Oth L)/i.test(header.trim())) {
+    throw new Error(`Unsupported QIF section ${header.trim()}`);
+  }
+
+  const records = [];
+  let record = {};
+  lines.slice(lines.indexOf(header) + 1).forEach(line => {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+    if (code === '^') {
+      records.push(record);
+      record = {};
+    } else if (code && code !== '!') {
+      record[code] = record[code] === undefined ? value : record[code];
+    }
+  });
+  if (Object.keys(record).length > 0) {
+    records.push(record);
+  }
+
+  const rows = records.map((entry, index) => {
+    const rowNumber = index + 1;
+    const date = parseQifDate(entry.D, options.date_order);
+    const amount = parseFloat(String(entry.T !== undefined ? entry.T : entry.U || '').replace(/,/g, ''));
+
+    if (!date) {
+      return { row_number: rowNumber, data: null, error: `Invalid date "${entry.D || ''}"` };
+    }
+    if (Number.isNaN(amount) || amount === 0) {
+      return { row_number: rowNumber, data: null, error: 'Missing or invalid amount' };
+    }
+
+    return {
+      row_number: rowNumber,
+      data: {
+        date,
+        amount: parseFloat(amount.toFixed(2)),
+        type: amount < 0 ? 'expense' : 'income',
+        payee: entry.P || null,
+        memo: entry.M || null
+      },
+      error: null
+    };
+  });
+
+  return { currency: null, rows };
+};
@@ -0,0 +1,45 @@
+// src/utils/tags.js
+// Tag name handling shared by transactions and categorization rules
+
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize tag names: trimmed, lowercase and without duplicates
+ * @param {Array} tags - Tag names, or tag objects with a name
+ * @returns {Array<string>} Tag names
+ */
+export const normalizeTagNames = (tags) => {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+
+  const names = tags
+    .map(tag => (tag && typeof tag === 'object' ? tag.name : tag))
+    .filter(name => typeof name === 'string')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0);
+
+  return [...new Set(names)];
+};
+
+/**
+ * Apply a bulk tag patch to a transaction's tags
+ * @param {Array} current - Current tag names or tag objects
+ * @param {Object} patch - { tags (replace all), add_tags, remove_tags }
+ * @returns {Array<string>|null} New tag names, or null if the set of tags does not change
+ */
+export const applyTagPatch = (current, { tags, add_tags: addTags, remove_tags: removeTags } = {}) => {
+  const currentNames = normalizeTagNames(current);
+  let names = tags ? normalizeTagNames(tags) : currentNames;
+
+  if (addTags) {
+    names = normalizeTagNames([...names, ...addTags]);
+  }
+  if (removeTags) {
+    const removed = normalizeTagNames(removeTags);
+    names = names.filter(name => !removed.includes(name));
+  }
+
+  const unchanged = names.length === currentNames.length && names.every(name => currentNames.includes(name));
+  return unchanged ? null : names;
+};
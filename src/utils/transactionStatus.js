@@ -0,0 +1,49 @@
+// src/utils/transactionStatus.js
+// Transaction status lifecycle: pending -> cleared -> reconciled
+
+export const TRANSACTION_STATUSES = ['pending', 'cleared', 'reconciled'];
+
+// Each status moves one step forward, or back one step to undo
+const STATUS_TRANSITIONS = {
+  pending: ['cleared'],
+  cleared: ['pending', 'reconciled'],
+  reconciled: ['cleared']
+};
+
+/**
+ * Status of a stored transaction (rows from before statuses were added only have is_reconciled)
+ */
+export const getStatus = (transaction) =>
+  transaction.status || (transaction.is_reconciled ? 'reconciled' : 'cleared');
+
+/**
+ * Check that a transaction may move from one status to another
+ * @throws {Error} For unknown statuses and skipped or invalid steps
+ */
+export const checkStatusTransition = (from, to) => {
+  if (!TRANSACTION_STATUSES.includes(to)) {
+    throw new Error(`Invalid status: ${to}. Use one of ${TRANSACTION_STATUSES.join(', ')}`);
+  }
+  if (from !== to && !STATUS_TRANSITIONS[from].includes(to)) {
+    throw new Error(`Cannot change status from ${from} to ${to}`);
+  }
+};
+
+/**
+ * Parse a status filter
+ * @param {string|Array} value - Status or comma-separated statuses
+ * @returns {Array<string>} Statuses
+ */
+export const parseStatusFilter = (value) => {
+  const statuses = (Array.isArray(value) ? value : String(value).split(','))
+    .map(status => status.trim())
+    .filter(status => status.length > 0);
+
+  statuses.forEach(status => {
+    if (!TRANSACTION_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Use one of ${TRANSACTION_STATUSES.join(', ')}`);
+    }
+  });
+
+  return statuses;
+};
@@ -0,0 +1,101 @@
+// src/utils/transfers.js
+// Sent and received amounts of transfers, which may move money between currencies,
+// and the linked expense that records a transfer's fee
+
+// Which side of a transfer pays its fee
+export const FEE_PAYERS = ['sender', 'receiver'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out what a transfer sends and receives
+ * @param {Object} transfer - { amount, currency, to_amount, to_currency, rate } as given by the client
+ * @param {string} fromCurrency - Currency of the source account
+ * @param {string} toCurrency - Currency of the destination account
+ * @returns {Object} { amount, currency, to_amount, to_currency } to store
+ */
+export const resolveTransferAmounts = (transfer, fromCurrency, toCurrency) => {
+  const amount = Math.abs(parseFloat(transfer.amount));
+  const currency = transfer.currency || fromCurrency;
+  const toCurrencyCode = transfer.to_currency || toCurrency;
+
+  if (currency !== fromCurrency) {
+    throw new Error('Transfer currency must match the source account currency');
+  }
+  if (toCurrencyCode !== toCurrency) {
+    throw new Error('Received currency must match the destination account currency');
+  }
+
+  let toAmount;
+  if (transfer.to_amount !== undefined && transfer.to_amount !== null) {
+    toAmount = Math.abs(parseFloat(transfer.to_amount));
+  } else if (currency === toCurrencyCode) {
+    toAmount = amount;
+  } else if (transfer.rate) {
+    toAmount = roundAmount(amount * transfer.rate);
+  } else {
+    throw new Error('Provide to_amount or rate for a transfer between currencies');
+  }
+
+  if (currency === toCurrencyCode && toAmount !== amount) {
+    throw new Error('Sent and received amounts must match for a transfer in one currency');
+  }
+
+  return {
+    amount,
+    currency,
+    to_amount: toAmount,
+    to_currency: toCurrencyCode
+  };
+};
+
+/**
+ * What each account of a stored transfer moves by, each in its own currency.
+ * Transfers saved before received amounts were recorded receive the sent amount.
+ * @param {Object} transfer - Stored transfer
+ * @returns {Object} { sent, received }
+ */
+export const getTransferLegs = (transfer) => {
+  const sent = parseFloat(transfer.amount);
+  const received = transfer.to_amount === undefined || transfer.to_amount === null
+    ? sent
+    : parseFloat(transfer.to_amount);
+
+  return { sent, received };
+};
+
+/**
+ * Rate implied by a transfer's sent and received amounts (units received per unit sent)
+ * @returns {number|null} Null when nothing was sent
+ */
+export const getImpliedRate = (transfer) => {
+  const { received } = getTransferLegs(transfer);
+  const amount = parseFloat(transfer.amount);
+  return amount ? Math.round((received / amount) * 1e8) / 1e8 : null;
+};
+
+/**
+ * The expense transaction recording a transfer's fee
+ * @param {Object} transfer - Transfer (date, account ids, currency, to_currency and, once saved, id)
+ * @param {Object} fee - { amount, currency, category_id, paid_by (sender or receiver, default sender), memo }
+ * @returns {Object} The fee expense, linked to the transfer by fee_transfer_id
+ */
+export const buildFeeTransaction = (transfer, fee) => {
+  const paidByReceiver = fee.paid_by === 'receiver';
+  const accountCurrency = paidByReceiver ? transfer.to_currency || transfer.currency : transfer.currency;
+
+  if (fee.currency && fee.currency !== accountCurrency) {
+    throw new Error('Fee currency must match the currency of the account paying it');
+  }
+
+  return {
+    type: 'expense',
+    date: transfer.date,
+    account_id: paidByReceiver ? transfer.to_account_id : transfer.from_account_id,
+    amount: -Math.abs(parseFloat(fee.amount)),
+    currency: accountCurrency,
+    category_id: fee.category_id || null,
+    memo: fee.memo || 'Transfer fee',
+    fee_transfer_id: transfer.id
+  };
+};
@@ -0,0 +1,69 @@
+// src/utils/trash.js
+// Kinds of soft-deleted records kept in the trash and how long they stay there
+
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash item types, in the order they are purged (records before the records they point to).
+ * fields are the columns listed for each item; name is the column shown as its title.
+ */
+export const TRASH_TYPES = {
+  transactions: {
+    table: 'transactions',
+    fields: 'id, date, type, payee, amount, currency, account_id, from_account_id, to_account_id, deleted_at',
+    name: 'payee'
+  },
+  recurring: {
+    table: 'recurring_transactions',
+    fields: 'id, name, type, payee, amount, currency, frequency, account_id, category_id, deleted_at',
+    name: 'name'
+  },
+  budgets: {
+    table: 'budgets',
+    fields: 'id, category_id, month, budgeted, deleted_at',
+    name: 'month'
+  },
+  goals: {
+    table: 'goals',
+    fields: 'id, name, target_amount, current_amount, linked_account_id, deleted_at',
+    name: 'name'
+  },
+  categories: {
+    table: 'categories',
+    fields: 'id, name, type, parent_id, icon, deleted_at',
+    name: 'name'
+  },
+  accounts: {
+    table: 'accounts',
+    fields: 'id, name, type, currency, current_balance, deleted_at',
+    name: 'name'
+  }
+};
+
+/**
+ * Latest deletion time that is old enough to purge
+ * @param {Date} now - Current time
+ * @param {number} retentionDays - Days deleted records are kept
+ * @returns {string} ISO timestamp
+ */
+export const getPurgeCutoff = (now = new Date(), retentionDays = TRASH_RETENTION_DAYS) => {
+  return new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+};
+
+/**
+ * Shape a deleted row as a trash item
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {Object} row - Deleted row
+ * @param {number} retentionDays - Days deleted records are kept
+ * @returns {Object} { type, id, name, deleted_at, purge_after, record }
+ */
+export const toTrashItem = (type, row, retentionDays = TRASH_RETENTION_DAYS) => ({
+  type,
+  id: row.id,
+  name: row[TRASH_TYPES[type].name] || null,
+  deleted_at: row.deleted_at,
+  purge_after: new Date(new Date(row.deleted_at).getTime() + retentionDays * DAY_MS).toISOString(),
+  record: row
+});
@@ -1,6 +1,10 @@
 // src/utils/validators.js
 
 import Joi from 'joi';
+import { compilePayeeRegex } from './rules.js';
+import { MAX_TAG_LENGTH } from './tags.js';
+import { FEE_PAYERS } from './transfers.js';
+import { TRANSACTION_STATUSES } from './transactionStatus.js';
 
 // ============= AUTH VALIDATORS =============
 
@@ -39,23 +43,83 @@ const accountSchema = Joi.object({
   institution: Joi.string().required(),
   currency: Joi.string().length(3).required(),
   opening_balance: Joi.number().required(),
+  opening_balance_date: Joi.date().max('now').optional(),
   interest_rate: Joi.number().optional(),
   credit_limit: Joi.number().optional(),
+  statement_closing_day: Joi.number().integer().min(1).max(31).optional()
+    .when('type', { not: 'credit_card', then: Joi.forbidden() }),
+  payment_due_day: Joi.number().integer().min(1).max(31).optional()
+    .when('type', { not: 'credit_card', then: Joi.forbidden() }),
+  minimum_payment_percent: Joi.number().min(0).max(100).optional()
+    .when('type', { not: 'credit_card', then: Joi.forbidden() }),
+  minimum_payment_floor: Joi.number().min(0).optional()
+    .when('type', { not: 'credit_card', then: Joi.forbidden() }),
   is_active: Joi.boolean().optional()
-});
+}).with('payment_due_day', 'statement_closing_day');
 
 const accountUpdateSchema = Joi.object({
   name: Joi.string().optional(),
   institution: Joi.string().optional(),
   currency: Joi.string().length(3).optional(),
-  current_balance: Joi.number().optional(),
+  opening_balance: Joi.number().optional(),
+  opening_balance_date: Joi.date().max('now').optional(),
   interest_rate: Joi.number().optional(),
   credit_limit: Joi.number().optional(),
+  statement_closing_day: Joi.number().integer().min(1).max(31).allow(null).optional(),
+  payment_due_day: Joi.number().integer().min(1).max(31).allow(null).optional(),
+  minimum_payment_percent: Joi.number().min(0).max(100).allow(null).optional(),
+  minimum_payment_floor: Joi.number().min(0).allow(null).optional(),
   is_active: Joi.boolean().optional()
 }).min(1);
 
+const balanceRepairSchema = Joi.object({
+  account_id: Joi.string().uuid().optional()
+});
+
 // ============= TRANSACTION VALIDATORS =============
 
+const splitLineSchema = Joi.object({
+  category_id: Joi.string().uuid().required(),
+  amount: Joi.number().invalid(0).required(),
+  memo: Joi.string().allow('', null).optional()
+});
+
+// Split lines must add up (to the cent) to the parent amount and replace its category
+const validateSplitTotals = (value, helpers) => {
+  if (!value.splits) {
+    return value;
+  }
+  if (value.category_id) {
+    return helpers.error('transaction.splitCategory');
+  }
+  if (value.amount !== undefined) {
+    const splitTotal = value.splits.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+    if (splitTotal !== Math.round(value.amount * 100)) {
+      return helpers.error('transaction.splitTotal');
+    }
+  }
+  return value;
+};
+
+const splitMessages = {
+  'transaction.splitCategory': 'category_id must be empty when a transaction is split',
+  'transaction.splitTotal': 'Split amounts must add up to the transaction amount'
+};
+
+const tagListSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(MAX_TAG_LENGTH))
+  .max(20)
+  .unique((a, b) => a.trim().toLowerCase() === b.trim().toLowerCase());
+
+// Fee of a transfer, recorded as a linked expense on the paying account
+const transferFeeSchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  currency: Joi.string().length(3).optional(),
+  category_id: Joi.string().uuid().allow(null).optional(),
+  paid_by: Joi.string().valid(...FEE_PAYERS).optional(),
+  memo: Joi.string().allow('', null).optional()
+});
+
 const transactionSchema = Joi.object({
   date: Joi.date().required(),
   type: Joi.string().valid('income', 'expense', 'transfer').required(),
@@ -80,8 +144,22 @@ const transactionSchema = Joi.object({
   currency: Joi.string().length(3).required(),
   amount_eur: Joi.number().optional(),
   exchange_rate: Joi.number().positive().optional(),
-  memo: Joi.string().allow('', null).optional()  // ✅ Now allows empty strings
-});
+  // Transfers between currencies: what the destination account received (or the rate), and the fee
+  to_amount: Joi.number().positive().when('type', { is: 'transfer', otherwise: Joi.forbidden() }),
+  to_currency: Joi.string().length(3).when('type', { is: 'transfer', otherwise: Joi.forbidden() }),
+  rate: Joi.number().positive().when('type', { is: 'transfer', otherwise: Joi.forbidden() }),
+  fee: transferFeeSchema.when('type', { is: 'transfer', otherwise: Joi.forbidden() }),
+  memo: Joi.string().allow('', null).optional(),  // ✅ Now allows empty strings
+  external_id: Joi.string().max(255).optional(),
+  // Reconciling happens later, against a statement
+  status: Joi.string().valid('pending', 'cleared').optional(),
+  splits: Joi.array().items(splitLineSchema).min(2).when('type', {
+    is: 'transfer',
+    then: Joi.forbidden(),
+    otherwise: Joi.optional()
+  }),
+  tags: tagListSchema.optional()
+}).oxor('to_amount', 'rate').custom(validateSplitTotals).messages(splitMessages);
 
 const transactionUpdateSchema = Joi.object({
   date: Joi.date().optional(),
@@ -90,9 +168,79 @@ const transactionUpdateSchema = Joi.object({
   amount: Joi.number().optional(),
   amount_eur: Joi.number().optional(),
   exchange_rate: Joi.number().positive().optional(),
+  to_amount: Joi.number().positive().optional(),
+  rate: Joi.number().positive().optional(),
+  fee: transferFeeSchema.allow(null).optional(),
+  status: Joi.string().valid(...TRANSACTION_STATUSES).optional(),
+  memo: Joi.string().allow('', null).optional(),
+  splits: Joi.array().items(splitLineSchema).min(2).allow(null).optional(),
+  tags: tagListSchema.optional()
+}).min(1).oxor('to_amount', 'rate').custom(validateSplitTotals).messages(splitMessages);
+
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().optional(),
+  date: Joi.date().optional(),
+  account_id: Joi.string().uuid().optional(),
+  category_id: Joi.string().uuid().optional(),
+  payee: Joi.string().allow('', null).optional(),
   memo: Joi.string().allow('', null).optional()
+});
+
+const duplicatePairSchema = Joi.object({
+  transaction_ids: Joi.array().items(Joi.string().uuid()).length(2).unique().required(),
+  keep_id: Joi.string().uuid().valid(Joi.in('transaction_ids')).optional()
+    .messages({ 'any.only': 'keep_id must be one of transaction_ids' })
+});
+
+// Most transactions one bulk edit or delete may touch
+export const MAX_BULK_ITEMS = 1000;
+
+// Same filters as the transaction list; at least one is required so a bulk action never hits everything by accident
+const bulkFilterSchema = Joi.object({
+  type: Joi.string().valid('income', 'expense', 'transfer'),
+  account_id: Joi.string().uuid(),
+  category_id: Joi.string().uuid(),
+  status: Joi.alternatives().try(
+    Joi.string().valid(...TRANSACTION_STATUSES),
+    Joi.array().items(Joi.string().valid(...TRANSACTION_STATUSES)).min(1)
+  ),
+  scheduled: Joi.boolean(),
+  start_date: Joi.date(),
+  end_date: Joi.date(),
+  min_amount: Joi.number(),
+  max_amount: Joi.number(),
+  search: Joi.string().max(500),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(MAX_TAG_LENGTH)).min(1)
 }).min(1);
 
+const bulkSelection = {
+  ids: Joi.array().items(Joi.string().uuid()).min(1).max(MAX_BULK_ITEMS).unique(),
+  filter: bulkFilterSchema,
+  dry_run: Joi.boolean().optional()
+};
+
+const bulkUpdateSchema = Joi.object({
+  ...bulkSelection,
+  patch: Joi.object({
+    category_id: Joi.string().uuid().allow(null),
+    payee: Joi.string().allow('', null),
+    memo: Joi.string().allow('', null),
+    tags: tagListSchema,
+    add_tags: tagListSchema.min(1),
+    remove_tags: tagListSchema.min(1),
+    is_reconciled: Joi.boolean(),
+    status: Joi.string().valid(...TRANSACTION_STATUSES)
+  }).min(1).oxor('is_reconciled', 'status').oxor('tags', 'add_tags').oxor('tags', 'remove_tags').required()
+}).xor('ids', 'filter');
+
+const bulkDeleteSchema = Joi.object(bulkSelection).xor('ids', 'filter');
+
+// ============= TAG VALIDATORS =============
+
+const tagUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(MAX_TAG_LENGTH).required()
+});
+
 // ============= CATEGORY VALIDATORS =============
 
 const categorySchema = Joi.object({
@@ -159,6 +307,51 @@ const budgetUpdateSchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
+// ============= IMPORT VALIDATORS =============
+
+const csvColumn = Joi.alternatives().try(
+  Joi.string().trim().min(1),
+  Joi.number().integer().min(0)
+);
+
+const csvMappingSchema = Joi.object({
+  delimiter: Joi.string().length(1).default(','),
+  has_header: Joi.boolean().default(true),
+  skip_rows: Joi.number().integer().min(0).default(0),
+  date_column: csvColumn.required(),
+  date_format: Joi.string()
+    .valid('YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYY/MM/DD', 'DD/MM/YY', 'MM/DD/YY')
+    .default('YYYY-MM-DD'),
+  amount_column: csvColumn.optional(),
+  debit_column: csvColumn.optional(),
+  credit_column: csvColumn.optional(),
+  decimal_separator: Joi.string().valid('.', ',').default('.'),
+  sign_convention: Joi.string().valid('negative_is_expense', 'positive_is_expense').default('negative_is_expense'),
+  payee_column: csvColumn.optional(),
+  memo_column: csvColumn.optional()
+}).or('amount_column', 'debit_column', 'credit_column')
+  .oxor('amount_column', 'debit_column')
+  .messages({
+    'object.missing': 'Mapping needs an amount column or debit/credit columns'
+  });
+
+const importProfileSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  mapping: csvMappingSchema.required()
+});
+
+const importProfileUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  mapping: csvMappingSchema.optional()
+}).min(1);
+
+// Every row must be a valid transaction; the error details name the rows that are not
+const importBatchSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  transactions: Joi.array().items(transactionSchema).min(1).max(5000).required(),
+  dry_run: Joi.boolean().optional()
+});
+
 // ============= VALIDATION MIDDLEWARE =============
 
 export const validateRegistration = (req, res, next) => {
@@ -226,6 +419,19 @@ export const validateAccountUpdate = (req, res, next) => {
   next();
 };
 
+export const validateBalanceRepair = (req, res, next) => {
+  const { error } = balanceRepairSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
 export const validateTransaction = (req, res, next) => {
   const { error } = transactionSchema.validate(req.body, { abortEarly: false });
   if (error) {
@@ -252,6 +458,37 @@ export const validateTransactionUpdate = (req, res, next) => {
   next();
 };
 
+export const validateDuplicatePair = (req, res, next) => {
+  const { error } = duplicatePairSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
+/**
+ * Validate transaction data outside of a request (e.g. rows parsed from an import file)
+ * @returns {Array<string>|null} Validation messages, or null when the data is valid
+ */
+export const validateTransactionData = (data) => {
+  const { error } = transactionSchema.validate(data, { abortEarly: false });
+  return error ? error.details.map(detail => detail.message) : null;
+};
+
+/**
+ * Validate and apply defaults to a CSV column mapping
+ * @returns {Object} { value, errors } where errors is null when the mapping is valid
+ */
+export const validateCsvMapping = (mapping) => {
+  const { value, error } = csvMappingSchema.validate(mapping, { abortEarly: false });
+  return { value, errors: error ? error.details.map(detail => detail.message) : null };
+};
+
 export const validateCategory = (req, res, next) => {
   const { error } = categorySchema.validate(req.body, { abortEarly: false });
   if (error) {
@@ -304,6 +541,97 @@ export const validateBudgetUpdate = (req, res, next) => {
   next();
 };
 
+export const validateImportProfile = (req, res, next) => {
+  const { error } = importProfileSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
+export const validateImportProfileUpdate = (req, res, next) => {
+  const { error } = importProfileUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
+export const validateTagUpdate = (req, res, next) => {
+  const { error } = tagUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
+export const validateImportBatch = (req, res, next) => {
+  const { error } = importBatchSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
+export const validateRefund = (req, res, next) => {
+  const { error } = refundSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
+export const validateBulkUpdate = (req, res, next) => {
+  const { error } = bulkUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
+export const validateBulkDelete = (req, res, next) => {
+  const { error } = bulkDeleteSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  next();
+};
+
 // ============================================================
 // GOAL VALIDATORS
 // ============================================================
@@ -725,3 +1053,222 @@ export const validateExchangeRateUpdate = (req, res, next) => {
   }
   next();
 };
+
+// ============================================================
+// CATEGORIZATION RULE VALIDATORS
+// ============================================================
+
+const ruleConditionsSchema = Joi.object({
+  payee_contains: Joi.string().trim().min(1).max(255),
+  payee_regex: Joi.string().max(200).custom((value, helpers) =>
+    (compilePayeeRegex(value) ? value : helpers.error('any.invalid'))
+  ).messages({
+    'any.invalid': 'payee_regex must be a valid regular expression without nested repetition such as (a+)+, repeated alternation such as (a|ab)* or backreferences'
+  }),
+  min_amount: Joi.number().min(0),
+  max_amount: Joi.number().min(0).when('min_amount', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('min_amount'))
+  }).messages({
+    'number.min': 'max_amount must not be less than min_amount'
+  }),
+  account_id: Joi.string().uuid(),
+  type: Joi.string().valid('income', 'expense')
+}).min(1).messages({
+  'object.min': 'A rule needs at least one condition'
+});
+
+const ruleActionsSchema = Joi.object({
+  category_id: Joi.string().uuid(),
+  payee: Joi.string().trim().min(1).max(255),
+  memo: Joi.string().trim().min(1),
+  tags: tagListSchema.min(1)
+}).min(1).messages({
+  'object.min': 'A rule needs at least one action'
+});
+
+/**
+ * Validation schema for creating an auto-categorization rule
+ */
+const ruleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  priority: Joi.number().integer().min(0).default(100),
+  is_active: Joi.boolean().default(true),
+  conditions: ruleConditionsSchema.required(),
+  actions: ruleActionsSchema.required()
+});
+
+/**
+ * Validation schema for updating an auto-categorization rule
+ */
+const ruleUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  priority: Joi.number().integer().min(0),
+  is_active: Joi.boolean(),
+  conditions: ruleConditionsSchema,
+  actions: ruleActionsSchema
+}).min(1);
+
+/**
+ * Validation schema for running rules over existing transactions
+ */
+const ruleRunSchema = Joi.object({
+  rule_ids: Joi.array().items(Joi.string().uuid()).min(1),
+  account_id: Joi.string().uuid(),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().when('start_date', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('start_date'))
+  }),
+  overwrite: Joi.boolean().default(false)
+});
+
+/**
+ * Middleware to validate rule creation
+ */
+export const validateRule = (req, res, next) => {
+  const { error } = ruleSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to validate rule update
+ */
+export const validateRuleUpdate = (req, res, next) => {
+  const { error } = ruleUpdateSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to validate a retroactive rule run
+ */
+export const validateRuleRun = (req, res, next) => {
+  const { error } = ruleRunSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// ============================================================
+// RECONCILIATION VALIDATORS
+// ============================================================
+
+const reconciliationSchema = Joi.object({
+  statement_date: Joi.date().max('now').required(),
+  statement_balance: Joi.number().required()
+});
+
+const reconciliationUpdateSchema = Joi.object({
+  statement_date: Joi.date().max('now'),
+  statement_balance: Joi.number()
+}).min(1);
+
+const reconciliationTickSchema = Joi.object({
+  transaction_ids: Joi.array().items(Joi.string().uuid()).min(1).max(MAX_BULK_ITEMS).unique().required()
+});
+
+const reconciliationFinalizeSchema = Joi.object({
+  create_adjustment: Joi.boolean(),
+  category_id: Joi.string().uuid(),
+  memo: Joi.string().max(500)
+});
+
+/**
+ * Middleware to validate starting a reconciliation
+ */
+export const validateReconciliation = (req, res, next) => {
+  const { error } = reconciliationSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to validate changing a reconciliation's statement
+ */
+export const validateReconciliationUpdate = (req, res, next) => {
+  const { error } = reconciliationUpdateSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to validate ticking or unticking transactions
+ */
+export const validateReconciliationTick = (req, res, next) => {
+  const { error } = reconciliationTickSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to validate finalizing a reconciliation
+ */
+export const validateReconciliationFinalize = (req, res, next) => {
+  const { error } = reconciliationFinalizeSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    return res.status(400).json({
+      status: 'error',
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};